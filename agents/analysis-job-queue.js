@@ -0,0 +1,281 @@
+/**
+ * Analysis Job Queue
+ * Durable queue of page analysis jobs, persisted in chrome.storage.local and woken by chrome.alarms
+ * so scheduled and interrupted work survives service worker termination
+ */
+
+const JOB_STATES = {
+    SCHEDULED: 'scheduled',
+    CAPTURING: 'capturing',
+    ANALYZING: 'analyzing',
+    STORED: 'stored',
+    FAILED: 'failed'
+};
+
+class AnalysisJobQueue {
+    constructor(config = {}) {
+        const {
+            storageKey = 'algorithmMirrorJobQueue',
+            alarmName = 'algorithm-mirror-job-queue',
+            maxAttempts = 3,
+            baseBackoffMs = 30000,
+            maxBackoffMs = 10 * 60 * 1000,
+            historyLimit = 50,
+            onWake = null
+        } = config;
+
+        this.storageKey = storageKey;
+        this.alarmName = alarmName;
+        this.maxAttempts = maxAttempts;
+        this.baseBackoffMs = baseBackoffMs;
+        this.maxBackoffMs = maxBackoffMs;
+        this.historyLimit = historyLimit;
+        this.onWake = onWake;
+
+        this.jobs = new Map();
+        this.loadPromise = null;
+        this.saveChain = Promise.resolve();
+        this.wakeTimer = null;
+    }
+
+    /**
+     * Load persisted jobs once per worker lifetime. Jobs that were mid-capture or
+     * mid-analysis when the worker died are treated as failed attempts and retried.
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = (async () => {
+                const result = await chrome.storage.local.get([this.storageKey]);
+                (result[this.storageKey] || []).forEach(job => this.jobs.set(job.id, job));
+
+                const interrupted = Array.from(this.jobs.values()).filter(job =>
+                    job.state === JOB_STATES.CAPTURING || job.state === JOB_STATES.ANALYZING
+                );
+                interrupted.forEach(job => this.applyFailure(job, 'Interrupted by service worker restart', true));
+
+                if (this.jobs.size > 0) {
+                    console.log(`📋 Restored ${this.jobs.size} analysis jobs (${interrupted.length} interrupted)`);
+                }
+
+                if (interrupted.length > 0) {
+                    await this.save();
+                }
+                await this.scheduleWake();
+            })();
+        }
+
+        return this.loadPromise;
+    }
+
+    save() {
+        this.saveChain = this.saveChain.then(() => {
+            this.trimHistory();
+            return chrome.storage.local.set({ [this.storageKey]: Array.from(this.jobs.values()) });
+        }).catch(error => {
+            console.error('❌ Failed to persist analysis job queue:', error);
+        });
+
+        return this.saveChain;
+    }
+
+    /**
+     * Keep every live job but only the most recent finished ones
+     */
+    trimHistory() {
+        const finished = Array.from(this.jobs.values())
+            .filter(job => !this.isLive(job))
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+
+        finished.slice(this.historyLimit).forEach(job => this.jobs.delete(job.id));
+    }
+
+    isLive(job) {
+        return !!job && job.state !== JOB_STATES.STORED && job.state !== JOB_STATES.FAILED;
+    }
+
+    async enqueue({ tabId, url, delayMs = 0, reason = 'page', profile = null, force = false }) {
+        await this.load();
+
+        const now = Date.now();
+
+        // A job already waiting for the same page covers this request; a manual request makes it urgent
+        const pending = Array.from(this.jobs.values()).find(job =>
+            job.state === JOB_STATES.SCHEDULED && job.tabId === tabId && job.url === url
+        );
+        if (pending) {
+            if (reason === 'manual' && (pending.reason !== 'manual' || (profile && profile !== pending.profile) || (force && !pending.force))) {
+                pending.reason = reason;
+                pending.profile = profile || pending.profile;
+                pending.force = pending.force || force;
+                pending.runAt = Math.min(pending.runAt, now + delayMs);
+                pending.updatedAt = now;
+                await this.save();
+                await this.scheduleWake();
+            }
+            return pending;
+        }
+
+        const job = {
+            id: `${tabId}_${now}_${Math.random().toString(36).substr(2, 5)}`,
+            tabId,
+            url,
+            reason,
+            profile,
+            force, // Skip cached vision results
+            state: JOB_STATES.SCHEDULED,
+            attempts: 0,
+            timestamp: now,
+            runAt: now + delayMs,
+            updatedAt: now,
+            error: null
+        };
+
+        this.jobs.set(job.id, job);
+        await this.save();
+        await this.scheduleWake();
+
+        return job;
+    }
+
+    get(jobId) {
+        return this.jobs.get(jobId) || null;
+    }
+
+    /**
+     * Scheduled jobs whose run time has passed, oldest first
+     */
+    getDueJobs(now = Date.now()) {
+        return Array.from(this.jobs.values())
+            .filter(job => job.state === JOB_STATES.SCHEDULED && job.runAt <= now)
+            .sort((a, b) => a.runAt - b.runAt);
+    }
+
+    async transition(jobId, state, changes = {}) {
+        const job = this.jobs.get(jobId);
+        if (!job) return null;
+
+        Object.assign(job, changes, { state, updatedAt: Date.now() });
+        await this.save();
+
+        return job;
+    }
+
+    /**
+     * Record a failed attempt. Retriable failures are rescheduled with exponential
+     * backoff until maxAttempts is reached.
+     */
+    async fail(jobId, error, { retry = true } = {}) {
+        const job = this.jobs.get(jobId);
+        if (!job || !this.isLive(job)) return job || null;
+
+        this.applyFailure(job, error, retry);
+        await this.save();
+        await this.scheduleWake();
+
+        return job;
+    }
+
+    applyFailure(job, error, retry) {
+        const now = Date.now();
+        job.attempts += 1;
+        job.error = error;
+        job.updatedAt = now;
+
+        if (retry && job.attempts < this.maxAttempts) {
+            const backoff = Math.min(this.baseBackoffMs * Math.pow(2, job.attempts - 1), this.maxBackoffMs);
+            job.state = JOB_STATES.SCHEDULED;
+            job.runAt = now + backoff;
+            console.log(`🔁 Job ${job.id} will retry in ${Math.round(backoff / 1000)}s (${error})`);
+        } else {
+            job.state = JOB_STATES.FAILED;
+            console.log(`❌ Job ${job.id} failed after ${job.attempts} attempt(s): ${error}`);
+        }
+    }
+
+    /**
+     * Fail every live job matching the predicate without retrying; returns the cancelled jobs
+     */
+    async cancelWhere(predicate, reason = 'Cancelled') {
+        await this.load();
+
+        const cancelled = Array.from(this.jobs.values()).filter(job => this.isLive(job) && predicate(job));
+        const now = Date.now();
+        cancelled.forEach(job => {
+            job.state = JOB_STATES.FAILED;
+            job.error = reason;
+            job.cancelled = true;
+            job.updatedAt = now;
+        });
+
+        if (cancelled.length > 0) {
+            await this.save();
+            await this.scheduleWake();
+        }
+
+        return cancelled;
+    }
+
+    /**
+     * Most recently created job matching the predicate, in any state
+     */
+    getLatestJob(predicate = () => true) {
+        return Array.from(this.jobs.values())
+            .filter(predicate)
+            .sort((a, b) => b.timestamp - a.timestamp)[0] || null;
+    }
+
+    getActiveCount() {
+        return Array.from(this.jobs.values()).filter(job => this.isLive(job)).length;
+    }
+
+    getStats() {
+        const byState = {};
+        Object.values(JOB_STATES).forEach(state => { byState[state] = 0; });
+        this.jobs.forEach(job => { byState[job.state] = (byState[job.state] || 0) + 1; });
+
+        return {
+            active: this.getActiveCount(),
+            byState
+        };
+    }
+
+    /**
+     * Arm the alarm for the next scheduled job. The alarm wakes a suspended worker;
+     * the timer covers delays shorter than the alarm API's minimum while the worker is alive.
+     */
+    async scheduleWake() {
+        const scheduled = Array.from(this.jobs.values()).filter(job => job.state === JOB_STATES.SCHEDULED);
+
+        if (this.wakeTimer) {
+            clearTimeout(this.wakeTimer);
+            this.wakeTimer = null;
+        }
+
+        if (scheduled.length === 0) {
+            await chrome.alarms.clear(this.alarmName);
+            return;
+        }
+
+        const nextRunAt = Math.min(...scheduled.map(job => job.runAt));
+        await chrome.alarms.create(this.alarmName, { when: Math.max(nextRunAt, Date.now() + 1000) });
+
+        if (this.onWake) {
+            this.wakeTimer = setTimeout(() => {
+                this.wakeTimer = null;
+                this.onWake();
+            }, Math.max(0, nextRunAt - Date.now()));
+        }
+    }
+}
+
+AnalysisJobQueue.STATES = JOB_STATES;
+
+// Export for use in Chrome extension background script
+if (typeof globalThis !== 'undefined') {
+    globalThis.AnalysisJobQueue = AnalysisJobQueue;
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnalysisJobQueue;
+}
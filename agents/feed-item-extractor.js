@@ -0,0 +1,176 @@
+/**
+ * Feed Item Extractor
+ * Turns the feed items the content script segmented out of the page into ordered records -
+ * one per post, video tile, product card or search result in the capture - so a memory
+ * records exactly what the page served
+ */
+
+/**
+ * What the content script looks for. Sent with each collection request, together with the
+ * ad detector's labels for the sponsored flag; patterns are RegExp sources matched
+ * case-insensitively against short texts inside an item.
+ */
+const FEED_DOM_RULES = {
+    // Containers of one item, by kind. A kind needs minItems matches to count as a feed (a
+    // lone <article> is a page, not a feed); the outermost match wins when they nest.
+    itemSelectors: [
+        {
+            kind: 'video',
+            selector: 'ytd-rich-item-renderer, ytd-video-renderer, ytd-compact-video-renderer, ytd-grid-video-renderer, ytd-reel-item-renderer, [data-e2e="recommend-list-item-container"]'
+        },
+        {
+            kind: 'product',
+            selector: '[data-component-type="s-search-result"], [data-asin]:not([data-asin=""]), [itemtype*="schema.org/Product"], [data-testid="product-card"], .product-card'
+        },
+        {
+            kind: 'search-result',
+            selector: '#rso .g, li.b_algo, [data-testid="result"], .result.results_links'
+        },
+        {
+            kind: 'post',
+            selector: '[data-testid="cellInnerDiv"], article, [role="article"], shreddit-post, [data-pagelet^="FeedUnit"], .feed-shared-update-v2'
+        }
+    ],
+    titleSelectors: '#video-title, [itemprop="name"], h1, h2, h3, h4, [role="heading"]',
+    authorSelectors: '[data-testid="User-Name"], #channel-name, ytd-channel-name, [itemprop="author"], [rel="author"], [data-testid="post_author_link"], .author, .byline, cite, address',
+    snippetSelectors: '[data-testid="tweetText"], #description-text, .metadata-snippet-text, [itemprop="description"], [data-testid="post-content"], .VwiC3b, p',
+    videoSelectors: 'video, ytd-thumbnail, [data-testid="videoPlayer"], [data-testid="videoComponent"]',
+    flagPatterns: {
+        recommended: [
+            '^(?:recommended|recommended for you|suggested|suggested for you|suggested post|for you|you might like|picked for you|popular near you|trending|new to you)$'
+        ],
+        'because-you-watched': [
+            '^because you (?:watched|viewed|liked|follow|followed|searched|listened to)\\b'
+        ]
+    },
+    minItems: 2,
+    maxItems: 100
+};
+
+// Flags in the order they are listed on an item
+const FEED_FLAGS = ['sponsored', 'recommended', 'because-you-watched'];
+
+const FEED_KINDS = ['post', 'video', 'product', 'search-result'];
+
+class FeedItemExtractor {
+    constructor(config = {}) {
+        const {
+            detector = new SponsoredContentDetector() // Shares its box geometry and ad labels
+        } = config;
+
+        this.detector = detector;
+    }
+
+    /**
+     * Rules for the content script; the sponsored flag uses the ad detector's labels. With a
+     * site adapter ({ adapter, page } from SiteAdapters.match) its item selectors replace the
+     * heuristic ones, its fields come first and its markers add to the flag patterns.
+     */
+    getDomRules(site = null) {
+        const flagPatterns = {
+            sponsored: SponsoredContentDetector.DOM_RULES.labelPatterns,
+            ...FEED_DOM_RULES.flagPatterns
+        };
+        if (!site) {
+            return { ...FEED_DOM_RULES, flagPatterns };
+        }
+
+        const { adapter } = site;
+        const fields = adapter.fields || {};
+        const markers = adapter.markers || {};
+        const withField = (field, fallback) => (fields[field] ? `${fields[field]}, ${fallback}` : fallback);
+
+        return {
+            ...FEED_DOM_RULES,
+            itemSelectors: adapter.items,
+            titleSelectors: withField('title', FEED_DOM_RULES.titleSelectors),
+            authorSelectors: withField('author', FEED_DOM_RULES.authorSelectors),
+            snippetSelectors: withField('snippet', FEED_DOM_RULES.snippetSelectors),
+            linkSelectors: fields.link || null,
+            flagPatterns: Object.fromEntries(FEED_FLAGS.map(flag => [
+                flag,
+                [...(flagPatterns[flag] || []), ...(markers[flag]?.labels || [])]
+            ])),
+            flagSelectors: Object.fromEntries(FEED_FLAGS
+                .filter(flag => markers[flag]?.selectors?.length)
+                .map(flag => [flag, markers[flag].selectors.join(', ')])),
+            minItems: 1 // The adapter's selectors already mean a feed
+        };
+    }
+
+    /**
+     * Items of one capture in feed order. feedSignals: { frame, items } from the content
+     * script, frame being the captured area in document CSS pixels. ads: the memory's ad
+     * items; one found in the page over an item marks it sponsored as well. itemFlags: flags
+     * the site adapter gives every item on the page.
+     * Each item: { position, kind, author, title, snippet, link, mediaType, flags,
+     * flagLabels, region: { name, box } }. Boxes are fractions of the captured image.
+     */
+    build({ feedSignals = null, ads = [], itemFlags = [] } = {}) {
+        if (!feedSignals || !feedSignals.frame || !Array.isArray(feedSignals.items)) return [];
+
+        const { frame } = feedSignals;
+        const pageAds = (ads || []).filter(ad => ad.sources.includes('dom') && ad.region.box);
+
+        return feedSignals.items
+            .filter(item => item.visible)
+            .map(item => ({
+                item,
+                box: this.detector.normalizeBox(
+                    { x: item.rect.x - frame.x, y: item.rect.y - frame.y, width: item.rect.width, height: item.rect.height },
+                    frame.width,
+                    frame.height
+                )
+            }))
+            .filter(({ box }) => box) // Outside the captured area
+            .sort((a, b) => a.box.y - b.box.y || a.box.x - b.box.x)
+            .map(({ item, box }, index) => {
+                const flags = new Set([...(item.flags || []), ...itemFlags]);
+                if (pageAds.some(ad => this.detector.overlap(ad.region.box, box) > 0.5)) {
+                    flags.add('sponsored');
+                }
+
+                return {
+                    position: index + 1,
+                    kind: item.kind,
+                    author: item.author || null,
+                    title: item.title || null,
+                    snippet: item.snippet || null,
+                    link: /^https?:/i.test(item.link || '') ? item.link : null,
+                    mediaType: item.mediaType || 'text',
+                    flags: FEED_FLAGS.filter(flag => flags.has(flag)),
+                    flagLabels: item.flagLabels || [],
+                    region: { name: this.detector.regionName(box), box }
+                };
+            });
+    }
+
+    /**
+     * Counts kept on the memory itself, so lists can show them without loading the items
+     */
+    summarize(items) {
+        const byKind = {};
+        const flags = Object.fromEntries(FEED_FLAGS.map(flag => [flag, 0]));
+
+        items.forEach(item => {
+            byKind[item.kind] = (byKind[item.kind] || 0) + 1;
+            item.flags.forEach(flag => { flags[flag] += 1; });
+        });
+
+        return { total: items.length, byKind, flags };
+    }
+}
+
+FeedItemExtractor.DOM_RULES = FEED_DOM_RULES;
+FeedItemExtractor.FLAGS = FEED_FLAGS;
+FeedItemExtractor.KINDS = FEED_KINDS;
+
+// Export for use in Chrome extension background script
+if (typeof globalThis !== 'undefined') {
+    globalThis.FeedItemExtractor = FeedItemExtractor;
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FeedItemExtractor;
+}
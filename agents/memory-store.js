@@ -0,0 +1,565 @@
+/**
+ * Memory Store
+ * IndexedDB persistence for memory entries, screenshot blobs, embeddings, feed items and
+ * index structures
+ */
+
+class MemoryStore {
+    constructor(config = {}) {
+        const {
+            dbName = 'algorithm-mirror-memory',
+            version = 2
+        } = config;
+
+        this.dbName = dbName;
+        this.version = version;
+        this.dbPromise = null;
+        this.stores = {
+            entries: 'entries',
+            screenshots: 'screenshots',
+            embeddings: 'embeddings',
+            indexes: 'indexes',
+            feedItems: 'feedItems'
+        };
+    }
+
+    /**
+     * Open (or create) the database. The connection is shared for the worker's lifetime.
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.version);
+
+                request.onupgradeneeded = (event) => {
+                    this.upgradeSchema(request.result, event.oldVersion);
+                };
+
+                request.onsuccess = () => {
+                    const db = request.result;
+                    db.onversionchange = () => {
+                        db.close();
+                        this.dbPromise = null;
+                    };
+                    resolve(db);
+                };
+
+                request.onerror = () => {
+                    this.dbPromise = null;
+                    reject(request.error);
+                };
+
+                request.onblocked = () => {
+                    console.warn('⚠️ Memory database upgrade blocked by another open connection');
+                };
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    upgradeSchema(db, oldVersion) {
+        console.log(`🗄️ Upgrading memory database from v${oldVersion} to v${this.version}`);
+
+        if (oldVersion < 1) {
+            const entries = db.createObjectStore(this.stores.entries, { keyPath: 'id' });
+            entries.createIndex('timestamp', 'timestamp');
+            entries.createIndex('domain', 'domain');
+            entries.createIndex('category', 'category');
+
+            db.createObjectStore(this.stores.screenshots, { keyPath: 'id' });
+            db.createObjectStore(this.stores.embeddings, { keyPath: 'id' });
+            db.createObjectStore(this.stores.indexes, { keyPath: 'key' });
+        }
+
+        if (oldVersion < 2) {
+            // Child records of a memory, keyed memoryId:position
+            const feedItems = db.createObjectStore(this.stores.feedItems, { keyPath: 'id' });
+            feedItems.createIndex('memoryId', 'memoryId');
+            feedItems.createIndex('kind', 'kind');
+            feedItems.createIndex('flags', 'flags', { multiEntry: true });
+            feedItems.createIndex('domain', 'domain');
+            feedItems.createIndex('timestamp', 'timestamp');
+        }
+    }
+
+    /**
+     * Entry writes
+     */
+    async putEntry(entry) {
+        const { screenshot, embeddings, ...record } = entry;
+
+        record.domain = record.domain || this.extractDomain(record.url);
+        record.hasScreenshot = !!screenshot;
+        record.hasEmbeddings = Array.isArray(embeddings) && embeddings.length > 0;
+
+        // Convert before opening the transaction - awaiting inside it would auto-commit
+        const screenshotRecord = screenshot ? this.createScreenshotRecord(record.id, screenshot) : null;
+
+        const db = await this.open();
+        const tx = db.transaction(
+            [this.stores.entries, this.stores.screenshots, this.stores.embeddings],
+            'readwrite'
+        );
+
+        tx.objectStore(this.stores.entries).put(record);
+        if (screenshotRecord) {
+            tx.objectStore(this.stores.screenshots).put(screenshotRecord);
+        }
+        if (record.hasEmbeddings) {
+            tx.objectStore(this.stores.embeddings).put({ id: record.id, vector: embeddings });
+        }
+
+        await this.transactionDone(tx);
+        return record;
+    }
+
+    /**
+     * Merge changes into an entry's metadata record without touching blobs or embeddings.
+     * Changes may also be a function of the current record.
+     */
+    async updateEntry(id, changes) {
+        const db = await this.open();
+        const tx = db.transaction(this.stores.entries, 'readwrite');
+        const store = tx.objectStore(this.stores.entries);
+
+        let updated = null;
+        const request = store.get(id);
+        request.onsuccess = () => {
+            if (request.result) {
+                const patch = typeof changes === 'function' ? changes(request.result) : changes;
+                updated = { ...request.result, ...patch, id };
+                store.put(updated);
+            }
+        };
+
+        await this.transactionDone(tx);
+        return updated;
+    }
+
+    async deleteEntries(ids) {
+        if (!ids || ids.length === 0) return 0;
+
+        const db = await this.open();
+        const tx = db.transaction(
+            [this.stores.entries, this.stores.screenshots, this.stores.embeddings, this.stores.feedItems],
+            'readwrite'
+        );
+
+        ids.forEach(id => {
+            tx.objectStore(this.stores.entries).delete(id);
+            tx.objectStore(this.stores.screenshots).delete(id);
+            tx.objectStore(this.stores.embeddings).delete(id);
+            tx.objectStore(this.stores.feedItems).delete(this.feedItemRange(id));
+        });
+
+        await this.transactionDone(tx);
+        return ids.length;
+    }
+
+    /**
+     * Walk entries with a cursor and delete the ones matching the predicate.
+     * Returns the deleted ids.
+     */
+    async deleteWhere(predicate, { range = null } = {}) {
+        const db = await this.open();
+        const tx = db.transaction(
+            [this.stores.entries, this.stores.screenshots, this.stores.embeddings, this.stores.feedItems],
+            'readwrite'
+        );
+        const source = range
+            ? tx.objectStore(this.stores.entries).index('timestamp')
+            : tx.objectStore(this.stores.entries);
+
+        const deleted = [];
+        const request = source.openCursor(range);
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+
+            if (predicate(cursor.value)) {
+                const id = cursor.value.id;
+                cursor.delete();
+                tx.objectStore(this.stores.screenshots).delete(id);
+                tx.objectStore(this.stores.embeddings).delete(id);
+                tx.objectStore(this.stores.feedItems).delete(this.feedItemRange(id));
+                deleted.push(id);
+            }
+            cursor.continue();
+        };
+
+        await this.transactionDone(tx);
+        return deleted;
+    }
+
+    async clear() {
+        const db = await this.open();
+        const storeNames = Object.values(this.stores);
+        const tx = db.transaction(storeNames, 'readwrite');
+        storeNames.forEach(name => tx.objectStore(name).clear());
+        await this.transactionDone(tx);
+    }
+
+    /**
+     * Entry reads
+     */
+    async getEntry(id, { includeScreenshot = true, includeEmbeddings = false } = {}) {
+        const db = await this.open();
+        const tx = db.transaction(this.stores.entries, 'readonly');
+        const record = await this.requestToPromise(tx.objectStore(this.stores.entries).get(id));
+
+        if (!record) return null;
+
+        const [hydrated] = await this.hydrateEntries([record], { includeScreenshot, includeEmbeddings });
+        return hydrated;
+    }
+
+    /**
+     * Cursor over the timestamp index (newest first by default), collecting records that
+     * pass the predicate until the limit is reached. Records are metadata only.
+     */
+    async scanEntries({ range = null, direction = 'prev', predicate = null, limit = Infinity } = {}) {
+        const db = await this.open();
+        const tx = db.transaction(this.stores.entries, 'readonly');
+        const index = tx.objectStore(this.stores.entries).index('timestamp');
+
+        const results = [];
+        await new Promise((resolve, reject) => {
+            const request = index.openCursor(range, direction);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || results.length >= limit) {
+                    resolve();
+                    return;
+                }
+
+                if (!predicate || predicate(cursor.value)) {
+                    results.push(cursor.value);
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+
+        return results;
+    }
+
+    /**
+     * Filtered query used by the timeline, popup and settings pages
+     */
+    async queryEntries(filters = {}) {
+        const {
+            category,
+            dateRange,
+            url,
+            limit = Infinity,
+            includeScreenshots = true,
+            includeEmbeddings = false
+        } = filters;
+
+        let range = null;
+        if (dateRange && (dateRange.start != null || dateRange.end != null)) {
+            const start = dateRange.start ?? -Infinity;
+            const end = dateRange.end ?? Infinity;
+            range = IDBKeyRange.bound(start, end);
+        }
+
+        const urlFilter = url ? url.toLowerCase() : null;
+        const records = await this.scanEntries({
+            range,
+            limit,
+            predicate: (record) => {
+                if (category && record.category !== category) return false;
+                if (urlFilter && !record.url?.toLowerCase().includes(urlFilter)) return false;
+                return true;
+            }
+        });
+
+        return this.hydrateEntries(records, {
+            includeScreenshot: includeScreenshots,
+            includeEmbeddings
+        });
+    }
+
+    async countEntries() {
+        const db = await this.open();
+        const tx = db.transaction(this.stores.entries, 'readonly');
+        return this.requestToPromise(tx.objectStore(this.stores.entries).count());
+    }
+
+    /**
+     * Attach screenshots (as data URLs) and embeddings back onto metadata records
+     */
+    async hydrateEntries(records, { includeScreenshot = true, includeEmbeddings = false } = {}) {
+        if (records.length === 0 || (!includeScreenshot && !includeEmbeddings)) {
+            return records.map(record => ({ ...record }));
+        }
+
+        const db = await this.open();
+        const storeNames = [];
+        if (includeScreenshot) storeNames.push(this.stores.screenshots);
+        if (includeEmbeddings) storeNames.push(this.stores.embeddings);
+        const tx = db.transaction(storeNames, 'readonly');
+
+        const lookups = records.map(record => Promise.all([
+            includeScreenshot && record.hasScreenshot
+                ? this.requestToPromise(tx.objectStore(this.stores.screenshots).get(record.id))
+                : null,
+            includeEmbeddings && record.hasEmbeddings
+                ? this.requestToPromise(tx.objectStore(this.stores.embeddings).get(record.id))
+                : null
+        ]));
+        const resolved = await Promise.all(lookups);
+
+        return Promise.all(records.map(async (record, index) => {
+            const [screenshotRecord, embeddingRecord] = resolved[index];
+            const hydrated = { ...record };
+
+            if (screenshotRecord) {
+                hydrated.screenshot = await this.screenshotRecordToDataUrl(screenshotRecord);
+            }
+            if (embeddingRecord) {
+                hydrated.embeddings = embeddingRecord.vector;
+            }
+
+            return hydrated;
+        }));
+    }
+
+    /**
+     * Feed items: what a page served, one record per post, tile, card or result. Writing a
+     * memory's items replaces any it had; they are deleted with the memory.
+     */
+    async putFeedItems(memoryId, items, { url = null, timestamp = null } = {}) {
+        const db = await this.open();
+        const tx = db.transaction(this.stores.feedItems, 'readwrite');
+        const store = tx.objectStore(this.stores.feedItems);
+        const domain = this.extractDomain(url);
+
+        store.delete(this.feedItemRange(memoryId));
+        items.forEach(item => {
+            store.put({ ...item, id: this.feedItemId(memoryId, item.position), memoryId, url, domain, timestamp });
+        });
+
+        await this.transactionDone(tx);
+        return items.length;
+    }
+
+    /**
+     * One memory's items in feed order
+     */
+    async getFeedItems(memoryId) {
+        const db = await this.open();
+        const tx = db.transaction(this.stores.feedItems, 'readonly');
+        return this.requestToPromise(tx.objectStore(this.stores.feedItems).getAll(this.feedItemRange(memoryId)));
+    }
+
+    /**
+     * Items across memories, newest first. An index narrows the read (memory, flag, kind or
+     * domain, in that order of preference); the other filters are applied to what it returns.
+     */
+    async queryFeedItems(filters = {}) {
+        const { memoryId, kind, flag, domain, author, dateRange, limit = Infinity } = filters;
+
+        let records;
+        if (memoryId) {
+            records = await this.getFeedItems(memoryId);
+        } else {
+            const db = await this.open();
+            const store = db.transaction(this.stores.feedItems, 'readonly').objectStore(this.stores.feedItems);
+            const [indexName, key] = flag ? ['flags', flag] : kind ? ['kind', kind] : domain ? ['domain', domain] : [null, null];
+            records = await this.requestToPromise(indexName ? store.index(indexName).getAll(key) : store.getAll());
+        }
+
+        const authorFilter = author ? author.toLowerCase() : null;
+        return records
+            .filter(record => {
+                if (kind && record.kind !== kind) return false;
+                if (flag && !record.flags.includes(flag)) return false;
+                if (domain && record.domain !== domain) return false;
+                if (authorFilter && !record.author?.toLowerCase().includes(authorFilter)) return false;
+                if (dateRange?.start != null && record.timestamp < dateRange.start) return false;
+                if (dateRange?.end != null && record.timestamp > dateRange.end) return false;
+                return true;
+            })
+            .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0) || a.position - b.position)
+            .slice(0, limit);
+    }
+
+    async countFeedItems(filters = {}) {
+        const records = await this.queryFeedItems(filters);
+        return records.length;
+    }
+
+    /**
+     * Index structures (key/value records for derived indices and bookkeeping)
+     */
+    async getIndex(key) {
+        const db = await this.open();
+        const tx = db.transaction(this.stores.indexes, 'readonly');
+        const record = await this.requestToPromise(tx.objectStore(this.stores.indexes).get(key));
+        return record ? record.value : null;
+    }
+
+    async putIndex(key, value) {
+        const db = await this.open();
+        const tx = db.transaction(this.stores.indexes, 'readwrite');
+        tx.objectStore(this.stores.indexes).put({ key, value, updatedAt: Date.now() });
+        await this.transactionDone(tx);
+    }
+
+    async deleteIndex(key) {
+        const db = await this.open();
+        const tx = db.transaction(this.stores.indexes, 'readwrite');
+        tx.objectStore(this.stores.indexes).delete(key);
+        await this.transactionDone(tx);
+    }
+
+    async getIndexesByPrefix(prefix) {
+        const db = await this.open();
+        const tx = db.transaction(this.stores.indexes, 'readonly');
+        const range = IDBKeyRange.bound(prefix, `${prefix}\uffff`);
+        const records = await this.requestToPromise(tx.objectStore(this.stores.indexes).getAll(range));
+        return records.map(record => ({ key: record.key, value: record.value }));
+    }
+
+    /**
+     * Write and delete several index records in a single transaction
+     */
+    async writeIndexes(puts = [], deletes = []) {
+        if (puts.length === 0 && deletes.length === 0) return;
+
+        const db = await this.open();
+        const tx = db.transaction(this.stores.indexes, 'readwrite');
+        const store = tx.objectStore(this.stores.indexes);
+        const updatedAt = Date.now();
+
+        puts.forEach(({ key, value }) => store.put({ key, value, updatedAt }));
+        deletes.forEach(key => store.delete(key));
+
+        await this.transactionDone(tx);
+    }
+
+    /**
+     * One-time migration of the legacy chrome.storage.local memory array
+     */
+    async migrateFromChromeStorage() {
+        const markerKey = 'migration:chrome-storage';
+        const marker = await this.getIndex(markerKey);
+        if (marker) {
+            return { migrated: 0, skipped: true };
+        }
+
+        const result = await chrome.storage.local.get(['algorithmMirrorMemory']);
+        const legacyMemory = Array.isArray(result.algorithmMirrorMemory) ? result.algorithmMirrorMemory : [];
+
+        let migrated = 0;
+        for (const item of legacyMemory) {
+            // The legacy array holds [id, entry] pairs from Map.entries()
+            const entry = Array.isArray(item) ? item[1] : item;
+            if (!entry || !entry.id) continue;
+
+            try {
+                await this.putEntry(entry);
+                migrated++;
+            } catch (error) {
+                console.error(`Failed to migrate memory ${entry.id}:`, error);
+            }
+        }
+
+        await this.putIndex(markerKey, { migratedAt: Date.now(), count: migrated });
+        await chrome.storage.local.remove('algorithmMirrorMemory');
+
+        if (migrated > 0) {
+            console.log(`📦 Migrated ${migrated} memories from chrome.storage.local to IndexedDB`);
+        }
+
+        return { migrated, skipped: false };
+    }
+
+    /**
+     * Utility methods
+     */
+    createScreenshotRecord(id, screenshot) {
+        if (typeof screenshot === 'string' && screenshot.startsWith('data:')) {
+            const blob = this.dataUrlToBlob(screenshot);
+            return { id, blob, type: blob.type, size: blob.size };
+        }
+
+        return { id, dataUrl: screenshot, size: screenshot.length };
+    }
+
+    async screenshotRecordToDataUrl(record) {
+        if (record.blob) {
+            return MemoryStore.blobToDataUrl(record.blob);
+        }
+        return record.dataUrl || null;
+    }
+
+    dataUrlToBlob(dataUrl) {
+        const [header, base64Data = ''] = dataUrl.split(',');
+        const mimeType = header.match(/^data:([^;,]+)/)?.[1] || 'image/jpeg';
+        const binary = atob(base64Data);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new Blob([bytes], { type: mimeType });
+    }
+
+    /**
+     * Also used by the screenshot tiler to encode its tiles
+     */
+    static async blobToDataUrl(blob) {
+        // FileReader is not available in the service worker
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const chunkSize = 0x8000;
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+        }
+        return `data:${blob.type || 'image/jpeg'};base64,${btoa(binary)}`;
+    }
+
+    // Zero-padded so a memory's items sort in feed order by key
+    feedItemId(memoryId, position) {
+        return `${memoryId}:${String(position).padStart(4, '0')}`;
+    }
+
+    feedItemRange(memoryId) {
+        return IDBKeyRange.bound(`${memoryId}:`, `${memoryId}:\uffff`);
+    }
+
+    extractDomain(url) {
+        try {
+            return new URL(url).hostname;
+        } catch {
+            return 'unknown';
+        }
+    }
+
+    requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+}
+
+// Export for use in Chrome extension background script
+if (typeof globalThis !== 'undefined') {
+    globalThis.MemoryStore = MemoryStore;
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MemoryStore;
+}
@@ -0,0 +1,443 @@
+/**
+ * Model Providers
+ * One interface for text generation, vision, embeddings, model listing and health checks,
+ * with implementations for Ollama's native API and OpenAI-compatible servers
+ * (llama.cpp server, LM Studio, vLLM). Agents pass their scheduler-aware fetch as the
+ * transport so provider requests still go through the shared ModelRequestScheduler.
+ * A transport is (url, init, consume) and resolves to consume(response), so response
+ * bodies - including streamed ones - are read inside the scheduled request.
+ */
+
+const PROVIDER_TYPES = {
+    OLLAMA: 'ollama',
+    OPENAI: 'openai'
+};
+
+// Name fragments of well-known multimodal and embedding models, for servers that do not report capabilities
+const VISION_MODEL_HINTS = ['llava', 'bakllava', 'moondream', 'vision', '-vl', 'vl-', 'minicpm-v', 'qwen2.5vl', 'gemma3', 'pixtral', 'idefics', 'cogvlm', 'mllama', 'granite3.2-vision'];
+const EMBEDDING_MODEL_HINTS = ['embed', 'bge-', 'minilm', 'e5-', 'gte-', 'nomic-bert'];
+
+class ModelProvider {
+    constructor(config = {}) {
+        const {
+            endpoint = 'http://localhost:8081',
+            apiKey = ''
+        } = config;
+
+        this.type = 'base';
+        this.endpoint = String(endpoint).replace(/\/+$/, '');
+        this.apiKey = apiKey || '';
+        this.capabilityCache = new Map();
+    }
+
+    /**
+     * Build the provider for a settings object ({ modelProvider, ollamaEndpoint, providerApiKey })
+     */
+    static create({ type = PROVIDER_TYPES.OLLAMA, endpoint, apiKey } = {}) {
+        return type === PROVIDER_TYPES.OPENAI
+            ? new OpenAICompatibleProvider({ endpoint, apiKey })
+            : new OllamaProvider({ endpoint, apiKey });
+    }
+
+    static fromSettings(settings = {}) {
+        return ModelProvider.create({
+            type: settings.modelProvider,
+            endpoint: settings.ollamaEndpoint,
+            apiKey: settings.providerApiKey
+        });
+    }
+
+    /**
+     * True when a provider built from these settings would talk to the same server the same way
+     */
+    matches({ type = PROVIDER_TYPES.OLLAMA, endpoint, apiKey } = {}) {
+        return this.type === (type === PROVIDER_TYPES.OPENAI ? PROVIDER_TYPES.OPENAI : PROVIDER_TYPES.OLLAMA)
+            && this.endpoint === String(endpoint || '').replace(/\/+$/, '')
+            && this.apiKey === (apiKey || '');
+    }
+
+    headers() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+        return headers;
+    }
+
+    /**
+     * Issue one request through the caller's transport and reject on HTTP errors.
+     * The error keeps the status so callers can tell server errors from unreachable servers.
+     * readBody(response) replaces the default JSON parse, e.g. for streamed responses.
+     */
+    async request(url, init = {}, { transport = null, label = 'model-request', readBody = null } = {}) {
+        const requestInit = { ...init, headers: { ...this.headers(), ...(init.headers || {}) } };
+        const consume = async response => {
+            if (!response.ok) {
+                const errorText = await response.text().catch(() => '');
+                const error = new Error(`${label} failed: ${response.status} - ${errorText || 'No error message'}`);
+                error.status = response.status;
+                throw error;
+            }
+
+            return readBody ? readBody(response) : response.json();
+        };
+
+        return transport
+            ? transport(url, requestInit, consume)
+            : fetch(url, requestInit).then(consume);
+    }
+
+    /**
+     * Read a streamed response line by line (NDJSON or server-sent events)
+     */
+    async readLines(response, onLine) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { value, done } = await reader.read();
+            buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+            const lines = buffer.split('\n');
+            buffer = done ? '' : lines.pop();
+            lines.map(line => line.trim()).filter(Boolean).forEach(onLine);
+
+            if (done) return;
+        }
+    }
+
+    /**
+     * Stream a generation, calling onToken(delta, text) as text arrives. parseLine turns one
+     * line of the stream into its text delta. Errors carry the text received so far as
+     * partialText, so a stopped generation can still be kept.
+     */
+    async streamGeneration(url, init, { onToken, ...options }, parseLine) {
+        let text = '';
+
+        try {
+            await this.request(url, init, {
+                ...options,
+                readBody: response => this.readLines(response, line => {
+                    const delta = parseLine(line);
+                    if (delta) {
+                        text += delta;
+                        onToken(delta, text);
+                    }
+                })
+            });
+            return text;
+        } catch (error) {
+            error.partialText = text;
+            throw error;
+        }
+    }
+
+    /**
+     * Generate text for a prompt, optionally with base64 images and a JSON schema
+     * the response must follow. Resolves to the response text. With options.onToken
+     * the response is streamed and onToken(delta, text) is called as it arrives.
+     */
+    async generate(request, options = {}) {
+        throw new Error(`${this.type} provider does not implement generate`);
+    }
+
+    /**
+     * Embed one string; resolves to the vector
+     */
+    async embed(request, options = {}) {
+        throw new Error(`${this.type} provider does not implement embed`);
+    }
+
+    /**
+     * Installed or served models as [{ name, size, family, capabilities }]
+     */
+    async listModels(options = {}) {
+        throw new Error(`${this.type} provider does not implement listModels`);
+    }
+
+    /**
+     * Reachability check that also confirms the given model is served.
+     * Resolves to { ok, models, modelAvailable, error }.
+     */
+    async checkHealth({ model = null, timeoutMs = 10000 } = {}) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+        try {
+            const models = await this.listModels({
+                transport: (url, init, consume) => fetch(url, { ...init, signal: controller.signal }).then(consume)
+            });
+            const modelAvailable = model ? this.hasModel(models, model) : true;
+
+            return {
+                ok: modelAvailable,
+                models,
+                modelAvailable,
+                error: modelAvailable ? null : `Model ${model} is not available on ${this.endpoint}`
+            };
+        } catch (error) {
+            return {
+                ok: false,
+                models: [],
+                modelAvailable: false,
+                error: error.name === 'AbortError'
+                    ? `Model server did not respond within ${Math.round(timeoutMs / 1000)} seconds`
+                    : error.message
+            };
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Ollama treats "llava" and "llava:latest" as the same model
+     */
+    hasModel(models, name) {
+        return models.some(model => model.name === name
+            || model.name === `${name}:latest`
+            || model.name.startsWith(`${name}:`));
+    }
+
+    /**
+     * What a model can do: { vision, embedding, structuredOutput, source }. Cached per model.
+     * source is 'reported' when the server said so and 'inferred' when guessed from the name.
+     */
+    async getCapabilities(model, options = {}) {
+        if (!this.capabilityCache.has(model)) {
+            const capabilities = await this.detectCapabilities(model, options).catch(() => this.inferCapabilities(model));
+            this.capabilityCache.set(model, capabilities);
+        }
+        return this.capabilityCache.get(model);
+    }
+
+    async detectCapabilities(model) {
+        return this.inferCapabilities(model);
+    }
+
+    inferCapabilities(name = '', families = []) {
+        const lower = String(name).toLowerCase();
+        const familyNames = (families || []).map(family => String(family).toLowerCase());
+
+        return {
+            vision: VISION_MODEL_HINTS.some(hint => lower.includes(hint)) || familyNames.includes('clip') || familyNames.includes('mllama'),
+            embedding: EMBEDDING_MODEL_HINTS.some(hint => lower.includes(hint)) || familyNames.some(family => family.includes('bert')),
+            structuredOutput: true,
+            source: 'inferred'
+        };
+    }
+
+    /**
+     * Strip a data URL prefix; providers take raw base64
+     */
+    toBase64(image) {
+        return typeof image === 'string' && image.includes(',') ? image.split(',')[1] : image;
+    }
+
+    describe() {
+        return { type: this.type, endpoint: this.endpoint };
+    }
+}
+
+/**
+ * Ollama native API: /api/generate, /api/embeddings, /api/tags, /api/show
+ */
+class OllamaProvider extends ModelProvider {
+    constructor(config = {}) {
+        super(config);
+        this.type = PROVIDER_TYPES.OLLAMA;
+    }
+
+    async generate({ model, prompt, images = [], format = null, temperature, maxTokens } = {}, options = {}) {
+        const body = {
+            model,
+            prompt,
+            stream: !!options.onToken,
+            options: {}
+        };
+        if (images.length > 0) {
+            body.images = images.map(image => this.toBase64(image));
+        }
+        if (format) {
+            body.format = format;
+        }
+        if (typeof temperature === 'number') {
+            body.options.temperature = temperature;
+        }
+        if (typeof maxTokens === 'number') {
+            body.options.num_predict = maxTokens;
+        }
+
+        const url = `${this.endpoint}/api/generate`;
+        const init = { method: 'POST', body: JSON.stringify(body) };
+
+        // Streamed responses are newline-delimited JSON chunks, each with the next piece of text
+        if (options.onToken) {
+            return this.streamGeneration(url, init, options, line => {
+                const chunk = JSON.parse(line);
+                if (chunk.error) throw new Error(chunk.error);
+                return chunk.response || '';
+            });
+        }
+
+        const data = await this.request(url, init, options);
+
+        return data.response || '';
+    }
+
+    async embed({ model, input }, options = {}) {
+        const data = await this.request(`${this.endpoint}/api/embeddings`, {
+            method: 'POST',
+            body: JSON.stringify({ model, prompt: input })
+        }, options);
+
+        return Array.isArray(data.embedding) ? data.embedding : null;
+    }
+
+    async listModels(options = {}) {
+        const data = await this.request(`${this.endpoint}/api/tags`, { method: 'GET' }, { label: 'list-models', ...options });
+
+        return (data.models || []).map(model => ({
+            name: model.name,
+            size: model.size || null,
+            family: model.details?.family || null,
+            capabilities: this.inferCapabilities(model.name, model.details?.families)
+        }));
+    }
+
+    /**
+     * Newer Ollama versions list capabilities in /api/show; older ones only report model families
+     */
+    async detectCapabilities(model, options = {}) {
+        const data = await this.request(`${this.endpoint}/api/show`, {
+            method: 'POST',
+            body: JSON.stringify({ model, name: model })
+        }, { label: 'model-capabilities', ...options });
+
+        if (Array.isArray(data.capabilities)) {
+            return {
+                vision: data.capabilities.includes('vision'),
+                embedding: data.capabilities.includes('embedding'),
+                structuredOutput: true,
+                source: 'reported'
+            };
+        }
+
+        return this.inferCapabilities(model, data.details?.families);
+    }
+}
+
+/**
+ * OpenAI-compatible API: /v1/chat/completions with image content parts, /v1/embeddings, /v1/models.
+ * The endpoint may be given with or without the /v1 suffix.
+ */
+class OpenAICompatibleProvider extends ModelProvider {
+    constructor(config = {}) {
+        super(config);
+        this.type = PROVIDER_TYPES.OPENAI;
+        this.apiBase = /\/v1$/.test(this.endpoint) ? this.endpoint : `${this.endpoint}/v1`;
+    }
+
+    async generate({ model, prompt, images = [], format = null, temperature, maxTokens } = {}, options = {}) {
+        const content = images.length > 0
+            ? [
+                { type: 'text', text: prompt },
+                ...images.map(image => ({
+                    type: 'image_url',
+                    image_url: { url: this.toDataUrl(image) }
+                }))
+            ]
+            : prompt;
+
+        const body = {
+            model,
+            messages: [{ role: 'user', content }],
+            stream: !!options.onToken
+        };
+        if (format) {
+            body.response_format = {
+                type: 'json_schema',
+                json_schema: { name: 'response', schema: format }
+            };
+        }
+        if (typeof temperature === 'number') {
+            body.temperature = temperature;
+        }
+        if (typeof maxTokens === 'number') {
+            body.max_tokens = maxTokens;
+        }
+
+        const url = `${this.apiBase}/chat/completions`;
+        const init = { method: 'POST', body: JSON.stringify(body) };
+
+        // Streamed responses are server-sent events carrying content deltas, ended by [DONE]
+        if (options.onToken) {
+            return this.streamGeneration(url, init, options, line => {
+                if (!line.startsWith('data:')) return '';
+                const payload = line.slice(5).trim();
+                if (payload === '[DONE]') return '';
+
+                const chunk = JSON.parse(payload);
+                if (chunk.error) throw new Error(chunk.error.message || String(chunk.error));
+                return chunk.choices?.[0]?.delta?.content || '';
+            });
+        }
+
+        const data = await this.request(url, init, options);
+
+        const message = data.choices?.[0]?.message?.content;
+        // Some servers return content parts instead of a string
+        return Array.isArray(message)
+            ? message.map(part => part.text || '').join('')
+            : (message || '');
+    }
+
+    async embed({ model, input }, options = {}) {
+        const data = await this.request(`${this.apiBase}/embeddings`, {
+            method: 'POST',
+            body: JSON.stringify({ model, input })
+        }, options);
+
+        const embedding = data.data?.[0]?.embedding;
+        return Array.isArray(embedding) ? embedding : null;
+    }
+
+    async listModels(options = {}) {
+        const data = await this.request(`${this.apiBase}/models`, { method: 'GET' }, { label: 'list-models', ...options });
+
+        return (data.data || []).map(model => ({
+            name: model.id,
+            size: null,
+            family: model.owned_by || null,
+            capabilities: this.inferCapabilities(model.id)
+        }));
+    }
+
+    /**
+     * Servers other than Ollama expect the bare model id, so no ":latest" aliasing
+     */
+    hasModel(models, name) {
+        return models.some(model => model.name === name);
+    }
+
+    toDataUrl(image) {
+        if (typeof image === 'string' && image.startsWith('data:')) return image;
+        // PNG base64 always starts with the encoded signature; everything else is sent as JPEG
+        const mimeType = String(image).startsWith('iVBOR') ? 'image/png' : 'image/jpeg';
+        return `data:${mimeType};base64,${image}`;
+    }
+}
+
+ModelProvider.TYPES = PROVIDER_TYPES;
+
+// Export for use in Chrome extension background script
+if (typeof globalThis !== 'undefined') {
+    globalThis.ModelProvider = ModelProvider;
+    globalThis.OllamaProvider = OllamaProvider;
+    globalThis.OpenAICompatibleProvider = OpenAICompatibleProvider;
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ModelProvider, OllamaProvider, OpenAICompatibleProvider };
+}
@@ -0,0 +1,188 @@
+/**
+ * Model Request Scheduler
+ * Shared, priority-aware concurrency limiter for every request to the model server
+ * (/api/generate, /api/embeddings). User-initiated work jumps ahead of periodic captures,
+ * and periodic requests are dropped when the queue backs up.
+ */
+
+const REQUEST_PRIORITIES = {
+    user: 0,      // Manual captures, search queries
+    normal: 1,    // Page loads, tab switches, backlog drains
+    periodic: 2   // Timer-driven captures - droppable
+};
+
+class ModelRequestScheduler {
+    constructor(config = {}) {
+        const {
+            concurrency = 1,
+            maxQueuedPeriodic = 2,
+            staleAfterMs = 2 * 60 * 1000
+        } = config;
+
+        this.concurrency = Math.max(1, concurrency);
+        this.maxQueuedPeriodic = maxQueuedPeriodic;
+        this.staleAfterMs = staleAfterMs;
+
+        this.queue = [];
+        this.running = 0;
+        this.sequence = 0;
+        this.stats = {
+            completed: 0,
+            failed: 0,
+            dropped: 0,
+            byPriority: { user: 0, normal: 0, periodic: 0 }
+        };
+    }
+
+    setConcurrency(concurrency) {
+        const value = Math.max(1, parseInt(concurrency, 10) || 1);
+        if (value !== this.concurrency) {
+            console.log(`🚦 Model request concurrency set to ${value}`);
+            this.concurrency = value;
+            this.pump();
+        }
+    }
+
+    /**
+     * Queue a task that performs one model request. Resolves or rejects with the task's outcome,
+     * rejects with code REQUEST_DROPPED if the request was shed before it ran, and with an
+     * AbortError if its signal fires while it is still waiting.
+     */
+    schedule(task, { priority = 'normal', label = 'model-request', signal = null } = {}) {
+        const level = priority in REQUEST_PRIORITIES ? priority : 'normal';
+
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new DOMException(`${label} aborted`, 'AbortError'));
+                return;
+            }
+
+            const entry = {
+                task,
+                label,
+                priority: level,
+                rank: REQUEST_PRIORITIES[level],
+                sequence: this.sequence++,
+                enqueuedAt: Date.now(),
+                resolve,
+                reject
+            };
+            this.queue.push(entry);
+            this.stats.byPriority[level] += 1;
+
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    if (this.queue.includes(entry)) {
+                        this.queue = this.queue.filter(queued => queued !== entry);
+                        reject(new DOMException(`${label} aborted`, 'AbortError'));
+                    }
+                }, { once: true });
+            }
+
+            this.shedPeriodic();
+            this.pump();
+        });
+    }
+
+    /**
+     * Scheduled fetch. The timeout only starts once the request leaves the queue.
+     * consume(response) reads the body inside the slot, so a streamed response keeps
+     * its slot and its timeout until the last chunk arrives.
+     */
+    fetch(url, init = {}, { timeoutMs = 0, consume = null, ...options } = {}) {
+        const read = response => (consume ? consume(response) : response);
+
+        return this.schedule(async () => {
+            if (!timeoutMs) {
+                return read(await fetch(url, init));
+            }
+
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+            if (init.signal) {
+                if (init.signal.aborted) controller.abort();
+                init.signal.addEventListener('abort', () => controller.abort(), { once: true });
+            }
+
+            try {
+                return await read(await fetch(url, { ...init, signal: controller.signal }));
+            } finally {
+                clearTimeout(timeoutId);
+            }
+        }, { ...options, signal: init.signal || null });
+    }
+
+    /**
+     * Keep only the newest few periodic requests waiting; older ones describe pages
+     * the user has probably already left
+     */
+    shedPeriodic() {
+        const waitingPeriodic = this.queue
+            .filter(entry => entry.priority === 'periodic')
+            .sort((a, b) => b.sequence - a.sequence);
+
+        waitingPeriodic.slice(this.maxQueuedPeriodic).forEach(entry => {
+            this.drop(entry, 'Dropped - model request queue backed up');
+        });
+    }
+
+    drop(entry, reason) {
+        this.queue = this.queue.filter(queued => queued !== entry);
+        this.stats.dropped += 1;
+        console.log(`🚦 ${reason}: ${entry.label}`);
+
+        const error = new Error(reason);
+        error.code = 'REQUEST_DROPPED';
+        entry.reject(error);
+    }
+
+    pump() {
+        while (this.running < this.concurrency && this.queue.length > 0) {
+            this.queue.sort((a, b) => a.rank - b.rank || a.sequence - b.sequence);
+            const entry = this.queue.shift();
+
+            if (entry.priority === 'periodic' && Date.now() - entry.enqueuedAt > this.staleAfterMs) {
+                this.drop(entry, 'Dropped stale periodic request');
+                continue;
+            }
+
+            this.run(entry);
+        }
+    }
+
+    async run(entry) {
+        this.running += 1;
+        try {
+            const result = await entry.task();
+            this.stats.completed += 1;
+            entry.resolve(result);
+        } catch (error) {
+            this.stats.failed += 1;
+            entry.reject(error);
+        } finally {
+            this.running -= 1;
+            this.pump();
+        }
+    }
+
+    getStats() {
+        return {
+            concurrency: this.concurrency,
+            running: this.running,
+            queued: this.queue.length,
+            ...this.stats
+        };
+    }
+}
+
+ModelRequestScheduler.PRIORITIES = REQUEST_PRIORITIES;
+
+// Export for use in Chrome extension background script
+if (typeof globalThis !== 'undefined') {
+    globalThis.ModelRequestScheduler = ModelRequestScheduler;
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ModelRequestScheduler;
+}
@@ -0,0 +1,135 @@
+/**
+ * Model Roles
+ * Which model, server and generation limits each kind of request uses. Shared by the
+ * background worker (applied to every agent) and the settings page (editing and validation).
+ */
+
+const MODEL_ROLE_DEFAULTS = {
+    vision: { label: 'Vision', model: 'llava:7b', temperature: 0.3, maxTokens: 400, timeoutMs: 180000, capability: 'vision' },
+    text: { label: 'Text summary', model: 'llama3.1:8b', temperature: 0.3, maxTokens: 500, timeoutMs: 120000, capability: null },
+    synthesis: { label: 'Synthesis', model: 'llama3.1:8b', temperature: 0.4, maxTokens: 600, timeoutMs: 120000, capability: null },
+    embedding: { label: 'Embeddings', model: 'nomic-embed-text', temperature: null, maxTokens: null, timeoutMs: 60000, capability: 'embedding' }
+};
+
+const MODEL_ROLE_LIMITS = {
+    temperature: { min: 0, max: 2 },
+    maxTokens: { min: 1, max: 32768 },
+    timeoutMs: { min: 5000, max: 10 * 60 * 1000 }
+};
+
+class ModelRoles {
+    /**
+     * Complete role configs from settings. The older vlmModel/embeddingModel keys fill in
+     * the vision and embedding models when no role config exists yet. Invalid values fall
+     * back to the role's default and are reported in errors.
+     * Returns { roles: { [role]: { endpoint, model, temperature, maxTokens, timeoutMs } }, errors }.
+     */
+    static normalize(settings = {}) {
+        const configured = settings.modelRoles || {};
+        const legacyModels = {
+            vision: settings.vlmModel || settings.visionModel,
+            embedding: settings.embeddingModel
+        };
+        const roles = {};
+        const errors = [];
+
+        Object.entries(MODEL_ROLE_DEFAULTS).forEach(([role, defaults]) => {
+            const input = configured[role] || {};
+            const roleErrors = ModelRoles.validateRole(role, input);
+            const invalid = new Set(roleErrors.map(error => error.field));
+            errors.push(...roleErrors);
+
+            const pick = (field, fallback) => (input[field] === undefined || input[field] === '' || input[field] === null || invalid.has(field))
+                ? fallback
+                : input[field];
+
+            roles[role] = {
+                endpoint: invalid.has('endpoint') ? '' : String(input.endpoint || '').trim().replace(/\/+$/, ''),
+                model: String(pick('model', legacyModels[role] || defaults.model)).trim(),
+                temperature: defaults.temperature === null ? null : Number(pick('temperature', defaults.temperature)),
+                maxTokens: defaults.maxTokens === null ? null : parseInt(pick('maxTokens', defaults.maxTokens), 10),
+                timeoutMs: parseInt(pick('timeoutMs', defaults.timeoutMs), 10)
+            };
+        });
+
+        return { roles, errors };
+    }
+
+    /**
+     * Field-level checks that need no server; returns [{ role, field, message }]
+     */
+    static validateRole(role, input = {}) {
+        const errors = [];
+        const fail = (field, message) => errors.push({ role, field, message: `${MODEL_ROLE_DEFAULTS[role].label}: ${message}` });
+
+        if (input.endpoint && !/^https?:\/\/[^\s/]+/.test(String(input.endpoint).trim())) {
+            fail('endpoint', 'endpoint must be an http(s) URL');
+        }
+        if (input.model !== undefined && input.model !== null && typeof input.model !== 'string') {
+            fail('model', 'model must be a name');
+        }
+
+        ['temperature', 'maxTokens', 'timeoutMs'].forEach(field => {
+            const value = input[field];
+            if (value === undefined || value === null || value === '' || MODEL_ROLE_DEFAULTS[role][field] === null) return;
+
+            const number = Number(value);
+            const { min, max } = MODEL_ROLE_LIMITS[field];
+            if (!Number.isFinite(number) || number < min || number > max || (field !== 'temperature' && !Number.isInteger(number))) {
+                fail(field, `${field} must be ${field === 'temperature' ? 'a number' : 'a whole number'} from ${min} to ${max}`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Check each role's model against its provider's model list and, where the server
+     * reports them, its capabilities. providerFor(role) returns the role's ModelProvider.
+     * Each provider is listed once. Returns { [role]: { ok, model, endpoint, error } }.
+     */
+    static async validateAgainstProviders(roles, providerFor) {
+        const listings = new Map();
+        const results = {};
+
+        for (const [role, config] of Object.entries(roles)) {
+            const provider = providerFor(role);
+            if (!listings.has(provider)) {
+                listings.set(provider, await provider.checkHealth());
+            }
+            const health = listings.get(provider);
+            const result = { ok: false, model: config.model, endpoint: provider.endpoint, error: null };
+
+            if (!health.ok) {
+                result.error = health.error;
+            } else if (!provider.hasModel(health.models, config.model)) {
+                result.error = `${config.model} is not available on ${provider.endpoint}`;
+            } else {
+                const capability = MODEL_ROLE_DEFAULTS[role].capability;
+                const capabilities = capability ? await provider.getCapabilities(config.model) : null;
+                if (capabilities?.source === 'reported' && !capabilities[capability]) {
+                    result.error = `${config.model} does not support ${capability}`;
+                } else {
+                    result.ok = true;
+                }
+            }
+
+            results[role] = result;
+        }
+
+        return results;
+    }
+}
+
+ModelRoles.DEFAULTS = MODEL_ROLE_DEFAULTS;
+ModelRoles.LIMITS = MODEL_ROLE_LIMITS;
+
+// Export for use in Chrome extension background script
+if (typeof globalThis !== 'undefined') {
+    globalThis.ModelRoles = ModelRoles;
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ModelRoles;
+}
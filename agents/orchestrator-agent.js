@@ -4,14 +4,74 @@
  */
 
 class OrchestratorAgent {
-    constructor(ollamaEndpoint = 'http://localhost:8081') {
-        this.ollamaEndpoint = ollamaEndpoint;
+    constructor(config = {}) {
+        if (typeof config === 'string') {
+            config = { ollamaEndpoint: config };
+        }
+
+        const {
+            ollamaEndpoint = 'http://localhost:8081',
+            provider = null,
+            scheduler = null
+        } = config;
+
+        this.provider = provider || ModelProvider.create({ endpoint: ollamaEndpoint }); // Ollama unless the caller shares one
         this.synthesizerModel = 'llama3.1:8b';
+        this.generation = { temperature: 0.4, maxTokens: 600, timeoutMs: 120000 };
         this.embeddingModel = 'nomic-embed-text';
+        this.embeddingProvider = null; // Falls back to the synthesis provider
+        this.embeddingTimeoutMs = 60000;
         this.agentId = `orchestrator-${Date.now()}`;
         this.conversationHistory = [];
         this.agentRegistry = new Map();
         this.activeAnalyses = new Map();
+        this.scheduler = scheduler; // Shared ModelRequestScheduler, if provided
+    }
+
+    /**
+     * Route model requests through the shared scheduler when one is attached
+     */
+    modelFetch(url, init = {}, { signal = null, ...options } = {}) {
+        const requestInit = signal ? { ...init, signal } : init;
+        return this.scheduler
+            ? this.scheduler.fetch(url, requestInit, options)
+            : fetch(url, requestInit).then(response => (options.consume ? options.consume(response) : response));
+    }
+
+    /**
+     * Provider call options; requests still go through modelFetch so the scheduler orders them
+     */
+    providerOptions(label, requestOptions = {}, timeoutMs = 0) {
+        return {
+            label,
+            transport: (url, init, consume) => this.modelFetch(url, init, { ...requestOptions, label, timeoutMs, consume })
+        };
+    }
+
+    setProvider(provider) {
+        if (provider && provider !== this.provider) {
+            this.provider = provider;
+        }
+    }
+
+    /**
+     * Apply the synthesis and embedding model roles ({ provider, model, temperature, maxTokens, timeoutMs })
+     */
+    applyModelRoles({ synthesis, embedding } = {}) {
+        if (synthesis) {
+            this.setProvider(synthesis.provider);
+            this.synthesizerModel = synthesis.model || this.synthesizerModel;
+            this.generation = {
+                temperature: synthesis.temperature,
+                maxTokens: synthesis.maxTokens,
+                timeoutMs: synthesis.timeoutMs
+            };
+        }
+        if (embedding) {
+            this.embeddingProvider = embedding.provider || null;
+            this.embeddingModel = embedding.model || this.embeddingModel;
+            this.embeddingTimeoutMs = embedding.timeoutMs;
+        }
     }
 
     /**
@@ -29,9 +89,14 @@ class OrchestratorAgent {
     }
 
     /**
-     * Main orchestration entry point
+     * Main orchestration entry point. pageContent is the text agent's input: a DOM snapshot
+     * from the content script or an HTML string. options.signal cancels every agent's requests;
+     * textContext, tiles and the remaining options (profile, tiling, onProgress,
+     * bypassCache) are passed to the vision agent.
      */
-    async orchestrateAnalysis(url, htmlContent, screenshot) {
+    async orchestrateAnalysis(url, pageContent, screenshot, options = {}) {
+        const { priority = 'normal', signal = null, ...visionOptions } = options;
+        const requestOptions = { priority, signal };
         const orchestrationId = `orchestration-${Date.now()}`;
         console.log(`🎭 Orchestrator starting multi-agent analysis for: ${url}`);
         
@@ -45,7 +110,7 @@ class OrchestratorAgent {
             });
             
             // Phase 1: Parallel Agent Execution
-            const agentResults = await this.executeAgentsInParallel(url, htmlContent, screenshot);
+            const agentResults = await this.executeAgentsInParallel(url, pageContent, screenshot, requestOptions, visionOptions);
             
             // Phase 2: Quality Assessment
             const qualityAssessment = this.assessAgentOutputQuality(agentResults);
@@ -53,10 +118,15 @@ class OrchestratorAgent {
             // Phase 3: Conflict Resolution
             const resolvedInsights = await this.resolveAgentConflicts(agentResults, qualityAssessment);
             
+            // Only two successful agents are worth a synthesis request; a cancelled run makes none
+            const synthesize = !signal?.aborted && this.determineSynthesisApproach(agentResults) === 'multi-modal-synthesis';
+
             // Phase 4: Synthesis with error handling
             let unifiedAnalysis = '';
             try {
-                unifiedAnalysis = await this.synthesizeAgentOutputs(resolvedInsights, url);
+                unifiedAnalysis = synthesize
+                    ? await this.synthesizeAgentOutputs(resolvedInsights, url, requestOptions)
+                    : this.generateFallbackSynthesis(resolvedInsights);
             } catch (error) {
                 console.error('Synthesis failed, using fallback:', error);
                 unifiedAnalysis = this.generateFallbackSynthesis(resolvedInsights);
@@ -65,7 +135,9 @@ class OrchestratorAgent {
             // Phase 5: Generate Combined Embeddings with error handling
             let combinedEmbeddings = { unified: null, model: null, dimension: 0, components: {} };
             try {
-                combinedEmbeddings = await this.generateCombinedEmbeddings(unifiedAnalysis, agentResults);
+                if (synthesize) {
+                    combinedEmbeddings = await this.generateCombinedEmbeddings(unifiedAnalysis, agentResults, requestOptions);
+                }
             } catch (error) {
                 console.error('Combined embedding generation failed:', error);
             }
@@ -139,9 +211,11 @@ class OrchestratorAgent {
     }
 
     /**
-     * Execute text and vision agents in parallel
+     * Execute text and vision agents in parallel. Stitched or gridded captures (more than
+     * one tile) go to the vision agent's tiled analysis.
      */
-    async executeAgentsInParallel(url, htmlContent, screenshot) {
+    async executeAgentsInParallel(url, pageContent, screenshot, requestOptions = {}, visionOptions = {}) {
+        const { tiles = [], textContext = null, ...visionRequestOptions } = visionOptions;
         console.log(`🚀 Executing agents in parallel for ${url}`);
         
         const agentPromises = [];
@@ -149,7 +223,7 @@ class OrchestratorAgent {
         // Text agent analysis
         if (this.textAgent) {
             agentPromises.push(
-                this.textAgent.analyzePageContent(url, htmlContent, screenshot)
+                this.textAgent.analyzePageContent(url, pageContent, screenshot, requestOptions)
                     .then(result => ({ type: 'text', result }))
                     .catch(error => ({ type: 'text', error: error.message }))
             );
@@ -157,8 +231,12 @@ class OrchestratorAgent {
         
         // Vision agent analysis (only if screenshot is available)
         if (this.visionAgent && screenshot && typeof screenshot === 'string' && screenshot.length > 0) {
+            const options = { ...visionRequestOptions, ...requestOptions };
+            const visionAnalysis = tiles.length > 1
+                ? this.visionAgent.analyzeTiles(url, tiles, textContext, options)
+                : this.visionAgent.analyzeScreenshot(url, screenshot, textContext, options);
             agentPromises.push(
-                this.visionAgent.analyzeScreenshot(url, screenshot, htmlContent?.substring(0, 500))
+                visionAnalysis
                     .then(result => ({ type: 'vision', result }))
                     .catch(error => ({ type: 'vision', error: error.message }))
             );
@@ -411,7 +489,7 @@ class OrchestratorAgent {
     /**
      * Synthesize agent outputs into unified analysis
      */
-    async synthesizeAgentOutputs(resolvedInsights, url) {
+    async synthesizeAgentOutputs(resolvedInsights, url, requestOptions = {}) {
         const { resolvedResults } = resolvedInsights;
         
         console.log(`🔬 Synthesizing agent outputs for unified analysis`);
@@ -420,7 +498,7 @@ class OrchestratorAgent {
         const synthesisInput = this.prepareSynthesisInput(resolvedResults, resolvedInsights);
         
         // Generate unified analysis using LLM
-        const unifiedAnalysis = await this.generateUnifiedAnalysis(synthesisInput, url);
+        const unifiedAnalysis = await this.generateUnifiedAnalysis(synthesisInput, url, requestOptions);
         
         return unifiedAnalysis;
     }
@@ -457,7 +535,7 @@ class OrchestratorAgent {
         return input;
     }
 
-    async generateUnifiedAnalysis(synthesisInput, url) {
+    async generateUnifiedAnalysis(synthesisInput, url, requestOptions = {}) {
         const prompt = `You are analyzing content being served to users by online platforms and algorithms.
 
 URL: ${url}
@@ -476,32 +554,14 @@ Synthesize the observations to describe:
 Focus on what content users are being shown and how it might be algorithmically determined or personalized.`;
 
         try {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 120000); // 2 minutes
-            
-            const response = await fetch(`${this.ollamaEndpoint}/api/generate`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                signal: controller.signal,
-                body: JSON.stringify({
-                    model: this.synthesizerModel,
-                    prompt: prompt,
-                    stream: false,
-                    options: {
-                        temperature: 0.4,
-                        num_predict: 600
-                    }
-                })
-            });
-            
-            clearTimeout(timeoutId);
-
-            if (!response.ok) {
-                throw new Error(`Synthesis failed: ${response.status}`);
-            }
-
-            const data = await response.json();
-            return data.response || this.generateFallbackSynthesis(synthesisInput);
+            const synthesis = await this.provider.generate({
+                model: this.synthesizerModel,
+                prompt: prompt,
+                temperature: this.generation.temperature,
+                maxTokens: this.generation.maxTokens
+            }, this.providerOptions('synthesis', requestOptions, this.generation.timeoutMs));
+
+            return synthesis || this.generateFallbackSynthesis(synthesisInput);
             
         } catch (error) {
             console.error('Unified analysis generation failed:', error);
@@ -541,7 +601,7 @@ Focus on what content users are being shown and how it might be algorithmically
     /**
      * Generate combined embeddings
      */
-    async generateCombinedEmbeddings(unifiedAnalysis, agentResults) {
+    async generateCombinedEmbeddings(unifiedAnalysis, agentResults, requestOptions = {}) {
         const combinedText = `
             Unified Analysis: ${unifiedAnalysis}
             Text Summary: ${agentResults.text?.textAnalysis?.summary || ''}
@@ -549,21 +609,16 @@ Focus on what content users are being shown and how it might be algorithmically
         `;
 
         try {
-            const response = await fetch(`${this.ollamaEndpoint}/api/embeddings`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    model: this.embeddingModel,
-                    prompt: combinedText
-                })
-            });
+            const embedding = await (this.embeddingProvider || this.provider).embed({
+                model: this.embeddingModel,
+                input: combinedText
+            }, this.providerOptions('combined-embeddings', requestOptions, this.embeddingTimeoutMs));
 
-            if (response.ok) {
-                const data = await response.json();
+            if (embedding) {
                 return {
-                    unified: data.embedding,
+                    unified: embedding,
                     model: this.embeddingModel,
-                    dimension: data.embedding.length,
+                    dimension: embedding.length,
                     components: {
                         text: agentResults.text?.textAnalysis?.embeddings || null,
                         vision: agentResults.vision?.visionAnalysis?.embeddings || null
@@ -728,6 +783,7 @@ Focus on what content users are being shown and how it might be algorithmically
             completedAnalyses: completedCount,
             failedAnalyses: failedCount,
             successRate: completedCount / (completedCount + failedCount) || 0,
+            provider: this.provider.describe(),
             avgConfidence: this.conversationHistory.reduce((sum, c) => sum + (c.output.confidence || 0), 0) / this.conversationHistory.length || 0
         };
     }
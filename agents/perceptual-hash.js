@@ -0,0 +1,86 @@
+/**
+ * Perceptual Hash
+ * Difference hash (dHash) of screenshots so unchanged pages can be recognised without a model call.
+ * Uses createImageBitmap + OffscreenCanvas, both available in the MV3 service worker.
+ */
+
+class PerceptualHash {
+    constructor(config = {}) {
+        const {
+            width = 9,
+            height = 8
+        } = config;
+
+        // One extra column: each bit compares a pixel with its right-hand neighbour
+        this.width = width;
+        this.height = height;
+    }
+
+    /**
+     * Hash a data URL into a hex string of (width - 1) * height bits
+     */
+    async compute(dataUrl) {
+        const blob = await (await fetch(dataUrl)).blob();
+        const bitmap = await createImageBitmap(blob);
+
+        try {
+            const canvas = new OffscreenCanvas(this.width, this.height);
+            const context = canvas.getContext('2d', { willReadFrequently: true });
+            context.drawImage(bitmap, 0, 0, this.width, this.height);
+            const { data } = context.getImageData(0, 0, this.width, this.height);
+
+            return this.hashPixels(data);
+        } finally {
+            bitmap.close();
+        }
+    }
+
+    hashPixels(rgba) {
+        const luminance = [];
+        for (let i = 0; i < rgba.length; i += 4) {
+            luminance.push(0.299 * rgba[i] + 0.587 * rgba[i + 1] + 0.114 * rgba[i + 2]);
+        }
+
+        let bits = '';
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width - 1; x++) {
+                const index = y * this.width + x;
+                bits += luminance[index] > luminance[index + 1] ? '1' : '0';
+            }
+        }
+
+        // Hex-encode four bits at a time to keep the stored hash short
+        let hex = '';
+        for (let i = 0; i < bits.length; i += 4) {
+            hex += parseInt(bits.slice(i, i + 4).padEnd(4, '0'), 2).toString(16);
+        }
+        return hex;
+    }
+
+    /**
+     * Number of differing bits between two hashes; Infinity when they are not comparable
+     */
+    distance(a, b) {
+        if (!a || !b || a.length !== b.length) return Infinity;
+
+        let distance = 0;
+        for (let i = 0; i < a.length; i++) {
+            let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+            while (diff) {
+                distance += diff & 1;
+                diff >>= 1;
+            }
+        }
+        return distance;
+    }
+}
+
+// Export for use in Chrome extension background script
+if (typeof globalThis !== 'undefined') {
+    globalThis.PerceptualHash = PerceptualHash;
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PerceptualHash;
+}
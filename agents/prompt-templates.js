@@ -0,0 +1,359 @@
+/**
+ * Prompt Templates
+ * Versioned registry of the analysis prompts, shared by the background worker, the content
+ * script, the settings page and the web app. Templates fill in {{variables}} and only keep
+ * {{#variable}}...{{/variable}} sections when the variable has a value. Edits saved from the
+ * settings page become new versions, and analyses record the id and version they used.
+ */
+
+// Appended to every built-in template; empty unless a locale is configured
+const LOCALE_INSTRUCTION = '{{#locale}}\n\nWrite your answer in the language of the {{locale}} locale.{{/locale}}';
+
+const PROMPT_TEMPLATE_DEFAULTS = {
+    'page-content': {
+        label: 'Page content (single request)',
+        description: 'One-shot screenshot description used by the sidebar and the web app',
+        variables: ['url', 'locale'],
+        template: `Describe what content is visible on this webpage screenshot:
+
+1. What specific content is being shown to users
+2. Any feeds, posts, articles, or content streams visible
+3. Advertisements, sponsored content, or promotional material
+4. Recommended or suggested items/content
+5. Any personalized or algorithmically-curated content
+6. The type of information this platform serves to users
+
+{{#url}}URL: {{url}}
+
+{{/url}}Focus on describing what content users are being served and shown.${LOCALE_INSTRUCTION}`
+    },
+    'vision-structured': {
+        label: 'Vision overview (structured)',
+        description: 'Overview pass asking for JSON that matches the page schema',
+        variables: ['url', 'textContext', 'locale'],
+        template: `Analyze this webpage screenshot and report what content the user is being served.
+
+URL: {{url}}{{#textContext}}
+
+Text Context: {{textContext}}{{/textContext}}
+
+Respond with JSON only, using these fields:
+- pageType: the kind of page
+- summary: two or three sentences describing the page
+- contentItems: every visible post, article, video, image, product or chart, with its title, kind, source (author, channel or site if shown), whether it is marked sponsored, and the layout region it is in
+- ads: every advertisement or promoted placement, with the advertiser if visible, a short description, the label shown (e.g. "Sponsored", "Ad") and its region
+- recommendationModules: blocks of suggested or personalized items ("Recommended for you", "Trending", "People also viewed"), with title, item count and region
+- layout: the regions present, the color scheme, content density and how cluttered the page is
+- interactiveElements: kinds of controls visible
+
+Only include things that are actually visible in the screenshot.${LOCALE_INSTRUCTION}`
+    },
+    'vision-comprehensive': {
+        label: 'Vision overview (prose)',
+        description: 'Overview pass used when the model cannot produce structured output',
+        variables: ['url', 'textContext', 'locale'],
+        template: `Analyze this webpage screenshot and describe exactly what content is visible:
+
+URL: {{url}}{{#textContext}}
+
+Text Context: {{textContext}}{{/textContext}}
+
+Please describe:
+1. All visible text content (headlines, body text, labels, buttons, captions)
+2. Images and their content/subject matter
+3. Interface elements and navigation
+4. Any feeds, posts, articles, or content streams
+5. Advertisements, sponsored content, or promotional material
+6. Recommended items, suggestions, or personalized content
+7. Any content that appears to be algorithmically curated or targeted
+8. The overall type and purpose of this webpage
+9. How the content is organized and presented to users
+
+Focus on describing what specific content users are being served and shown on this page.${LOCALE_INSTRUCTION}`
+    },
+    'vision-ui': {
+        label: 'Vision interface pass',
+        description: 'Standard and full profiles: visible text, images and interface elements',
+        variables: ['url', 'locale'],
+        template: `Describe exactly what content is visible on this webpage screenshot:
+
+URL: {{url}}
+
+List what you can see:
+1. All visible text content (headlines, body text, labels, buttons)
+2. Images and their apparent content/subject matter
+3. Interface elements and their labels
+4. Any feeds, posts, or algorithmic content visible
+5. Advertisements or sponsored content
+6. Recommended items, suggestions, or personalized content
+7. Any content that appears to be algorithmically curated
+
+Be factual and descriptive. Focus on what content is being served to users.${LOCALE_INSTRUCTION}`
+    },
+    'vision-content': {
+        label: 'Vision content pass',
+        description: 'Standard and full profiles: readable text, media and feeds',
+        variables: ['url', 'textContext', 'locale'],
+        template: `Describe the specific content visible on this webpage screenshot:
+
+URL: {{url}}{{#textContext}}
+
+Text Context: {{textContext}}{{/textContext}}
+
+Describe what you see:
+1. All readable text, headlines, and captions
+2. What images show (people, products, scenes, etc.)
+3. Any video content or media players visible
+4. Lists, feeds, or streams of content
+5. Advertisements and their content
+6. Recommended or suggested items
+7. Any personalized or targeted content
+8. Content that appears to be algorithmically selected
+
+Be specific about the actual content being displayed to users.${LOCALE_INSTRUCTION}`
+    },
+    'vision-accessibility': {
+        label: 'Vision presentation pass',
+        description: 'Full profile: how content is organized and emphasized',
+        variables: ['url', 'locale'],
+        template: `Describe the visible content and how it's presented on this webpage:
+
+URL: {{url}}
+
+Describe:
+1. What text content is displayed and how prominent it is
+2. What images show and their context
+3. How content is organized and grouped
+4. Which elements appear to be clickable or interactive
+5. Any content that stands out or is emphasized
+6. Content that appears to be personalized or recommended
+7. Any algorithmic feeds or suggested content visible
+8. The overall type and nature of content being served
+
+Focus on describing what users are actually seeing on screen.${LOCALE_INSTRUCTION}`
+    },
+    'vision-design': {
+        label: 'Vision purpose pass',
+        description: 'Full profile: what the page is for and what it promotes',
+        variables: ['url', 'locale'],
+        template: `Describe what content and information is being presented on this webpage:
+
+URL: {{url}}
+
+Describe:
+1. The main content or information being displayed
+2. What type of content this appears to be (news, social media, shopping, etc.)
+3. Any feeds, timelines, or content streams visible
+4. Specific posts, articles, or items shown
+5. Any promotional, sponsored, or advertising content
+6. Recommended or suggested content visible
+7. Content that appears targeted or personalized
+8. The overall purpose and content focus of this page
+
+Be specific about what information and content users are being shown.${LOCALE_INSTRUCTION}`
+    },
+    'text-summary': {
+        label: 'Text summary',
+        description: 'Summary of the page text extracted from the DOM',
+        variables: ['url', 'title', 'headingCount', 'paragraphCount', 'linkCount', 'formCount', 'content', 'locale'],
+        template: `Describe the specific content and information on this webpage:
+
+URL: {{url}}
+Title: {{title}}
+
+Content Found:
+- {{headingCount}} headings
+- {{paragraphCount}} paragraphs
+- {{linkCount}} links
+- {{formCount}} forms
+
+Text Content:
+{{content}}
+
+Describe:
+1. What specific content is being shown to users
+2. Any feeds, posts, articles, or content streams
+3. Advertisements, sponsored content, or promotions visible
+4. Personalized, recommended, or algorithmically-selected content
+5. What type of information or content this site serves users
+6. Any content that appears targeted or customized to users
+
+Focus on describing what content users are actually being served and shown.${LOCALE_INSTRUCTION}`
+    },
+    'document-content': {
+        label: 'Document content',
+        description: 'PDF documents opened in the web app',
+        variables: ['content', 'locale'],
+        template: `Describe the content in this PDF document: {{content}}${LOCALE_INSTRUCTION}`
+    }
+};
+
+const PROMPT_TEMPLATE_HISTORY_LIMIT = 10;
+
+class PromptTemplates {
+    /**
+     * stored holds the saved edits: { [id]: { version, template, updatedAt, history } }.
+     * Templates without an entry use the built-in text as version 1.
+     */
+    constructor(stored = {}, { locale = '' } = {}) {
+        this.stored = {};
+        this.locale = '';
+        this.update(stored, { locale });
+    }
+
+    update(stored = {}, { locale } = {}) {
+        const { templates, errors } = PromptTemplates.normalize(stored);
+        errors.forEach(error => console.warn(`⚠️ Prompt template ignored - ${error}`));
+        this.stored = templates;
+        if (locale !== undefined) {
+            this.locale = String(locale || '').trim();
+        }
+    }
+
+    get(id) {
+        const defaults = PROMPT_TEMPLATE_DEFAULTS[id];
+        if (!defaults) {
+            throw new Error(`Unknown prompt template: ${id}`);
+        }
+
+        const saved = this.stored[id];
+        return {
+            id,
+            label: defaults.label,
+            description: defaults.description,
+            variables: defaults.variables,
+            version: saved ? saved.version : 1,
+            template: saved ? saved.template : defaults.template,
+            custom: !!saved && saved.template !== defaults.template,
+            updatedAt: saved ? saved.updatedAt : null,
+            history: saved ? saved.history : []
+        };
+    }
+
+    list() {
+        return Object.keys(PROMPT_TEMPLATE_DEFAULTS).map(id => this.get(id));
+    }
+
+    /**
+     * Fill in the current version of a template; locale defaults to the configured one.
+     * Returns { id, version, prompt }.
+     */
+    render(id, variables = {}) {
+        const { version, template } = this.get(id);
+        return {
+            id,
+            version,
+            prompt: PromptTemplates.fill(template, { locale: this.locale, ...variables })
+        };
+    }
+
+    static fill(template, variables = {}) {
+        const hasValue = name => variables[name] !== undefined
+            && variables[name] !== null
+            && String(variables[name]).trim() !== '';
+
+        return String(template)
+            .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, name, body) => (hasValue(name) ? body : ''))
+            .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (hasValue(name) ? String(variables[name]) : ''));
+    }
+
+    /**
+     * Checks for an edited template; returns a list of messages
+     */
+    static validate(id, template) {
+        const defaults = PROMPT_TEMPLATE_DEFAULTS[id];
+        if (!defaults) return [`Unknown prompt template: ${id}`];
+        if (typeof template !== 'string' || !template.trim()) return [`${defaults.label}: template is empty`];
+
+        const errors = [];
+        const tags = [...template.matchAll(/\{\{\s*([#/]?)(\w+)\s*\}\}/g)];
+
+        const unknown = [...new Set(tags.map(tag => tag[2]).filter(name => !defaults.variables.includes(name)))];
+        if (unknown.length > 0) {
+            errors.push(`${defaults.label}: unknown variable ${unknown.join(', ')} (available: ${defaults.variables.join(', ')})`);
+        }
+
+        const open = [];
+        tags.forEach(([, marker, name]) => {
+            if (marker === '#') {
+                open.push(name);
+            } else if (marker === '/' && open.pop() !== name) {
+                errors.push(`${defaults.label}: {{/${name}}} does not close the section opened before it`);
+            }
+        });
+        if (open.length > 0) {
+            errors.push(`${defaults.label}: section {{#${open[open.length - 1]}}} is never closed`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Drop saved entries for unknown templates or with invalid text. Returns { templates, errors }.
+     */
+    static normalize(stored = {}) {
+        const templates = {};
+        const errors = [];
+
+        Object.entries(stored || {}).forEach(([id, entry]) => {
+            const entryErrors = PromptTemplates.validate(id, entry && entry.template);
+            if (entryErrors.length > 0 || !Number.isInteger(entry.version) || entry.version < 2) {
+                errors.push(...(entryErrors.length > 0 ? entryErrors : [`${id}: invalid version`]));
+                return;
+            }
+
+            templates[id] = {
+                version: entry.version,
+                template: entry.template,
+                updatedAt: entry.updatedAt || null,
+                history: Array.isArray(entry.history) ? entry.history.slice(0, PROMPT_TEMPLATE_HISTORY_LIMIT) : []
+            };
+        });
+
+        return { templates, errors };
+    }
+
+    /**
+     * Saved edits with template text stored as a new version of id; the replaced version moves
+     * into the history. Unchanged text returns stored as-is. Restoring the built-in or an older
+     * text also creates a new version, so a version number always means one text.
+     */
+    static saveVersion(stored = {}, id, template, now = Date.now()) {
+        const errors = PromptTemplates.validate(id, template);
+        if (errors.length > 0) {
+            throw new Error(errors[0]);
+        }
+
+        const current = stored[id] || null;
+        const currentTemplate = current ? current.template : PROMPT_TEMPLATE_DEFAULTS[id].template;
+        if (template === currentTemplate) {
+            return stored;
+        }
+
+        const replaced = current
+            ? { version: current.version, template: current.template, updatedAt: current.updatedAt }
+            : { version: 1, template: currentTemplate, updatedAt: null };
+
+        return {
+            ...stored,
+            [id]: {
+                version: replaced.version + 1,
+                template,
+                updatedAt: now,
+                history: [replaced, ...((current && current.history) || [])].slice(0, PROMPT_TEMPLATE_HISTORY_LIMIT)
+            }
+        };
+    }
+}
+
+PromptTemplates.DEFAULTS = PROMPT_TEMPLATE_DEFAULTS;
+
+// Export for use in Chrome extension background script
+if (typeof globalThis !== 'undefined') {
+    globalThis.PromptTemplates = PromptTemplates;
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptTemplates;
+}
@@ -0,0 +1,112 @@
+/**
+ * Screenshot Tiler
+ * Splits large screenshots into overlapping regions sized for the vision model, so big
+ * displays are analyzed at full resolution instead of being downscaled into one image
+ */
+
+class ScreenshotTiler {
+    constructor(config = {}) {
+        const {
+            tileSize = 1024,
+            overlap = 128,
+            maxTiles = 6,
+            quality = 0.8
+        } = config;
+
+        this.tileSize = tileSize;
+        this.overlap = overlap;
+        this.maxTiles = maxTiles;
+        this.quality = quality;
+    }
+
+    /**
+     * Auto mode only tiles images clearly larger than one tile
+     */
+    shouldTile(width, height) {
+        return width > this.tileSize * 1.25 || height > this.tileSize * 1.25;
+    }
+
+    /**
+     * Start offsets along one axis; the last tile is pulled back to end flush with the edge
+     */
+    planAxis(length, size) {
+        if (length <= size) return [{ offset: 0, size: length }];
+
+        const stride = size - this.overlap;
+        const count = Math.ceil((length - this.overlap) / stride);
+        const offsets = [];
+        for (let i = 0; i < count; i++) {
+            offsets.push({ offset: Math.min(i * stride, length - size), size });
+        }
+        return offsets;
+    }
+
+    /**
+     * Grid of overlapping tiles in image pixels. The tile size grows until the grid fits maxTiles.
+     */
+    planTiles(width, height) {
+        let size = this.tileSize;
+        let columns;
+        let rows;
+
+        do {
+            columns = this.planAxis(width, size);
+            rows = this.planAxis(height, size);
+            size = Math.ceil(size * 1.25);
+        } while (columns.length * rows.length > this.maxTiles);
+
+        const tiles = [];
+        rows.forEach((row, rowIndex) => {
+            columns.forEach((column, columnIndex) => {
+                tiles.push({
+                    index: tiles.length,
+                    row: rowIndex,
+                    col: columnIndex,
+                    x: column.offset,
+                    y: row.offset,
+                    width: column.size,
+                    height: row.size
+                });
+            });
+        });
+
+        return tiles;
+    }
+
+    /**
+     * Decode a screenshot and cut it into tiles. Runs in the service worker via OffscreenCanvas.
+     */
+    async split(dataUrl, { force = false } = {}) {
+        const blob = await (await fetch(dataUrl)).blob();
+        const bitmap = await createImageBitmap(blob);
+
+        try {
+            const { width, height } = bitmap;
+            if (!force && !this.shouldTile(width, height)) {
+                return { width, height, tiles: [] };
+            }
+
+            const tiles = [];
+            for (const plan of this.planTiles(width, height)) {
+                const canvas = new OffscreenCanvas(plan.width, plan.height);
+                canvas.getContext('2d').drawImage(bitmap, plan.x, plan.y, plan.width, plan.height, 0, 0, plan.width, plan.height);
+                const tileBlob = await canvas.convertToBlob({ type: 'image/jpeg', quality: this.quality });
+                tiles.push({ ...plan, dataUrl: await MemoryStore.blobToDataUrl(tileBlob) });
+            }
+
+            return { width, height, tiles };
+        } finally {
+            bitmap.close();
+        }
+    }
+}
+
+// Export for use in Chrome extension background script
+if (typeof globalThis !== 'undefined') {
+    globalThis.ScreenshotTiler = ScreenshotTiler;
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScreenshotTiler;
+}
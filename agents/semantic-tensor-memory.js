@@ -12,7 +12,10 @@ class SemanticTensorMemory {
         const {
             maxMemories = 100,
             embeddingModel = 'nomic-embed-text',
-            ollamaEndpoint = 'http://localhost:8081'
+            ollamaEndpoint = 'http://localhost:8081',
+            provider = null,
+            persistence = null,
+            scheduler = null
         } = config;
 
         this.maxMemories = maxMemories;
@@ -24,21 +27,51 @@ class SemanticTensorMemory {
         this.conversationHistory = [];
         this.systemId = `tensor-memory-${Date.now()}`;
         this.embeddingModel = embeddingModel;
-        this.ollamaEndpoint = ollamaEndpoint;
+        this.embeddingTimeoutMs = 60000;
+        this.provider = provider || ModelProvider.create({ endpoint: ollamaEndpoint }); // Ollama unless the caller shares one
+
+        this.scheduler = scheduler; // Shared ModelRequestScheduler, if provided
+
+        // Persistence (optional) - an index store exposing getIndexesByPrefix/writeIndexes
+        this.persistence = persistence;
+        this.persistencePrefix = 'semantic:';
+        this.loadPromise = null;
+        this.persistChain = Promise.resolve();
+        this.persistTimer = null;
+        this.dirtyMemoryIds = new Set();
+        this.removedMemoryIds = new Set();
+        this.clustersDirty = false;
 
         // Initialize indices
         this.initializeIndices();
     }
 
+    setProvider(provider) {
+        if (provider && provider !== this.provider) {
+            this.provider = provider;
+        }
+    }
+
     updateEmbeddingConfig({ ollamaEndpoint, embeddingModel } = {}) {
-        if (ollamaEndpoint) {
-            this.ollamaEndpoint = ollamaEndpoint;
+        if (ollamaEndpoint && ollamaEndpoint !== this.provider.endpoint) {
+            this.provider = ModelProvider.create({ type: this.provider.type, endpoint: ollamaEndpoint, apiKey: this.provider.apiKey });
         }
         if (embeddingModel) {
             this.embeddingModel = embeddingModel;
         }
     }
 
+    /**
+     * Apply the embedding model role ({ provider, model, timeoutMs })
+     */
+    applyModelRoles({ embedding } = {}) {
+        if (embedding) {
+            this.setProvider(embedding.provider);
+            this.embeddingModel = embedding.model || this.embeddingModel;
+            this.embeddingTimeoutMs = embedding.timeoutMs;
+        }
+    }
+
     initializeIndices() {
         // Temporal buckets for time-based queries
         this.temporalBuckets = {
@@ -57,13 +90,141 @@ class SemanticTensorMemory {
         console.log(`🧠 Semantic Tensor Memory ${this.systemId} initialized`);
     }
 
+    /**
+     * Persistence: lazy rehydration and incremental writes
+     */
+    ensureLoaded() {
+        if (!this.persistence) {
+            return Promise.resolve();
+        }
+
+        if (!this.loadPromise) {
+            this.loadPromise = this.rehydrate().catch(error => {
+                console.error('❌ Failed to rehydrate semantic memory:', error);
+            });
+        }
+
+        return this.loadPromise;
+    }
+
+    async rehydrate() {
+        const records = await this.persistence.getIndexesByPrefix(this.persistencePrefix);
+        const memoryPrefix = `${this.persistencePrefix}memory:`;
+
+        records.forEach(({ key, value }) => {
+            if (key.startsWith(memoryPrefix) && value?.memory) {
+                const memoryId = key.slice(memoryPrefix.length);
+                this.memoryStore.set(memoryId, value.memory);
+                if (value.embeddings) {
+                    this.embeddingIndex.set(memoryId, value.embeddings);
+                }
+                this.relationshipGraph.set(memoryId, value.relationships || []);
+            } else if (key === `${this.persistencePrefix}clusters`) {
+                this.conceptClusters = this.deserializeClusters(value || []);
+            }
+        });
+
+        this.rebuildIndices();
+
+        if (this.memoryStore.size > 0) {
+            console.log(`📥 Rehydrated ${this.memoryStore.size} memories and ${this.conceptClusters.size} clusters`);
+        }
+    }
+
+    markMemoryDirty(memoryId) {
+        this.removedMemoryIds.delete(memoryId);
+        this.dirtyMemoryIds.add(memoryId);
+    }
+
+    markMemoryRemoved(memoryId) {
+        this.dirtyMemoryIds.delete(memoryId);
+        this.removedMemoryIds.add(memoryId);
+    }
+
+    schedulePersist() {
+        if (!this.persistence || this.persistTimer) return;
+
+        this.persistTimer = setTimeout(() => {
+            this.persistTimer = null;
+            this.flushPersistence();
+        }, 500);
+    }
+
+    /**
+     * Write every dirty memory record (plus clusters when they changed) and delete removed ones
+     */
+    flushPersistence() {
+        if (!this.persistence) {
+            return Promise.resolve();
+        }
+
+        if (this.persistTimer) {
+            clearTimeout(this.persistTimer);
+            this.persistTimer = null;
+        }
+
+        this.persistChain = this.persistChain.then(async () => {
+            const puts = [];
+            const deletes = [];
+
+            this.dirtyMemoryIds.forEach(memoryId => {
+                const memory = this.memoryStore.get(memoryId);
+                if (!memory) return;
+                puts.push({
+                    key: `${this.persistencePrefix}memory:${memoryId}`,
+                    value: {
+                        memory,
+                        embeddings: this.embeddingIndex.get(memoryId) || null,
+                        relationships: this.relationshipGraph.get(memoryId) || []
+                    }
+                });
+            });
+            this.removedMemoryIds.forEach(memoryId => {
+                deletes.push(`${this.persistencePrefix}memory:${memoryId}`);
+            });
+            if (this.clustersDirty) {
+                puts.push({
+                    key: `${this.persistencePrefix}clusters`,
+                    value: this.serializeClusters()
+                });
+            }
+
+            this.dirtyMemoryIds.clear();
+            this.removedMemoryIds.clear();
+            this.clustersDirty = false;
+
+            await this.persistence.writeIndexes(puts, deletes);
+        }).catch(error => {
+            console.error('❌ Failed to persist semantic memory:', error);
+        });
+
+        return this.persistChain;
+    }
+
+    serializeClusters() {
+        return Array.from(this.conceptClusters.entries()).map(([clusterId, cluster]) => [
+            clusterId,
+            { ...cluster, members: Array.from(cluster.members) }
+        ]);
+    }
+
+    deserializeClusters(serialized) {
+        return new Map(serialized.map(([clusterId, cluster]) => [
+            clusterId,
+            { ...cluster, members: new Set(cluster.members || []) }
+        ]));
+    }
+
     /**
      * Store orchestration result in semantic memory
      */
-    async storeMemory(orchestrationResult) {
-        const memoryId = `memory-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    async storeMemory(orchestrationResult, options = {}) {
+        // Callers may supply an id so a memory keeps the identity of an entry stored earlier
+        const memoryId = options.memoryId || `memory-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
         
         try {
+            await this.ensureLoaded();
+
             // Create comprehensive memory entry
             const memoryEntry = this.createMemoryEntry(memoryId, orchestrationResult);
             
@@ -90,6 +251,16 @@ class SemanticTensorMemory {
             
             // Maintain memory limits
             this.maintainMemoryLimits();
+
+            // Persist the new memory and every memory that gained a reverse relationship
+            if (this.memoryStore.has(memoryId)) {
+                this.markMemoryDirty(memoryId);
+                (this.relationshipGraph.get(memoryId) || []).forEach(rel => {
+                    if (this.memoryStore.has(rel.targetId)) this.markMemoryDirty(rel.targetId);
+                });
+            }
+            this.clustersDirty = true;
+            await this.flushPersistence();
             
             console.log(`💾 Stored memory ${memoryId} for ${orchestrationResult.url}`);
             
@@ -500,8 +671,11 @@ class SemanticTensorMemory {
         console.log(`🔍 Searching memories for: "${query}"`);
         
         try {
+            await this.ensureLoaded();
+
             // Generate query embedding
-            const queryEmbedding = await this.generateQueryEmbedding(query);
+            // A search is always something the user is waiting on
+            const queryEmbedding = await this.generateQueryEmbedding(query, { priority: 'user' });
             
             // Find similar memories
             const similarities = this.findSimilarMemories(queryEmbedding, threshold);
@@ -548,22 +722,21 @@ class SemanticTensorMemory {
     async generateQueryEmbedding(query, options = {}) {
         const {
             embeddingModel = this.embeddingModel || 'nomic-embed-text',
-            ollamaEndpoint = this.ollamaEndpoint || 'http://localhost:8081'
+            priority = 'user'
         } = options;
 
         try {
-            const response = await fetch(`${ollamaEndpoint}/api/embeddings`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    model: embeddingModel,
-                    prompt: query
-                })
-            });
+            const transport = this.scheduler
+                ? (url, init, consume) => this.scheduler.fetch(url, init, { priority, label: 'query-embedding', timeoutMs: this.embeddingTimeoutMs, consume })
+                : null;
 
-            if (response.ok) {
-                const data = await response.json();
-                return data.embedding;
+            const embedding = await this.provider.embed({
+                model: embeddingModel,
+                input: query
+            }, { label: 'query-embedding', transport });
+
+            if (embedding) {
+                return embedding;
             }
         } catch (error) {
             console.error('Query embedding generation failed:', error);
@@ -658,7 +831,7 @@ class SemanticTensorMemory {
             overview: {
                 totalMemories: this.memoryStore.size,
                 totalClusters: this.conceptClusters.size,
-                totalRelationships: Array.from(this.relationshipGraph.values()).reduce((sum, rels) => sum + rels.length, 0),
+                totalRelationships: this.countRelationships(),
                 averageConfidence: this.calculateAverageConfidence(),
                 memoryDistribution: this.getMemoryDistribution()
             },
@@ -886,15 +1059,25 @@ class SemanticTensorMemory {
         this.relationshipGraph.delete(memoryId);
         
         // Remove references from other relationships
-        this.relationshipGraph.forEach(relationships => {
-            const index = relationships.findIndex(rel => rel.targetId === memoryId);
-            if (index !== -1) relationships.splice(index, 1);
+        this.relationshipGraph.forEach((relationships, sourceId) => {
+            const remaining = relationships.filter(rel => rel.targetId !== memoryId);
+            if (remaining.length !== relationships.length) {
+                this.relationshipGraph.set(sourceId, remaining);
+                if (this.memoryStore.has(sourceId)) this.markMemoryDirty(sourceId);
+            }
         });
         
         // Remove from clusters
         this.conceptClusters.forEach(cluster => {
             cluster.members.delete(memoryId);
         });
+
+        // Remove from embedding buckets
+        if (this.embeddingBuckets) {
+            this.embeddingBuckets.forEach(members => {
+                members.delete(memoryId);
+            });
+        }
         
         // Remove from temporal indices
         Object.values(this.temporalBuckets).forEach(bucket => {
@@ -912,6 +1095,87 @@ class SemanticTensorMemory {
         this.domainClusters.forEach(memories => {
             memories.delete(memoryId);
         });
+
+        this.markMemoryRemoved(memoryId);
+        this.clustersDirty = true;
+        this.schedulePersist();
+    }
+
+    /**
+     * Retention sweep: remove memories older than the cutoff, skipping exempt ids,
+     * then drop emptied concept clusters and re-centre the ones that lost members
+     */
+    pruneOlderThan(cutoffTimestamp, exemptIds = new Set()) {
+        const relationshipsBefore = this.countRelationships();
+        const clustersBefore = this.conceptClusters.size;
+
+        const expiredIds = [];
+        this.memoryStore.forEach((memory, memoryId) => {
+            if (exemptIds.has(memoryId)) return;
+            const memoryTime = new Date(memory.timestamp).getTime();
+            if (Number.isFinite(memoryTime) && memoryTime < cutoffTimestamp) {
+                expiredIds.push(memoryId);
+            }
+        });
+
+        const affectedClusters = new Set();
+        expiredIds.forEach(memoryId => {
+            this.conceptClusters.forEach((cluster, clusterId) => {
+                if (cluster.members.has(memoryId)) affectedClusters.add(clusterId);
+            });
+            this.removeMemory(memoryId);
+        });
+
+        affectedClusters.forEach(clusterId => {
+            const cluster = this.conceptClusters.get(clusterId);
+            if (!cluster || cluster.members.size === 0) {
+                this.conceptClusters.delete(clusterId);
+            } else {
+                this.updateClusterCentroid(clusterId);
+            }
+        });
+
+        // Drop relationship lists that no longer point anywhere
+        this.relationshipGraph.forEach((relationships, memoryId) => {
+            if (relationships.length === 0 && !this.memoryStore.has(memoryId)) {
+                this.relationshipGraph.delete(memoryId);
+            }
+        });
+
+        const report = {
+            memories: expiredIds.length,
+            relationships: relationshipsBefore - this.countRelationships(),
+            clusters: clustersBefore - this.conceptClusters.size,
+            removedIds: expiredIds
+        };
+
+        if (expiredIds.length > 0) {
+            console.log(`🗓️ Retention removed ${report.memories} memories, ${report.relationships} relationships, ${report.clusters} clusters`);
+        }
+
+        return report;
+    }
+
+    countRelationships() {
+        return Array.from(this.relationshipGraph.values()).reduce((sum, rels) => sum + rels.length, 0);
+    }
+
+    /**
+     * Remove every memory matching the predicate and return the removed ids
+     */
+    removeMemoriesWhere(predicate) {
+        const toRemove = [];
+        this.memoryStore.forEach((memory, memoryId) => {
+            if (predicate(memory, memoryId)) toRemove.push(memoryId);
+        });
+
+        toRemove.forEach(memoryId => this.removeMemory(memoryId));
+
+        if (toRemove.length > 0) {
+            console.log(`🧹 Removed ${toRemove.length} memories matching purge criteria`);
+        }
+
+        return toRemove;
     }
 
     getHighQualityMemoriesCount() {
@@ -960,7 +1224,7 @@ class SemanticTensorMemory {
         return {
             memories: Array.from(this.memoryStore.entries()),
             embeddings: Array.from(this.embeddingIndex.entries()),
-            clusters: Array.from(this.conceptClusters.entries()),
+            clusters: this.serializeClusters(),
             relationships: Array.from(this.relationshipGraph.entries()),
             systemId: this.systemId,
             exportTimestamp: Date.now()
@@ -970,11 +1234,16 @@ class SemanticTensorMemory {
     importMemoryState(state) {
         this.memoryStore = new Map(state.memories);
         this.embeddingIndex = new Map(state.embeddings);
-        this.conceptClusters = new Map(state.clusters);
+        this.conceptClusters = this.deserializeClusters(state.clusters || []);
         this.relationshipGraph = new Map(state.relationships);
         
         // Rebuild indices
         this.rebuildIndices();
+
+        // An import replaces the persisted state as well
+        this.memoryStore.forEach((memory, memoryId) => this.markMemoryDirty(memoryId));
+        this.clustersDirty = true;
+        this.schedulePersist();
         
         console.log(`📥 Imported ${this.memoryStore.size} memories from ${state.exportTimestamp}`);
     }
@@ -984,12 +1253,19 @@ class SemanticTensorMemory {
         this.temporalBuckets = { hour: new Map(), day: new Map(), week: new Map(), month: new Map() };
         this.semanticCategories = new Map();
         this.domainClusters = new Map();
+        this.embeddingBuckets = new Map();
         
         // Rebuild from stored memories
         this.memoryStore.forEach((memory, memoryId) => {
             this.updateTemporalIndices(memoryId, memory);
             this.updateSemanticCategories(memoryId, memory);
             this.updateDomainClusters(memoryId, memory);
+
+            const bucketKey = this.calculateEmbeddingBucket(this.embeddingIndex.get(memoryId)?.unified);
+            if (!this.embeddingBuckets.has(bucketKey)) {
+                this.embeddingBuckets.set(bucketKey, new Set());
+            }
+            this.embeddingBuckets.get(bucketKey).add(memoryId);
         });
     }
 
@@ -997,6 +1273,8 @@ class SemanticTensorMemory {
      * Get recent memories for testing
      */
     async getRecentMemories(limit = 10) {
+        await this.ensureLoaded();
+
         const memories = Array.from(this.memoryStore.values())
             .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
             .slice(0, limit);
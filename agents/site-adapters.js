@@ -0,0 +1,420 @@
+/**
+ * Site Adapters
+ * Declarative descriptions of the major feed platforms - which URLs they cover, how their
+ * feed items are marked up, and which markers say an item is sponsored or recommended - so
+ * feed structure and category come from known page semantics rather than heuristics.
+ * Bundled adapters can be overridden or extended with user adapters loaded in settings.
+ *
+ * Adapter format:
+ *   id, name, version      - id is lowercase letters, digits and dashes; a user adapter with
+ *                            a bundled adapter's id replaces it
+ *   match.hosts            - domains, matching their subdomains as in the exclusion list
+ *   match.paths            - optional RegExp sources the URL path must match
+ *   pages                  - [{ path?, pageType, category, itemFlags? }], the first whose path
+ *                            matches (or that has none) describes the page; itemFlags apply
+ *                            to every item on it, e.g. a "For You" feed is all recommended
+ *   items                  - [{ kind, selector }] containers of one feed item
+ *   fields                 - { title, author, snippet, link } CSS selectors inside an item
+ *   markers                - { flag: { selectors?, labels? } }: an item is flagged when it
+ *                            matches or contains a selector, or holds a short text matching a
+ *                            label (RegExp source, case-insensitive)
+ */
+
+const SITE_ADAPTER_CATEGORIES = ['algorithmic', 'media', 'social', 'news', 'shopping', 'search', 'development', 'documentation', 'general'];
+
+const BUILT_IN_SITE_ADAPTERS = [
+    {
+        id: 'youtube',
+        name: 'YouTube',
+        version: 1,
+        match: { hosts: ['youtube.com'] },
+        pages: [
+            { path: '^/results', pageType: 'search-results', category: 'search' },
+            { path: '^/watch', pageType: 'watch', category: 'media' },
+            { path: '^/shorts/', pageType: 'shorts', category: 'algorithmic', itemFlags: ['recommended'] },
+            { path: '^/(?:$|feed/(?:trending|explore))', pageType: 'feed', category: 'algorithmic', itemFlags: ['recommended'] },
+            { pageType: 'channel', category: 'media' }
+        ],
+        items: [
+            { kind: 'video', selector: 'ytd-rich-item-renderer, ytd-video-renderer, ytd-compact-video-renderer, ytd-grid-video-renderer, ytd-reel-item-renderer' }
+        ],
+        fields: {
+            title: '#video-title, h3',
+            author: 'ytd-channel-name #text, #channel-name',
+            snippet: '#description-text, .metadata-snippet-text',
+            link: 'a#video-title-link, a#video-title, a#thumbnail'
+        },
+        markers: {
+            sponsored: {
+                selectors: ['ytd-ad-slot-renderer', 'ytd-in-feed-ad-layout-renderer', 'ytd-promoted-sparkles-web-renderer', '[class*="badge-style-type-ad"]'],
+                labels: ['^(?:sponsored|ad)$']
+            },
+            recommended: { labels: ['^(?:recommended for you|new to you)$'] },
+            'because-you-watched': { labels: ['^because you watched\\b'] }
+        }
+    },
+    {
+        id: 'reddit',
+        name: 'Reddit',
+        version: 1,
+        match: { hosts: ['reddit.com'] },
+        pages: [
+            { path: '^/search', pageType: 'search-results', category: 'search' },
+            { path: '^/r/[^/]+/comments/', pageType: 'thread', category: 'social' },
+            { path: '^/(?:$|best|hot|r/popular|r/all)', pageType: 'feed', category: 'algorithmic' },
+            { pageType: 'community', category: 'social' }
+        ],
+        items: [
+            { kind: 'post', selector: 'shreddit-post, shreddit-ad-post, [data-testid="post-container"]' }
+        ],
+        fields: {
+            title: '[slot="title"], a[id^="post-title"], h3',
+            author: '[slot="authorName"], a[href^="/user/"], [data-testid="post_author_link"]',
+            snippet: '[slot="text-body"], [data-post-click-location="text-body"]',
+            link: 'a[slot="full-post-link"], a[id^="post-title"], a[data-click-id="body"]'
+        },
+        markers: {
+            sponsored: { selectors: ['shreddit-ad-post', '[promoted]', '[data-promoted="true"]'], labels: ['^promoted$'] },
+            recommended: { selectors: ['[recommendation-source]'], labels: ['^(?:suggested|popular on reddit right now|similar to .{1,40})$'] },
+            'because-you-watched': { labels: ['^because you (?:visited|joined|viewed)\\b'] }
+        }
+    },
+    {
+        id: 'x',
+        name: 'X (Twitter)',
+        version: 1,
+        match: { hosts: ['x.com', 'twitter.com'] },
+        pages: [
+            { path: '^/search', pageType: 'search-results', category: 'search' },
+            { path: '^/[^/]+/status/', pageType: 'thread', category: 'social' },
+            { path: '^/(?:home|explore)', pageType: 'feed', category: 'algorithmic' },
+            { pageType: 'profile', category: 'social' }
+        ],
+        items: [
+            { kind: 'post', selector: 'article[data-testid="tweet"]' }
+        ],
+        fields: {
+            author: '[data-testid="User-Name"]',
+            snippet: '[data-testid="tweetText"]',
+            link: 'a[href*="/status/"]:has(time), a[href*="/status/"]'
+        },
+        markers: {
+            sponsored: { selectors: ['[data-testid="placementTracking"]'], labels: ['^(?:ad|promoted)$'] },
+            recommended: { labels: ['^(?:who to follow|you might like|trending now|discover more)$'] }
+        }
+    },
+    {
+        id: 'linkedin',
+        name: 'LinkedIn',
+        version: 1,
+        match: { hosts: ['linkedin.com'] },
+        pages: [
+            { path: '^/search', pageType: 'search-results', category: 'search' },
+            { path: '^/feed', pageType: 'feed', category: 'algorithmic' },
+            { pageType: 'profile', category: 'social' }
+        ],
+        items: [
+            { kind: 'post', selector: '.feed-shared-update-v2, [data-urn^="urn:li:activity"]' }
+        ],
+        fields: {
+            author: '.update-components-actor__name, .feed-shared-actor__name',
+            snippet: '.update-components-text, .feed-shared-text',
+            link: 'a[href*="/feed/update/"], a[href*="/posts/"]'
+        },
+        markers: {
+            sponsored: { labels: ['^(?:promoted|promoted by .{1,60})$'] },
+            recommended: { labels: ['^(?:suggested|recommended for you|popular in your network)$'] }
+        }
+    },
+    {
+        id: 'instagram',
+        name: 'Instagram',
+        version: 1,
+        match: { hosts: ['instagram.com'] },
+        pages: [
+            { path: '^/explore', pageType: 'explore', category: 'algorithmic', itemFlags: ['recommended'] },
+            { path: '^/reels?/', pageType: 'reels', category: 'algorithmic', itemFlags: ['recommended'] },
+            { path: '^/$', pageType: 'feed', category: 'social' },
+            { pageType: 'profile', category: 'social' }
+        ],
+        items: [
+            { kind: 'post', selector: 'article' }
+        ],
+        fields: {
+            author: 'header a[role="link"], header a[href^="/"]',
+            snippet: 'h1, ul li span',
+            link: 'a[href*="/p/"], a[href*="/reel/"]'
+        },
+        markers: {
+            sponsored: { labels: ['^(?:sponsored|paid partnership(?: with .{1,60})?)$'] },
+            recommended: { labels: ['^(?:suggested for you|suggested posts|suggested reels)$'] }
+        }
+    },
+    {
+        id: 'tiktok',
+        name: 'TikTok',
+        version: 1,
+        match: { hosts: ['tiktok.com'] },
+        pages: [
+            { path: '^/search', pageType: 'search-results', category: 'search' },
+            { path: '^/@[^/]+/video/', pageType: 'watch', category: 'media' },
+            { path: '^/@', pageType: 'profile', category: 'social' },
+            { pageType: 'feed', category: 'algorithmic', itemFlags: ['recommended'] }
+        ],
+        items: [
+            { kind: 'video', selector: '[data-e2e="recommend-list-item-container"], [data-e2e="search_top-item"], [data-e2e="user-post-item"]' }
+        ],
+        fields: {
+            author: '[data-e2e="video-author-uniqueid"], a[href^="/@"]',
+            snippet: '[data-e2e="video-desc"], [data-e2e="search-card-video-caption"]',
+            link: 'a[href*="/video/"]'
+        },
+        markers: {
+            sponsored: { selectors: ['[data-e2e="ad-tag"]'], labels: ['^(?:sponsored|ad|promoted)$'] }
+        }
+    },
+    {
+        id: 'amazon',
+        name: 'Amazon',
+        version: 1,
+        match: { hosts: ['amazon.com', 'amazon.co.uk', 'amazon.de', 'amazon.fr', 'amazon.it', 'amazon.es', 'amazon.ca', 'amazon.co.jp', 'amazon.in', 'amazon.com.au'] },
+        pages: [
+            { path: '^/s/?$', pageType: 'search-results', category: 'shopping' },
+            { path: '/dp/', pageType: 'product', category: 'shopping' },
+            { pageType: 'storefront', category: 'shopping' }
+        ],
+        items: [
+            { kind: 'product', selector: '[data-component-type="s-search-result"], [data-component-type="sp-sponsored-result"], li.a-carousel-card' }
+        ],
+        fields: {
+            title: 'h2, .a-truncate-full, .p13n-sc-truncate-desktop-type2',
+            author: '.s-line-clamp-1 .a-size-base-plus',
+            snippet: '.a-price .a-offscreen, .a-icon-alt',
+            link: 'h2 a, a.a-link-normal'
+        },
+        markers: {
+            sponsored: {
+                selectors: ['[data-component-type="sp-sponsored-result"]', '.puis-sponsored-label-text', '.s-sponsored-label-info-icon'],
+                labels: ['^sponsored$']
+            },
+            recommended: { labels: ['^(?:amazon\'s choice|overall pick|recommended for you)$'] },
+            'because-you-watched': { labels: ['^(?:inspired by your (?:browsing|shopping) (?:history|trends)|related to items you\'ve viewed|based on your recent views)$'] }
+        }
+    },
+    {
+        id: 'google-search',
+        name: 'Google Search',
+        version: 1,
+        match: {
+            hosts: ['google.com', 'google.co.uk', 'google.de', 'google.fr', 'google.it', 'google.es', 'google.ca', 'google.co.jp', 'google.co.in', 'google.com.au'],
+            paths: ['^/search']
+        },
+        pages: [
+            { pageType: 'search-results', category: 'search' }
+        ],
+        items: [
+            { kind: 'search-result', selector: '#rso .g, #tads [data-text-ad], #bottomads [data-text-ad]' }
+        ],
+        fields: {
+            title: 'h3, [role="heading"]',
+            author: 'cite, .VuuXrf',
+            snippet: '.VwiC3b, [data-sncf], .lyLwlc',
+            link: 'a:has(h3), a[href]'
+        },
+        markers: {
+            sponsored: { selectors: ['[data-text-ad]'], labels: ['^(?:sponsored|ad|ads|sponsored results?)$'] }
+        }
+    }
+];
+
+class SiteAdapters {
+    constructor(userAdapters = []) {
+        this.userAdapters = [];
+        this.update(userAdapters);
+    }
+
+    update(userAdapters = []) {
+        const { adapters, errors } = SiteAdapters.normalize(userAdapters);
+        errors.forEach(error => console.warn(`⚠️ Site adapter ignored - ${error}`));
+        this.userAdapters = adapters;
+    }
+
+    /**
+     * User adapters first, then the bundled ones they do not replace
+     */
+    list() {
+        const userIds = new Set(this.userAdapters.map(adapter => adapter.id));
+        return [
+            ...this.userAdapters.map(adapter => ({
+                ...adapter,
+                source: BUILT_IN_SITE_ADAPTERS.some(builtIn => builtIn.id === adapter.id) ? 'override' : 'user'
+            })),
+            ...BUILT_IN_SITE_ADAPTERS
+                .filter(adapter => !userIds.has(adapter.id))
+                .map(adapter => ({ ...adapter, source: 'built-in' }))
+        ];
+    }
+
+    /**
+     * The adapter for a URL and the page entry describing it: { adapter, page }, or null
+     */
+    match(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            return null;
+        }
+
+        const hostname = parsed.hostname.toLowerCase();
+        const path = parsed.pathname;
+        const adapter = this.list().find(candidate =>
+            candidate.match.hosts.some(host => hostname === host || hostname.endsWith(`.${host}`)) &&
+            (!candidate.match.paths || candidate.match.paths.some(pattern => new RegExp(pattern).test(path)))
+        );
+        if (!adapter) return null;
+
+        const page = adapter.pages.find(entry => !entry.path || new RegExp(entry.path).test(path)) || {};
+        return {
+            adapter,
+            page: { pageType: page.pageType || null, category: page.category || null, itemFlags: page.itemFlags || [] }
+        };
+    }
+
+    /**
+     * Problems with one adapter, as messages. checkSelector, where a DOM is available, throws
+     * for a selector the browser cannot parse.
+     */
+    static validate(adapter, { checkSelector = null } = {}) {
+        if (!adapter || typeof adapter !== 'object' || Array.isArray(adapter)) return ['Adapter must be a JSON object'];
+
+        const name = adapter.id || 'adapter';
+        const errors = [];
+        const isString = value => typeof value === 'string' && value.trim() !== '';
+        const checkPattern = (pattern, where) => {
+            try {
+                new RegExp(pattern, 'i');
+            } catch (error) {
+                errors.push(`${name}: ${where} is not a valid pattern (${error.message})`);
+            }
+        };
+        const checkCss = (selector, where) => {
+            if (!isString(selector)) {
+                errors.push(`${name}: ${where} must be a CSS selector`);
+                return;
+            }
+            try {
+                if (checkSelector) checkSelector(selector);
+            } catch {
+                errors.push(`${name}: ${where} is not a valid CSS selector`);
+            }
+        };
+
+        if (!isString(adapter.id) || !/^[a-z0-9-]+$/.test(adapter.id)) errors.push(`${name}: id must be lowercase letters, digits and dashes`);
+        if (!isString(adapter.name)) errors.push(`${name}: name is required`);
+        if (!Number.isInteger(adapter.version) || adapter.version < 1) errors.push(`${name}: version must be a positive integer`);
+
+        const hosts = adapter.match?.hosts;
+        if (!Array.isArray(hosts) || hosts.length === 0 || !hosts.every(isString)) {
+            errors.push(`${name}: match.hosts must list at least one domain`);
+        }
+        if (adapter.match?.paths !== undefined) {
+            if (!Array.isArray(adapter.match.paths)) errors.push(`${name}: match.paths must be a list`);
+            else adapter.match.paths.forEach((pattern, index) => checkPattern(pattern, `match.paths[${index}]`));
+        }
+
+        if (!Array.isArray(adapter.pages) || adapter.pages.length === 0) {
+            errors.push(`${name}: pages must describe at least one page`);
+        } else {
+            adapter.pages.forEach((page, index) => {
+                if (page.path !== undefined) checkPattern(page.path, `pages[${index}].path`);
+                if (!isString(page.pageType)) errors.push(`${name}: pages[${index}].pageType is required`);
+                if (!SITE_ADAPTER_CATEGORIES.includes(page.category)) {
+                    errors.push(`${name}: pages[${index}].category must be one of ${SITE_ADAPTER_CATEGORIES.join(', ')}`);
+                }
+                (page.itemFlags || []).forEach(flag => {
+                    if (!FeedItemExtractor.FLAGS.includes(flag)) errors.push(`${name}: pages[${index}] has unknown item flag ${flag}`);
+                });
+            });
+        }
+
+        if (!Array.isArray(adapter.items) || adapter.items.length === 0) {
+            errors.push(`${name}: items must list at least one item selector`);
+        } else {
+            adapter.items.forEach((item, index) => {
+                if (!FeedItemExtractor.KINDS.includes(item.kind)) {
+                    errors.push(`${name}: items[${index}].kind must be one of ${FeedItemExtractor.KINDS.join(', ')}`);
+                }
+                checkCss(item.selector, `items[${index}].selector`);
+            });
+        }
+
+        Object.entries(adapter.fields || {}).forEach(([field, selector]) => {
+            if (!['title', 'author', 'snippet', 'link'].includes(field)) errors.push(`${name}: unknown field ${field}`);
+            else checkCss(selector, `fields.${field}`);
+        });
+
+        Object.entries(adapter.markers || {}).forEach(([flag, marker]) => {
+            if (!FeedItemExtractor.FLAGS.includes(flag)) {
+                errors.push(`${name}: unknown marker ${flag} (available: ${FeedItemExtractor.FLAGS.join(', ')})`);
+                return;
+            }
+            (marker.selectors || []).forEach((selector, index) => checkCss(selector, `markers.${flag}.selectors[${index}]`));
+            (marker.labels || []).forEach((label, index) => checkPattern(label, `markers.${flag}.labels[${index}]`));
+        });
+
+        return errors;
+    }
+
+    /**
+     * Keep the valid user adapters, the last one per id. Returns { adapters, errors }.
+     */
+    static normalize(userAdapters = []) {
+        const byId = new Map();
+        const errors = [];
+
+        (Array.isArray(userAdapters) ? userAdapters : []).forEach(adapter => {
+            const adapterErrors = SiteAdapters.validate(adapter);
+            if (adapterErrors.length > 0) {
+                errors.push(...adapterErrors);
+                return;
+            }
+            byId.set(adapter.id, adapter);
+        });
+
+        return { adapters: Array.from(byId.values()), errors };
+    }
+
+    /**
+     * Adapters from JSON text (one adapter or a list), for loading in settings. Throws with
+     * every problem found.
+     */
+    static parse(text, options = {}) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Not valid JSON: ${error.message}`);
+        }
+
+        const adapters = Array.isArray(parsed) ? parsed : [parsed];
+        const errors = adapters.flatMap(adapter => SiteAdapters.validate(adapter, options));
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+        return adapters;
+    }
+}
+
+SiteAdapters.BUILT_IN = BUILT_IN_SITE_ADAPTERS;
+SiteAdapters.CATEGORIES = SITE_ADAPTER_CATEGORIES;
+
+// Export for use in Chrome extension background script
+if (typeof globalThis !== 'undefined') {
+    globalThis.SiteAdapters = SiteAdapters;
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SiteAdapters;
+}
@@ -0,0 +1,302 @@
+/**
+ * Sponsored Content Detector
+ * Combines ad markers found in the page's DOM with the ads and sponsored items the vision
+ * model reported, into one list of ad items with a region, advertiser and confidence
+ */
+
+/**
+ * What the content script looks for. Sent with each collection request so the rules live
+ * in one place; patterns are RegExp sources matched case-insensitively.
+ */
+const AD_DOM_RULES = {
+    // The whole text of a short element that marks its container as paid placement;
+    // a capture group, where present, is the advertiser
+    labelPatterns: [
+        '^(?:sponsored|promoted|advertisement|advert|ad|ads|paid partnership|paid promotion|promoted post|sponsored post)$',
+        '^(?:sponsored|promoted|presented) by (.{2,60})$',
+        '^(?:anzeige|gesponsert|publicité|sponsorisé|patrocinado|publicidad|sponsorizzato|広告|プロモーション)$'
+    ],
+    // Containers ad networks and feeds reserve for placements
+    slotSelectors: [
+        'ins.adsbygoogle',
+        '[id^="div-gpt-ad"]',
+        '[id^="google_ads_"]',
+        '[data-ad-slot]',
+        '[data-ad-unit]',
+        '[data-ad-client]',
+        '[data-google-query-id]',
+        '[data-testid="placementTracking"]',
+        '[data-ad-preview]',
+        '[data-promoted="true"]',
+        '[id^="taboola-"]',
+        '.OUTBRAIN',
+        'shreddit-ad-post',
+        '[aria-label="Advertisement"]',
+        '[aria-label="Sponsored"]'
+    ],
+    // Matched against an iframe's src, id and name
+    iframePatterns: [
+        'doubleclick\\.net',
+        'googlesyndication\\.com',
+        'googleadservices\\.com',
+        'adservice\\.google\\.',
+        'amazon-adsystem\\.com',
+        'adnxs\\.com',
+        'taboola\\.com',
+        'outbrain\\.com',
+        'criteo\\.',
+        'rubiconproject\\.com',
+        'pubmatic\\.com',
+        '^google_ads_iframe',
+        '^aswift_'
+    ],
+    // Closest ancestor of a label taken as the ad item it belongs to
+    containerSelector: 'article, [role="article"], li, [data-testid="cellInnerDiv"], [data-ad-preview], shreddit-ad-post',
+    maxSignals: 40
+};
+
+// How much one signal alone says about paid placement; several signals combine
+const AD_SIGNAL_CONFIDENCE = {
+    label: 0.85,
+    iframe: 0.75,
+    slot: 0.65,
+    'vision-ad': 0.6,
+    'vision-sponsored-item': 0.55,
+    'vision-prose': 0.3
+};
+
+class SponsoredContentDetector {
+    /**
+     * Ad items for one capture, most confident first.
+     * domSignals: { frame, signals } from the content script, frame being the captured area
+     * in document CSS pixels. imageSize: { width, height } of the analyzed image when the
+     * vision result carries tile bounds in image pixels.
+     * Each item: { advertiser, label, description, region: { name, box, boxSource },
+     * confidence, sources, signals }. Boxes are fractions of the captured image.
+     */
+    detect({ domSignals = null, visionResult = null, imageSize = null } = {}) {
+        const domItems = this.itemsFromDom(domSignals);
+        const visionItems = this.itemsFromVision(visionResult, imageSize);
+        const items = this.mergeItems(domItems, visionItems);
+
+        return items
+            .map(item => ({ ...item, confidence: Math.round(item.confidence * 100) / 100 }))
+            .sort((a, b) => b.confidence - a.confidence);
+    }
+
+    itemsFromDom(domSignals) {
+        if (!domSignals || !domSignals.frame || !Array.isArray(domSignals.signals)) return [];
+
+        const { frame } = domSignals;
+        return domSignals.signals
+            .map(signal => {
+                const box = this.normalizeBox(
+                    { x: signal.rect.x - frame.x, y: signal.rect.y - frame.y, width: signal.rect.width, height: signal.rect.height },
+                    frame.width,
+                    frame.height
+                );
+                if (!box) return null; // Outside the captured area
+
+                return {
+                    advertiser: signal.advertiser || null,
+                    label: signal.label || null,
+                    description: signal.text || null,
+                    region: { name: this.regionName(box), box, boxSource: 'element' },
+                    confidence: this.combineConfidence(signal.kinds.map(kind => AD_SIGNAL_CONFIDENCE[kind] || 0)),
+                    sources: ['dom'],
+                    signals: [...signal.kinds]
+                };
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Structured ads and sponsored content items; prose mentions when there is no structured output
+     */
+    itemsFromVision(visionResult, imageSize) {
+        const analysis = visionResult?.visionAnalysis;
+        if (!analysis) return [];
+
+        const structured = analysis.structured;
+        if (!structured) {
+            return this.itemsFromProse(analysis.synthesis || '');
+        }
+
+        const tileRegion = item => {
+            const box = item.bounds && imageSize?.height
+                ? this.normalizeBox(
+                    { x: item.bounds.x || 0, y: item.bounds.y, width: item.bounds.width || imageSize.width || 1, height: item.bounds.height },
+                    imageSize.width || item.bounds.width || 1, // Full-page rows only know their height
+                    imageSize.height
+                )
+                : null;
+            return { name: item.region || (box ? this.regionName(box) : null), box, boxSource: box ? 'tile' : null };
+        };
+
+        const ads = structured.ads.map(ad => ({
+            advertiser: ad.advertiser || null,
+            label: ad.label || null,
+            description: ad.description || null,
+            region: tileRegion(ad),
+            confidence: AD_SIGNAL_CONFIDENCE['vision-ad'],
+            sources: ['vision'],
+            signals: ['vision-ad']
+        }));
+
+        // A sponsored post already listed as an ad by the same advertiser is one item
+        const sponsoredItems = structured.contentItems
+            .filter(item => item.sponsored)
+            .filter(item => !ads.some(ad => this.sameAdvertiser(ad.advertiser, item.source)))
+            .map(item => ({
+                advertiser: item.source || null,
+                label: null,
+                description: item.title || null,
+                region: tileRegion(item),
+                confidence: AD_SIGNAL_CONFIDENCE['vision-sponsored-item'],
+                sources: ['vision'],
+                signals: ['vision-sponsored-item']
+            }));
+
+        return [...ads, ...sponsoredItems];
+    }
+
+    /**
+     * Sentences of a prose analysis that report paid placement; negated mentions are skipped
+     */
+    itemsFromProse(text) {
+        return String(text)
+            .split(/(?<=[.!?])\s+|\n+/)
+            .map(sentence => sentence.trim())
+            .filter(sentence => /\b(sponsored|promoted|advertisements?|advertising|ads?)\b/i.test(sentence))
+            .filter(sentence => !/\b(no|not|without|none|free of)\b|ad-free/i.test(sentence))
+            .slice(0, 5)
+            .map(sentence => ({
+                advertiser: null,
+                label: null,
+                description: sentence.slice(0, 200),
+                region: { name: null, box: null, boxSource: null },
+                confidence: AD_SIGNAL_CONFIDENCE['vision-prose'],
+                sources: ['vision'],
+                signals: ['vision-prose']
+            }));
+    }
+
+    /**
+     * Pair each vision item with at most one DOM item: matching advertiser or overlapping
+     * boxes count most, the same named region less. Different advertisers never pair.
+     */
+    mergeItems(domItems, visionItems) {
+        const pairs = [];
+        visionItems.forEach((visionItem, visionIndex) => {
+            domItems.forEach((domItem, domIndex) => {
+                const score = this.matchScore(domItem, visionItem);
+                if (score > 0) pairs.push({ score, visionIndex, domIndex });
+            });
+        });
+        pairs.sort((a, b) => b.score - a.score);
+
+        const merged = domItems.map(item => ({ ...item }));
+        const usedDom = new Set();
+        const usedVision = new Set();
+
+        pairs.forEach(({ visionIndex, domIndex }) => {
+            if (usedDom.has(domIndex) || usedVision.has(visionIndex)) return;
+            usedDom.add(domIndex);
+            usedVision.add(visionIndex);
+
+            const domItem = merged[domIndex];
+            const visionItem = visionItems[visionIndex];
+            merged[domIndex] = {
+                advertiser: domItem.advertiser || visionItem.advertiser,
+                label: domItem.label || visionItem.label,
+                description: visionItem.description || domItem.description,
+                region: domItem.region, // Element bounds are more precise than the model's
+                confidence: this.combineConfidence([domItem.confidence, visionItem.confidence]),
+                sources: ['dom', 'vision'],
+                signals: [...domItem.signals, ...visionItem.signals]
+            };
+        });
+
+        return [...merged, ...visionItems.filter((item, index) => !usedVision.has(index))];
+    }
+
+    matchScore(domItem, visionItem) {
+        if (domItem.advertiser && visionItem.advertiser && !this.sameAdvertiser(domItem.advertiser, visionItem.advertiser)) {
+            return 0;
+        }
+
+        let score = 0;
+        if (this.sameAdvertiser(domItem.advertiser, visionItem.advertiser)) score += 2;
+        if (domItem.region.box && visionItem.region.box && this.overlap(domItem.region.box, visionItem.region.box) > 0.1) score += 2;
+        if (visionItem.region.name && domItem.region.name === visionItem.region.name) score += 1;
+        return score;
+    }
+
+    sameAdvertiser(a, b) {
+        const normalize = value => String(value || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+        const left = normalize(a);
+        const right = normalize(b);
+        return !!left && !!right && (left.includes(right) || right.includes(left));
+    }
+
+    /**
+     * Share of the smaller box covered by the other
+     */
+    overlap(a, b) {
+        const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+        const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+        if (width <= 0 || height <= 0) return 0;
+        return (width * height) / Math.min(a.width * a.height, b.width * b.height);
+    }
+
+    /**
+     * Box in pixels to fractions of the area, clipped to it; null when it lies outside
+     */
+    normalizeBox(box, areaWidth, areaHeight) {
+        if (!areaWidth || !areaHeight) return null;
+
+        const left = Math.max(0, box.x / areaWidth);
+        const top = Math.max(0, box.y / areaHeight);
+        const right = Math.min(1, (box.x + box.width) / areaWidth);
+        const bottom = Math.min(1, (box.y + box.height) / areaHeight);
+        if (right <= left || bottom <= top) return null;
+
+        const round = value => Math.round(value * 1000) / 1000;
+        return { x: round(left), y: round(top), width: round(right - left), height: round(bottom - top) };
+    }
+
+    /**
+     * Layout region (as in the vision schema) for a box in fractions of the capture
+     */
+    regionName(box) {
+        const centerX = box.x + box.width / 2;
+        const centerY = box.y + box.height / 2;
+
+        if (box.width > 0.8 && centerY < 0.15) return 'banner';
+        if (centerY < 0.1) return 'header';
+        if (centerY > 0.92) return 'footer';
+        if (centerX > 0.7 && box.width < 0.4) return 'sidebar';
+        if (centerX < 0.2 && box.width < 0.3) return 'navigation';
+        return 'main';
+    }
+
+    /**
+     * Independent signals: the chance that at least one of them is right
+     */
+    combineConfidence(values) {
+        return 1 - values.reduce((remaining, value) => remaining * (1 - value), 1);
+    }
+}
+
+SponsoredContentDetector.DOM_RULES = AD_DOM_RULES;
+SponsoredContentDetector.SIGNAL_CONFIDENCE = AD_SIGNAL_CONFIDENCE;
+
+// Export for use in Chrome extension background script
+if (typeof globalThis !== 'undefined') {
+    globalThis.SponsoredContentDetector = SponsoredContentDetector;
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SponsoredContentDetector;
+}
@@ -0,0 +1,483 @@
+/**
+ * Structured Data Entities
+ * Normalizes what a page says about itself - JSON-LD, microdata, RDFa-lite and
+ * OpenGraph/Twitter card tags - into one entity model kept on the memory, so memories can
+ * be queried by what they showed: products and their prices, articles, videos, people, offers
+ */
+
+// Entity types and the schema.org types read as each
+const ENTITY_TYPES = {
+    Product: ['Product', 'ProductGroup', 'ProductModel', 'IndividualProduct'],
+    Offer: ['Offer', 'AggregateOffer'],
+    Article: ['Article', 'NewsArticle', 'BlogPosting', 'SocialMediaPosting', 'LiveBlogPosting', 'OpinionNewsArticle', 'AnalysisNewsArticle', 'ReportageNewsArticle', 'ScholarlyArticle', 'TechArticle', 'Report'],
+    VideoObject: ['VideoObject', 'Clip', 'Movie'],
+    Person: ['Person']
+};
+
+// Meta tag prefixes kept as the page's social card
+const SOCIAL_META_PREFIXES = ['og:', 'twitter:', 'article:', 'product:', 'video:', 'profile:'];
+
+// Elements whose microdata/RDFa value is an attribute rather than their text
+const VALUE_ATTRIBUTES = {
+    a: 'href', area: 'href', link: 'href',
+    img: 'src', audio: 'src', video: 'src', source: 'src', iframe: 'src', embed: 'src', track: 'src',
+    object: 'data', time: 'datetime', data: 'value', meter: 'value'
+};
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+class StructuredDataEntities {
+    constructor(config = {}) {
+        const {
+            maxEntities = 50,
+            maxTextLength = 300
+        } = config;
+
+        this.maxEntities = maxEntities;
+        this.maxTextLength = maxTextLength;
+    }
+
+    /**
+     * Entities from every source, duplicates across sources merged.
+     * jsonLd: script texts or parsed objects. microdata, rdfa: items as
+     * { types, properties: { name: [value or item] } }. meta: name/property -> content.
+     * Each entity: { type, name, description, url, image, ...type fields, sources }, fields
+     * without a value left out. Products carry the lowest offer's price and currency.
+     */
+    extract({ jsonLd = [], microdata = [], rdfa = [], meta = {} } = {}, pageUrl = null) {
+        const candidates = [
+            ...this.itemsFromJsonLd(jsonLd).flatMap(item => this.entitiesFrom(item, 'json-ld', pageUrl)),
+            ...(microdata || []).flatMap(item => this.entitiesFrom(item, 'microdata', pageUrl)),
+            ...(rdfa || []).flatMap(item => this.entitiesFrom(item, 'rdfa', pageUrl)),
+            ...this.entitiesFromMeta(meta || {}, pageUrl)
+        ];
+
+        const entities = [];
+        candidates.forEach(candidate => {
+            const existing = entities.find(entity => this.sameEntity(entity, candidate));
+            if (existing) {
+                this.mergeInto(existing, candidate);
+            } else if (entities.length < this.maxEntities) {
+                entities.push(candidate);
+            }
+        });
+
+        return entities;
+    }
+
+    /**
+     * The social card tags of a page's meta tags
+     */
+    socialMeta(meta = {}) {
+        return Object.fromEntries(Object.entries(meta)
+            .filter(([name]) => SOCIAL_META_PREFIXES.some(prefix => name.startsWith(prefix))));
+    }
+
+    /**
+     * Microdata and RDFa-lite items from HTML, for pages read without a DOM. A tokenizer
+     * rather than a parser: unclosed elements end with their parent, as browsers end them.
+     */
+    parseHtml(html = '') {
+        const kinds = [
+            { name: 'microdata', isScope: attrs => 'itemscope' in attrs, typeAttribute: 'itemtype', propertyAttribute: 'itemprop' },
+            { name: 'rdfa', isScope: attrs => 'typeof' in attrs, typeAttribute: 'typeof', propertyAttribute: 'property' }
+        ];
+        const roots = { microdata: [], rdfa: [] };
+        const stack = []; // { tag, scope: { microdata, rdfa }, pending: [{ item, names }], text }
+        const split = value => String(value || '').split(/\s+/).filter(Boolean);
+
+        const resolve = frame => frame.pending.forEach(({ item, names }) => {
+            const text = this.cleanText(this.decodeEntities(frame.text));
+            if (text) names.forEach(name => this.addProperty(item, name, text));
+        });
+
+        const tokens = /<!--[\s\S]*?-->|<(script|style)\b[^>]*>[\s\S]*?<\/\1\s*>|<(\/?)([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>|([^<]+)/gi;
+        let token;
+        while ((token = tokens.exec(html)) !== null) {
+            const [, , closing, rawTag, rawAttributes, text] = token;
+
+            if (text !== undefined) {
+                stack.forEach(frame => {
+                    if (frame.pending.length > 0) frame.text += text;
+                });
+                continue;
+            }
+            if (!rawTag) continue; // Comment, script or style
+
+            const tag = rawTag.toLowerCase();
+            if (closing) {
+                const index = stack.map(frame => frame.tag).lastIndexOf(tag);
+                if (index >= 0) stack.splice(index).reverse().forEach(resolve);
+                continue;
+            }
+
+            const attrs = this.parseAttributes(rawAttributes);
+            const parentScope = stack.length > 0 ? stack[stack.length - 1].scope : { microdata: null, rdfa: null };
+            const frame = { tag, scope: { ...parentScope }, pending: [], text: '' };
+
+            kinds.forEach(kind => {
+                const parent = parentScope[kind.name];
+                const names = split(attrs[kind.propertyAttribute]);
+
+                if (kind.isScope(attrs)) {
+                    const item = { types: split(attrs[kind.typeAttribute]), properties: {} };
+                    if (names.length > 0 && parent) {
+                        names.forEach(name => this.addProperty(parent, name, item));
+                    } else if (names.length === 0 && roots[kind.name].length < this.maxEntities) {
+                        roots[kind.name].push(item);
+                    }
+                    frame.scope[kind.name] = item;
+                } else if (names.length > 0 && parent) {
+                    const attribute = 'content' in attrs ? 'content' : VALUE_ATTRIBUTES[tag];
+                    if (attribute) {
+                        const value = this.cleanText(this.decodeEntities(attrs[attribute] || ''));
+                        if (value) names.forEach(name => this.addProperty(parent, name, value));
+                    } else {
+                        frame.pending.push({ item: parent, names });
+                    }
+                }
+            });
+
+            if (VOID_ELEMENTS.has(tag) || /\/\s*$/.test(rawAttributes)) {
+                resolve(frame);
+            } else {
+                stack.push(frame);
+            }
+        }
+        stack.reverse().forEach(resolve);
+
+        return roots;
+    }
+
+    parseAttributes(source) {
+        const attrs = {};
+        const pattern = /([^\s=\/"'>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+        let match;
+        while ((match = pattern.exec(source)) !== null) {
+            attrs[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4] ?? '';
+        }
+        return attrs;
+    }
+
+    /**
+     * JSON-LD blocks as items; @graph and top-level lists are flattened
+     */
+    itemsFromJsonLd(blocks) {
+        const toItem = (node, depth = 0) => {
+            if (node === null || node === undefined) return null;
+            if (typeof node !== 'object') return String(node);
+            if (depth > 6) return null;
+
+            const item = { types: [].concat(node['@type'] || []).map(String), properties: {} };
+            Object.entries(node).forEach(([key, value]) => {
+                if (key.startsWith('@')) return;
+                [].concat(value).forEach(entry => {
+                    const converted = toItem(entry, depth + 1);
+                    if (converted !== null && converted !== '') this.addProperty(item, key, converted);
+                });
+            });
+            if (node['@id'] && !item.properties.url) {
+                item.properties['@id'] = [String(node['@id'])];
+            }
+            return item;
+        };
+
+        return (blocks || []).flatMap(block => {
+            let data = block;
+            if (typeof block === 'string') {
+                try {
+                    data = JSON.parse(block);
+                } catch {
+                    return [];
+                }
+            }
+            return [].concat(data || [])
+                .flatMap(node => (node && node['@graph'] ? [].concat(node['@graph']) : [node]))
+                .map(node => toItem(node))
+                .filter(item => item && typeof item === 'object');
+        });
+    }
+
+    /**
+     * Entities in an item tree. Other types (a web page, a list) are searched for entities;
+     * an entity's own nested items (its offers, its author) become its fields instead.
+     */
+    entitiesFrom(item, source, pageUrl, depth = 0) {
+        if (!item || typeof item !== 'object' || depth > 6) return [];
+
+        const type = this.entityType(item.types);
+        if (type) {
+            const entity = this.toEntity(type, item, source, pageUrl);
+            return entity ? [entity] : [];
+        }
+
+        return Object.values(item.properties)
+            .flat()
+            .flatMap(value => this.entitiesFrom(value, source, pageUrl, depth + 1));
+    }
+
+    entityType(types = []) {
+        const names = types.map(type => this.localName(type));
+        return Object.keys(ENTITY_TYPES).find(type => ENTITY_TYPES[type].some(alias => names.includes(alias))) || null;
+    }
+
+    toEntity(type, item, source, pageUrl) {
+        const text = name => this.textOf(this.property(item, name));
+        const link = (...names) => this.resolveUrl(names.map(name => this.urlOf(this.property(item, name))).find(Boolean), pageUrl);
+
+        const entity = {
+            type,
+            name: text('name') || text('headline') || text('title'),
+            description: text('description'),
+            url: link('url', '@id'),
+            image: link('image', 'thumbnailUrl')
+        };
+
+        if (type === 'Product') {
+            const offers = this.properties(item, 'offers')
+                .map(offer => this.toOffer(offer))
+                .filter(offer => offer.price !== undefined);
+            const cheapest = offers.reduce((lowest, offer) => (!lowest || offer.price < lowest.price ? offer : lowest), null);
+            Object.assign(entity, {
+                brand: text('brand') || text('manufacturer'),
+                sku: text('sku') || text('gtin13') || text('mpn'),
+                price: cheapest ? cheapest.price : null,
+                currency: cheapest ? cheapest.currency : null,
+                availability: cheapest ? cheapest.availability : null,
+                rating: this.parseNumber(this.textOf(this.property(this.property(item, 'aggregateRating'), 'ratingValue'))),
+                offers: offers.length > 0 ? offers.slice(0, 10) : null
+            });
+        } else if (type === 'Offer') {
+            const offer = this.toOffer(item);
+            if (offer.price === undefined && !entity.name) return null;
+            Object.assign(entity, offer, {
+                name: entity.name || this.textOf(this.property(this.property(item, 'itemOffered'), 'name'))
+            });
+        } else if (type === 'Article') {
+            Object.assign(entity, {
+                author: text('author') || text('creator'),
+                publisher: text('publisher'),
+                datePublished: text('datePublished') || text('dateCreated')
+            });
+        } else if (type === 'VideoObject') {
+            Object.assign(entity, {
+                author: text('author') || text('creator'),
+                publisher: text('publisher'),
+                datePublished: text('uploadDate') || text('datePublished'),
+                duration: text('duration')
+            });
+        } else if (type === 'Person') {
+            Object.assign(entity, {
+                jobTitle: text('jobTitle'),
+                worksFor: text('worksFor') || text('affiliation')
+            });
+        }
+
+        return this.compact({ ...entity, sources: [source] });
+    }
+
+    toOffer(item) {
+        const offer = typeof item === 'object' ? item : { types: [], properties: { price: [item] } };
+        const specification = this.property(offer, 'priceSpecification');
+        const price = this.parseNumber(this.textOf(this.property(offer, 'price')))
+            ?? this.parseNumber(this.textOf(this.property(offer, 'lowPrice')))
+            ?? this.parseNumber(this.textOf(this.property(specification, 'price')));
+
+        return this.compact({
+            price,
+            currency: this.textOf(this.property(offer, 'priceCurrency')) || this.textOf(this.property(specification, 'priceCurrency')),
+            availability: this.localName(this.textOf(this.property(offer, 'availability'))) || null,
+            seller: this.textOf(this.property(offer, 'seller'))
+        });
+    }
+
+    /**
+     * OpenGraph and Twitter card tags describe the page itself as one entity
+     */
+    entitiesFromMeta(meta, pageUrl) {
+        const value = (...names) => names.map(name => meta[name]).find(Boolean) || null;
+        const ogType = (meta['og:type'] || '').toLowerCase();
+        const twitterCard = (meta['twitter:card'] || '').toLowerCase();
+
+        // Shop platforms put the price in a Twitter label/data pair
+        const labelledPrice = [1, 2, 3, 4]
+            .filter(index => /price/i.test(meta[`twitter:label${index}`] || ''))
+            .map(index => meta[`twitter:data${index}`])[0] || null;
+        const price = value('product:price:amount', 'og:price:amount', 'product:sale_price:amount') || labelledPrice;
+
+        let type = null;
+        if (ogType === 'product' || ogType.startsWith('product.') || ogType === 'og:product' || price) type = 'Product';
+        else if (ogType === 'article') type = 'Article';
+        else if (ogType.startsWith('video') || twitterCard === 'player') type = 'VideoObject';
+        else if (ogType === 'profile') type = 'Person';
+        if (!type) return [];
+
+        const fullName = [meta['profile:first_name'], meta['profile:last_name']].filter(Boolean).join(' ');
+        const entity = {
+            type,
+            name: this.cleanText(type === 'Person' && fullName ? fullName : value('og:title', 'twitter:title')),
+            description: this.cleanText(value('og:description', 'twitter:description')),
+            url: this.resolveUrl(value('og:url'), pageUrl),
+            image: this.resolveUrl(value('og:image', 'og:image:url', 'og:image:secure_url', 'twitter:image', 'twitter:image:src'), pageUrl)
+        };
+
+        if (type === 'Product') {
+            Object.assign(entity, {
+                brand: value('product:brand', 'og:brand'),
+                price: this.parseNumber(price),
+                currency: value('product:price:currency', 'og:price:currency', 'product:sale_price:currency'),
+                availability: value('product:availability', 'og:availability')
+            });
+        } else if (type === 'Article') {
+            Object.assign(entity, {
+                author: value('article:author', 'twitter:creator'),
+                publisher: value('og:site_name'),
+                datePublished: value('article:published_time')
+            });
+        } else if (type === 'VideoObject') {
+            Object.assign(entity, {
+                author: value('twitter:creator'),
+                publisher: value('og:site_name'),
+                datePublished: value('video:release_date'),
+                duration: meta['video:duration'] ? `PT${meta['video:duration']}S` : null // Seconds, as an ISO 8601 duration
+            });
+        }
+
+        return [this.compact({ ...entity, sources: [ogType ? 'opengraph' : 'twitter'] })];
+    }
+
+    /**
+     * Same type and the same URL or name
+     */
+    sameEntity(a, b) {
+        if (a.type !== b.type) return false;
+        if (a.url && b.url && a.url === b.url) return true;
+        const name = entity => (entity.name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+        return !!name(a) && name(a) === name(b);
+    }
+
+    /**
+     * Fill the fields an entity lacks from a duplicate found in another source
+     */
+    mergeInto(entity, duplicate) {
+        Object.entries(duplicate).forEach(([field, value]) => {
+            if (field === 'sources') {
+                entity.sources = [...new Set([...entity.sources, ...value])];
+            } else if (entity[field] === undefined) {
+                entity[field] = value;
+            }
+        });
+    }
+
+    addProperty(item, name, value) {
+        const key = this.localName(name);
+        (item.properties[key] = item.properties[key] || []).push(value);
+    }
+
+    property(item, name) {
+        return this.properties(item, name)[0] ?? null;
+    }
+
+    properties(item, name) {
+        return item && typeof item === 'object' ? item.properties[name] || [] : [];
+    }
+
+    /**
+     * Text of a value; for a nested item, its name
+     */
+    textOf(value) {
+        if (value === null || value === undefined) return null;
+        if (typeof value === 'object') {
+            return this.textOf(this.property(value, 'name')) || this.textOf(this.property(value, 'url'));
+        }
+        return this.cleanText(value);
+    }
+
+    urlOf(value) {
+        if (value && typeof value === 'object') {
+            return this.urlOf(this.property(value, 'url') || this.property(value, 'contentUrl') || this.property(value, '@id'));
+        }
+        return value ? String(value).trim() : null;
+    }
+
+    resolveUrl(value, pageUrl) {
+        if (!value) return null;
+        try {
+            const url = new URL(value, pageUrl || undefined);
+            return /^https?:$/.test(url.protocol) ? url.href : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * "https://schema.org/Product", "schema:Product" and "Product" are all Product
+     */
+    localName(value) {
+        return String(value || '').replace(/\/+$/, '').split(/[\/#:]/).pop();
+    }
+
+    /**
+     * A price or rating as written on the page: "$1,299.99", "1.299,99 €" and 59 all parse
+     */
+    parseNumber(value) {
+        if (value === null || value === undefined) return null;
+        if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+        const digits = String(value).match(/\d[\d.,\s]*/);
+        if (!digits) return null;
+
+        let number = digits[0].replace(/\s/g, '').replace(/[.,]$/, '');
+        const lastDot = number.lastIndexOf('.');
+        const lastComma = number.lastIndexOf(',');
+        if (lastDot >= 0 && lastComma >= 0) {
+            // The later separator is the decimal one
+            number = lastComma > lastDot
+                ? number.replace(/\./g, '').replace(',', '.')
+                : number.replace(/,/g, '');
+        } else if (lastComma >= 0) {
+            number = /,\d{1,2}$/.test(number) && number.indexOf(',') === lastComma
+                ? number.replace(',', '.')
+                : number.replace(/,/g, '');
+        } else if (lastDot >= 0 && /\.\d{3}$/.test(number) && number.indexOf('.') !== lastDot) {
+            number = number.replace(/\./g, ''); // 1.299.000
+        }
+
+        const parsed = parseFloat(number);
+        return Number.isFinite(parsed) ? parsed : null;
+    }
+
+    cleanText(value) {
+        if (value === null || value === undefined) return null;
+        const text = String(value).replace(/\s+/g, ' ').trim().slice(0, this.maxTextLength);
+        return text || null;
+    }
+
+    decodeEntities(text) {
+        return String(text)
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&quot;/g, '"')
+            .replace(/&#0*39;|&apos;/g, '\'')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&#(\d+);/g, (match, code) => (Number(code) <= 0x10FFFF ? String.fromCodePoint(Number(code)) : match))
+            .replace(/&amp;/g, '&');
+    }
+
+    compact(entity) {
+        return Object.fromEntries(Object.entries(entity).filter(([, value]) => value !== null && value !== undefined && value !== ''));
+    }
+}
+
+StructuredDataEntities.TYPES = Object.keys(ENTITY_TYPES);
+StructuredDataEntities.TYPE_ALIASES = ENTITY_TYPES;
+
+// Export for use in Chrome extension background script
+if (typeof globalThis !== 'undefined') {
+    globalThis.StructuredDataEntities = StructuredDataEntities;
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StructuredDataEntities;
+}
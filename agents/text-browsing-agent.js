@@ -11,19 +11,62 @@ class TextBrowsingAgent {
 
         const {
             ollamaEndpoint = 'http://localhost:8081',
-            embeddingModel = 'nomic-embed-text'
+            provider = null,
+            embeddingModel = 'nomic-embed-text',
+            scheduler = null,
+            promptTemplates = null,
+            siteAdapters = null
         } = config;
 
-        this.ollamaEndpoint = ollamaEndpoint;
+        this.provider = provider || ModelProvider.create({ endpoint: ollamaEndpoint }); // Ollama unless the caller shares one
         this.textModel = 'llama3.1:8b'; // For text analysis
+        this.generation = { temperature: 0.3, maxTokens: 500, timeoutMs: 120000 };
         this.embeddingModel = embeddingModel;
+        this.embeddingProvider = null; // Falls back to the text provider
+        this.embeddingTimeoutMs = 60000;
         this.agentId = `text-agent-${Date.now()}`;
         this.conversationHistory = [];
+        this.scheduler = scheduler; // Shared ModelRequestScheduler, if provided
+        this.promptTemplates = promptTemplates || new PromptTemplates(); // Shared registry, if provided
+        this.siteAdapters = siteAdapters || new SiteAdapters(); // Shared registry, if provided
+        this.entityExtractor = new StructuredDataEntities();
+    }
+
+    /**
+     * Route model requests through the shared scheduler when one is attached
+     */
+    modelFetch(url, init = {}, { signal = null, ...options } = {}) {
+        const requestInit = signal ? { ...init, signal } : init;
+        return this.scheduler
+            ? this.scheduler.fetch(url, requestInit, options)
+            : fetch(url, requestInit).then(response => (options.consume ? options.consume(response) : response));
+    }
+
+    /**
+     * Provider call options; requests still go through modelFetch so the scheduler orders them
+     */
+    providerOptions(label, requestOptions = {}, timeoutMs = 0) {
+        return {
+            label,
+            transport: (url, init, consume) => this.modelFetch(url, init, { ...requestOptions, label, timeoutMs, consume })
+        };
+    }
+
+    setProvider(provider) {
+        if (provider && provider !== this.provider) {
+            this.provider = provider;
+        }
+    }
+
+    setPromptTemplates(promptTemplates) {
+        if (promptTemplates) {
+            this.promptTemplates = promptTemplates;
+        }
     }
 
     updateEmbeddingConfig({ ollamaEndpoint, embeddingModel } = {}) {
-        if (ollamaEndpoint) {
-            this.ollamaEndpoint = ollamaEndpoint;
+        if (ollamaEndpoint && ollamaEndpoint !== this.provider.endpoint) {
+            this.provider = ModelProvider.create({ type: this.provider.type, endpoint: ollamaEndpoint, apiKey: this.provider.apiKey });
         }
         if (embeddingModel) {
             this.embeddingModel = embeddingModel;
@@ -31,20 +74,42 @@ class TextBrowsingAgent {
     }
 
     /**
-     * Main entry point for text analysis
+     * Apply the text summary and embedding model roles ({ provider, model, temperature, maxTokens, timeoutMs })
      */
-    async analyzePageContent(url, htmlContent, screenshot = null) {
+    applyModelRoles({ text, embedding } = {}) {
+        if (text) {
+            this.setProvider(text.provider);
+            this.textModel = text.model || this.textModel;
+            this.generation = {
+                temperature: text.temperature,
+                maxTokens: text.maxTokens,
+                timeoutMs: text.timeoutMs
+            };
+        }
+        if (embedding) {
+            this.embeddingProvider = embedding.provider || null;
+            this.embeddingModel = embedding.model || this.embeddingModel;
+            this.embeddingTimeoutMs = embedding.timeoutMs;
+        }
+    }
+
+    /**
+     * Main entry point for text analysis. pageContent is a DOM snapshot from the content
+     * script or, for offline pages, an HTML string.
+     */
+    async analyzePageContent(url, pageContent, screenshot = null, options = {}) {
+        const requestOptions = { priority: options.priority || 'normal', signal: options.signal || null };
         const analysisId = `analysis-${Date.now()}`;
         console.log(`🔍 Text Agent ${this.agentId} analyzing: ${url}`);
         
         try {
             // Extract structured content
-            const extractedContent = this.extractStructuredContent(htmlContent, url);
+            const extractedContent = this.extractStructuredContent(pageContent, url);
             
             // Generate text summary with error handling
             let textSummary = '';
             try {
-                textSummary = await this.generateTextSummary(extractedContent, url);
+                textSummary = await this.generateTextSummary(extractedContent, url, requestOptions);
             } catch (error) {
                 console.error('Text summary generation failed, using fallback:', error);
                 textSummary = this.generateFallbackSummary(extractedContent);
@@ -53,7 +118,7 @@ class TextBrowsingAgent {
             // Generate embeddings with error handling
             let embeddings = { text: null, model: null, dimension: 0 };
             try {
-                embeddings = await this.generateEmbeddings(textSummary, extractedContent);
+                embeddings = await this.generateEmbeddings(textSummary, extractedContent, requestOptions);
             } catch (error) {
                 console.error('Embedding generation failed:', error);
             }
@@ -69,7 +134,8 @@ class TextBrowsingAgent {
                 
                 // Raw data
                 rawContent: {
-                    html: htmlContent,
+                    html: typeof pageContent === 'string' ? pageContent : null,
+                    snapshot: TextBrowsingAgent.isPageSnapshot(pageContent) ? pageContent : null,
                     extracted: extractedContent
                 },
                 
@@ -83,8 +149,9 @@ class TextBrowsingAgent {
                 
                 // Agent reasoning
                 reasoning: {
-                    extractionMethod: 'dom-parsing',
+                    extractionMethod: extractedContent.source === 'dom-snapshot' ? 'dom-snapshot' : 'dom-parsing',
                     summarizationModel: this.textModel,
+                    promptTemplates: [{ id: 'text-summary', version: this.promptTemplates.get('text-summary').version }],
                     confidence: this.calculateConfidence(extractedContent, textSummary),
                     processingTime: Date.now() - analysisId.split('-')[1]
                 }
@@ -102,26 +169,33 @@ class TextBrowsingAgent {
     }
 
     /**
-     * Extract structured content from HTML
+     * A DOM snapshot built by the content script (see buildPageSnapshot there)
+     */
+    static isPageSnapshot(content) {
+        return !!content && typeof content === 'object' && content.type === 'page-snapshot' && Array.isArray(content.blocks);
+    }
+
+    /**
+     * Extract structured content from a DOM snapshot or HTML
      */
-    extractStructuredContent(htmlContent, url) {
+    extractStructuredContent(content, url) {
         try {
-            // Use regex-based parsing in service worker context (DOMParser not available)
-            const doc = this.createSimpleDOMParser(htmlContent);
-            
-            // Extract various content types with error handling
-            const extracted = {
-                title: this.safeExtract(() => this.extractTitle(doc), 'No title found'),
-                headings: this.safeExtract(() => this.extractHeadings(doc), []),
-                paragraphs: this.safeExtract(() => this.extractParagraphs(doc), []),
-                links: this.safeExtract(() => this.extractLinks(doc, url), []),
-                lists: this.safeExtract(() => this.extractLists(doc), []),
-                images: this.safeExtract(() => this.extractImageInfo(doc), []),
-                forms: this.safeExtract(() => this.extractFormInfo(doc), []),
-                navigation: this.safeExtract(() => this.extractNavigation(doc), []),
-                metadata: this.safeExtract(() => this.extractPageMetadata(doc), {}),
-                structuredData: this.safeExtract(() => this.extractStructuredData(doc), {})
-            };
+            // The live DOM sees what scripts rendered; raw HTML is only parsed for offline pages
+            const extracted = TextBrowsingAgent.isPageSnapshot(content)
+                ? this.extractFromSnapshot(content, url)
+                : this.extractFromHTML(content, url);
+
+            // A site adapter knows what kind of page this is; its flags apply to every item
+            const site = this.siteAdapters.match(url);
+            extracted.site = site
+                ? { adapter: site.adapter.id, version: site.adapter.version, ...site.page }
+                : null;
+            if (site && site.page.itemFlags.length > 0) {
+                extracted.feedItems = extracted.feedItems.map(item => ({
+                    ...item,
+                    flags: FeedItemExtractor.FLAGS.filter(flag => item.flags.includes(flag) || site.page.itemFlags.includes(flag))
+                }));
+            }
             
             // Calculate content metrics
             extracted.metrics = {
@@ -146,6 +220,9 @@ class TextBrowsingAgent {
                 navigation: [],
                 metadata: {},
                 structuredData: {},
+                feedItems: [],
+                site: null,
+                source: null,
                 metrics: {
                     wordCount: 0,
                     readingTime: 0,
@@ -156,6 +233,123 @@ class TextBrowsingAgent {
         }
     }
 
+    extractFromHTML(htmlContent, url) {
+        // Use regex-based parsing in service worker context (DOMParser not available)
+        const doc = this.createSimpleDOMParser(htmlContent);
+        const metadata = this.safeExtract(() => this.extractPageMetadata(doc), {});
+        
+        // Extract various content types with error handling
+        return {
+            title: this.safeExtract(() => this.extractTitle(doc), 'No title found'),
+            headings: this.safeExtract(() => this.extractHeadings(doc), []),
+            paragraphs: this.safeExtract(() => this.extractParagraphs(doc), []),
+            links: this.safeExtract(() => this.extractLinks(doc, url), []),
+            lists: this.safeExtract(() => this.extractLists(doc), []),
+            images: this.safeExtract(() => this.extractImageInfo(doc), []),
+            forms: this.safeExtract(() => this.extractFormInfo(doc), []),
+            navigation: this.safeExtract(() => this.extractNavigation(doc), []),
+            metadata,
+            structuredData: this.safeExtract(() => this.extractStructuredData(doc, metadata, url), {}),
+            feedItems: [], // Only a live page can be segmented
+            source: 'html'
+        };
+    }
+
+    /**
+     * Same shape as extractFromHTML. Only visible blocks count as page text; the blocks
+     * themselves are kept with their boxes and viewport flags for layout-aware callers.
+     */
+    extractFromSnapshot(snapshot, url) {
+        const baseUrl = snapshot.url || url;
+        const visible = items => (items || []).filter(item => item.visible !== false);
+
+        const headings = visible(snapshot.headings).map(heading => ({
+            level: heading.level,
+            text: heading.text,
+            id: heading.id || null,
+            inViewport: !!heading.inViewport
+        }));
+
+        const paragraphs = visible(snapshot.blocks)
+            .filter(block => !/^h[1-6]$/.test(block.tag) && block.text.length > 20)
+            .map(block => ({
+                text: block.text,
+                wordCount: block.text.split(/\s+/).length,
+                inViewport: !!block.inViewport
+            }));
+
+        const links = visible(snapshot.links)
+            .filter(link => link.text && link.href)
+            .slice(0, 50)
+            .map(link => ({
+                text: link.text,
+                href: this.resolveUrl(link.href, baseUrl),
+                isExternal: this.isExternalLink(link.href, baseUrl)
+            }));
+
+        const images = (snapshot.images || [])
+            .filter(image => image.alt || image.src)
+            .slice(0, 20)
+            .map(image => ({
+                alt: image.alt || '',
+                src: image.src || '',
+                hasAltText: !!image.alt,
+                visible: image.visible !== false,
+                inViewport: !!image.inViewport
+            }));
+
+        const forms = (snapshot.forms || []).map(form => ({
+            action: form.action || '',
+            method: form.method || 'get',
+            inputs: form.inputs || [],
+            inputCount: (form.inputs || []).length
+        }));
+
+        const schema = (snapshot.jsonLd || []).map(text => {
+            try {
+                return JSON.parse(text);
+            } catch {
+                return null;
+            }
+        }).filter(Boolean);
+
+        return {
+            title: snapshot.title || headings.find(heading => heading.level === 1)?.text || 'No title found',
+            headings,
+            paragraphs,
+            links,
+            lists: visible(snapshot.lists).map(({ type, items, itemCount }) => ({ type, items, itemCount })),
+            images,
+            forms,
+            navigation: visible(snapshot.navigation).map(({ type, className, links: navLinks }) => ({ type, className, links: navLinks })),
+            metadata: {
+                ...(snapshot.meta || {}),
+                ...(snapshot.lang ? { lang: snapshot.lang } : {}),
+                structuredData: schema
+            },
+            structuredData: this.buildStructuredData({
+                schema,
+                microdata: snapshot.microdata || [],
+                rdfa: snapshot.rdfa || [],
+                meta: snapshot.meta || {}
+            }, baseUrl),
+            // Segmented with the site adapter's rules where there is one, in document order
+            feedItems: visible(snapshot.feedItems).map(({ kind, title, author, snippet, link, mediaType, flags }) => ({
+                kind,
+                title: title || null,
+                author: author || null,
+                snippet: snippet || null,
+                link: link || null,
+                mediaType: mediaType || 'text',
+                flags: flags || []
+            })),
+            blocks: snapshot.blocks,
+            viewport: snapshot.viewport || null,
+            documentSize: snapshot.documentSize || null,
+            source: 'dom-snapshot'
+        };
+    }
+
     /**
      * Safe extraction helper to handle individual extraction errors
      */
@@ -241,15 +435,7 @@ class TextBrowsingAgent {
                 }
             }
         } else if (selector === 'img') {
-            const regex = /<img[^>]*>/gis;
-            let match;
-            while ((match = regex.exec(html)) !== null) {
-                if (match && match[0] && match[0].trim()) {
-                    elements.push({
-                        getAttribute: (attr) => this.extractAttribute(match[0], attr)
-                    });
-                }
-            }
+            elements.push(...this.voidElementsFromHTML(html, 'img'));
         } else if (selector === 'form') {
             const regex = /<form[^>]*>(.*?)<\/form>/gis;
             let match;
@@ -321,15 +507,7 @@ class TextBrowsingAgent {
                 }
             }
         } else if (selector === 'meta') {
-            const regex = /<meta[^>]*>/gis;
-            let match;
-            while ((match = regex.exec(html)) !== null) {
-                if (match && match[0] && match[0].trim()) {
-                    elements.push({
-                        getAttribute: (attr) => this.extractAttribute(match[0], attr)
-                    });
-                }
-            }
+            elements.push(...this.voidElementsFromHTML(html, 'meta'));
         } else if (selector === 'script[type="application/ld+json"]') {
             const regex = /<script[^>]*type=["']application\/ld\+json["'][^>]*>(.*?)<\/script>/gis;
             let match;
@@ -345,6 +523,14 @@ class TextBrowsingAgent {
         return elements;
     }
 
+    /**
+     * Void elements such as img and meta, each answering getAttribute from its own tag
+     */
+    voidElementsFromHTML(html, tagName) {
+        return (html.match(new RegExp(`<${tagName}[^>]*>`, 'gi')) || [])
+            .map(tag => ({ getAttribute: (attr) => this.extractAttribute(tag, attr) }));
+    }
+
     extractAttribute(htmlTag, attrName) {
         if (!htmlTag || !attrName) return null;
         
@@ -570,84 +756,64 @@ class TextBrowsingAgent {
         return meta;
     }
 
-    extractStructuredData(doc) {
-        const structured = {
-            schema: [],
-            microdata: [],
-            rdfa: []
-        };
+    extractStructuredData(doc, meta = {}, url = null) {
+        const schema = [];
         
         // JSON-LD Schema.org
         const scripts = doc.querySelectorAll('script[type="application/ld+json"]');
         scripts.forEach(script => {
             try {
                 const data = JSON.parse(script.textContent);
-                structured.schema.push(data);
+                schema.push(data);
             } catch (e) {
                 // Invalid JSON-LD
             }
         });
+
+        // Microdata and RDFa-lite are read from the markup itself; there is no DOM to query
+        const { microdata, rdfa } = this.entityExtractor.parseHtml(doc.htmlContent || '');
         
-        return structured;
+        return this.buildStructuredData({ schema, microdata, rdfa, meta }, url);
+    }
+
+    /**
+     * The page's structured data by source, and the entities they describe together
+     */
+    buildStructuredData({ schema, microdata, rdfa, meta }, url) {
+        return {
+            schema,
+            microdata,
+            rdfa,
+            openGraph: this.entityExtractor.socialMeta(meta),
+            entities: this.entityExtractor.extract({ jsonLd: schema, microdata, rdfa, meta }, url)
+        };
     }
 
     /**
      * Generate text summary using local LLM
      */
-    async generateTextSummary(extractedContent, url) {
+    async generateTextSummary(extractedContent, url, requestOptions = {}) {
         const contentForSummary = this.prepareContentForSummary(extractedContent);
         
-        const prompt = `Describe the specific content and information on this webpage:
-
-URL: ${url}
-Title: ${extractedContent.title}
-
-Content Found:
-- ${extractedContent.headings.length} headings
-- ${extractedContent.paragraphs.length} paragraphs  
-- ${extractedContent.links.length} links
-- ${extractedContent.forms.length} forms
-
-Text Content:
-${contentForSummary}
-
-Describe:
-1. What specific content is being shown to users
-2. Any feeds, posts, articles, or content streams
-3. Advertisements, sponsored content, or promotions visible
-4. Personalized, recommended, or algorithmically-selected content
-5. What type of information or content this site serves users
-6. Any content that appears targeted or customized to users
-
-Focus on describing what content users are actually being served and shown.`;
+        const { prompt } = this.promptTemplates.render('text-summary', {
+            url,
+            title: extractedContent.title,
+            headingCount: extractedContent.headings.length,
+            paragraphCount: extractedContent.paragraphs.length,
+            linkCount: extractedContent.links.length,
+            formCount: extractedContent.forms.length,
+            content: contentForSummary
+        });
 
         try {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 120000); // 2 minutes
-            
-            const response = await fetch(`${this.ollamaEndpoint}/api/generate`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                signal: controller.signal,
-                body: JSON.stringify({
-                    model: this.textModel,
-                    prompt: prompt,
-                    stream: false,
-                    options: {
-                        temperature: 0.3,
-                        num_predict: 500
-                    }
-                })
-            });
-            
-            clearTimeout(timeoutId);
+            const summary = await this.provider.generate({
+                model: this.textModel,
+                prompt: prompt,
+                temperature: this.generation.temperature,
+                maxTokens: this.generation.maxTokens
+            }, this.providerOptions('text-summary', requestOptions, this.generation.timeoutMs));
 
-            if (!response.ok) {
-                throw new Error(`LLM request failed: ${response.status}`);
-            }
-
-            const data = await response.json();
-            return data.response || 'Summary generation failed';
+            return summary || 'Summary generation failed';
             
         } catch (error) {
             console.error('Text summarization failed:', error);
@@ -657,7 +823,27 @@ Focus on describing what content users are actually being served and shown.`;
 
     prepareContentForSummary(extracted) {
         let content = '';
-        
+
+        // What the feed served comes first so the length limit cannot cut it
+        if (extracted.site) {
+            content += `Site: ${extracted.site.adapter}${extracted.site.pageType ? ` (${extracted.site.pageType})` : ''}\n`;
+        }
+        if (extracted.feedItems.length > 0) {
+            content += `Feed items (${extracted.feedItems.length}):\n`;
+            extracted.feedItems.slice(0, 15).forEach((item, index) => {
+                const byline = item.author ? ` - ${item.author}` : '';
+                const flags = item.flags.length > 0 ? ` [${item.flags.join(', ')}]` : '';
+                content += `${index + 1}. ${item.kind}: ${item.title || item.snippet || 'untitled'}${byline}${flags}\n`;
+            });
+            content += '\n';
+        }
+
+        // Products, articles and videos the page describes, with their prices
+        (extracted.structuredData.entities || []).slice(0, 10).forEach(entity => {
+            const price = entity.price !== undefined ? ` - ${entity.price}${entity.currency ? ` ${entity.currency}` : ''}` : '';
+            content += `${entity.type}: ${entity.name || 'unnamed'}${price}\n`;
+        });
+
         // Add headings
         extracted.headings.forEach(h => {
             content += `${'#'.repeat(h.level)} ${h.text}\n`;
@@ -700,7 +886,7 @@ Focus on describing what content users are actually being served and shown.`;
     /**
      * Generate embeddings for text content
      */
-    async generateEmbeddings(summary, extractedContent) {
+    async generateEmbeddings(summary, extractedContent, requestOptions = {}) {
         const textForEmbedding = `
             Title: ${extractedContent.title}
             Summary: ${summary}
@@ -709,21 +895,16 @@ Focus on describing what content users are actually being served and shown.`;
         `;
 
         try {
-            const response = await fetch(`${this.ollamaEndpoint}/api/embeddings`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    model: this.embeddingModel,
-                    prompt: textForEmbedding
-                })
-            });
+            const embedding = await (this.embeddingProvider || this.provider).embed({
+                model: this.embeddingModel,
+                input: textForEmbedding
+            }, this.providerOptions('text-embeddings', requestOptions, this.embeddingTimeoutMs));
 
-            if (response.ok) {
-                const data = await response.json();
+            if (embedding) {
                 return {
-                    text: data.embedding,
+                    text: embedding,
                     model: this.embeddingModel,
-                    dimension: data.embedding.length
+                    dimension: embedding.length
                 };
             }
         } catch (error) {
@@ -760,7 +941,10 @@ Focus on describing what content users are actually being served and shown.`;
             hasNavigation: extracted.navigation.length > 0,
             hasInteractiveElements: extracted.forms.length > 0,
             imageCount: extracted.images.length,
-            linkCount: extracted.links.length
+            linkCount: extracted.links.length,
+            siteAdapter: extracted.site ? extracted.site.adapter : null,
+            feedItemCount: extracted.feedItems.length,
+            entityTypes: [...new Set((extracted.structuredData.entities || []).map(entity => entity.type))]
         };
     }
 
@@ -826,6 +1010,8 @@ Focus on describing what content users are actually being served and shown.`;
     }
 
     determinePageType(extracted) {
+        if (extracted.site?.pageType) return extracted.site.pageType;
+
         const url = extracted.url || '';
         const title = extracted.title.toLowerCase();
         
@@ -896,7 +1082,9 @@ Focus on describing what content users are actually being served and shown.`;
             type: 'analysis',
             input: {
                 url: analysis.url,
-                contentLength: analysis.rawContent.html.length
+                source: analysis.rawContent.extracted.source,
+                contentLength: analysis.rawContent.html ? analysis.rawContent.html.length : null,
+                snapshotBlocks: analysis.rawContent.snapshot ? analysis.rawContent.snapshot.blocks.length : null
             },
             output: {
                 summary: analysis.textAnalysis.summary,
@@ -940,7 +1128,8 @@ Focus on describing what content users are actually being served and shown.`;
             agentId: this.agentId,
             conversationsCount: this.conversationHistory.length,
             avgConfidence: this.conversationHistory.reduce((sum, c) => sum + (c.output.confidence || 0), 0) / this.conversationHistory.length,
-            successRate: this.conversationHistory.filter(c => !c.error).length / this.conversationHistory.length
+            successRate: this.conversationHistory.filter(c => !c.error).length / this.conversationHistory.length,
+            provider: this.provider.describe()
         };
     }
 }
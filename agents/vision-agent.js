@@ -3,6 +3,100 @@
  * Analyzes screenshots using LLaVA with advanced visual interpretation
  */
 
+const LAYOUT_REGIONS = ['header', 'navigation', 'main', 'sidebar', 'footer', 'banner', 'modal', 'other'];
+
+/**
+ * JSON schema sent as Ollama's `format` so the model answers with structured page data
+ */
+const STRUCTURED_PAGE_SCHEMA = {
+    type: 'object',
+    properties: {
+        pageType: {
+            type: 'string',
+            enum: ['feed', 'article', 'search', 'product', 'video', 'social-profile', 'documentation', 'code', 'form', 'dashboard', 'other']
+        },
+        summary: { type: 'string' },
+        contentItems: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    title: { type: 'string' },
+                    kind: { type: 'string', enum: ['post', 'article', 'video', 'image', 'product', 'chart', 'other'] },
+                    source: { type: 'string' },
+                    sponsored: { type: 'boolean' },
+                    region: { type: 'string', enum: LAYOUT_REGIONS }
+                },
+                required: ['title', 'kind', 'sponsored']
+            }
+        },
+        ads: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    advertiser: { type: 'string' },
+                    description: { type: 'string' },
+                    label: { type: 'string' },
+                    region: { type: 'string', enum: LAYOUT_REGIONS }
+                },
+                required: ['description']
+            }
+        },
+        recommendationModules: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    title: { type: 'string' },
+                    itemCount: { type: 'integer' },
+                    region: { type: 'string', enum: LAYOUT_REGIONS }
+                },
+                required: ['title']
+            }
+        },
+        layout: {
+            type: 'object',
+            properties: {
+                regions: { type: 'array', items: { type: 'string', enum: LAYOUT_REGIONS } },
+                colorScheme: { type: 'string', enum: ['light', 'dark', 'colorful', 'monochrome', 'mixed'] },
+                density: { type: 'string', enum: ['low', 'medium', 'high'] },
+                clutter: { type: 'string', enum: ['low', 'medium', 'high'] }
+            },
+            required: ['regions', 'colorScheme', 'density']
+        },
+        interactiveElements: {
+            type: 'array',
+            items: { type: 'string', enum: ['button', 'form', 'link', 'dropdown', 'search', 'video-player'] }
+        }
+    },
+    required: ['pageType', 'summary', 'contentItems', 'ads', 'recommendationModules', 'layout']
+};
+
+/**
+ * Named analysis profiles. Passes run in order, one model request each, through the
+ * shared scheduler; 'overview' is the structured (or prose fallback) page analysis.
+ */
+const ANALYSIS_PROFILES = {
+    quick: { label: 'Quick', passes: ['overview'] },
+    'feed-audit': { label: 'Feed audit', passes: ['overview', 'content'] },
+    accessibility: { label: 'Accessibility', passes: ['overview', 'accessibility'] },
+    design: { label: 'Design', passes: ['overview', 'ui', 'design'] },
+    full: { label: 'Full', passes: ['overview', 'ui', 'content', 'accessibility', 'design'] }
+};
+
+// Abort reason code for a user pressing stop: unlike a cancellation, the output so far is kept
+const ANALYSIS_STOPPED = 'ANALYSIS_STOPPED';
+
+const PASS_TITLES = {
+    'structured-analysis': 'Overview',
+    'comprehensive-analysis': 'Overview',
+    'ui-analysis': 'Interface',
+    'content-analysis': 'Content',
+    'accessibility-analysis': 'Accessibility',
+    'design-analysis': 'Design'
+};
+
 class VisionAgent {
     constructor(configOrEndpoint = {}, visionModelArg) {
         let config = {};
@@ -18,28 +112,127 @@ class VisionAgent {
 
         const {
             ollamaEndpoint = 'http://localhost:8081',
+            provider = null,
             visionModel = 'llava:7b',
             embeddingModel = 'nomic-embed-text',
             agentId = `vision-agent-${Date.now()}`,
-            conversationHistory = []
+            conversationHistory = [],
+            scheduler = null,
+            structuredOutput = true,
+            maxStructuredRepairs = 1,
+            defaultProfile = 'quick',
+            promptTemplates = null,
+            resultCache = null
         } = config;
 
-        this.ollamaEndpoint = ollamaEndpoint;
+        this.provider = provider || ModelProvider.create({ endpoint: ollamaEndpoint }); // Ollama unless the caller shares one
         this.visionModel = visionModel;
         this.embeddingModel = embeddingModel;
+        // Vision role limits; the embedding role may use its own server
+        this.generation = { temperature: 0.3, maxTokens: 400, timeoutMs: 180000 };
+        this.embeddingProvider = null;
+        this.embeddingTimeoutMs = 60000;
         this.agentId = agentId;
         this.conversationHistory = Array.isArray(conversationHistory) ? [...conversationHistory] : [];
+        this.scheduler = scheduler; // Shared ModelRequestScheduler, if provided
+        this.structuredOutput = structuredOutput; // Ask for schema-constrained JSON before falling back to prose
+        this.maxStructuredRepairs = maxStructuredRepairs;
+        this.defaultProfile = ANALYSIS_PROFILES[defaultProfile] ? defaultProfile : 'quick';
+        this.promptTemplates = promptTemplates || new PromptTemplates(); // Shared registry, if provided
+        this.resultCache = resultCache || new VisionResultCache(); // Pass results by image, model and prompt
+    }
+
+    /**
+     * Route model requests through the shared scheduler when one is attached
+     */
+    modelFetch(url, init = {}, { signal = null, ...options } = {}) {
+        const requestInit = signal ? { ...init, signal } : init;
+        return this.scheduler
+            ? this.scheduler.fetch(url, requestInit, options)
+            : fetch(url, requestInit).then(response => (options.consume ? options.consume(response) : response));
+    }
+
+    /**
+     * Provider call options; requests still go through modelFetch so the scheduler orders them.
+     * onProgress and bypassCache are handled by the agent and not passed to the scheduler.
+     */
+    providerOptions(label, { onProgress, bypassCache, ...requestOptions } = {}, timeoutMs = 0) {
+        return {
+            label,
+            transport: (url, init, consume) => this.modelFetch(url, init, { ...requestOptions, label, timeoutMs, consume })
+        };
+    }
+
+    /**
+     * Stop work for a cancelled analysis - the caller's signal, not a request timeout, fired
+     */
+    throwIfCancelled(signal) {
+        if (signal?.aborted && !this.isStopped(signal)) {
+            const error = new Error('Vision analysis cancelled');
+            error.code = 'ANALYSIS_ABORTED';
+            throw error;
+        }
+    }
+
+    /**
+     * The user stopped this analysis and wants whatever was generated so far
+     */
+    isStopped(signal) {
+        return !!signal?.aborted && signal.reason?.code === ANALYSIS_STOPPED;
+    }
+
+    setProvider(provider) {
+        if (provider && provider !== this.provider) {
+            this.provider = provider;
+        }
     }
 
     updateEmbeddingConfig({ ollamaEndpoint, embeddingModel } = {}) {
-        if (ollamaEndpoint) {
-            this.ollamaEndpoint = ollamaEndpoint;
+        if (ollamaEndpoint && ollamaEndpoint !== this.provider.endpoint) {
+            this.provider = ModelProvider.create({ type: this.provider.type, endpoint: ollamaEndpoint, apiKey: this.provider.apiKey });
         }
         if (embeddingModel) {
             this.embeddingModel = embeddingModel;
         }
     }
 
+    /**
+     * Apply the vision and embedding model roles ({ provider, model, temperature, maxTokens, timeoutMs })
+     */
+    applyModelRoles({ vision, embedding } = {}) {
+        if (vision) {
+            this.setProvider(vision.provider);
+            this.setVisionModel(vision.model);
+            this.generation = {
+                temperature: vision.temperature,
+                maxTokens: vision.maxTokens,
+                timeoutMs: vision.timeoutMs
+            };
+        }
+        if (embedding) {
+            this.embeddingProvider = embedding.provider || null;
+            this.embeddingModel = embedding.model || this.embeddingModel;
+            this.embeddingTimeoutMs = embedding.timeoutMs;
+        }
+    }
+
+    setPromptTemplates(promptTemplates) {
+        if (promptTemplates) {
+            this.promptTemplates = promptTemplates;
+        }
+    }
+
+    setDefaultProfile(profile) {
+        if (ANALYSIS_PROFILES[profile] && profile !== this.defaultProfile) {
+            console.log(`🧭 Default analysis profile set to ${profile}`);
+            this.defaultProfile = profile;
+        }
+    }
+
+    resolveProfile(profile) {
+        return ANALYSIS_PROFILES[profile] ? profile : this.defaultProfile;
+    }
+
     setVisionModel(visionModel) {
         if (!visionModel || typeof visionModel !== 'string') {
             console.warn('VisionAgent: Invalid vision model provided, keeping existing model.');
@@ -61,28 +254,60 @@ class VisionAgent {
     /**
      * Main entry point for visual analysis
      */
-    async analyzeScreenshot(url, screenshot, textContext = null) {
+    async analyzeScreenshot(url, screenshot, textContext = null, options = {}) {
         const analysisId = `vision-analysis-${Date.now()}`;
-        console.log(`👁️ Vision Agent ${this.agentId} analyzing screenshot for: ${url}`);
+        const signal = options.signal || null;
+        const requestOptions = {
+            priority: options.priority || 'normal',
+            signal,
+            onProgress: options.onProgress || null,
+            bypassCache: !!options.bypassCache // Forced re-analysis: run every pass, then refresh the cache
+        };
+        const profile = this.resolveProfile(options.profile);
+        console.log(`👁️ Vision Agent ${this.agentId} analyzing screenshot for: ${url} (${profile} profile)`);
         
         try {
+            this.throwIfCancelled(signal);
+
             // Pre-process screenshot
             const imageData = this.preprocessImage(screenshot);
             
-            // Generate a single comprehensive analysis to avoid overwhelming Ollama
-            console.log('🎯 Performing single comprehensive analysis to avoid overloading Ollama...');
-            
-            const comprehensiveAnalysis = await this.performComprehensiveAnalysis(imageData, url, textContext);
-            const successfulAnalyses = [comprehensiveAnalysis].filter(a => !a.error);
+            // Run the profile's passes one after another
+            const analyses = await this.runProfilePasses(profile, imageData, url, textContext, requestOptions);
+            const successfulAnalyses = analyses.filter(a => !a.error);
+            const failedPass = analyses.find(a => a.error);
+
+            // Nothing to synthesize if the model server could not be reached at all
+            if (successfulAnalyses.length === 0 && failedPass.unreachable) {
+                const unreachableError = new Error(`Vision model unreachable at ${this.provider.endpoint}`);
+                unreachableError.code = 'MODEL_UNREACHABLE';
+                throw unreachableError;
+            }
+
+            // The scheduler shed this request because the queue backed up
+            if (successfulAnalyses.length === 0 && failedPass.dropped) {
+                const droppedError = new Error(failedPass.analysis);
+                droppedError.code = 'REQUEST_DROPPED';
+                throw droppedError;
+            }
 
             // Synthesize visual understanding
-            const synthesizedAnalysis = this.synthesizeVisualAnalyses(successfulAnalyses);
+            const synthesizedAnalysis = this.synthesizeVisualAnalyses(analyses);
             
-            // Generate embeddings
-            const embeddings = await this.generateVisualEmbeddings(synthesizedAnalysis, imageData);
-            
-            // Extract spatial features
-            const spatialData = this.extractSpatialFeatures(synthesizedAnalysis);
+            // Generate embeddings; a stopped analysis still gets them so its truncated memory is searchable
+            const stopped = this.isStopped(signal);
+            const embeddings = await this.generateVisualEmbeddings(
+                synthesizedAnalysis,
+                imageData,
+                stopped ? { ...requestOptions, signal: null } : requestOptions
+            );
+            this.throwIfCancelled(signal);
+
+            // Structured fields replace keyword matching over the prose when available
+            const structured = successfulAnalyses.find(a => a.structured)?.structured || null;
+            const spatialData = structured
+                ? this.spatialFeaturesFromStructured(structured)
+                : this.extractSpatialFeatures(synthesizedAnalysis);
             
             const visionAnalysis = {
                 analysisId,
@@ -90,13 +315,16 @@ class VisionAgent {
                 agentType: 'vision-llava',
                 timestamp: Date.now(),
                 url,
-                confidence: this.calculateVisualConfidence(successfulAnalyses),
+                confidence: this.calculateVisualConfidence(analyses),
+                truncated: stopped,
                 
                 // Raw data
                 rawData: {
                     screenshot: screenshot,
                     imageMetrics: imageData.metrics,
-                    processingSteps: ['ui-analysis', 'content-analysis', 'accessibility-analysis', 'design-analysis']
+                    profile,
+                    processingSteps: successfulAnalyses.map(a => a.type),
+                    failedSteps: analyses.filter(a => a.error).map(a => a.type)
                 },
                 
                 // Analysis outputs
@@ -105,14 +333,21 @@ class VisionAgent {
                     individualAnalyses: successfulAnalyses,
                     embeddings: embeddings.vision,
                     spatialData: spatialData,
-                    visualFeatures: this.extractVisualFeatures(synthesizedAnalysis)
+                    visualFeatures: structured
+                        ? this.visualFeaturesFromStructured(structured)
+                        : this.extractVisualFeatures(synthesizedAnalysis),
+                    structured,
+                    outputMode: structured ? 'structured' : 'prose'
                 },
                 
                 // Agent reasoning
                 reasoning: {
                     model: this.visionModel,
                     analysisTypes: successfulAnalyses.map(a => a.type),
-                    confidence: this.calculateVisualConfidence(successfulAnalyses),
+                    promptTemplates: this.collectPromptTemplates(successfulAnalyses),
+                    cachedPasses: successfulAnalyses.filter(a => a.cached).map(a => a.type),
+                    profile,
+                    confidence: this.calculateVisualConfidence(analyses),
                     processingTime: Date.now() - parseInt(analysisId.split('-')[2]),
                     imageQuality: this.assessImageQuality(imageData)
                 }
@@ -124,11 +359,321 @@ class VisionAgent {
             return visionAnalysis;
             
         } catch (error) {
-            console.error(`❌ Vision Agent analysis failed:`, error);
+            if (error.code === 'ANALYSIS_ABORTED') {
+                console.log(`⏹️ Vision Agent analysis cancelled for: ${url}`);
+            } else {
+                console.error(`❌ Vision Agent analysis failed:`, error);
+            }
             return this.createErrorAnalysis(analysisId, url, error);
         }
     }
 
+    /**
+     * Run each pass of a profile sequentially. Later passes are skipped once the model
+     * server is unreachable or the scheduler starts shedding requests. A stopped run keeps
+     * the passes that finished and the partial output of the one that was cut short.
+     */
+    async runProfilePasses(profile, imageData, url, textContext, requestOptions = {}) {
+        const analyses = [];
+        const passes = ANALYSIS_PROFILES[profile].passes;
+
+        for (const [index, pass] of passes.entries()) {
+            const passOptions = requestOptions.onProgress
+                ? {
+                    ...requestOptions,
+                    onProgress: update => requestOptions.onProgress({
+                        ...update,
+                        pass,
+                        passIndex: index,
+                        passCount: passes.length,
+                        progress: (index + update.progress) / passes.length
+                    })
+                }
+                : requestOptions;
+
+            const analysis = await this.runAnalysisPass(pass, imageData, url, textContext, passOptions);
+            this.throwIfCancelled(requestOptions.signal);
+
+            if (this.isStopped(requestOptions.signal)) {
+                if (!analysis.error) analyses.push(analysis);
+                if (analyses.length === 0) {
+                    const error = new Error('Vision analysis stopped before any output');
+                    error.code = 'ANALYSIS_ABORTED';
+                    throw error;
+                }
+                break;
+            }
+
+            analyses.push(analysis);
+
+            if (analysis.unreachable || analysis.dropped) break;
+        }
+
+        return analyses;
+    }
+
+    runAnalysisPass(pass, imageData, url, textContext, requestOptions) {
+        switch (pass) {
+            case 'overview':
+                return this.performOverviewAnalysis(imageData, url, textContext, requestOptions);
+            case 'ui':
+                return this.performUIAnalysis(imageData, url, requestOptions);
+            case 'content':
+                return this.performContentAnalysis(imageData, url, textContext, requestOptions);
+            case 'accessibility':
+                return this.performAccessibilityAnalysis(imageData, url, requestOptions);
+            case 'design':
+                return this.performDesignAnalysis(imageData, url, requestOptions);
+            default:
+                throw new Error(`Unknown analysis pass: ${pass}`);
+        }
+    }
+
+    /**
+     * Prefer schema-constrained JSON; prose is the fallback when the model cannot produce it
+     */
+    async performOverviewAnalysis(imageData, url, textContext, requestOptions = {}) {
+        if (this.structuredOutput) {
+            const structuredAnalysis = await this.performStructuredAnalysis(imageData, url, textContext, requestOptions);
+            this.throwIfCancelled(requestOptions.signal);
+
+            if (!structuredAnalysis.error || structuredAnalysis.unreachable || structuredAnalysis.dropped || this.isStopped(requestOptions.signal)) {
+                return structuredAnalysis;
+            }
+            console.log(`📝 Structured output unavailable (${structuredAnalysis.analysis}) - falling back to prose analysis`);
+        }
+
+        console.log('🎯 Performing comprehensive prose analysis...');
+        return this.performComprehensiveAnalysis(imageData, url, textContext, requestOptions);
+    }
+
+    /**
+     * Analyze a capture as a sequence of tiles and merge the per-tile findings into a
+     * single vision result. options.tiling describes the tiles: 'full-page' for stitched
+     * scroll captures, 'grid' for overlapping regions of one large screenshot.
+     * Cancellation, unreachable and dropped outcomes from any tile end the run as-is.
+     */
+    async analyzeTiles(url, tiles, textContext = null, options = {}) {
+        const startedAt = Date.now();
+        const tiling = { mode: 'full-page', ...(options.tiling || {}) };
+        const tileResults = [];
+
+        for (const [index, tile] of tiles.entries()) {
+            // A stopped run keeps the tiles analyzed so far
+            if (this.isStopped(options.signal) && tileResults.length > 0) break;
+
+            const tileContext = [textContext, this.describeTileContext(tile, index, tiles.length, tiling)]
+                .filter(Boolean)
+                .join('\n');
+            const tileOptions = options.onProgress
+                ? {
+                    ...options,
+                    onProgress: update => options.onProgress({
+                        ...update,
+                        tileIndex: index,
+                        tileCount: tiles.length,
+                        progress: (index + update.progress) / tiles.length
+                    })
+                }
+                : options;
+
+            console.log(`🧩 Analyzing tile ${index + 1}/${tiles.length} (${this.describeTileBounds(tile)}) for: ${url}`);
+            const result = await this.analyzeScreenshot(url, tile.dataUrl, tileContext, tileOptions);
+
+            if (result.aborted && this.isStopped(options.signal) && tileResults.length > 0) break;
+            if (result.aborted || result.modelUnreachable || result.dropped) {
+                return result;
+            }
+
+            tileResults.push({ index, tile, result });
+        }
+
+        const merged = this.mergeTileAnalyses(url, tileResults, startedAt, tiling);
+        if (!merged.error && this.isStopped(options.signal)) {
+            merged.truncated = true;
+        }
+        return merged;
+    }
+
+    describeTileContext(tile, index, count, tiling) {
+        if (tiling.mode === 'grid') {
+            return `This image is region ${index + 1} of ${count} (row ${tile.row + 1}, column ${tile.col + 1}) of a larger screenshot, `
+                + `covering x ${tile.x}-${tile.x + tile.width}, y ${tile.y}-${tile.y + tile.height}. `
+                + 'Regions overlap, so anything cut off at an edge also appears in a neighbouring region.';
+        }
+
+        return `This image is section ${index + 1} of ${count} of a full-page capture, covering page pixels ${tile.y}-${tile.y + tile.height}.`;
+    }
+
+    describeTileBounds(tile) {
+        return `x ${tile.x || 0}-${(tile.x || 0) + (tile.width || 0)}, y ${tile.y}-${tile.y + tile.height}`;
+    }
+
+    tileBounds(tile) {
+        return {
+            x: tile.x || 0,
+            y: tile.y,
+            width: tile.width || null,
+            height: tile.height
+        };
+    }
+
+    mergeTileAnalyses(url, tileResults, startedAt = Date.now(), tiling = { mode: 'full-page' }) {
+        const successful = tileResults.filter(({ result }) => !result.error);
+
+        if (successful.length === 0) {
+            return tileResults.length > 0
+                ? tileResults[0].result
+                : this.createErrorAnalysis(`vision-analysis-${startedAt}`, url, new Error('No tiles to analyze'));
+        }
+
+        // Overlapping tiles describe the same things twice; keep each line the first time it appears
+        const seenLines = new Set();
+        const heading = tiling.mode === 'grid' ? 'REGION' : 'SECTION';
+        const synthesis = successful.map(({ index, tile, result }) => {
+            const lines = result.visionAnalysis.synthesis.split('\n').filter(line => {
+                const key = line.trim().toLowerCase();
+                if (!key || key.endsWith(':')) return true;
+                if (seenLines.has(key)) return false;
+                seenLines.add(key);
+                return true;
+            });
+            return `${heading} ${index + 1} (${this.describeTileBounds(tile)}):\n${lines.join('\n').trim()}`;
+        }).join('\n\n');
+
+        const individualAnalyses = successful.flatMap(({ index, tile, result }) =>
+            result.visionAnalysis.individualAnalyses.map(analysis => ({
+                ...analysis,
+                tile: { index, ...this.tileBounds(tile) }
+            }))
+        );
+
+        const confidence = successful.reduce((sum, { result }) => sum + result.confidence, 0) / tileResults.length;
+        const first = successful[0].result;
+        const structured = this.mergeStructuredOutputs(successful);
+
+        const visionAnalysis = {
+            analysisId: `vision-analysis-${startedAt}`,
+            agentId: this.agentId,
+            agentType: 'vision-llava',
+            timestamp: Date.now(),
+            url,
+            confidence,
+
+            rawData: {
+                screenshot: null,
+                imageMetrics: {
+                    sizeKB: successful.reduce((sum, { result }) => sum + (result.rawData.imageMetrics.sizeKB || 0), 0),
+                    tiles: tileResults.length,
+                    analyzedTiles: successful.length
+                },
+                profile: first.rawData.profile,
+                processingSteps: [`${tiling.mode}-tiling`, ...first.rawData.processingSteps]
+            },
+
+            visionAnalysis: {
+                synthesis,
+                individualAnalyses,
+                embeddings: this.averageEmbeddings(successful.map(({ result }) => result.visionAnalysis.embeddings)),
+                spatialData: structured
+                    ? this.spatialFeaturesFromStructured(structured)
+                    : this.extractSpatialFeatures(synthesis),
+                visualFeatures: structured
+                    ? this.visualFeaturesFromStructured(structured)
+                    : this.extractVisualFeatures(synthesis),
+                structured,
+                outputMode: structured ? 'structured' : 'prose',
+                tiling,
+                tiles: tileResults.map(({ index, tile, result }) => ({
+                    index,
+                    ...this.tileBounds(tile),
+                    row: tile.row ?? null,
+                    col: tile.col ?? null,
+                    error: !!result.error,
+                    synthesis: result.visionAnalysis.synthesis,
+                    confidence: result.confidence
+                }))
+            },
+
+            reasoning: {
+                model: this.visionModel,
+                analysisTypes: [...new Set(individualAnalyses.map(a => a.type))],
+                promptTemplates: this.collectPromptTemplates(individualAnalyses),
+                confidence,
+                processingTime: Date.now() - startedAt,
+                imageQuality: first.reasoning.imageQuality,
+                tiles: tileResults.length
+            }
+        };
+
+        this.logVisionConversation(visionAnalysis);
+
+        return visionAnalysis;
+    }
+
+    /**
+     * Combine per-tile structured results. Items reported by several overlapping tiles are
+     * kept once, listing every tile they were seen in and the bounds of the first.
+     * The first tile decides the page type.
+     */
+    mergeStructuredOutputs(tileResults) {
+        const structuredTiles = tileResults.filter(({ result }) => result.visionAnalysis.structured);
+        if (structuredTiles.length === 0) return null;
+
+        const normalizeKey = value => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+        const mergeItems = (field, keyOf) => {
+            const merged = new Map();
+            structuredTiles.forEach(({ index, tile, result }) => {
+                result.visionAnalysis.structured[field].forEach(item => {
+                    const key = keyOf(item);
+                    if (merged.has(key)) {
+                        merged.get(key).tiles.push(index);
+                    } else {
+                        merged.set(key, { ...item, tiles: [index], bounds: this.tileBounds(tile) });
+                    }
+                });
+            });
+            return Array.from(merged.values());
+        };
+        const mostCommon = values => {
+            const counts = {};
+            values.forEach(value => { counts[value] = (counts[value] || 0) + 1; });
+            return Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0];
+        };
+
+        const outputs = structuredTiles.map(({ result }) => result.visionAnalysis.structured);
+
+        return {
+            pageType: outputs[0].pageType,
+            summary: [...new Set(outputs.map(structured => structured.summary))].join(' '),
+            contentItems: mergeItems('contentItems', item => `${item.kind}:${normalizeKey(item.title)}`),
+            ads: mergeItems('ads', ad => `${normalizeKey(ad.advertiser)}:${normalizeKey(ad.description)}`),
+            recommendationModules: mergeItems('recommendationModules', module => normalizeKey(module.title)),
+            layout: {
+                regions: [...new Set(outputs.flatMap(structured => structured.layout.regions))],
+                colorScheme: mostCommon(outputs.map(structured => structured.layout.colorScheme)),
+                density: mostCommon(outputs.map(structured => structured.layout.density)),
+                clutter: mostCommon(outputs.map(structured => structured.layout.clutter))
+            },
+            interactiveElements: [...new Set(outputs.flatMap(structured => structured.interactiveElements))]
+        };
+    }
+
+    /**
+     * Element-wise mean of the tile embeddings that share the first vector's dimension
+     */
+    averageEmbeddings(vectors) {
+        const valid = vectors.filter(vector => Array.isArray(vector) && vector.length > 0);
+        if (valid.length === 0) return null;
+
+        const dimension = valid[0].length;
+        const sameDimension = valid.filter(vector => vector.length === dimension);
+        const sum = new Array(dimension).fill(0);
+        sameDimension.forEach(vector => vector.forEach((value, i) => { sum[i] += value; }));
+
+        return sum.map(value => value / sameDimension.length);
+    }
+
     /**
      * Preprocess image for analysis
      */
@@ -177,191 +722,431 @@ class VisionAgent {
     /**
      * Comprehensive Analysis (combines all analysis types into one request)
      */
-    async performComprehensiveAnalysis(imageData, url, textContext) {
-        const contextInfo = textContext ? `\n\nText Context: ${textContext.slice(0, 500)}` : '';
-        
-        const prompt = `Analyze this webpage screenshot and describe exactly what content is visible:
+    async performComprehensiveAnalysis(imageData, url, textContext, requestOptions = {}) {
+        const { prompt, ...promptTemplate } = this.promptTemplates.render('vision-comprehensive', {
+            url,
+            textContext: textContext ? textContext.slice(0, 500) : ''
+        });
 
-URL: ${url}${contextInfo}
+        return this.performVisionAnalysis('comprehensive-analysis', prompt, imageData, requestOptions, promptTemplate);
+    }
 
-Please describe:
-1. All visible text content (headlines, body text, labels, buttons, captions)
-2. Images and their content/subject matter  
-3. Interface elements and navigation
-4. Any feeds, posts, articles, or content streams
-5. Advertisements, sponsored content, or promotional material
-6. Recommended items, suggestions, or personalized content
-7. Any content that appears to be algorithmically curated or targeted
-8. The overall type and purpose of this webpage
-9. How the content is organized and presented to users
+    /**
+     * Structured Analysis - asks for JSON matching STRUCTURED_PAGE_SCHEMA via Ollama's `format`.
+     * Malformed output gets a local clean-up, then up to maxStructuredRepairs repair requests.
+     */
+    async performStructuredAnalysis(imageData, url, textContext, requestOptions = {}) {
+        const analysisType = 'structured-analysis';
+        const { prompt, ...promptTemplate } = this.promptTemplates.render('vision-structured', {
+            url,
+            textContext: textContext ? textContext.slice(0, 500) : ''
+        });
+
+        const cacheKey = await this.resultCacheKey(imageData, prompt, promptTemplate);
+        const cached = this.readCachedPass(analysisType, cacheKey, requestOptions);
+        if (cached) return cached;
+
+        // Streamed JSON is shown as the summary written so far rather than raw syntax
+        const streamOptions = requestOptions.onProgress
+            ? { ...requestOptions, onProgress: update => requestOptions.onProgress({ ...update, text: this.previewStructuredText(update.text) }) }
+            : requestOptions;
 
-Focus on describing what specific content users are being served and shown on this page.`;
+        try {
+            const raw = await this.requestGeneration(analysisType, {
+                model: this.visionModel,
+                prompt,
+                images: [imageData.base64],
+                format: STRUCTURED_PAGE_SCHEMA,
+                temperature: this.generation.temperature,
+                // JSON for a busy page needs more room than a prose pass
+                maxTokens: Math.max(this.generation.maxTokens, 1200)
+            }, streamOptions, this.generation.timeoutMs);
 
-        return this.performVisionAnalysis('comprehensive-analysis', prompt, imageData);
+            let candidate = raw;
+            let { value, errors } = this.parseStructuredOutput(candidate);
+            let repairs = 0;
+
+            while (errors.length > 0 && repairs < this.maxStructuredRepairs) {
+                repairs += 1;
+                console.log(`🔧 Structured output invalid (${errors.slice(0, 3).join('; ')}) - repair attempt ${repairs}`);
+                candidate = await this.repairStructuredOutput(candidate, errors, requestOptions);
+                ({ value, errors } = this.parseStructuredOutput(candidate));
+            }
+
+            if (errors.length > 0) {
+                throw new Error(`Structured output failed validation: ${errors.slice(0, 3).join('; ')}`);
+            }
+
+            const structured = this.normalizeStructuredOutput(value);
+
+            const result = {
+                type: analysisType,
+                analysis: this.renderStructuredAnalysis(structured),
+                structured,
+                repairs,
+                confidence: this.calculateStructuredConfidence(structured, repairs),
+                promptTemplate,
+                timestamp: Date.now()
+            };
+            if (cacheKey) this.resultCache.set(cacheKey, result);
+            return result;
+        } catch (error) {
+            if (error.partialText && this.isStopped(requestOptions.signal)) {
+                return this.createTruncatedAnalysis(analysisType, this.previewStructuredText(error.partialText) || error.partialText, promptTemplate);
+            }
+
+            if (error.code === 'REQUEST_DROPPED') {
+                console.log(`🚦 ${analysisType} skipped - ${error.message}`);
+            } else if (!(error.name === 'AbortError' && requestOptions.signal?.aborted)) {
+                console.error(`❌ ${analysisType} failed:`, error);
+            }
+
+            return {
+                type: analysisType,
+                analysis: `${analysisType} failed: ${error.message}`,
+                confidence: 0,
+                error: true,
+                errorType: error.name,
+                unreachable: this.isUnreachableError(error),
+                dropped: error.code === 'REQUEST_DROPPED',
+                timestamp: Date.now()
+            };
+        }
     }
 
     /**
-     * UI/UX Analysis
+     * Generate through the model provider and return the response text. With
+     * requestOptions.onProgress the response is streamed and reported as
+     * { label, text, chars, progress } while it arrives.
      */
-    async performUIAnalysis(imageData, url) {
-        const prompt = `Describe exactly what content is visible on this webpage screenshot:
+    requestGeneration(label, request, requestOptions = {}, timeoutMs = 120000) {
+        const options = this.providerOptions(label, requestOptions, timeoutMs);
 
-URL: ${url}
+        if (requestOptions.onProgress) {
+            // About four characters per token; progress stays short of 1 until the response ends
+            const expectedChars = (request.maxTokens || 400) * 4;
+            options.onToken = (delta, text) => requestOptions.onProgress({
+                label,
+                text,
+                chars: text.length,
+                progress: Math.min(text.length / expectedChars, 0.95)
+            });
+        }
 
-List what you can see:
-1. All visible text content (headlines, body text, labels, buttons)
-2. Images and their apparent content/subject matter
-3. Interface elements and their labels
-4. Any feeds, posts, or algorithmic content visible
-5. Advertisements or sponsored content
-6. Recommended items, suggestions, or personalized content
-7. Any content that appears to be algorithmically curated
+        return this.provider.generate(request, options);
+    }
 
-Be factual and descriptive. Focus on what content is being served to users.`;
+    /**
+     * The summary field of a partially streamed structured response, unescaped
+     */
+    previewStructuredText(text) {
+        const match = /"summary"\s*:\s*"((?:[^"\\]|\\.)*)/.exec(text || '');
+        if (!match) return '';
 
-        return this.performVisionAnalysis('ui-analysis', prompt, imageData);
+        try {
+            return JSON.parse(`"${match[1]}"`);
+        } catch (error) {
+            return match[1].replace(/\\n/g, '\n').replace(/\\"/g, '"');
+        }
     }
 
     /**
-     * Content Analysis
+     * Pass result for output cut short by a user stop
      */
-    async performContentAnalysis(imageData, url, textContext) {
-        const contextInfo = textContext ? `\n\nText Context: ${textContext.slice(0, 500)}` : '';
-        
-        const prompt = `Describe the specific content visible on this webpage screenshot:
+    createTruncatedAnalysis(analysisType, text, promptTemplate = null) {
+        console.log(`✂️ ${analysisType} stopped after ${text.length} chars - keeping partial output`);
+        return {
+            type: analysisType,
+            analysis: text,
+            confidence: this.calculateAnalysisConfidence(text),
+            truncated: true,
+            promptTemplate,
+            timestamp: Date.now()
+        };
+    }
+
+    /**
+     * Text-only follow-up asking the model to fix its own output against the schema
+     */
+    async repairStructuredOutput(malformed, errors, requestOptions = {}) {
+        const prompt = `The following output was supposed to be JSON matching a schema but has problems.
+
+Problems:
+${errors.slice(0, 10).map(error => `- ${error}`).join('\n')}
 
-URL: ${url}${contextInfo}
+Output:
+${String(malformed).slice(0, 6000)}
 
-Describe what you see:
-1. All readable text, headlines, and captions
-2. What images show (people, products, scenes, etc.)
-3. Any video content or media players visible
-4. Lists, feeds, or streams of content
-5. Advertisements and their content
-6. Recommended or suggested items
-7. Any personalized or targeted content
-8. Content that appears to be algorithmically selected
+Return only the corrected JSON. Keep the original content; fix structure, types and enum values.`;
 
-Be specific about the actual content being displayed to users.`;
+        // The repair is not streamed, so it cannot overwrite the overview's live preview
+        const { onProgress, ...repairOptions } = requestOptions;
 
-        return this.performVisionAnalysis('content-analysis', prompt, imageData);
+        return this.requestGeneration('structured-repair', {
+            model: this.visionModel,
+            prompt,
+            format: STRUCTURED_PAGE_SCHEMA,
+            temperature: 0,
+            maxTokens: Math.max(this.generation.maxTokens, 1200)
+        }, repairOptions, this.generation.timeoutMs);
     }
 
     /**
-     * Accessibility Analysis
+     * Parse model output as JSON, tolerating code fences, surrounding prose and
+     * trailing commas, then validate it. Returns { value, errors }.
      */
-    async performAccessibilityAnalysis(imageData, url) {
-        const prompt = `Describe the visible content and how it's presented on this webpage:
+    parseStructuredOutput(text) {
+        if (!text || typeof text !== 'string') {
+            return { value: null, errors: ['Empty response'] };
+        }
 
-URL: ${url}
+        let value;
+        try {
+            value = JSON.parse(text);
+        } catch (error) {
+            const start = text.indexOf('{');
+            const end = text.lastIndexOf('}');
+            if (start === -1 || end <= start) {
+                return { value: null, errors: [`Response is not JSON: ${error.message}`] };
+            }
 
-Describe:
-1. What text content is displayed and how prominent it is
-2. What images show and their context
-3. How content is organized and grouped
-4. Which elements appear to be clickable or interactive
-5. Any content that stands out or is emphasized
-6. Content that appears to be personalized or recommended
-7. Any algorithmic feeds or suggested content visible
-8. The overall type and nature of content being served
+            const cleaned = text.slice(start, end + 1).replace(/,\s*([}\]])/g, '$1');
+            try {
+                value = JSON.parse(cleaned);
+            } catch (cleanupError) {
+                return { value: null, errors: [`Response is not JSON: ${cleanupError.message}`] };
+            }
+        }
+
+        return { value, errors: this.validateAgainstSchema(value, STRUCTURED_PAGE_SCHEMA) };
+    }
+
+    /**
+     * Minimal JSON Schema check covering the keywords STRUCTURED_PAGE_SCHEMA uses
+     */
+    validateAgainstSchema(value, schema, path = '$') {
+        const errors = [];
+
+        const typeOk = {
+            object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+            array: v => Array.isArray(v),
+            string: v => typeof v === 'string',
+            boolean: v => typeof v === 'boolean',
+            integer: v => Number.isInteger(v),
+            number: v => typeof v === 'number' && Number.isFinite(v)
+        }[schema.type];
+
+        if (typeOk && !typeOk(value)) {
+            errors.push(`${path} should be ${schema.type}`);
+            return errors;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+        }
 
-Focus on describing what users are actually seeing on screen.`;
+        if (schema.type === 'object') {
+            (schema.required || []).forEach(key => {
+                if (!(key in value)) errors.push(`${path}.${key} is required`);
+            });
+            Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+                // null is checked like any other value, so it goes through repair instead of the normalizer
+                if (key in value) {
+                    errors.push(...this.validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+                }
+            });
+        }
 
-        return this.performVisionAnalysis('accessibility-analysis', prompt, imageData);
+        if (schema.type === 'array' && schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...this.validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+            });
+        }
+
+        return errors;
     }
 
     /**
-     * Design Analysis
+     * Fill optional fields with defaults so consumers never have to null-check
+     */
+    normalizeStructuredOutput(value) {
+        const layout = value.layout || {};
+
+        return {
+            pageType: value.pageType,
+            summary: value.summary.trim(),
+            contentItems: value.contentItems.map(item => ({
+                title: item.title,
+                kind: item.kind,
+                source: item.source || null,
+                sponsored: !!item.sponsored,
+                region: item.region || 'main'
+            })),
+            ads: value.ads.map(ad => ({
+                advertiser: ad.advertiser || null,
+                description: ad.description,
+                label: ad.label || null,
+                region: ad.region || 'other'
+            })),
+            recommendationModules: value.recommendationModules.map(module => ({
+                title: module.title,
+                itemCount: Number.isInteger(module.itemCount) ? module.itemCount : null,
+                region: module.region || 'other'
+            })),
+            layout: {
+                regions: [...new Set(layout.regions || [])],
+                colorScheme: layout.colorScheme || 'mixed',
+                density: layout.density || 'medium',
+                clutter: layout.clutter || 'medium'
+            },
+            interactiveElements: [...new Set(value.interactiveElements || [])]
+        };
+    }
+
+    /**
+     * Readable rendering of the structured result, used wherever prose is displayed or embedded
+     */
+    renderStructuredAnalysis(structured) {
+        const lines = [`Page type: ${structured.pageType}`, structured.summary, ''];
+
+        if (structured.contentItems.length > 0) {
+            lines.push(`Content items (${structured.contentItems.length}):`);
+            structured.contentItems.forEach(item => {
+                const source = item.source ? ` - ${item.source}` : '';
+                const sponsored = item.sponsored ? ' [sponsored]' : '';
+                lines.push(`- [${item.kind}] ${item.title}${source}${sponsored}`);
+            });
+            lines.push('');
+        }
+
+        if (structured.ads.length > 0) {
+            lines.push(`Ads (${structured.ads.length}):`);
+            structured.ads.forEach(ad => {
+                lines.push(`- ${ad.advertiser ? `${ad.advertiser}: ` : ''}${ad.description} (${ad.region})`);
+            });
+            lines.push('');
+        }
+
+        if (structured.recommendationModules.length > 0) {
+            lines.push(`Recommendation modules (${structured.recommendationModules.length}):`);
+            structured.recommendationModules.forEach(module => {
+                const count = module.itemCount !== null ? `, ${module.itemCount} items` : '';
+                lines.push(`- ${module.title} (${module.region}${count})`);
+            });
+            lines.push('');
+        }
+
+        lines.push(`Layout: ${structured.layout.regions.join(', ') || 'unknown'}; ${structured.layout.colorScheme} colors, ${structured.layout.density} density`);
+
+        return lines.join('\n');
+    }
+
+    calculateStructuredConfidence(structured, repairs) {
+        let confidence = 0.8;
+        if (repairs > 0) confidence -= 0.15;
+        if (structured.contentItems.length === 0) confidence -= 0.1;
+        if (structured.summary.length < 40) confidence -= 0.1;
+        return Math.max(0, Math.min(1, confidence));
+    }
+
+    /**
+     * UI/UX Analysis
+     */
+    async performUIAnalysis(imageData, url, requestOptions = {}) {
+        const { prompt, ...promptTemplate } = this.promptTemplates.render('vision-ui', { url });
+
+        return this.performVisionAnalysis('ui-analysis', prompt, imageData, requestOptions, promptTemplate);
+    }
+
+    /**
+     * Content Analysis
      */
-    async performDesignAnalysis(imageData, url) {
-        const prompt = `Describe what content and information is being presented on this webpage:
+    async performContentAnalysis(imageData, url, textContext, requestOptions = {}) {
+        const { prompt, ...promptTemplate } = this.promptTemplates.render('vision-content', {
+            url,
+            textContext: textContext ? textContext.slice(0, 500) : ''
+        });
 
-URL: ${url}
+        return this.performVisionAnalysis('content-analysis', prompt, imageData, requestOptions, promptTemplate);
+    }
 
-Describe:
-1. The main content or information being displayed
-2. What type of content this appears to be (news, social media, shopping, etc.)
-3. Any feeds, timelines, or content streams visible
-4. Specific posts, articles, or items shown
-5. Any promotional, sponsored, or advertising content
-6. Recommended or suggested content visible
-7. Content that appears targeted or personalized
-8. The overall purpose and content focus of this page
+    /**
+     * Accessibility Analysis
+     */
+    async performAccessibilityAnalysis(imageData, url, requestOptions = {}) {
+        const { prompt, ...promptTemplate } = this.promptTemplates.render('vision-accessibility', { url });
 
-Be specific about what information and content users are being shown.`;
+        return this.performVisionAnalysis('accessibility-analysis', prompt, imageData, requestOptions, promptTemplate);
+    }
+
+    /**
+     * Design Analysis
+     */
+    async performDesignAnalysis(imageData, url, requestOptions = {}) {
+        const { prompt, ...promptTemplate } = this.promptTemplates.render('vision-design', { url });
 
-        return this.performVisionAnalysis('design-analysis', prompt, imageData);
+        return this.performVisionAnalysis('design-analysis', prompt, imageData, requestOptions, promptTemplate);
     }
 
     /**
      * Core vision analysis using LLaVA
      */
-    async performVisionAnalysis(analysisType, prompt, imageData) {
+    async performVisionAnalysis(analysisType, prompt, imageData, requestOptions = {}, promptTemplate = null) {
+        const cacheKey = await this.resultCacheKey(imageData, prompt, promptTemplate);
+        const cached = this.readCachedPass(analysisType, cacheKey, requestOptions);
+        if (cached) return cached;
+
         try {
             console.log(`🔄 Starting ${analysisType} with LLaVA...`);
             console.log(`- Model: ${this.visionModel}`);
-            console.log(`- Endpoint: ${this.ollamaEndpoint}/api/generate`);
+            console.log(`- Provider: ${this.provider.type} at ${this.provider.endpoint}`);
             console.log(`- Image size: ${imageData.metrics.sizeKB}KB`);
             console.log(`- Prompt length: ${prompt.length} chars`);
             
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => {
-                console.log(`⏰ ${analysisType} timeout after 3 minutes - aborting request`);
-                controller.abort();
-            }, 180000); // 3 minutes for vision
-            
             const requestStart = Date.now();
             
-            const requestBody = {
+            console.log(`📤 Sending ${analysisType} request to ${this.provider.type}...`);
+            
+            // The vision role's timeout counts from when the request starts, not while it queues
+            const response = await this.requestGeneration(analysisType, {
                 model: this.visionModel,
                 prompt: prompt,
                 images: [imageData.base64],
-                stream: false,
-                options: {
-                    temperature: 0.3,
-                    num_predict: 400
-                }
-            };
-            
-            console.log(`📤 Sending ${analysisType} request to Ollama...`);
+                temperature: this.generation.temperature,
+                maxTokens: this.generation.maxTokens
+            }, requestOptions, this.generation.timeoutMs);
             
-            const response = await fetch(`${this.ollamaEndpoint}/api/generate`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                signal: controller.signal,
-                body: JSON.stringify(requestBody)
-            });
-            
-            clearTimeout(timeoutId);
             const requestTime = Date.now() - requestStart;
             console.log(`⏱️ ${analysisType} request completed in ${(requestTime/1000).toFixed(1)}s`);
 
-            console.log(`📥 ${analysisType} response status: ${response.status} ${response.statusText}`);
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error(`❌ ${analysisType} HTTP error response:`, errorText);
-                throw new Error(`Vision analysis failed: ${response.status} - ${errorText || 'No error message'}`);
-            }
-
-            const data = await response.json();
             console.log(`✅ ${analysisType} completed successfully`);
-            console.log(`- Response length: ${data.response ? data.response.length : 'null'} chars`);
-            console.log(`- Response preview: ${data.response ? data.response.substring(0, 100) + '...' : 'No response'}`);
+            console.log(`- Response length: ${response.length} chars`);
+            console.log(`- Response preview: ${response ? response.substring(0, 100) + '...' : 'No response'}`);
             
-            const analysis = data.response || `${analysisType} failed to generate response`;
+            const analysis = response || `${analysisType} failed to generate response`;
             
-            return {
+            const result = {
                 type: analysisType,
                 analysis: analysis,
                 confidence: this.calculateAnalysisConfidence(analysis),
+                promptTemplate,
                 timestamp: Date.now()
             };
+            if (cacheKey && response) this.resultCache.set(cacheKey, result);
+            return result;
             
         } catch (error) {
+            if (error.partialText && this.isStopped(requestOptions.signal)) {
+                return this.createTruncatedAnalysis(analysisType, error.partialText, promptTemplate);
+            }
+
             console.error(`❌ ${analysisType} failed:`, error);
             
-            if (error.name === 'AbortError') {
+            if (error.code === 'REQUEST_DROPPED') {
+                console.log(`🚦 ${analysisType} skipped - ${error.message}`);
+            } else if (error.name === 'AbortError' && requestOptions.signal?.aborted) {
+                console.log(`⏹️ ${analysisType} cancelled`);
+            } else if (error.name === 'AbortError') {
                 console.error(`💀 ${analysisType} was aborted due to timeout`);
             } else if (error.code === 'ECONNRESET' || error.message.includes('socket hang up')) {
                 console.error(`🔌 ${analysisType} failed due to connection reset - Ollama may be overloaded`);
@@ -375,11 +1160,62 @@ Be specific about what information and content users are being shown.`;
                 confidence: 0,
                 error: true,
                 errorType: error.name,
+                unreachable: this.isUnreachableError(error),
+                dropped: error.code === 'REQUEST_DROPPED',
                 timestamp: Date.now()
             };
         }
     }
 
+    /**
+     * Result cache key for a pass, or null when it cannot be cached. The image hash is
+     * computed once per image and shared by all of its passes.
+     */
+    async resultCacheKey(imageData, prompt, promptTemplate) {
+        if (!this.resultCache || !promptTemplate) return null;
+
+        try {
+            imageData.hash = imageData.hash || await VisionResultCache.hashImage(imageData.base64);
+        } catch (error) {
+            console.warn('⚠️ Could not hash image, skipping result cache:', error.message);
+            return null;
+        }
+
+        return VisionResultCache.key({ imageHash: imageData.hash, model: this.visionModel, promptTemplate, prompt });
+    }
+
+    /**
+     * Cached result for a pass, reported to onProgress as already complete.
+     * requestOptions.bypassCache skips the lookup; the fresh result still replaces the entry.
+     */
+    readCachedPass(analysisType, cacheKey, requestOptions = {}) {
+        if (!cacheKey) return null;
+
+        const cached = this.resultCache.get(cacheKey, { bypass: requestOptions.bypassCache });
+        if (!cached) return null;
+
+        console.log(`♻️ ${analysisType} served from result cache`);
+        if (requestOptions.onProgress) {
+            const text = cached.structured ? cached.structured.summary : cached.analysis;
+            requestOptions.onProgress({ label: analysisType, text, chars: text.length, progress: 1 });
+        }
+        return { ...cached, cached: true };
+    }
+
+    /**
+     * Distinct { id, version } of the prompt templates behind a set of pass results
+     */
+    collectPromptTemplates(analyses) {
+        const templates = new Map();
+        analyses.forEach(analysis => {
+            if (analysis.promptTemplate) {
+                const { id, version } = analysis.promptTemplate;
+                templates.set(`${id}@${version}`, { id, version });
+            }
+        });
+        return Array.from(templates.values());
+    }
+
     /**
      * Synthesize multiple visual analyses
      */
@@ -392,14 +1228,31 @@ Be specific about what information and content users are being shown.`;
 
         let synthesis = `Visual Analysis Summary:\n\n`;
         
-        // Combine insights from different analysis types
+        // One section per pass; lines an earlier pass already reported are not repeated
+        const seenLines = new Set();
         successful.forEach(analysis => {
-            synthesis += `${analysis.type.toUpperCase()}:\n${analysis.analysis}\n\n`;
+            const lines = analysis.analysis.split('\n').filter(line => {
+                const key = line.trim().toLowerCase();
+                if (!key) return true;
+                if (seenLines.has(key)) return false;
+                seenLines.add(key);
+                return true;
+            });
+            const body = lines.join('\n').trim();
+            if (!body) return;
+
+            const title = PASS_TITLES[analysis.type] || analysis.type;
+            synthesis += `${title.toUpperCase()}:\n${body}\n\n`;
         });
         
         // Add synthesis conclusion
         synthesis += `VISUAL SYNTHESIS:\n`;
         synthesis += this.generateVisualSynthesis(successful);
+
+        const failed = analyses.filter(a => a.error);
+        if (failed.length > 0) {
+            synthesis += `Incomplete passes: ${failed.map(a => PASS_TITLES[a.type] || a.type).join(', ')}\n`;
+        }
         
         return synthesis;
     }
@@ -485,6 +1338,53 @@ Be specific about what information and content users are being shown.`;
         };
     }
 
+    spatialFeaturesFromStructured(structured) {
+        const regions = new Set(structured.layout.regions);
+        const kinds = new Set(structured.contentItems.map(item => item.kind));
+        const controls = new Set(structured.interactiveElements);
+
+        return {
+            layout: {
+                hasHeader: regions.has('header'),
+                hasNavigation: regions.has('navigation'),
+                hasSidebar: regions.has('sidebar'),
+                hasFooter: regions.has('footer'),
+                isMultiColumn: regions.has('sidebar') || structured.contentItems.some(item => item.region === 'sidebar')
+            },
+            visualHierarchy: {
+                hasHeadings: structured.contentItems.some(item => !!item.title),
+                hasSubsections: structured.recommendationModules.length > 0 || regions.size > 2,
+                usesWhitespace: structured.layout.density === 'low',
+                hasVisualFocus: regions.has('banner') || regions.has('modal')
+            },
+            interactivity: {
+                hasButtons: controls.has('button'),
+                hasForms: controls.has('form') || controls.has('search'),
+                hasLinks: controls.has('link'),
+                hasDropdowns: controls.has('dropdown')
+            },
+            contentTypes: {
+                hasImages: kinds.has('image') || kinds.has('product'),
+                hasText: kinds.has('post') || kinds.has('article'),
+                hasVideo: kinds.has('video') || controls.has('video-player'),
+                hasCharts: kinds.has('chart')
+            }
+        };
+    }
+
+    visualFeaturesFromStructured(structured) {
+        const clutterToExperience = { low: 'excellent', medium: 'good', high: 'needs improvement' };
+        const summary = structured.summary.toLowerCase();
+
+        return {
+            colorScheme: structured.layout.colorScheme,
+            designStyle: this.detectDesignStyle(summary),
+            contentDensity: structured.layout.density,
+            userExperience: clutterToExperience[structured.layout.clutter] || 'good',
+            technicalQuality: this.assessTechnicalQuality(summary)
+        };
+    }
+
     extractVisualFeatures(synthesizedAnalysis) {
         const text = synthesizedAnalysis.toLowerCase();
         
@@ -546,7 +1446,7 @@ Be specific about what information and content users are being shown.`;
     /**
      * Generate visual embeddings
      */
-    async generateVisualEmbeddings(synthesizedAnalysis, imageData) {
+    async generateVisualEmbeddings(synthesizedAnalysis, imageData, requestOptions = {}) {
         const visualDescription = `
             Visual Analysis: ${synthesizedAnalysis}
             Image Size: ${imageData.metrics.sizeKB}KB
@@ -555,21 +1455,16 @@ Be specific about what information and content users are being shown.`;
         `;
 
         try {
-            const response = await fetch(`${this.ollamaEndpoint}/api/embeddings`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    model: this.embeddingModel,
-                    prompt: visualDescription
-                })
-            });
+            const embedding = await (this.embeddingProvider || this.provider).embed({
+                model: this.embeddingModel,
+                input: visualDescription
+            }, this.providerOptions('visual-embeddings', requestOptions, this.embeddingTimeoutMs));
 
-            if (response.ok) {
-                const data = await response.json();
+            if (embedding) {
                 return {
-                    vision: data.embedding,
+                    vision: embedding,
                     model: this.embeddingModel,
-                    dimension: data.embedding.length
+                    dimension: embedding.length
                 };
             }
         } catch (error) {
@@ -636,6 +1531,16 @@ Be specific about what information and content users are being shown.`;
         }
     }
 
+    /**
+     * Network failures and gateway errors from the proxy mean the model server is down,
+     * as opposed to the model rejecting or timing out on a request
+     */
+    isUnreachableError(error) {
+        if (!error) return false;
+        if ([502, 503, 504].includes(error.status)) return true;
+        return error.name === 'TypeError' || /Failed to fetch|NetworkError|ECONNREFUSED/i.test(error.message || '');
+    }
+
     createErrorAnalysis(analysisId, url, error) {
         return {
             analysisId,
@@ -645,6 +1550,9 @@ Be specific about what information and content users are being shown.`;
             url,
             error: true,
             errorMessage: error.message,
+            modelUnreachable: error.code === 'MODEL_UNREACHABLE',
+            dropped: error.code === 'REQUEST_DROPPED',
+            aborted: error.code === 'ANALYSIS_ABORTED',
             confidence: 0,
             visionAnalysis: {
                 synthesis: `Vision analysis failed: ${error.message}`,
@@ -667,11 +1575,19 @@ Be specific about what information and content users are being shown.`;
             conversationsCount: this.conversationHistory.length,
             avgConfidence: this.conversationHistory.reduce((sum, c) => sum + (c.output.confidence || 0), 0) / this.conversationHistory.length,
             successRate: this.conversationHistory.filter(c => !c.error).length / this.conversationHistory.length,
-            analysisTypes: ['ui-analysis', 'content-analysis', 'accessibility-analysis', 'design-analysis']
+            analysisTypes: [...new Set(this.conversationHistory.flatMap(c => c.output.analysisTypes || []))],
+            defaultProfile: this.defaultProfile,
+            profiles: Object.keys(ANALYSIS_PROFILES),
+            provider: this.provider.describe(),
+            resultCache: this.resultCache ? this.resultCache.getStats() : null
         };
     }
 }
 
+VisionAgent.STRUCTURED_PAGE_SCHEMA = STRUCTURED_PAGE_SCHEMA;
+VisionAgent.PROFILES = ANALYSIS_PROFILES;
+VisionAgent.STOP_CODE = ANALYSIS_STOPPED;
+
 // Export for use in Chrome extension background script
 if (typeof globalThis !== 'undefined') {
     globalThis.VisionAgent = VisionAgent;
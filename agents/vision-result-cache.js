@@ -0,0 +1,122 @@
+/**
+ * Vision Result Cache
+ * Content-addressed, in-memory LRU of vision pass results, so an identical image sent with
+ * the same model and prompt is answered without another model request
+ */
+
+class VisionResultCache {
+    constructor(config = {}) {
+        const {
+            maxEntries = 200,
+            maxBytes = 5 * 1024 * 1024
+        } = config;
+
+        this.maxEntries = maxEntries;
+        this.maxBytes = maxBytes;
+        this.entries = new Map(); // Insertion order is recency order: oldest first
+        this.bytes = 0;
+        this.stats = { hits: 0, misses: 0, bypassed: 0, evictions: 0 };
+    }
+
+    /**
+     * SHA-256 of the encoded image, as hex
+     */
+    static async hashImage(base64) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(base64));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Cache key for one pass. The rendered prompt is folded in as well as the template
+     * version, because the same version renders differently per URL, page text and locale.
+     */
+    static key({ imageHash, model, promptTemplate, prompt }) {
+        return [imageHash, model, `${promptTemplate.id}@${promptTemplate.version}`, VisionResultCache.hashText(prompt)].join(':');
+    }
+
+    /**
+     * 32-bit FNV-1a; only has to tell prompts apart that already share an image and template
+     */
+    static hashText(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * A copy of the cached value, or null. bypass skips the lookup for a forced re-analysis.
+     */
+    get(key, { bypass = false } = {}) {
+        if (bypass) {
+            this.stats.bypassed += 1;
+            return null;
+        }
+
+        const entry = this.entries.get(key);
+        if (!entry) {
+            this.stats.misses += 1;
+            return null;
+        }
+
+        // Move to the most recent end
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.stats.hits += 1;
+        return structuredClone(entry.value);
+    }
+
+    set(key, value) {
+        const size = JSON.stringify(value).length * 2; // UTF-16 estimate
+        if (size > this.maxBytes) return false;
+
+        this.delete(key);
+        this.entries.set(key, { value: structuredClone(value), size, storedAt: Date.now() });
+        this.bytes += size;
+
+        while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+            const oldestKey = this.entries.keys().next().value;
+            this.delete(oldestKey);
+            this.stats.evictions += 1;
+        }
+        return true;
+    }
+
+    delete(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return false;
+
+        this.entries.delete(key);
+        this.bytes -= entry.size;
+        return true;
+    }
+
+    clear() {
+        this.entries.clear();
+        this.bytes = 0;
+    }
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            ...this.stats,
+            hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+            entries: this.entries.size,
+            bytes: this.bytes,
+            maxEntries: this.maxEntries,
+            maxBytes: this.maxBytes
+        };
+    }
+}
+
+// Export for use in Chrome extension background script
+if (typeof globalThis !== 'undefined') {
+    globalThis.VisionResultCache = VisionResultCache;
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VisionResultCache;
+}
@@ -5,65 +5,148 @@
 
 // Import agent scripts
 importScripts(
-    // 'agents/text-browsing-agent.js',  // Commented out for now
+    'agents/model-request-scheduler.js',
+    'agents/model-providers.js',
+    'agents/model-roles.js',
+    'agents/prompt-templates.js',
+    'agents/vision-result-cache.js',
+    'agents/sponsored-content-detector.js',
+    'agents/feed-item-extractor.js',
+    'agents/site-adapters.js',
+    'agents/structured-data-entities.js',
+    'agents/text-browsing-agent.js',
     'agents/vision-agent.js', 
-    // 'agents/orchestrator-agent.js',    // Commented out for now
-    'agents/semantic-tensor-memory.js'
+    'agents/orchestrator-agent.js',
+    'agents/semantic-tensor-memory.js',
+    'agents/memory-store.js',
+    'agents/analysis-job-queue.js',
+    'agents/perceptual-hash.js',
+    'agents/screenshot-tiler.js'
 );
 
 class AlgorithmMirrorBackground {
     constructor() {
-        this.activeAnalysis = new Map();
-        this.memoryStorage = new Map();
+        // Analysis jobs are persisted so they survive the worker being suspended
+        this.jobQueue = new AnalysisJobQueue({
+            onWake: () => this.processJobQueue()
+        });
+        this.processingJobs = false;
+        // AbortControllers for jobs that are capturing or analyzing right now
+        this.jobControllers = new Map();
+        this.progressIntervalMs = 250; // Streamed partial output is broadcast at most this often per job
+        this.backlogInFlight = null; // { url, controller } for the backlog entry being analyzed
+        // Every agent's model requests share one priority queue
+        this.modelScheduler = new ModelRequestScheduler({ concurrency: 1 });
+        this.memoryStore = new MemoryStore();
+        // Reads and writes wait for the one-time chrome.storage -> IndexedDB migration
+        this.storageReady = this.memoryStore.migrateFromChromeStorage().catch(error => {
+            console.error('Memory migration failed:', error);
+        });
         this.isActive = true;
         this.analysisInterval = 30000; // 30 seconds
         this.lastCaptureTime = 0; // Rate limiting for screenshots
+        this.fullPageMaxFrames = 6;
+        this.pageContentMaxLength = 1000000; // Characters of HTML sent to the text agent
+        this.frameCaptureIntervalMs = 600; // captureVisibleTab allows two calls per second
+        this.offscreenDocumentPromise = null;
+        this.contentCaptureWindowMs = 60 * 60 * 1000;
+        this.contentCaptureMinIntervalMs = 15000;
+        // hostname -> timestamps of accepted content-driven captures, kept across worker restarts
+        this.contentCaptureLogKey = 'algorithmMirrorContentCaptureLog';
+        this.contentCaptureBudgetChain = Promise.resolve();
+        this.perceptualHash = new PerceptualHash();
+        this.screenshotTiler = new ScreenshotTiler();
+        this.sponsoredContentDetector = new SponsoredContentDetector();
+        this.feedItemExtractor = new FeedItemExtractor({ detector: this.sponsoredContentDetector });
+        this.siteAdapters = new SiteAdapters(); // Adapters loaded in settings are added once they load
+        this.structuredDataEntities = new StructuredDataEntities();
+        this.duplicateHashThreshold = 6; // Differing bits out of 64 still treated as the same view
+        this.duplicateWindowMs = 30 * 60 * 1000;
+        this.dedupStats = { hashed: 0, duplicates: 0 };
+        this.roleProviders = new Map(); // endpoint -> provider for model roles with their own server
+        this.modelRoleStatus = null; // Last validation of the model roles against the servers' model lists
+        this.promptTemplates = new PromptTemplates(); // Saved edits are applied once settings load
+        this.visionResultCache = new VisionResultCache(); // Kept across vision agent re-creation
         this.currentSettings = {};
+        this.retentionAlarmName = 'algorithm-mirror-retention';
+        this.retentionSweepMinutes = 60;
+        this.periodicAlarmName = 'algorithm-mirror-periodic';
+        this.backlogAlarmName = 'algorithm-mirror-backlog';
+        this.backlogCheckMinutes = 1;
+        this.maxBacklogAttempts = 3;
+        this.drainingBacklog = false;
+        this.backlogHealth = { lastCheckAt: null, healthy: null, error: null };
         
-        // Initialize multi-agent system
-        this.initializeAgentSystem();
+        // Initialize multi-agent system; exclusion checks wait for it, as currentSettings is empty until then
+        this.settingsReady = this.initializeAgentSystem().catch(error => {
+            console.error('Agent system initialization failed:', error);
+        });
         
         this.setupEventListeners();
         this.initializeExtension();
     }
 
     async initializeAgentSystem() {
-        console.log('🚀 Initializing Vision Agent System...');
+        console.log('🚀 Initializing Agent System...');
 
         // Get settings for endpoint configuration
         const settings = await this.getSettings();
         const endpoint = settings.ollamaEndpoint || 'http://localhost:8081';
-        const embeddingModel = settings.embeddingModel || 'nomic-embed-text';
-        const visionModel = settings.vlmModel || settings.visionModel || 'llava:7b';
+        const { roles, errors } = ModelRoles.normalize(settings);
+        const embeddingModel = roles.embedding.model;
+        const visionModel = roles.vision.model;
+        errors.forEach(error => console.warn(`⚠️ Model role setting ignored - ${error.message}`));
 
         this.currentSettings = {
             ...settings,
             ollamaEndpoint: endpoint,
             embeddingModel,
-            vlmModel: visionModel
+            vlmModel: visionModel,
+            modelRoles: roles
         };
-
-        // Initialize only vision agent for now
-        // this.textAgent = new TextBrowsingAgent({ ollamaEndpoint: endpoint, embeddingModel }); // Commented out for now
+        this.modelScheduler.setConcurrency(settings.modelConcurrency || 1);
+        // Ollama or an OpenAI-compatible server; shared by every agent
+        this.modelProvider = ModelProvider.fromSettings(this.currentSettings);
+        // One registry for every agent, so edited prompts apply without recreating them
+        this.promptTemplates.update(settings.promptTemplates || {}, { locale: settings.promptLocale || '' });
+        this.siteAdapters.update(settings.siteAdapters || []);
+
+        // The text agent and orchestrator only run in multi-agent mode; vision runs in both
+        this.textAgent = new TextBrowsingAgent({
+            provider: this.modelProvider,
+            embeddingModel,
+            scheduler: this.modelScheduler,
+            promptTemplates: this.promptTemplates,
+            siteAdapters: this.siteAdapters
+        });
         this.visionAgent = new VisionAgent({
-            ollamaEndpoint: endpoint,
+            provider: this.modelProvider,
             embeddingModel,
-            visionModel
+            visionModel,
+            scheduler: this.modelScheduler,
+            defaultProfile: settings.analysisProfile,
+            promptTemplates: this.promptTemplates,
+            resultCache: this.visionResultCache
         });
-        // this.orchestratorAgent = new OrchestratorAgent(endpoint); // Commented out for now
+        this.orchestratorAgent = new OrchestratorAgent({ provider: this.modelProvider, scheduler: this.modelScheduler });
         this.semanticMemory = new SemanticTensorMemory({
-            ollamaEndpoint: endpoint,
-            embeddingModel
+            provider: this.modelProvider,
+            embeddingModel,
+            persistence: this.memoryStore, // Rehydrated lazily on first use
+            scheduler: this.modelScheduler
         });
 
-        // Connect orchestrator to agents (commented out for now)
-        // this.orchestratorAgent.initialize(this.textAgent, this.visionAgent);
+        this.applyModelRoles(roles);
+
+        // Connect orchestrator to agents
+        this.orchestratorAgent.initialize(this.textAgent, this.visionAgent);
 
-        console.log('✅ Vision Agent System initialized with:');
-        // console.log('  - Text Browsing Agent:', this.textAgent.agentId);
+        console.log(`✅ Agent System initialized (${this.getAnalysisMode()} mode) with:`);
+        console.log('  - Text Browsing Agent:', this.textAgent.agentId);
         console.log('  - Vision Agent:', this.visionAgent.agentId);
         console.log('    • Model:', this.visionAgent.visionModel);
-        // console.log('  - Orchestrator Agent:', this.orchestratorAgent.agentId);
+        console.log('    • Provider:', `${this.modelProvider.type} at ${this.modelProvider.endpoint}`);
+        console.log('  - Orchestrator Agent:', this.orchestratorAgent.agentId);
         console.log('  - Semantic Memory System:', this.semanticMemory.systemId);
     }
 
@@ -85,26 +168,39 @@ class AlgorithmMirrorBackground {
             }
         });
 
+        chrome.tabs.onRemoved.addListener((tabId) => {
+            this.cancelJobs(job => job.tabId === tabId, 'Tab closed');
+        });
+
+        // Scheduled jobs
+        chrome.alarms.onAlarm.addListener((alarm) => {
+            if (alarm.name === this.retentionAlarmName) {
+                this.runRetentionSweep().catch(error => {
+                    console.error('Retention sweep failed:', error);
+                });
+            } else if (alarm.name === this.jobQueue.alarmName) {
+                this.processJobQueue();
+            } else if (alarm.name === this.backlogAlarmName) {
+                this.runBacklogCheck().catch(error => {
+                    console.error('Backlog check failed:', error);
+                });
+            } else if (alarm.name === this.periodicAlarmName) {
+                if (this.isActive) {
+                    this.performPeriodicAnalysis();
+                }
+            }
+        });
+
         // Messages from content scripts
         chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             const result = this.handleMessage(message, sender, sendResponse);
             return result; // Return true for async responses
         });
-
-        // Periodic analysis
-        setInterval(() => {
-            if (this.isActive) {
-                this.performPeriodicAnalysis();
-            } else {
-                // Optional: Log when periodic analysis is skipped due to inactive state
-                // console.log('⏸️ Periodic analysis skipped - Algorithm Mirror is inactive');
-            }
-        }, this.analysisInterval);
     }
 
     async initializeExtension() {
         // Load saved state
-        const result = await chrome.storage.local.get(['algorithmMirrorSettings', 'algorithmMirrorMemory']);
+        const result = await chrome.storage.local.get(['algorithmMirrorSettings']);
         
         if (result.algorithmMirrorSettings) {
             this.isActive = result.algorithmMirrorSettings.isActive !== false;
@@ -115,56 +211,58 @@ class AlgorithmMirrorBackground {
             };
         }
 
-        if (result.algorithmMirrorMemory) {
-            this.memoryStorage = new Map(result.algorithmMirrorMemory);
-        }
+        await this.scheduleRetentionSweep();
+        await this.schedulePeriodicAnalysis();
+
+        // Pick up jobs left behind by a previous worker
+        await this.jobQueue.load();
+        this.processJobQueue();
+        await this.scheduleBacklogCheck();
 
         console.log('Algorithm Mirror initialized');
     }
 
     async initializeStorage() {
-        // Clear old storage to prevent quota issues
-        try {
-            const storage = await chrome.storage.local.get(null);
-            const storageSize = JSON.stringify(storage).length;
-            console.log(`Current storage size: ${(storageSize / 1024).toFixed(0)}KB`);
-            
-            if (storageSize > 4 * 1024 * 1024) { // If over 4MB
-                console.log('🧹 Clearing storage due to size limit');
-                await chrome.storage.local.clear();
-            }
-        } catch (error) {
-            console.error('Storage check failed:', error);
-        }
+        // Memories live in IndexedDB; carry over anything an older version left in chrome.storage
+        await this.storageReady;
 
         const defaultSettings = {
             isActive: true,
             analysisInterval: 30000,
             vlmModel: 'llava:7b',
             embeddingModel: 'nomic-embed-text',
-            ollamaEndpoint: 'http://localhost:8081'  // Use CORS proxy
+            ollamaEndpoint: 'http://localhost:8081',  // Use CORS proxy
+            retentionDays: 30,
+            excludedDomains: [],
+            backlogPaused: false,
+            modelConcurrency: 1,
+            fullPageCapture: 'off',
+            contentCapture: true,
+            contentCaptureBudget: 30,
+            analysisProfile: 'quick',
+            domainProfiles: {},
+            tiledAnalysis: 'off',
+            analysisMode: 'vision',
+            modelProvider: 'ollama',
+            providerApiKey: '',
+            modelRoles: {},
+            promptTemplates: {},
+            promptLocale: '',
+            siteAdapters: []
         };
 
-        // Only initialize if settings don't exist, preserve existing memory
-        const existing = await chrome.storage.local.get(['algorithmMirrorSettings', 'algorithmMirrorMemory']);
+        // Only initialize if settings don't exist
+        const existing = await chrome.storage.local.get(['algorithmMirrorSettings']);
         
-        const updates = {};
         if (!existing.algorithmMirrorSettings) {
-            updates.algorithmMirrorSettings = defaultSettings;
-        }
-        if (!existing.algorithmMirrorMemory) {
-            updates.algorithmMirrorMemory = [];
-        }
-        
-        if (Object.keys(updates).length > 0) {
-            await chrome.storage.local.set(updates);
+            await chrome.storage.local.set({ algorithmMirrorSettings: defaultSettings });
         }
     }
 
     async handleTabActivated(tabId) {
         try {
             const tab = await chrome.tabs.get(tabId);
-            if (this.isValidUrl(tab.url)) {
+            if (this.isValidUrl(tab.url) && !this.isExcludedUrl(tab.url)) {
                 await this.injectContentScript(tabId);
                 this.scheduleAnalysis(tabId, tab.url);
             }
@@ -174,13 +272,11 @@ class AlgorithmMirrorBackground {
     }
 
     async handlePageLoaded(tabId, tab) {
-        if (this.isValidUrl(tab.url)) {
+        if (this.isValidUrl(tab.url) && !this.isExcludedUrl(tab.url)) {
             await this.injectContentScript(tabId);
             
             // Schedule analysis after page settles
-            setTimeout(() => {
-                this.scheduleAnalysis(tabId, tab.url);
-            }, 3000);
+            this.scheduleAnalysis(tabId, tab.url, { delayMs: 5000 });
         }
     }
 
@@ -232,40 +328,269 @@ class AlgorithmMirrorBackground {
                !url.startsWith('moz-extension://');
     }
 
-    async scheduleAnalysis(tabId, url) {
-        if (!this.isActive) return;
+    /**
+     * Normalize an excludedDomains entry into a lowercase hostname pattern.
+     * Accepts bare hostnames, pasted URLs and a leading "." as shorthand for "*."
+     */
+    normalizeDomainRule(rule) {
+        if (typeof rule !== 'string') return null;
 
-        const analysisId = `${tabId}_${Date.now()}`;
-        
-        this.activeAnalysis.set(analysisId, {
-            tabId,
-            url,
-            timestamp: Date.now(),
-            status: 'scheduled'
+        let normalized = rule.trim().toLowerCase();
+        if (!normalized) return null;
+
+        normalized = normalized
+            .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+            .split('/')[0]
+            .split(':')[0];
+
+        if (normalized.startsWith('.')) {
+            normalized = `*${normalized}`;
+        }
+
+        return normalized || null;
+    }
+
+    getExcludedDomainRules(settings = this.currentSettings) {
+        const rules = Array.isArray(settings?.excludedDomains) ? settings.excludedDomains : [];
+        return [...new Set(rules.map(rule => this.normalizeDomainRule(rule)).filter(Boolean))];
+    }
+
+    /**
+     * Match a hostname against a single rule:
+     * - "example.com" matches example.com and every subdomain
+     * - "*.example.com" matches subdomains only
+     * - any other "*" is a glob over the full hostname (e.g. "bank*.com")
+     */
+    matchesDomainRule(hostname, rule) {
+        if (!hostname || !rule) return false;
+
+        if (rule.startsWith('*.') && !rule.slice(2).includes('*')) {
+            return hostname.endsWith(rule.slice(1));
+        }
+
+        if (rule.includes('*')) {
+            const pattern = rule
+                .split('*')
+                .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+                .join('.*');
+            return new RegExp(`^${pattern}$`).test(hostname);
+        }
+
+        return hostname === rule || hostname.endsWith(`.${rule}`);
+    }
+
+    /**
+     * Analysis profile for a URL: the first matching domainProfiles rule, else the default profile
+     */
+    getProfileForUrl(url, settings = this.currentSettings) {
+        const domainProfiles = settings?.domainProfiles || {};
+
+        let hostname;
+        try {
+            hostname = new URL(url).hostname.toLowerCase();
+        } catch (error) {
+            return settings?.analysisProfile || 'quick';
+        }
+
+        const match = Object.entries(domainProfiles).find(([rule]) =>
+            this.matchesDomainRule(hostname, this.normalizeDomainRule(rule))
+        );
+
+        return match ? match[1] : (settings?.analysisProfile || 'quick');
+    }
+
+    isExcludedUrl(url, rules = this.getExcludedDomainRules()) {
+        if (!url || rules.length === 0) return false;
+
+        let hostname;
+        try {
+            hostname = new URL(url).hostname.toLowerCase();
+        } catch {
+            return false;
+        }
+
+        return rules.some(rule => this.matchesDomainRule(hostname, rule));
+    }
+
+    async scheduleAnalysis(tabId, url, { delayMs = 2000, reason = 'page', profile = null, force = false } = {}) {
+        await this.settingsReady;
+        if (!this.isActive) return null;
+
+        if (this.isExcludedUrl(url)) {
+            console.log(`🚫 Skipping analysis for excluded domain: ${url}`);
+            return null;
+        }
+
+        return this.jobQueue.enqueue({ tabId, url, delayMs, reason, profile, force });
+    }
+
+    /**
+     * Run every due job, one at a time. Called from the queue alarm and its in-worker timer.
+     */
+    async processJobQueue() {
+        if (this.processingJobs) return;
+        this.processingJobs = true;
+
+        try {
+            await this.jobQueue.load();
+
+            let dueJobs = this.jobQueue.getDueJobs();
+            while (dueJobs.length > 0) {
+                for (const job of dueJobs) {
+                    await this.performAnalysis(job.id);
+                }
+                dueJobs = this.jobQueue.getDueJobs();
+            }
+        } catch (error) {
+            console.error('Job queue processing failed:', error);
+        } finally {
+            this.processingJobs = false;
+        }
+    }
+
+    /**
+     * Model request priority for a job: manual captures first, timer-driven captures last
+     */
+    getJobPriority(job) {
+        if (job.reason === 'manual') return 'user';
+        if (job.reason === 'periodic') return 'periodic';
+        return 'normal';
+    }
+
+    isJobLive(analysisId) {
+        return this.jobQueue.isLive(this.jobQueue.get(analysisId));
+    }
+
+    /**
+     * Stop a running analysis at the user's request. Unlike a cancellation, whatever the
+     * model has generated so far is stored as a truncated memory.
+     */
+    stopAnalysis(analysisId) {
+        const controller = this.jobControllers.get(analysisId);
+        if (!controller || controller.signal.aborted) {
+            return false;
+        }
+
+        const reason = new Error('Analysis stopped by user');
+        reason.code = VisionAgent.STOP_CODE;
+        controller.abort(reason);
+        console.log(`✋ Stopping analysis ${analysisId} - keeping partial output`);
+        return true;
+    }
+
+    /**
+     * Send an analysis progress update to the job's tab and to open extension pages
+     */
+    broadcastAnalysisProgress(analysis, update) {
+        const message = {
+            type: 'ANALYSIS_PROGRESS',
+            data: {
+                analysisId: analysis.id,
+                tabId: analysis.tabId,
+                url: analysis.url,
+                timestamp: analysis.timestamp,
+                ...update
+            }
+        };
+
+        chrome.tabs.sendMessage(analysis.tabId, message).catch(() => {}); // Tab may have no content script
+        chrome.runtime.sendMessage(message).catch(() => {}); // No extension page may be open
+    }
+
+    /**
+     * Throttled onProgress callback for one job's streamed model output
+     */
+    createProgressReporter(analysis) {
+        let lastSentAt = 0;
+
+        return update => {
+            const now = Date.now();
+            if (now - lastSentAt < this.progressIntervalMs) return;
+            lastSentAt = now;
+
+            this.broadcastAnalysisProgress(analysis, {
+                status: 'streaming',
+                text: update.text,
+                chars: update.chars,
+                progress: update.progress,
+                pass: update.pass || null,
+                passIndex: update.passIndex ?? null,
+                passCount: update.passCount ?? null,
+                tileIndex: update.tileIndex ?? null,
+                tileCount: update.tileCount ?? null
+            });
+        };
+    }
+
+    /**
+     * Cancel matching jobs and abort any model requests they have in flight
+     */
+    async cancelJobs(predicate, reason) {
+        const cancelled = await this.jobQueue.cancelWhere(predicate, reason);
+        cancelled.forEach(job => {
+            const controller = this.jobControllers.get(job.id);
+            if (controller) {
+                controller.abort();
+                console.log(`⏹️ Aborted in-flight analysis ${job.id} (${reason})`);
+            }
         });
 
-        // Perform analysis
-        setTimeout(async () => {
-            await this.performAnalysis(analysisId);
-        }, 2000);
+        return cancelled.length;
     }
 
     async performAnalysis(analysisId) {
-        const analysis = this.activeAnalysis.get(analysisId);
-        if (!analysis) return;
+        await this.settingsReady;
+        const STATES = AnalysisJobQueue.STATES;
+        const analysis = this.jobQueue.get(analysisId);
+        if (!analysis || analysis.state !== STATES.SCHEDULED) return;
         
         // Check if AI is still active before proceeding
         if (!this.isActive) {
             console.log(`⏹️ Analysis ${analysisId} cancelled - AI is inactive`);
-            this.activeAnalysis.delete(analysisId);
+            await this.jobQueue.fail(analysisId, 'AI is inactive', { retry: false });
+            return;
+        }
+
+        if (this.isExcludedUrl(analysis.url)) {
+            console.log(`🚫 Analysis ${analysisId} cancelled - domain is excluded`);
+            await this.jobQueue.fail(analysisId, 'Domain is excluded', { retry: false });
+            return;
+        }
+
+        // A periodic capture that waited longer than an interval has been superseded by a newer one
+        if (analysis.reason === 'periodic' && Date.now() - analysis.runAt > this.analysisInterval) {
+            await this.jobQueue.fail(analysisId, 'Stale periodic capture', { retry: false });
             return;
         }
 
+        // Retries and resumed jobs only make sense while the tab still shows the same page
+        const tab = await chrome.tabs.get(analysis.tabId).catch(() => null);
+        if (!tab || tab.url !== analysis.url) {
+            await this.jobQueue.fail(analysisId, 'Tab closed or navigated away', { retry: false });
+            return;
+        }
+
+        const controller = new AbortController();
+        this.jobControllers.set(analysisId, controller);
+        let streaming = false;
+
         try {
-            analysis.status = 'capturing';
-            
-            // Capture screenshot (required for vision-only analysis)
-            const screenshot = await this.captureScreenshot(analysis.tabId);
+            await this.jobQueue.transition(analysisId, STATES.CAPTURING);
+            
+            // Full-page mode scrolls and stitches; the visible viewport is the fallback
+            let screenshot = null;
+            let capture = null;
+            if (this.shouldCaptureFullPage(analysis)) {
+                capture = await this.captureFullPage(analysis.tabId, { signal: controller.signal });
+                screenshot = capture ? capture.screenshot : null;
+            }
+
+            // Capture screenshot (required for vision-only analysis); tiled analysis can afford a sharper image
+            if (!screenshot && !controller.signal.aborted) {
+                screenshot = await this.captureScreenshot(analysis.tabId, {
+                    quality: this.getTiledAnalysisMode() === 'off' ? 10 : 70
+                });
+            }
             
             // Debug screenshot data
             console.log('📸 Screenshot capture result:');
@@ -277,80 +602,147 @@ class AlgorithmMirrorBackground {
             
             if (!screenshot) {
                 console.log('⚠️ Screenshot capture failed - cannot perform vision analysis');
-                analysis.status = 'failed';
-                analysis.error = 'Screenshot capture failed';
-                this.activeAnalysis.delete(analysisId);
+                await this.jobQueue.fail(analysisId, 'Screenshot capture failed');
                 return;
             }
 
-            analysis.screenshot = screenshot;
-            analysis.status = 'analyzing';
-
-            // Check if AI is still active before proceeding with analysis
-            if (!this.isActive) {
+            // Check if the job was cancelled while capturing
+            if (!this.isActive || !this.isJobLive(analysisId)) {
                 console.log(`⏹️ Vision analysis cancelled - AI became inactive during processing`);
-                this.activeAnalysis.delete(analysisId);
+                await this.jobQueue.fail(analysisId, 'Cancelled', { retry: false });
                 return;
             }
-            
-            // Final check before starting vision analysis
-            if (!this.isActive) {
-                console.log(`⏹️ Vision analysis cancelled - AI became inactive before analysis`);
-                this.activeAnalysis.delete(analysisId);
+
+            // An unchanged page extends the previous memory instead of costing another model call
+            const hash = await this.computeScreenshotHash(screenshot);
+            const duplicate = await this.findDuplicateCapture(analysis, hash);
+            if (duplicate) {
+                await this.jobQueue.transition(analysisId, STATES.STORED, {
+                    memoryId: duplicate.memoryId,
+                    duplicateOf: duplicate.memoryId,
+                    hash
+                });
                 return;
             }
+
+            // Ad labels, iframes and slots on the page, matched with the model's findings when stored
+            const adSignals = await this.collectAdSignals(analysis.tabId, capture);
+            // Posts, tiles, cards and results the page served, stored as the memory's feed items
+            const feedSignals = await this.collectFeedItems(analysis.tabId, capture, analysis.url);
+            // Products, articles, videos, people and offers the page describes in its markup
+            const entities = await this.collectEntities(analysis.tabId, analysis.url);
+
+            // Stitched captures are already cut into sections; large viewports may be split into a grid
+            let tiles = capture ? capture.tiles : [];
+            let tiling = tiles.length > 0 ? { mode: 'full-page' } : null;
+            if (tiles.length === 0) {
+                const grid = await this.splitForTiledAnalysis(screenshot);
+                if (grid) {
+                    ({ tiles, tiling } = grid);
+                }
+            }
+
+            await this.jobQueue.transition(analysisId, STATES.ANALYZING, {
+                tiles: tiles.length,
+                hash
+            });
             
-            // Perform vision-only analysis
-            console.log('👁️ Starting Vision Agent Analysis...');
-            const visionResult = await this.visionAgent.analyzeScreenshot(
-                analysis.url, 
-                screenshot, 
-                null  // No text context for now
-            );
+            const profile = analysis.profile || this.getProfileForUrl(analysis.url);
+            const visionOptions = {
+                priority: this.getJobPriority(analysis),
+                signal: controller.signal,
+                profile,
+                tiling,
+                bypassCache: !!analysis.force,
+                onProgress: this.createProgressReporter(analysis)
+            };
+            streaming = true;
+            this.broadcastAnalysisProgress(analysis, { status: 'analyzing', profile, progress: 0, text: '' });
+
+            // Multi-agent mode reads the page's text alongside the screenshot
+            let orchestrationResult = null;
+            if (this.getAnalysisMode() === 'multi-agent') {
+                console.log('🤝 Starting Multi-Agent Analysis...');
+                orchestrationResult = await this.orchestrateCapture(analysis, screenshot, tiles, visionOptions);
+            }
+
+            // Vision alone when multi-agent mode is off, the page text is unavailable or the vision agent never ran
+            let visionResult = orchestrationResult?.agentResults?.vision;
+            if (!visionResult?.visionAnalysis) {
+                orchestrationResult = null;
+                console.log('👁️ Starting Vision Agent Analysis...');
+                visionResult = await this.analyzeCapture(analysis.url, screenshot, tiles, visionOptions);
+            }
+
+            // A user stop keeps the partial output; any other abort is a cancellation
+            const userStopped = this.visionAgent.isStopped(controller.signal);
+            const stopped = userStopped && !!visionResult.truncated;
+            if (userStopped && !stopped) {
+                await this.jobQueue.fail(analysisId, 'Stopped before the model produced any output', { retry: false });
+                return;
+            }
+            if (visionResult.aborted || (controller.signal.aborted && !stopped)) {
+                console.log(`⏹️ Analysis ${analysisId} was cancelled - nothing will be stored`);
+                return;
+            }
             console.log('✅ Vision analysis completed');
-            
-            // Create a simplified result structure for memory storage
-            const simplifiedResult = {
-                timestamp: new Date().toISOString(),
+
+            if (visionResult.dropped) {
+                await this.jobQueue.fail(analysisId, visionResult.errorMessage, { retry: false });
+                return;
+            }
+
+            // The exclusion list may have changed while the model was running
+            if (this.isExcludedUrl(analysis.url)) {
+                console.log(`🚫 Discarding analysis ${analysisId} - domain was excluded during processing`);
+                await this.jobQueue.fail(analysisId, 'Domain is excluded', { retry: false });
+                return;
+            }
+
+            if (!this.isJobLive(analysisId)) {
+                console.log(`⏹️ Discarding analysis ${analysisId} - job was cancelled during processing`);
+                return;
+            }
+
+            // Model server is down - keep the capture and analyze it once the server is back
+            if (visionResult.modelUnreachable) {
+                const pendingEntry = await this.storePendingCapture({
+                    url: analysis.url,
+                    timestamp: analysis.timestamp,
+                    screenshot,
+                    capture: this.describeCapture(capture, tiling),
+                    profile,
+                    adSignals,
+                    feedSignals,
+                    entities,
+                    reason: visionResult.errorMessage
+                });
+                await this.jobQueue.transition(analysisId, STATES.STORED, {
+                    memoryId: pendingEntry ? pendingEntry.id : null,
+                    pending: true
+                });
+                return;
+            }
+
+            const stored = await this.storeVisionAnalysis({
                 url: analysis.url,
-                agentResults: {
-                    vision: visionResult
-                },
-                orchestratorSynthesis: {
-                    unifiedAnalysis: visionResult.visionAnalysis.synthesis,
-                    confidence: visionResult.confidence
-                },
-                qualityMetrics: {
-                    overallScore: visionResult.confidence
-                },
-                orchestrationMetadata: {
-                    processingTime: visionResult.reasoning.processingTime,
-                    synthesisApproach: 'vision-only'
-                }
-            };
-            
-            // Store in semantic tensor memory
-            const memoryResult = await this.semanticMemory.storeMemory(simplifiedResult);
-            console.log('💾 Stored in semantic memory:', memoryResult.memoryId);
-            
-            // Extract vision analysis for UI display
-            const unifiedAnalysis = visionResult.visionAnalysis.synthesis;
-            const category = this.categorizeContentFromVision(visionResult);
-            
-            console.log('📊 Vision analysis complete - Category:', category);
-            
-            const sanitizedVisionResult = this.sanitizeVisionResult(visionResult);
-
-            // Store the complete analysis in legacy format for UI compatibility
-            await this.storeMemoryEntry({
-                ...analysis,
-                analysis: unifiedAnalysis,
-                visionResult: sanitizedVisionResult,
-                memoryId: memoryResult.memoryId,
-                embeddings: visionResult.visionAnalysis.embeddings,
-                category,
+                timestamp: analysis.timestamp,
                 screenshot,
-                status: 'complete'
+                capture: this.describeCapture(capture, tiling),
+                visionResult,
+                // A stopped vision pass leaves nothing worth synthesizing
+                orchestrationResult: stopped ? null : orchestrationResult,
+                adSignals,
+                feedSignals,
+                entities,
+                signal: stopped ? null : controller.signal
+            });
+            if (!stored) {
+                return;
+            }
+            await this.jobQueue.transition(analysisId, STATES.STORED, {
+                memoryId: stored.memoryId,
+                truncated: stopped
             });
             
             // Notify content script for UI updates (optional)
@@ -361,10 +753,10 @@ class AlgorithmMirrorBackground {
                         timestamp: analysis.timestamp,
                         url: analysis.url,
                         screenshot,
-                        analysis: unifiedAnalysis,
-                        category,
-                        visionResult: sanitizedVisionResult,
-                        memoryId: memoryResult.memoryId
+                        analysis: stored.analysis,
+                        category: stored.category,
+                        visionResult: stored.visionResult,
+                        memoryId: stored.memoryId
                     }
                 });
                 console.log('📤 Notified content script of new analysis');
@@ -375,15 +767,137 @@ class AlgorithmMirrorBackground {
 
         } catch (error) {
             console.error('Analysis failed:', error);
-            analysis.status = 'failed';
-            analysis.error = error.message;
-            
-            // Clean up failed analysis
-            this.activeAnalysis.delete(analysisId);
+            await this.jobQueue.fail(analysisId, error.message);
+        } finally {
+            this.jobControllers.delete(analysisId);
+
+            // Let the sidebar and timeline replace the live item with the stored memory or drop it
+            if (streaming) {
+                const job = this.jobQueue.get(analysisId);
+                const storedJob = job?.state === STATES.STORED;
+                this.broadcastAnalysisProgress(analysis, {
+                    status: storedJob ? 'stored' : 'ended',
+                    memoryId: storedJob ? job.memoryId : null,
+                    truncated: !!job?.truncated,
+                    error: storedJob ? null : (job?.error || null)
+                });
+            }
+        }
+    }
+
+    /**
+     * Store a finished vision analysis in semantic memory and the memory store.
+     * An orchestrationResult in which both agents succeeded is stored as a multi-agent memory;
+     * otherwise only the vision result is kept.
+     * Passing memoryId replaces an existing (pending) entry in place. Returns null without
+     * writing anything if the signal fires before both stores are written.
+     */
+    async storeVisionAnalysis({ url, timestamp, screenshot, capture = null, visionResult, orchestrationResult = null, adSignals = null, feedSignals = null, entities = null, memoryId = null, pinned = false, signal = null }) {
+        if (signal?.aborted) return null;
+
+        // Semantic memories age from the capture, like legacy entries, not from when analysis finished
+        const capturedAt = new Date(timestamp).toISOString();
+        const multiAgent = orchestrationResult?.orchestrationMetadata?.synthesisApproach === 'multi-modal-synthesis'
+            ? { ...orchestrationResult, timestamp: capturedAt }
+            : null;
+
+        // Create a simplified result structure for memory storage
+        const simplifiedResult = {
+            timestamp: capturedAt,
+            url,
+            agentResults: {
+                vision: visionResult
+            },
+            orchestratorSynthesis: {
+                unifiedAnalysis: visionResult.visionAnalysis.synthesis,
+                confidence: visionResult.confidence
+            },
+            qualityMetrics: {
+                overallScore: visionResult.confidence
+            },
+            orchestrationMetadata: {
+                processingTime: visionResult.reasoning.processingTime,
+                synthesisApproach: 'vision-only'
+            }
+        };
+        
+        // Store in semantic tensor memory
+        const memoryResult = await this.semanticMemory.storeMemory(multiAgent || simplifiedResult, { memoryId });
+        console.log('💾 Stored in semantic memory:', memoryResult.memoryId);
+        
+        // Extract the analysis for UI display; the structured vision category beats keyword matching
+        const unifiedAnalysis = multiAgent
+            ? multiAgent.orchestratorSynthesis.unifiedAnalysis
+            : visionResult.visionAnalysis.synthesis;
+        const category = multiAgent
+            ? this.categorizeFromSiteAdapter(url) ||
+                this.categorizeFromStructured(visionResult.visionAnalysis.structured) ||
+                this.categorizeContentFromOrchestration(multiAgent)
+            : this.categorizeContentFromVision(visionResult);
+        
+        console.log(`📊 ${multiAgent ? 'Multi-agent' : 'Vision'} analysis complete - Category:`, category);
+
+        // Grid and full-page tile bounds are in pixels of the analyzed image
+        const ads = this.sponsoredContentDetector.detect({
+            domSignals: adSignals,
+            visionResult,
+            imageSize: capture ? { width: capture.width || null, height: capture.height } : null
+        });
+        if (ads.length > 0) {
+            console.log(`📢 ${ads.length} sponsored items detected (${ads.filter(ad => ad.sources.includes('dom')).length} confirmed in the page)`);
+        }
+
+        // Without signals (the page could not be reached) any items stored earlier are kept
+        const site = this.siteAdapters.match(url);
+        const feedItems = feedSignals
+            ? this.feedItemExtractor.build({ feedSignals, ads, itemFlags: site ? site.page.itemFlags : [] })
+            : null;
+        if (feedItems?.length) {
+            console.log(`🧾 ${feedItems.length} feed items segmented`);
+        }
+        
+        const sanitizedVisionResult = this.sanitizeVisionResult(visionResult);
+
+        // Cancelled while semantic memory was being written - undo it
+        if (signal?.aborted) {
+            this.semanticMemory.removeMemoriesWhere((memory, id) => id === memoryResult.memoryId);
+            await this.semanticMemory.flushPersistence(); // The worker may be gone before the timed write
+            return null;
         }
+
+        // Store the complete analysis in legacy format for UI compatibility
+        await this.storeMemoryEntry({
+            url,
+            timestamp,
+            analysis: unifiedAnalysis,
+            visionResult: sanitizedVisionResult,
+            memoryId: memoryResult.memoryId,
+            embeddings: multiAgent?.orchestratorSynthesis.embeddings || visionResult.visionAnalysis.embeddings,
+            category,
+            screenshot,
+            capture,
+            pinned,
+            truncated: !!visionResult.truncated,
+            promptTemplates: [
+                ...(visionResult.reasoning?.promptTemplates || []),
+                ...(multiAgent?.agentResults.text.reasoning?.promptTemplates || [])
+            ],
+            ads,
+            feedItems,
+            entities,
+            siteAdapter: site ? { id: site.adapter.id, version: site.adapter.version, pageType: site.page.pageType } : null,
+            orchestrationResult: multiAgent
+        });
+
+        return {
+            memoryId: memoryResult.memoryId,
+            analysis: unifiedAnalysis,
+            category,
+            visionResult: sanitizedVisionResult
+        };
     }
 
-    async captureScreenshot(tabId) {
+    async captureScreenshot(tabId, { quality = 10 } = {}) {
         try {
             console.log(`🔄 Starting screenshot capture for tabId: ${tabId}`);
             
@@ -400,6 +914,10 @@ class AlgorithmMirrorBackground {
             if (!tab || !tab.url || tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://')) {
                 throw new Error('Invalid tab for screenshot');
             }
+
+            if (this.isExcludedUrl(tab.url)) {
+                throw new Error('Capture blocked - domain is excluded');
+            }
             
             // Only capture if this is the currently active tab
             if (!tab.active) {
@@ -418,7 +936,7 @@ class AlgorithmMirrorBackground {
             // Capture the screenshot of the active tab only
             const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, {
                 format: 'jpeg',
-                quality: 10  // Even lower quality to reduce memory usage and prevent Ollama crashes
+                quality  // Low by default to reduce memory usage and prevent Ollama crashes
             });
 
             console.log(`✅ Screenshot capture successful!`);
@@ -448,55 +966,484 @@ class AlgorithmMirrorBackground {
         }
     }
 
-    async performPeriodicAnalysis() {
+    /**
+     * Full-page capture is opt-in: 'manual' limits it to manual captures, 'all' applies it to every job
+     */
+    shouldCaptureFullPage(job) {
+        const mode = this.currentSettings.fullPageCapture || 'off';
+        return mode === 'all' || (mode === 'manual' && job.reason === 'manual');
+    }
+
+    /**
+     * Wait until another captureVisibleTab call fits within Chrome's quota
+     */
+    async waitForCaptureSlot() {
+        const wait = this.lastCaptureTime + this.frameCaptureIntervalMs - Date.now();
+        if (wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+        this.lastCaptureTime = Date.now();
+    }
+
+    /**
+     * Scroll the page in viewport-sized steps via the content script, capture each step
+     * and stitch the frames in the offscreen document. Returns null when the page cannot
+     * be captured this way so the caller can fall back to a viewport screenshot.
+     */
+    async captureFullPage(tabId, { signal = null } = {}) {
+        let prepared = false;
+
         try {
-            // Get the currently active tab in the focused window only
-            const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
-            if (activeTab && this.isValidUrl(activeTab.url)) {
-                // Double-check that the tab is still active before scheduling
-                const currentTab = await chrome.tabs.get(activeTab.id);
-                if (currentTab.active) {
-                    console.log(`Scheduling analysis for active tab: ${activeTab.url}`);
-                    this.scheduleAnalysis(activeTab.id, activeTab.url);
-                } else {
-                    console.log('Tab became inactive, skipping analysis');
-                }
-            } else {
-                console.log('No valid active tab found for periodic analysis');
+            const tab = await chrome.tabs.get(tabId);
+            if (!tab || !this.isValidUrl(tab.url) || this.isExcludedUrl(tab.url) || !tab.active) {
+                throw new Error('Tab cannot be captured');
+            }
+
+            const layout = await chrome.tabs.sendMessage(tabId, { type: 'FULL_PAGE_PREPARE' });
+            if (!layout?.success) {
+                throw new Error('Content script did not prepare the page');
+            }
+            prepared = true;
+
+            const { scrollHeight, viewportHeight, viewportWidth } = layout;
+            const maxScroll = Math.max(0, scrollHeight - viewportHeight);
+            const positions = [];
+            for (let y = 0; positions.length < this.fullPageMaxFrames; y += viewportHeight) {
+                positions.push(Math.min(y, maxScroll));
+                if (y >= maxScroll) break;
+            }
+
+            console.log(`📜 Full-page capture of ${tab.url}: ${positions.length} frames over ${scrollHeight}px`);
+
+            const frames = [];
+            for (const [index, y] of positions.entries()) {
+                if (signal?.aborted) return null;
+
+                const step = await chrome.tabs.sendMessage(tabId, { type: 'FULL_PAGE_SCROLL_TO', data: { y, index } });
+
+                // Pages that scroll an inner container stop moving - no point capturing the same frame twice
+                if (frames.some(frame => frame.y === step.scrollY)) break;
+
+                await this.waitForCaptureSlot();
+                const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'jpeg', quality: 10 });
+                frames.push({ dataUrl, y: step.scrollY });
+            }
+
+            await chrome.tabs.sendMessage(tabId, { type: 'FULL_PAGE_RESTORE' });
+            prepared = false;
+
+            if (frames.length <= 1) {
+                return frames.length === 1
+                    ? { screenshot: frames[0].dataUrl, tiles: [], height: viewportHeight, tileHeight: viewportHeight }
+                    : null;
             }
+
+            const stitched = await this.sendToOffscreen('STITCH_FRAMES', {
+                frames,
+                viewportWidth,
+                viewportHeight,
+                pageHeight: scrollHeight,
+                tileHeight: viewportHeight
+            });
+
+            console.log(`🧵 Stitched ${frames.length} frames into ${stitched.width}x${stitched.height} (${stitched.tiles.length} tiles)`);
+
+            return {
+                screenshot: stitched.image,
+                tiles: stitched.tiles,
+                height: stitched.height,
+                tileHeight: viewportHeight
+            };
         } catch (error) {
-            console.error('Periodic analysis failed:', error);
+            console.log('⚠️ Full-page capture unavailable, falling back to viewport:', error.message);
+            return null;
+        } finally {
+            if (prepared) {
+                chrome.tabs.sendMessage(tabId, { type: 'FULL_PAGE_RESTORE' }).catch(() => {});
+            }
         }
     }
 
-    handleMessage(message, sender, sendResponse) {
-        switch (message.type) {
-            case 'ANALYSIS_COMPLETE':
-                (async () => {
-                    try {
-                        await this.handleAnalysisComplete(message.data);
-                        sendResponse({ success: true });
-                    } catch (error) {
-                        sendResponse({ success: false, error: error.message });
-                    }
-                })();
-                return true;
+    getTiledAnalysisMode() {
+        const mode = this.currentSettings.tiledAnalysis;
+        return mode === 'auto' || mode === 'always' ? mode : 'off';
+    }
 
-            case 'GET_MEMORY':
-                (async () => {
-                    try {
-                        const memory = await this.getMemoryData(message.data);
-                        sendResponse({ memory });
-                    } catch (error) {
-                        sendResponse({ success: false, error: error.message });
-                    }
-                })();
-                return true;
+    /**
+     * Split one screenshot into overlapping regions for the vision model. 'auto' only
+     * splits screenshots larger than a tile; returns null when no tiling applies.
+     */
+    async splitForTiledAnalysis(screenshot, mode = this.getTiledAnalysisMode()) {
+        if (mode === 'off') return null;
 
-            case 'SEARCH_MEMORY':
-                (async () => {
-                    try {
-                        const results = await this.searchMemoryWithSemantics(message.data);
+        try {
+            const { width, height, tiles } = await this.screenshotTiler.split(screenshot, { force: mode === 'always' });
+            if (tiles.length <= 1) return null;
+
+            console.log(`🔲 Split ${width}x${height} screenshot into ${tiles.length} overlapping tiles`);
+            return {
+                tiles,
+                tiling: {
+                    mode: 'grid',
+                    imageWidth: width,
+                    imageHeight: height,
+                    tileSize: this.screenshotTiler.tileSize,
+                    overlap: this.screenshotTiler.overlap
+                }
+            };
+        } catch (error) {
+            console.log('⚠️ Could not tile screenshot, analyzing it whole:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Ad markers on the page with the area the screenshot covers (see captureFrame).
+     * Null when the content script cannot be reached.
+     */
+    async collectAdSignals(tabId, capture = null) {
+        try {
+            const response = await chrome.tabs.sendMessage(tabId, {
+                type: 'COLLECT_AD_SIGNALS',
+                data: SponsoredContentDetector.DOM_RULES
+            });
+            if (!response?.success) return null;
+
+            return { frame: this.captureFrame(response.viewport, capture), signals: response.signals };
+        } catch (error) {
+            console.log('Ad signals unavailable:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Feed items segmented by the content script with the area the screenshot covers, using
+     * the site adapter for the URL where there is one. Null when the content script cannot
+     * be reached.
+     */
+    async collectFeedItems(tabId, capture = null, url = null) {
+        try {
+            const response = await chrome.tabs.sendMessage(tabId, {
+                type: 'COLLECT_FEED_ITEMS',
+                data: this.feedItemExtractor.getDomRules(url ? this.siteAdapters.match(url) : null)
+            });
+            if (!response?.success) return null;
+
+            return { frame: this.captureFrame(response.viewport, capture), items: response.items };
+        } catch (error) {
+            console.log('Feed items unavailable:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Entities from the page's JSON-LD, microdata, RDFa-lite and social card tags.
+     * Null when the content script cannot be reached.
+     */
+    async collectEntities(tabId, url) {
+        try {
+            const response = await chrome.tabs.sendMessage(tabId, { type: 'COLLECT_STRUCTURED_DATA', data: {} });
+            if (!response?.success) return null;
+
+            return this.structuredDataEntities.extract(response, url);
+        } catch (error) {
+            console.log('Structured data unavailable:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Area the screenshot covers in document CSS pixels: the whole stitched page for a
+     * full-page capture, otherwise the visible viewport
+     */
+    captureFrame(viewport, capture = null) {
+        return capture && capture.tiles.length > 0
+            ? { x: viewport.scrollX, y: 0, width: viewport.width, height: capture.height }
+            : { x: viewport.scrollX, y: viewport.scrollY, width: viewport.width, height: viewport.height };
+    }
+
+    /**
+     * Capture metadata kept on the memory so a backlogged capture can be re-tiled later
+     */
+    describeCapture(capture, tiling = null) {
+        if (tiling?.mode === 'grid') {
+            return {
+                mode: 'grid',
+                width: tiling.imageWidth,
+                height: tiling.imageHeight
+            };
+        }
+        if (!capture || capture.tiles.length === 0) return null;
+
+        return {
+            mode: 'full-page',
+            height: capture.height,
+            tileHeight: capture.tileHeight,
+            tiles: capture.tiles.length
+        };
+    }
+
+    async tileStoredCapture(screenshot, tileHeight) {
+        try {
+            const result = await this.sendToOffscreen('TILE_IMAGE', { image: screenshot, tileHeight });
+            return result.tiles;
+        } catch (error) {
+            console.log('⚠️ Could not re-tile stored capture, analyzing it whole:', error.message);
+            return [];
+        }
+    }
+
+    analyzeCapture(url, screenshot, tiles, options) {
+        return tiles.length > 1
+            ? this.visionAgent.analyzeTiles(url, tiles, null, options)
+            : this.visionAgent.analyzeScreenshot(url, screenshot, null, options);
+    }
+
+    async ensureOffscreenDocument() {
+        if (!this.offscreenDocumentPromise) {
+            this.offscreenDocumentPromise = (async () => {
+                const contexts = await chrome.runtime.getContexts({
+                    contextTypes: ['OFFSCREEN_DOCUMENT'],
+                    documentUrls: [chrome.runtime.getURL('offscreen.html')]
+                });
+
+                if (contexts.length === 0) {
+                    await chrome.offscreen.createDocument({
+                        url: 'offscreen.html',
+                        reasons: ['BLOBS'],
+                        justification: 'Stitch full-page capture frames on a canvas'
+                    });
+                }
+            })().catch(error => {
+                this.offscreenDocumentPromise = null;
+                throw error;
+            });
+        }
+
+        return this.offscreenDocumentPromise;
+    }
+
+    async sendToOffscreen(type, data) {
+        await this.ensureOffscreenDocument();
+
+        const response = await chrome.runtime.sendMessage({ target: 'offscreen', type, data });
+        if (!response?.success) {
+            // The document may have been closed by Chrome; recreate it on the next call
+            this.offscreenDocumentPromise = null;
+            throw new Error(response?.error || 'Offscreen document did not respond');
+        }
+
+        return response;
+    }
+
+    /**
+     * Thresholds the content script uses to decide when new feed content is worth a capture
+     */
+    getContentCapturePolicy(settings = this.currentSettings) {
+        return {
+            enabled: settings.contentCapture !== false,
+            minNewItems: 3,
+            scrollViewports: 1.5,
+            minIntervalMs: this.contentCaptureMinIntervalMs
+        };
+    }
+
+    getContentCaptureBudget(settings = this.currentSettings) {
+        const budget = parseInt(settings.contentCaptureBudget, 10);
+        return Number.isFinite(budget) && budget > 0 ? budget : 30;
+    }
+
+    /**
+     * Spend one unit of the hostname's hourly budget, enforcing a minimum gap between captures.
+     * Calls are serialized so concurrent requests cannot both spend the last unit.
+     */
+    consumeContentCaptureBudget(hostname, now = Date.now()) {
+        const result = this.contentCaptureBudgetChain.then(async () => {
+            const limit = this.getContentCaptureBudget();
+            const stored = await chrome.storage.session.get([this.contentCaptureLogKey]);
+            const log = {};
+            Object.entries(stored[this.contentCaptureLogKey] || {}).forEach(([host, hostTimestamps]) => {
+                const recent = hostTimestamps.filter(timestamp => now - timestamp < this.contentCaptureWindowMs);
+                if (recent.length > 0) log[host] = recent;
+            });
+            const timestamps = log[hostname] || [];
+
+            const last = timestamps[timestamps.length - 1];
+            let decision;
+            if (last && now - last < this.contentCaptureMinIntervalMs) {
+                decision = { allowed: false, reason: 'Too soon after the previous capture on this domain' };
+            } else if (timestamps.length >= limit) {
+                decision = { allowed: false, reason: `Hourly capture budget for ${hostname} used up` };
+            } else {
+                log[hostname] = [...timestamps, now];
+                decision = { allowed: true, remaining: limit - log[hostname].length };
+            }
+
+            await chrome.storage.session.set({ [this.contentCaptureLogKey]: log });
+            return decision;
+        });
+        this.contentCaptureBudgetChain = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * The content script saw a new batch of feed content (inserted items or scrolling
+     * past several viewports) and asks for it to be recorded
+     */
+    async handleContentCaptureRequest(tab, { trigger = 'content', newItems = 0 } = {}) {
+        if (!tab) {
+            return { success: false, accepted: false, error: 'No tab context' };
+        }
+        await this.settingsReady;
+        if (!this.isActive || !this.getContentCapturePolicy().enabled) {
+            return { success: true, accepted: false, reason: 'Content-triggered capture is disabled' };
+        }
+        if (!this.isValidUrl(tab.url) || this.isExcludedUrl(tab.url)) {
+            return { success: true, accepted: false, reason: 'Page cannot be captured' };
+        }
+        if (!tab.active) {
+            return { success: true, accepted: false, reason: 'Tab is not active' };
+        }
+
+        const budget = await this.consumeContentCaptureBudget(new URL(tab.url).hostname);
+        if (!budget.allowed) {
+            console.log(`🪙 Content capture declined for ${tab.url}: ${budget.reason}`);
+            return { success: true, accepted: false, reason: budget.reason };
+        }
+
+        console.log(`📰 New content on ${tab.url} (${trigger}, ${newItems} new items) - scheduling capture`);
+        await this.scheduleAnalysis(tab.id, tab.url, { delayMs: 500, reason: 'content' });
+
+        return { success: true, accepted: true, remaining: budget.remaining };
+    }
+
+    async computeScreenshotHash(screenshot) {
+        try {
+            const hash = await this.perceptualHash.compute(screenshot);
+            this.dedupStats.hashed += 1;
+            return hash;
+        } catch (error) {
+            console.log('⚠️ Could not hash screenshot, skipping duplicate check:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Compare against the latest stored capture of the same tab and URL. A near-identical
+     * screenshot is recorded as continued viewing of that memory. Manual captures always run.
+     */
+    async findDuplicateCapture(job, hash) {
+        if (!hash || job.reason === 'manual') return null;
+
+        const previous = this.jobQueue.getLatestJob(other =>
+            other.id !== job.id
+            && other.tabId === job.tabId
+            && other.url === job.url
+            && other.state === AnalysisJobQueue.STATES.STORED
+            && other.hash
+            && other.memoryId
+        );
+        if (!previous || Date.now() - previous.updatedAt > this.duplicateWindowMs) return null;
+
+        const distance = this.perceptualHash.distance(hash, previous.hash);
+        if (distance > this.duplicateHashThreshold) return null;
+
+        // The earlier memory may have been deleted since
+        const entry = await this.extendDwellTime(previous.memoryId);
+        if (!entry) return null;
+
+        this.dedupStats.duplicates += 1;
+        console.log(`🪞 Near-duplicate capture of ${job.url} (distance ${distance}) - still viewing memory ${previous.memoryId}`);
+
+        return { memoryId: previous.memoryId, distance };
+    }
+
+    async extendDwellTime(memoryId, seenAt = Date.now()) {
+        await this.storageReady;
+
+        return this.memoryStore.updateEntry(memoryId, entry => ({
+            lastSeenAt: seenAt,
+            dwellTimeMs: Math.max(0, seenAt - entry.timestamp),
+            duplicateCaptures: (entry.duplicateCaptures || 0) + 1
+        }));
+    }
+
+    async performPeriodicAnalysis() {
+        try {
+            // Get the currently active tab in the focused window only
+            const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (activeTab && this.isValidUrl(activeTab.url)) {
+                if (this.isExcludedUrl(activeTab.url)) {
+                    console.log('Active tab is on an excluded domain, skipping periodic analysis');
+                    return;
+                }
+
+                // Feed scrolling and page loads already captured this page recently
+                await this.jobQueue.load();
+                const recent = this.jobQueue.getLatestJob(job =>
+                    job.tabId === activeTab.id && job.url === activeTab.url && job.state !== AnalysisJobQueue.STATES.FAILED
+                );
+                if (recent && Date.now() - recent.timestamp < this.analysisInterval) {
+                    console.log('Active tab was captured recently, skipping periodic analysis');
+                    return;
+                }
+
+                // Double-check that the tab is still active before scheduling
+                const currentTab = await chrome.tabs.get(activeTab.id);
+                if (currentTab.active) {
+                    console.log(`Scheduling analysis for active tab: ${activeTab.url}`);
+                    this.scheduleAnalysis(activeTab.id, activeTab.url, { reason: 'periodic' });
+                } else {
+                    console.log('Tab became inactive, skipping analysis');
+                }
+            } else {
+                console.log('No valid active tab found for periodic analysis');
+            }
+        } catch (error) {
+            console.error('Periodic analysis failed:', error);
+        }
+    }
+
+    handleMessage(message, sender, sendResponse) {
+        switch (message.type) {
+            case 'ANALYSIS_COMPLETE':
+                (async () => {
+                    try {
+                        await this.handleAnalysisComplete(message.data);
+                        sendResponse({ success: true });
+                    } catch (error) {
+                        sendResponse({ success: false, error: error.message });
+                    }
+                })();
+                return true;
+
+            case 'GET_MEMORY':
+                (async () => {
+                    try {
+                        const memory = await this.getMemoryData(message.data);
+                        sendResponse({ memory });
+                    } catch (error) {
+                        sendResponse({ success: false, error: error.message });
+                    }
+                })();
+                return true;
+
+            case 'GET_FEED_ITEMS':
+                (async () => {
+                    try {
+                        await this.storageReady;
+                        const items = await this.memoryStore.queryFeedItems(message.data || {});
+                        sendResponse({ success: true, items });
+                    } catch (error) {
+                        sendResponse({ success: false, error: error.message });
+                    }
+                })();
+                return true;
+
+            case 'SEARCH_MEMORY':
+                (async () => {
+                    try {
+                        const results = await this.searchMemoryWithSemantics(message.data);
                         sendResponse({ results });
                     } catch (error) {
                         sendResponse({ success: false, error: error.message });
@@ -535,8 +1482,7 @@ class AlgorithmMirrorBackground {
                         // If turning off AI, cancel all active analyses
                         let cancelledCount = 0;
                         if (wasActive && !this.isActive) {
-                            cancelledCount = this.activeAnalysis.size;
-                            await this.cancelAllActiveAnalyses();
+                            cancelledCount = await this.cancelAllActiveAnalyses();
                         }
                         
                         await this.saveSettings();
@@ -558,7 +1504,8 @@ class AlgorithmMirrorBackground {
                     try {
                         const settings = await this.getSettings();
                         settings.isActive = this.isActive; // Include current active state
-                        settings.activeAnalysisCount = this.activeAnalysis.size;
+                        await this.jobQueue.load();
+                        settings.activeAnalysisCount = this.jobQueue.getActiveCount();
                         sendResponse({ settings });
                     } catch (error) {
                         sendResponse({ success: false, error: error.message });
@@ -577,21 +1524,171 @@ class AlgorithmMirrorBackground {
                 })();
                 return true;
 
+            case 'GET_PAGE_POLICY':
+                // Often the message that wakes the worker, so the rules may not be loaded yet
+                (async () => {
+                    await this.settingsReady;
+                    const url = message.data?.url || sender.tab?.url;
+                    sendResponse({
+                        excluded: this.isExcludedUrl(url),
+                        contentCapture: this.getContentCapturePolicy()
+                    });
+                })();
+                return true;
+
+            case 'CONTENT_CAPTURE_REQUEST':
+                (async () => {
+                    try {
+                        sendResponse(await this.handleContentCaptureRequest(sender.tab, message.data || {}));
+                    } catch (error) {
+                        sendResponse({ success: false, accepted: false, error: error.message });
+                    }
+                })();
+                return true;
+
             case 'MANUAL_CAPTURE':
-                if (sender.tab) {
-                    this.scheduleAnalysis(sender.tab.id, sender.tab.url);
-                    sendResponse({ success: true });
-                } else {
-                    sendResponse({ success: false, error: 'No tab context' });
+                (async () => {
+                    await this.settingsReady;
+                    if (sender.tab && this.isExcludedUrl(sender.tab.url)) {
+                        sendResponse({ success: false, error: 'Domain is excluded' });
+                    } else if (sender.tab) {
+                        this.scheduleAnalysis(sender.tab.id, sender.tab.url, {
+                            delayMs: 0,
+                            reason: 'manual',
+                            profile: message.data?.profile || null,
+                            force: !!message.data?.force
+                        });
+                        sendResponse({ success: true });
+                    } else {
+                        sendResponse({ success: false, error: 'No tab context' });
+                    }
+                })();
+                return true;
+
+            case 'DELETE_MEMORY':
+                (async () => {
+                    try {
+                        const deleted = await this.deleteMemories([message.data]);
+                        sendResponse({ success: true, deleted });
+                    } catch (error) {
+                        sendResponse({ success: false, error: error.message });
+                    }
+                })();
+                return true;
+
+            case 'CLEAR_ALL_MEMORIES':
+                (async () => {
+                    try {
+                        await this.clearAllMemories();
+                        sendResponse({ success: true });
+                    } catch (error) {
+                        sendResponse({ success: false, error: error.message });
+                    }
+                })();
+                return true;
+
+            case 'PIN_MEMORY':
+                (async () => {
+                    try {
+                        const { memoryId, pinned } = message.data || {};
+                        const entry = await this.setMemoryPinned(memoryId, pinned);
+                        sendResponse({ success: true, pinned: entry.pinned });
+                    } catch (error) {
+                        sendResponse({ success: false, error: error.message });
+                    }
+                })();
+                return true;
+
+            case 'RUN_RETENTION_SWEEP':
+                (async () => {
+                    try {
+                        const report = await this.runRetentionSweep();
+                        sendResponse({ success: true, report });
+                    } catch (error) {
+                        sendResponse({ success: false, error: error.message });
+                    }
+                })();
+                return true;
+
+            case 'GET_RETENTION_REPORT':
+                (async () => {
+                    try {
+                        const result = await chrome.storage.local.get(['algorithmMirrorRetentionReport']);
+                        sendResponse({ report: result.algorithmMirrorRetentionReport || null });
+                    } catch (error) {
+                        sendResponse({ success: false, error: error.message });
+                    }
+                })();
+                return true;
+
+            case 'GET_BACKLOG_STATUS':
+                (async () => {
+                    try {
+                        const backlog = await this.getBacklogStatus();
+                        sendResponse({ success: true, backlog });
+                    } catch (error) {
+                        sendResponse({ success: false, error: error.message });
+                    }
+                })();
+                return true;
+
+            case 'SET_BACKLOG_PAUSED':
+                (async () => {
+                    try {
+                        await this.setBacklogPaused(message.data?.paused);
+                        sendResponse({ success: true, backlog: await this.getBacklogStatus() });
+                    } catch (error) {
+                        sendResponse({ success: false, error: error.message });
+                    }
+                })();
+                return true;
+
+            case 'FLUSH_BACKLOG':
+                (async () => {
+                    try {
+                        await this.checkVLMHealth();
+                        const result = await this.drainBacklog({ force: true });
+                        sendResponse({ success: true, ...result });
+                    } catch (error) {
+                        sendResponse({ success: false, error: error.message });
+                    }
+                })();
+                return true;
+
+            case 'STOP_ANALYSIS':
+                sendResponse({ success: true, stopped: this.stopAnalysis(message.data?.analysisId) });
+                return false; // Synchronous response
+
+            case 'RENDER_PROMPT':
+                try {
+                    const { id, variables } = message.data || {};
+                    sendResponse({ success: true, ...this.promptTemplates.render(id, variables) });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
                 }
                 return false; // Synchronous response
 
+            case 'VALIDATE_MODEL_ROLES':
+                (async () => {
+                    try {
+                        const status = await this.validateModelRoles();
+                        sendResponse({ success: true, ...status });
+                    } catch (error) {
+                        sendResponse({ success: false, error: error.message });
+                    }
+                })();
+                return true;
+
             case 'TEST_VLM':
                 (async () => {
                     try {
                         console.log('Starting VLM test...');
                         const result = await this.testVLMConnection();
                         console.log('VLM test completed:', result);
+                        // Server is reachable again - work off the backlog
+                        this.runBacklogCheck().catch(error => {
+                            console.error('Backlog check failed:', error);
+                        });
                         sendResponse({ success: true, message: result });
                     } catch (error) {
                         console.error('VLM test failed:', error);
@@ -607,7 +1704,7 @@ class AlgorithmMirrorBackground {
                         // Try to perform analysis on current tab
                         const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
                         if (tab && this.isValidUrl(tab.url)) {
-                            await this.performAnalysis(tab.id, tab.url);
+                            await this.scheduleAnalysis(tab.id, tab.url, { delayMs: 0, reason: 'manual' });
                         }
                         sendResponse({ success: true });
                     } catch (error) {
@@ -623,87 +1720,494 @@ class AlgorithmMirrorBackground {
         }
     }
 
-    async handleAnalysisComplete(data) {
-        const { analysisId, analysis, embeddings, category } = data;
-        
-        // Update active analysis
-        const activeAnalysis = this.activeAnalysis.get(analysisId);
-        if (activeAnalysis) {
-            const sanitizedVisionResult = this.sanitizeVisionResult(activeAnalysis.visionResult);
+    async handleAnalysisComplete(data) {
+        const { analysisId, analysis, embeddings, category, promptTemplate } = data;
+        
+        // Only jobs that are still live may produce a memory
+        await this.jobQueue.load();
+        const job = this.jobQueue.get(analysisId);
+        if (job && this.jobQueue.isLive(job)) {
+            const entry = await this.storeMemoryEntry({
+                url: job.url,
+                timestamp: job.timestamp,
+                analysis,
+                embeddings,
+                category,
+                promptTemplates: promptTemplate ? [promptTemplate] : []
+            });
+
+            await this.jobQueue.transition(analysisId, AnalysisJobQueue.STATES.STORED, {
+                memoryId: entry ? entry.id : null
+            });
+        }
+    }
+
+    async storeMemoryEntry(entry) {
+        if (this.isExcludedUrl(entry.url)) {
+            console.log(`🚫 Refusing to store memory for excluded domain: ${entry.url}`);
+            return null;
+        }
+
+        const sanitizedVisionResult = this.sanitizeVisionResult(entry.visionResult);
+
+        const memoryEntry = {
+            id: entry.memoryId || `memory_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            timestamp: entry.timestamp,
+            url: entry.url,
+            screenshot: entry.screenshot,
+            analysis: entry.analysis,
+            embeddings: entry.embeddings,
+            category: entry.category,
+            visionResult: sanitizedVisionResult,     // Store sanitized vision result
+            agentVersion: entry.orchestrationResult ? 'multi-agent-v1' : 'vision-only-v1',
+            type: 'page_analysis'
+        };
+
+        if (entry.orchestrationResult) {
+            memoryEntry.orchestrationResult = this.sanitizeOrchestrationResult(entry.orchestrationResult);
+        }
+
+        if (entry.pinned) {
+            memoryEntry.pinned = true;
+        }
+        if (entry.truncated) {
+            memoryEntry.truncated = true; // Analysis was stopped; the text is partial
+        }
+        if (entry.promptTemplates && entry.promptTemplates.length > 0) {
+            memoryEntry.promptTemplates = entry.promptTemplates; // [{ id, version }] that produced the analysis
+        }
+        if (entry.capture) {
+            memoryEntry.capture = entry.capture;
+        }
+        if (entry.ads) {
+            memoryEntry.ads = entry.ads; // Sponsored items: { advertiser, label, description, region, confidence, sources, signals }
+        }
+        if (entry.feedItems) {
+            memoryEntry.feedSummary = this.feedItemExtractor.summarize(entry.feedItems); // The items themselves are child records
+        }
+        if (entry.entities) {
+            memoryEntry.entities = entry.entities; // { type, name, price, currency, ..., sources } from the page's structured data
+        }
+        if (entry.siteAdapter) {
+            memoryEntry.siteAdapter = entry.siteAdapter; // { id, version, pageType } of the adapter that described the page
+        }
+        if (entry.analysisProfile) {
+            memoryEntry.analysisProfile = entry.analysisProfile;
+        }
+        if (entry.pending) {
+            memoryEntry.pending = true;
+            memoryEntry.pendingReason = entry.pendingReason || null;
+            memoryEntry.pendingAttempts = entry.pendingAttempts || 0;
+            memoryEntry.adSignals = entry.adSignals || null; // DOM ad markers from capture time
+            memoryEntry.feedSignals = entry.feedSignals || null; // Feed items as segmented at capture time
+        }
+
+        await this.storageReady;
+        await this.memoryStore.putEntry(memoryEntry);
+        if (entry.feedItems) {
+            await this.memoryStore.putFeedItems(memoryEntry.id, entry.feedItems, { url: memoryEntry.url, timestamp: memoryEntry.timestamp });
+        }
+        
+        // Notify content scripts
+        const tabs = await chrome.tabs.query({});
+        tabs.forEach(tab => {
+            if (this.isValidUrl(tab.url)) {
+                chrome.tabs.sendMessage(tab.id, {
+                    type: 'NEW_MEMORY_ENTRY',
+                    data: memoryEntry
+                }).catch(() => {}); // Ignore errors for tabs without content script
+            }
+        });
+        // And the memory timeline, if it is open
+        chrome.runtime.sendMessage({
+            type: 'NEW_MEMORY_ENTRY',
+            data: memoryEntry
+        }).catch(() => {});
+
+        return memoryEntry;
+    }
+
+    async setMemoryPinned(memoryId, pinned) {
+        await this.storageReady;
+        const entry = await this.memoryStore.updateEntry(memoryId, { pinned: !!pinned });
+        if (!entry) {
+            throw new Error(`Memory ${memoryId} not found`);
+        }
+
+        return entry;
+    }
+
+    async deleteMemories(memoryIds) {
+        await this.storageReady;
+        const ids = memoryIds.filter(Boolean);
+        await this.memoryStore.deleteEntries(ids);
+
+        if (this.semanticMemory) {
+            await this.semanticMemory.ensureLoaded();
+            const idSet = new Set(ids);
+            this.semanticMemory.removeMemoriesWhere((memory, memoryId) => idSet.has(memoryId));
+            await this.semanticMemory.flushPersistence();
+        }
+
+        return ids.length;
+    }
+
+    async clearAllMemories() {
+        await this.storageReady;
+        if (this.semanticMemory) {
+            await this.semanticMemory.ensureLoaded();
+        }
+        await this.memoryStore.clear();
+        this.visionResultCache.clear();
+
+        if (this.semanticMemory) {
+            this.semanticMemory.removeMemoriesWhere(() => true);
+            await this.semanticMemory.flushPersistence();
+        }
+    }
+
+    getRetentionDays(settings = this.currentSettings) {
+        const days = Number(settings?.retentionDays);
+        return Number.isFinite(days) && days > 0 ? days : 30;
+    }
+
+    /**
+     * Periodic capture runs off an alarm so it keeps firing after the worker is suspended
+     */
+    async schedulePeriodicAnalysis() {
+        const periodInMinutes = Math.max(0.5, this.analysisInterval / 60000);
+        const existing = await chrome.alarms.get(this.periodicAlarmName);
+        if (!existing || existing.periodInMinutes !== periodInMinutes) {
+            await chrome.alarms.create(this.periodicAlarmName, {
+                delayInMinutes: periodInMinutes,
+                periodInMinutes
+            });
+        }
+    }
+
+    async scheduleRetentionSweep() {
+        const existing = await chrome.alarms.get(this.retentionAlarmName);
+        if (!existing) {
+            await chrome.alarms.create(this.retentionAlarmName, {
+                delayInMinutes: 1,
+                periodInMinutes: this.retentionSweepMinutes
+            });
+        }
+    }
+
+    /**
+     * Delete memories older than retentionDays from the legacy store and semantic memory.
+     * Pinned memories are exempt. The report is kept in storage for the settings page.
+     */
+    async runRetentionSweep() {
+        const retentionDays = this.getRetentionDays();
+        const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+
+        await this.storageReady;
+
+        const pinnedIds = new Set(
+            (await this.memoryStore.scanEntries({ predicate: entry => !!entry.pinned })).map(entry => entry.id)
+        );
+
+        const expiredIds = await this.memoryStore.deleteWhere(
+            entry => !entry.pinned,
+            { range: IDBKeyRange.upperBound(cutoff, true) }
+        );
+        const legacyRemoved = expiredIds.length;
+
+        await this.semanticMemory?.ensureLoaded();
+        const semanticReport = this.semanticMemory
+            ? this.semanticMemory.pruneOlderThan(cutoff, pinnedIds)
+            : { memories: 0, relationships: 0, clusters: 0 };
+        await this.semanticMemory?.flushPersistence(); // Expired memories must not be rehydrated
+
+        const report = {
+            ranAt: Date.now(),
+            retentionDays,
+            cutoff,
+            pinnedExempt: pinnedIds.size,
+            removed: {
+                legacyEntries: legacyRemoved,
+                semanticMemories: semanticReport.memories,
+                relationships: semanticReport.relationships,
+                conceptClusters: semanticReport.clusters
+            }
+        };
+
+        await chrome.storage.local.set({ algorithmMirrorRetentionReport: report });
+        console.log(`🗓️ Retention sweep (${retentionDays} days) removed ${legacyRemoved} entries, ${semanticReport.memories} semantic memories`);
+
+        return report;
+    }
+
+    /**
+     * Remove every stored memory whose URL matches one of the given rules,
+     * from both the legacy store and semantic memory
+     */
+    async purgeExcludedMemories(rules) {
+        if (!rules || rules.length === 0) {
+            return { legacy: 0, semantic: 0 };
+        }
 
-            activeAnalysis.status = 'complete';
-            activeAnalysis.analysis = analysis;
-            activeAnalysis.embeddings = embeddings;
-            activeAnalysis.category = category;
-            activeAnalysis.visionResult = sanitizedVisionResult;
+        await this.storageReady;
+        const removedIds = await this.memoryStore.deleteWhere(entry => this.isExcludedUrl(entry.url, rules));
+        const legacyRemoved = removedIds.length;
 
-            // Store in memory
-            await this.storeMemoryEntry(activeAnalysis);
+        await this.semanticMemory?.ensureLoaded();
+        const semanticRemoved = this.semanticMemory
+            ? this.semanticMemory.removeMemoriesWhere(memory => this.isExcludedUrl(memory.url, rules)).length
+            : 0;
+        await this.semanticMemory?.flushPersistence(); // Excluded memories must not be rehydrated
 
-            // Clean up active analysis
-            this.activeAnalysis.delete(analysisId);
-        }
+        console.log(`🧹 Purged ${legacyRemoved} legacy and ${semanticRemoved} semantic memories for excluded domains`);
+        return { legacy: legacyRemoved, semantic: semanticRemoved };
     }
 
-    async storeMemoryEntry(entry) {
-        const sanitizedVisionResult = this.sanitizeVisionResult(entry.visionResult);
+    /**
+     * Drop in-flight work and tear down overlays for pages that just became excluded
+     */
+    async enforceExcludedDomains(rules) {
+        const cancelled = await this.cancelJobs(
+            job => this.isExcludedUrl(job.url, rules),
+            'Domain is excluded'
+        );
+        if (this.backlogInFlight && this.isExcludedUrl(this.backlogInFlight.url, rules)) {
+            this.backlogInFlight.controller.abort();
+        }
+        if (cancelled > 0) {
+            console.log(`⏹️ Cancelled ${cancelled} analyses - domain is now excluded`);
+        }
 
-        const memoryEntry = {
-            id: entry.memoryId || `memory_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            timestamp: entry.timestamp,
-            url: entry.url,
-            screenshot: entry.screenshot,
-            analysis: entry.analysis,
-            embeddings: entry.embeddings,
-            category: entry.category,
-            visionResult: sanitizedVisionResult,     // Store sanitized vision result
-            agentVersion: 'vision-only-v1',         // Updated version
-            type: 'page_analysis'
-        };
+        const tabs = await chrome.tabs.query({});
+        tabs.forEach(tab => {
+            if (this.isValidUrl(tab.url) && this.isExcludedUrl(tab.url, rules)) {
+                chrome.tabs.sendMessage(tab.id, { type: 'DOMAIN_EXCLUDED' }).catch(() => {});
+            }
+        });
+    }
 
-        this.memoryStorage.set(memoryEntry.id, memoryEntry);
-        
-        // Save to chrome storage (keep last 1000 entries)
-        const memoryArray = Array.from(this.memoryStorage.entries()).slice(-1000);
-        await chrome.storage.local.set({ algorithmMirrorMemory: memoryArray });
-        
-        // Notify content scripts
+    /**
+     * Bring overlays back on pages whose exclusion was lifted and that no other rule still covers
+     */
+    async restoreIncludedDomains(rules) {
         const tabs = await chrome.tabs.query({});
         tabs.forEach(tab => {
-            if (this.isValidUrl(tab.url)) {
-                chrome.tabs.sendMessage(tab.id, {
-                    type: 'NEW_MEMORY_ENTRY',
-                    data: memoryEntry
-                }).catch(() => {}); // Ignore errors for tabs without content script
+            if (this.isValidUrl(tab.url) && this.isExcludedUrl(tab.url, rules) && !this.isExcludedUrl(tab.url)) {
+                chrome.tabs.sendMessage(tab.id, { type: 'DOMAIN_INCLUDED' }).catch(() => {});
             }
         });
     }
 
-    async getMemoryData(filters = {}) {
-        let entries = Array.from(this.memoryStorage.values());
-        
-        // Apply filters
-        if (filters.category) {
-            entries = entries.filter(entry => entry.category === filters.category);
+    /**
+     * Offline backlog: captures taken while the model server is unreachable are kept
+     * as pending memories and analyzed once the health check passes again
+     */
+    async storePendingCapture({ url, timestamp, screenshot, capture = null, profile = null, adSignals = null, feedSignals = null, entities = null, reason }) {
+        console.log(`⏳ Model unreachable - keeping capture of ${url} for later analysis`);
+
+        const entry = await this.storeMemoryEntry({
+            url,
+            timestamp,
+            screenshot,
+            analysis: '⏳ Waiting for the model server - this capture will be analyzed when it is back',
+            category: 'pending',
+            capture,
+            analysisProfile: profile,
+            adSignals,
+            feedSignals,
+            entities,
+            pending: true,
+            pendingReason: reason
+        });
+
+        this.backlogHealth = { lastCheckAt: Date.now(), healthy: false, error: reason };
+        await this.scheduleBacklogCheck();
+
+        return entry;
+    }
+
+    async getBacklogEntries() {
+        await this.storageReady;
+        // Oldest first so the backlog drains in capture order
+        return this.memoryStore.scanEntries({ direction: 'next', predicate: entry => !!entry.pending });
+    }
+
+    async getBacklogStatus() {
+        const entries = await this.getBacklogEntries();
+        return {
+            size: entries.length,
+            paused: !!this.currentSettings.backlogPaused,
+            draining: this.drainingBacklog,
+            oldest: entries.length > 0 ? entries[0].timestamp : null,
+            ...this.backlogHealth
+        };
+    }
+
+    async scheduleBacklogCheck() {
+        const entries = await this.getBacklogEntries();
+        if (entries.length === 0 || this.currentSettings.backlogPaused) {
+            await chrome.alarms.clear(this.backlogAlarmName);
+            return;
         }
-        
-        if (filters.dateRange) {
-            const { start, end } = filters.dateRange;
-            entries = entries.filter(entry => 
-                entry.timestamp >= start && entry.timestamp <= end
-            );
+
+        const existing = await chrome.alarms.get(this.backlogAlarmName);
+        if (!existing) {
+            await chrome.alarms.create(this.backlogAlarmName, {
+                delayInMinutes: this.backlogCheckMinutes,
+                periodInMinutes: this.backlogCheckMinutes
+            });
         }
-        
-        if (filters.url) {
-            entries = entries.filter(entry => 
-                entry.url.toLowerCase().includes(filters.url.toLowerCase())
-            );
+    }
+
+    async setBacklogPaused(paused) {
+        this.currentSettings.backlogPaused = !!paused;
+        await this.saveSettings();
+        await this.scheduleBacklogCheck();
+        console.log(`⏳ Offline backlog ${paused ? 'paused' : 'resumed'}`);
+
+        if (!paused) {
+            this.runBacklogCheck().catch(error => {
+                console.error('Backlog check failed:', error);
+            });
         }
+    }
 
-        // Sort by timestamp (newest first)
-        entries.sort((a, b) => b.timestamp - a.timestamp);
-        
-        return entries;
+    async runBacklogCheck() {
+        if (this.drainingBacklog || this.currentSettings.backlogPaused || !this.isActive) return;
+
+        try {
+            await this.checkVLMHealth();
+            this.backlogHealth = { lastCheckAt: Date.now(), healthy: true, error: null };
+        } catch (error) {
+            this.backlogHealth = { lastCheckAt: Date.now(), healthy: false, error: error.message };
+            console.log(`⏳ Backlog waiting - model server still unavailable: ${error.message}`);
+            return;
+        }
+
+        await this.drainBacklog();
+    }
+
+    /**
+     * Analyze pending captures in order. A flush ignores the pause flag; every run
+     * stops as soon as the model server becomes unreachable again.
+     */
+    async drainBacklog({ force = false } = {}) {
+        if (this.drainingBacklog) {
+            return { processed: 0, remaining: (await this.getBacklogEntries()).length };
+        }
+        this.drainingBacklog = true;
+
+        let processed = 0;
+        try {
+            const entries = await this.getBacklogEntries();
+            console.log(`⏳ Draining offline backlog (${entries.length} pending)`);
+
+            for (const pending of entries) {
+                if (!force && (this.currentSettings.backlogPaused || !this.isActive)) break;
+
+                try {
+                    if (this.isExcludedUrl(pending.url)) {
+                        await this.deleteMemories([pending.id]);
+                        continue;
+                    }
+
+                    const entry = await this.memoryStore.getEntry(pending.id);
+                    if (!entry || !entry.pending) continue;
+
+                    const controller = new AbortController();
+                    this.backlogInFlight = { url: entry.url, controller };
+                    let tiles = [];
+                    let tiling = null;
+                    if (entry.capture?.mode === 'full-page') {
+                        tiles = await this.tileStoredCapture(entry.screenshot, entry.capture.tileHeight);
+                        tiling = { mode: 'full-page' };
+                    } else if (entry.capture?.mode === 'grid') {
+                        const grid = await this.splitForTiledAnalysis(entry.screenshot, 'always');
+                        if (grid) {
+                            ({ tiles, tiling } = grid);
+                        }
+                    }
+                    const visionResult = await this.analyzeCapture(entry.url, entry.screenshot, tiles, {
+                        signal: controller.signal,
+                        profile: entry.analysisProfile || this.getProfileForUrl(entry.url),
+                        tiling
+                    });
+                    this.backlogInFlight = null;
+
+                    // Cancelled entries stay pending for the next drain
+                    if (visionResult.aborted || controller.signal.aborted) continue;
+
+                    if (visionResult.modelUnreachable) {
+                        this.backlogHealth = { lastCheckAt: Date.now(), healthy: false, error: visionResult.errorMessage };
+                        console.log('⏳ Model server went away again - pausing backlog drain');
+                        break;
+                    }
+
+                    // Memories deleted or excluded while the model was running stay gone
+                    const current = await this.memoryStore.getEntry(entry.id, { includeScreenshot: false });
+                    if (!current || !current.pending || this.isExcludedUrl(entry.url)) continue;
+
+                    if (visionResult.error) {
+                        await this.recordBacklogFailure(current, visionResult.errorMessage);
+                        continue;
+                    }
+
+                    const stored = await this.storeVisionAnalysis({
+                        url: entry.url,
+                        timestamp: entry.timestamp,
+                        screenshot: entry.screenshot,
+                        capture: entry.capture || null,
+                        visionResult,
+                        adSignals: entry.adSignals || null,
+                        feedSignals: entry.feedSignals || null,
+                        entities: entry.entities || null,
+                        memoryId: entry.id,
+                        pinned: current.pinned,
+                        signal: controller.signal
+                    });
+                    if (stored) processed += 1;
+                } catch (error) {
+                    // One broken capture must not hold up the ones queued behind it
+                    this.backlogInFlight = null;
+                    console.error(`Backlog entry ${pending.id} failed:`, error);
+                    try {
+                        const current = await this.memoryStore.getEntry(pending.id, { includeScreenshot: false });
+                        if (current && current.pending) {
+                            await this.recordBacklogFailure(current, error.message);
+                        }
+                    } catch (recordError) {
+                        console.error('Failed to record backlog failure:', recordError);
+                    }
+                }
+            }
+        } finally {
+            this.drainingBacklog = false;
+            this.backlogInFlight = null;
+        }
+
+        const remaining = (await this.getBacklogEntries()).length;
+        console.log(`✅ Backlog drain analyzed ${processed} captures, ${remaining} still pending`);
+        await this.scheduleBacklogCheck();
+
+        return { processed, remaining };
+    }
+
+    /**
+     * Count a failed attempt on a pending capture, giving up after maxBacklogAttempts
+     */
+    async recordBacklogFailure(entry, errorMessage) {
+        const attempts = (entry.pendingAttempts || 0) + 1;
+        const changes = attempts >= this.maxBacklogAttempts
+            ? { pending: false, pendingAttempts: attempts, analysis: `Vision analysis failed: ${errorMessage}`, category: 'uncategorized' }
+            : { pendingAttempts: attempts, pendingReason: errorMessage };
+        await this.memoryStore.updateEntry(entry.id, changes);
+    }
+
+    async getMemoryData(filters = {}) {
+        await this.storageReady;
+
+        // Cursor over the timestamp index already yields newest first
+        return this.memoryStore.queryEntries(filters || {});
     }
 
     async searchMemory(query) {
@@ -711,17 +2215,18 @@ class AlgorithmMirrorBackground {
             return [];
         }
 
+        await this.storageReady;
+
         const queryLower = query.toLowerCase();
-        const entries = Array.from(this.memoryStorage.values());
         
-        // Semantic search using embeddings would go here
-        // For now, using simple text matching
-        const results = entries.filter(entry => {
-            return (
-                entry.url.toLowerCase().includes(queryLower) ||
-                entry.analysis.toLowerCase().includes(queryLower) ||
-                entry.category.toLowerCase().includes(queryLower)
-            );
+        // Simple text matching over entry metadata (screenshots are attached afterwards)
+        const results = await this.memoryStore.scanEntries({
+            predicate: entry => (
+                (entry.url || '').toLowerCase().includes(queryLower) ||
+                (entry.analysis || '').toLowerCase().includes(queryLower) ||
+                (entry.category || '').toLowerCase().includes(queryLower) ||
+                (entry.entities || []).some(entity => (entity.name || '').toLowerCase().includes(queryLower))
+            )
         });
 
         // Score and sort results
@@ -729,20 +2234,20 @@ class AlgorithmMirrorBackground {
             let score = 0;
             
             // URL matches get higher score
-            if (result.url.toLowerCase().includes(queryLower)) score += 3;
+            if ((result.url || '').toLowerCase().includes(queryLower)) score += 3;
             
             // Analysis matches
-            if (result.analysis.toLowerCase().includes(queryLower)) score += 2;
+            if ((result.analysis || '').toLowerCase().includes(queryLower)) score += 2;
             
             // Category matches
-            if (result.category.toLowerCase().includes(queryLower)) score += 1;
+            if ((result.category || '').toLowerCase().includes(queryLower)) score += 1;
             
             result.searchScore = score;
         });
 
         results.sort((a, b) => (b.searchScore || 0) - (a.searchScore || 0));
         
-        return results.slice(0, 50); // Limit results
+        return this.memoryStore.hydrateEntries(results.slice(0, 50)); // Limit results
     }
 
     async saveSettings() {
@@ -766,6 +2271,9 @@ class AlgorithmMirrorBackground {
     }
 
     async applySettingsUpdate(newSettings = {}) {
+        const previousRules = this.getExcludedDomainRules();
+        const previousRetentionDays = this.getRetentionDays();
+        const previousBacklogPaused = !!this.currentSettings.backlogPaused;
         const mergedSettings = {
             ...this.currentSettings,
             ...newSettings
@@ -775,93 +2283,231 @@ class AlgorithmMirrorBackground {
             this.isActive = mergedSettings.isActive;
         }
 
-        if (typeof mergedSettings.analysisInterval === 'number') {
+        if (mergedSettings.modelConcurrency) {
+            this.modelScheduler.setConcurrency(mergedSettings.modelConcurrency);
+        }
+
+        if (typeof mergedSettings.analysisInterval === 'number'
+            && mergedSettings.analysisInterval !== this.analysisInterval) {
             this.analysisInterval = mergedSettings.analysisInterval;
+            await this.schedulePeriodicAnalysis();
         }
 
-        const embeddingModel = mergedSettings.embeddingModel || 'nomic-embed-text';
         const endpoint = mergedSettings.ollamaEndpoint || 'http://localhost:8081';
-        const visionModel = mergedSettings.vlmModel
-            || mergedSettings.visionModel
-            || (this.visionAgent ? this.visionAgent.visionModel : 'llava:7b');
+        const { roles, errors } = ModelRoles.normalize(mergedSettings);
+        const embeddingModel = roles.embedding.model;
+        const visionModel = roles.vision.model;
+        errors.forEach(error => console.warn(`⚠️ Model role setting ignored - ${error.message}`));
+
+        const providerConfig = {
+            type: mergedSettings.modelProvider,
+            endpoint,
+            apiKey: mergedSettings.providerApiKey
+        };
+        if (!this.modelProvider || !this.modelProvider.matches(providerConfig)) {
+            this.modelProvider = ModelProvider.create(providerConfig);
+            console.log(`🔌 Model provider set to ${this.modelProvider.type} at ${this.modelProvider.endpoint}`);
+        }
+
+        this.promptTemplates.update(mergedSettings.promptTemplates || {}, { locale: mergedSettings.promptLocale || '' });
+        this.siteAdapters.update(mergedSettings.siteAdapters || []);
 
         if (!this.visionAgent) {
             this.visionAgent = new VisionAgent({
-                ollamaEndpoint: endpoint,
+                provider: this.modelProvider,
                 embeddingModel,
-                visionModel
+                visionModel,
+                scheduler: this.modelScheduler,
+                defaultProfile: mergedSettings.analysisProfile,
+                promptTemplates: this.promptTemplates,
+                resultCache: this.visionResultCache
             });
         } else {
-            if (typeof this.visionAgent.updateEmbeddingConfig === 'function') {
-                this.visionAgent.updateEmbeddingConfig({
-                    embeddingModel,
-                    ollamaEndpoint: endpoint
-                });
-            } else {
-                this.visionAgent.embeddingModel = embeddingModel;
-                this.visionAgent.ollamaEndpoint = endpoint;
-            }
-
-            if (visionModel) {
-                if (typeof this.visionAgent.setVisionModel === 'function') {
-                    this.visionAgent.setVisionModel(visionModel);
-                } else {
-                    this.visionAgent.visionModel = visionModel;
-                }
-            }
+            this.visionAgent.setDefaultProfile(mergedSettings.analysisProfile);
         }
-
-        if (this.textAgent) {
-            if (typeof this.textAgent.updateEmbeddingConfig === 'function') {
-                this.textAgent.updateEmbeddingConfig({
-                    embeddingModel,
-                    ollamaEndpoint: endpoint
-                });
-            } else {
-                this.textAgent.embeddingModel = embeddingModel;
-                this.textAgent.ollamaEndpoint = endpoint;
-            }
+        if (!this.textAgent) {
+            this.textAgent = new TextBrowsingAgent({
+                provider: this.modelProvider,
+                embeddingModel,
+                scheduler: this.modelScheduler,
+                promptTemplates: this.promptTemplates,
+                siteAdapters: this.siteAdapters
+            });
         }
-
-        if (this.semanticMemory) {
-            if (typeof this.semanticMemory.updateEmbeddingConfig === 'function') {
-                this.semanticMemory.updateEmbeddingConfig({
-                    embeddingModel,
-                    ollamaEndpoint: endpoint
-                });
-            } else {
-                this.semanticMemory.embeddingModel = embeddingModel;
-                this.semanticMemory.ollamaEndpoint = endpoint;
-            }
+        if (!this.orchestratorAgent) {
+            this.orchestratorAgent = new OrchestratorAgent({ provider: this.modelProvider, scheduler: this.modelScheduler });
         }
+        if (this.orchestratorAgent.textAgent !== this.textAgent || this.orchestratorAgent.visionAgent !== this.visionAgent) {
+            this.orchestratorAgent.initialize(this.textAgent, this.visionAgent);
+        }
+
+        // Every agent picks up its roles' models, servers and limits without a restart
+        const previousRoles = JSON.stringify(this.currentSettings.modelRoles || null);
+        this.applyModelRoles(roles);
 
         mergedSettings.embeddingModel = embeddingModel;
         mergedSettings.ollamaEndpoint = endpoint;
         mergedSettings.vlmModel = visionModel;
+        mergedSettings.modelRoles = roles;
 
+        if (JSON.stringify(roles) !== previousRoles) {
+            this.validateModelRoles(roles).catch(error => {
+                console.error('Model role validation failed:', error);
+            });
+        }
+
+        const previousCapturePolicy = JSON.stringify(this.getContentCapturePolicy());
         this.currentSettings = mergedSettings;
 
+        const capturePolicy = this.getContentCapturePolicy();
+        if (JSON.stringify(capturePolicy) !== previousCapturePolicy) {
+            const tabs = await chrome.tabs.query({});
+            tabs.forEach(tab => {
+                if (this.isValidUrl(tab.url)) {
+                    chrome.tabs.sendMessage(tab.id, { type: 'CAPTURE_POLICY_UPDATED', data: capturePolicy }).catch(() => {});
+                }
+            });
+        }
+
+        const addedRules = this.getExcludedDomainRules(mergedSettings)
+            .filter(rule => !previousRules.includes(rule));
+        if (addedRules.length > 0) {
+            await this.enforceExcludedDomains(addedRules);
+            await this.purgeExcludedMemories(addedRules);
+        }
+
+        const removedRules = previousRules
+            .filter(rule => !this.getExcludedDomainRules(mergedSettings).includes(rule));
+        if (removedRules.length > 0) {
+            await this.restoreIncludedDomains(removedRules);
+        }
+
+        if (!!mergedSettings.backlogPaused !== previousBacklogPaused) {
+            await this.scheduleBacklogCheck();
+        }
+
+        // A shorter retention window takes effect immediately rather than at the next alarm
+        if (this.getRetentionDays(mergedSettings) < previousRetentionDays) {
+            await this.runRetentionSweep();
+        }
+
         return mergedSettings;
     }
 
-    async getPageContent(tabId) {
+    /**
+     * Provider for a model role. Roles without their own endpoint share the main provider;
+     * the others get one of the same type, reused while their endpoint is unchanged.
+     */
+    getRoleProvider(endpoint) {
+        if (!endpoint || endpoint === this.modelProvider.endpoint) {
+            return this.modelProvider;
+        }
+
+        const config = { type: this.modelProvider.type, endpoint, apiKey: this.modelProvider.apiKey };
+        const cached = this.roleProviders.get(endpoint);
+        if (cached && cached.matches(config)) {
+            return cached;
+        }
+
+        const provider = ModelProvider.create(config);
+        this.roleProviders.set(endpoint, provider);
+        return provider;
+    }
+
+    applyModelRoles(roles) {
+        const resolved = {};
+        Object.entries(roles).forEach(([role, config]) => {
+            resolved[role] = { ...config, provider: this.getRoleProvider(config.endpoint) };
+        });
+
+        this.visionAgent?.applyModelRoles(resolved);
+        this.textAgent?.applyModelRoles(resolved);
+        this.orchestratorAgent?.applyModelRoles(resolved);
+        this.semanticMemory?.applyModelRoles(resolved);
+    }
+
+    /**
+     * Check every role's model against its server; the result is kept for the settings page and stats
+     */
+    async validateModelRoles(roles = this.currentSettings.modelRoles || ModelRoles.normalize(this.currentSettings).roles) {
+        const results = await ModelRoles.validateAgainstProviders(roles, role => this.getRoleProvider(roles[role].endpoint));
+
+        Object.entries(results)
+            .filter(([, result]) => !result.ok)
+            .forEach(([role, result]) => console.warn(`⚠️ Model role ${role}: ${result.error}`));
+
+        this.modelRoleStatus = { checkedAt: Date.now(), roles: results };
+        return this.modelRoleStatus;
+    }
+
+    getAnalysisMode() {
+        return this.currentSettings.analysisMode === 'multi-agent' ? 'multi-agent' : 'vision';
+    }
+
+    /**
+     * A DOM snapshot of the page (or its HTML when no snapshot could be built) and an excerpt
+     * of its visible text from the content script, without the extension's own UI. The
+     * snapshot lists the feed items found with the URL's site adapter.
+     * Null when the content script cannot be reached.
+     */
+    async getPageContent(tabId, url = null) {
         try {
-            const results = await chrome.scripting.executeScript({
-                target: { tabId },
-                func: () => {
-                    return {
-                        html: document.documentElement.outerHTML,
-                        title: document.title,
-                        url: window.location.href
-                    };
-                }
+            const feedRules = this.feedItemExtractor.getDomRules(url ? this.siteAdapters.match(url) : null);
+            const response = await chrome.tabs.sendMessage(tabId, {
+                type: 'GET_PAGE_CONTENT',
+                data: { snapshot: true, feedRules, maxHtmlLength: this.pageContentMaxLength }
             });
-            
-            return results[0]?.result?.html || '<html><body>Content extraction failed</body></html>';
+            if (!response?.success || (!response.snapshot && !response.html)) return null;
+
+            return {
+                snapshot: response.snapshot || null,
+                html: response.html || null,
+                text: response.text || '',
+                title: response.title || '',
+                url: response.url
+            };
         } catch (error) {
-            console.error('Failed to extract page content:', error);
-            return '<html><body>Content extraction failed</body></html>';
+            console.log('Page content unavailable:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Run the text and vision agents on one capture through the orchestrator.
+     * Null when the page content cannot be read, so the caller analyzes the screenshot alone.
+     */
+    async orchestrateCapture(analysis, screenshot, tiles, visionOptions) {
+        const pageContent = await this.getPageContent(analysis.tabId, analysis.url);
+        if (!pageContent) {
+            console.log('⚠️ No page content - falling back to vision-only analysis');
+            return null;
+        }
+
+        return this.orchestratorAgent.orchestrateAnalysis(analysis.url, pageContent.snapshot || pageContent.html, screenshot, {
+            ...visionOptions,
+            tiles,
+            textContext: pageContent.text
+        });
+    }
+
+    /**
+     * Orchestration result as kept on a memory: no screenshot and no page HTML or snapshot
+     */
+    sanitizeOrchestrationResult(orchestrationResult) {
+        const sanitizedResult = typeof structuredClone === 'function'
+            ? structuredClone(orchestrationResult)
+            : JSON.parse(JSON.stringify(orchestrationResult));
+
+        const { vision, text } = sanitizedResult.agentResults || {};
+        if (vision) {
+            sanitizedResult.agentResults.vision = this.sanitizeVisionResult(vision);
         }
+        if (text?.rawContent) {
+            delete text.rawContent.html;
+            delete text.rawContent.snapshot;
+        }
+
+        return sanitizedResult;
     }
 
     sanitizeVisionResult(visionResult) {
@@ -909,6 +2555,12 @@ class AlgorithmMirrorBackground {
     }
 
     categorizeContentFromVision(visionResult) {
+        const structuredCategory = this.categorizeFromSiteAdapter(visionResult.url) ||
+            this.categorizeFromStructured(visionResult.visionAnalysis.structured);
+        if (structuredCategory) {
+            return structuredCategory;
+        }
+
         const url = visionResult.url.toLowerCase();
         const visionAnalysis = visionResult.visionAnalysis.synthesis.toLowerCase();
         
@@ -927,52 +2579,65 @@ class AlgorithmMirrorBackground {
             return 'documentation';
         } else if (visionAnalysis.includes('search') || url.includes('google') || url.includes('bing')) {
             return 'search';
-        } else if (visionAnalysis.includes('feed') || visionAnalysis.includes('algorithmic') || visionAnalysis.includes('recommended') || visionAnalysis.includes('sponsored')) {
+        } else if (visionAnalysis.includes('feed') || visionAnalysis.includes('algorithmic') || visionAnalysis.includes('recommended')) {
+            // Sponsored content is detected separately and stored as ad items, not as a category
             return 'algorithmic';
         } else {
             return 'general';
         }
     }
 
+    /**
+     * Category a site adapter gives the page; known page semantics beat the model's reading
+     */
+    categorizeFromSiteAdapter(url) {
+        const site = url ? this.siteAdapters.match(url) : null;
+        return site ? site.page.category : null;
+    }
+
+    /**
+     * Category from the model's structured page type; null falls back to keyword matching
+     */
+    categorizeFromStructured(structured) {
+        if (!structured) return null;
+
+        const byPageType = {
+            feed: 'algorithmic',
+            article: 'news',
+            search: 'search',
+            product: 'shopping',
+            video: 'media',
+            'social-profile': 'social',
+            documentation: 'documentation',
+            code: 'development'
+        };
+
+        if (byPageType[structured.pageType]) {
+            return byPageType[structured.pageType];
+        }
+
+        // Pages dominated by ads and recommendation modules are still algorithmic surfaces
+        if (structured.ads.length + structured.recommendationModules.length >= 2) {
+            return 'algorithmic';
+        }
+
+        return null;
+    }
+
     // Legacy method kept for VLM testing
     async performVLMAnalysis(screenshot, url) {
         const settings = await this.getSettings();
-        const vlmEndpoint = `${settings.ollamaEndpoint || 'http://localhost:8081'}/api/generate`;
+        const provider = ModelProvider.fromSettings(settings);
         const selectedModel = settings.vlmModel || 'llava:7b';
 
-        // First, check if Ollama is running and model is available
-        try {
-            const healthCheck = await fetch(`${settings.ollamaEndpoint || 'http://localhost:8081'}/api/tags`);
-            if (!healthCheck.ok) {
-                throw new Error(`Ollama not running or not accessible: ${healthCheck.status}`);
-            }
-            
-            const tagsData = await healthCheck.json();
-            const hasLlavaModel = tagsData.models?.some(model => 
-                model.name.includes('llava') || model.name.includes(selectedModel)
-            );
-            
-            if (!hasLlavaModel) {
-                throw new Error(`Model ${selectedModel} not found. Available models: ${tagsData.models?.map(m => m.name).join(', ')}`);
-            }
-            
-            console.log(`Using VLM model: ${selectedModel}`);
-        } catch (error) {
-            throw new Error(`Ollama setup failed: ${error.message}`);
+        // First, check if the model server is running and the model is available
+        const health = await provider.checkHealth({ model: selectedModel });
+        if (!health.ok) {
+            throw new Error(`Model server setup failed: ${health.error}. Available models: ${health.models.map(m => m.name).join(', ')}`);
         }
+        console.log(`Using VLM model: ${selectedModel}`);
 
-        const prompt = `Describe what content is visible on this webpage screenshot:
-
-1. What specific content is being shown to users
-2. Any feeds, posts, articles, or content streams visible
-3. Advertisements, sponsored content, or promotional material
-4. Recommended or suggested items/content
-5. Any personalized or algorithmically-curated content
-6. The type of information this platform serves to users
-
-URL: ${url}
-
-Focus on describing what content users are being served and shown.`;
+        const { prompt } = this.promptTemplates.render('page-content', { url });
 
         try {
             // Clean the base64 image data
@@ -991,46 +2656,18 @@ Focus on describing what content users are being served and shown.`;
                 throw new Error('Invalid base64 image data');
             }
             
-            console.log(`Sending VLM request to ${vlmEndpoint} with model ${selectedModel}`);
-            
-            // Start with minimal request to avoid any option issues
-            const requestBody = {
-                model: selectedModel,
-                prompt: "What do you see in this image?",  // Simpler prompt to start
-                images: [base64Data],
-                stream: false
-            };
-
-            console.log('Request body keys:', Object.keys(requestBody));
-            console.log('Model:', requestBody.model);
-            console.log('Prompt length:', requestBody.prompt.length);
-            console.log('Images array length:', requestBody.images.length);
+            console.log(`Sending VLM request to ${provider.type} at ${provider.endpoint} with model ${selectedModel}`);
             console.log('Image data sample:', base64Data.substring(0, 50) + '...');
             
-            // Use fetch with timeout for better reliability
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 120000); // 120 second timeout for VLM
-            
-            const response = await fetch(vlmEndpoint, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(requestBody),
-                signal: controller.signal
-            });
-            
-            clearTimeout(timeoutId);
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('VLM API error response:', errorText);
-                throw new Error(`VLM API error: ${response.status} - ${errorText}`);
-            }
+            // No generation options, to avoid any option issues; 120 second timeout for VLM
+            const response = await provider.generate({
+                model: selectedModel,
+                prompt,
+                images: [base64Data]
+            }, { label: 'VLM API', transport: this.timedTransport(120000) });
 
-            const data = await response.json();
             console.log('VLM analysis completed successfully');
-            return data.response || 'Analysis completed but no response received';
+            return response || 'Analysis completed but no response received';
 
         } catch (error) {
             console.error('VLM analysis error:', error);
@@ -1043,7 +2680,7 @@ Focus on describing what content users are being served and shown.`;
 
     async generateEmbeddings(analysis, url) {
         const settings = await this.getSettings();
-        const embeddingEndpoint = `${settings.ollamaEndpoint || 'http://localhost:8081'}/api/embeddings`;
+        const provider = ModelProvider.fromSettings(settings);
 
         try {
             const textForEmbedding = `
@@ -1053,21 +2690,10 @@ Focus on describing what content users are being served and shown.`;
                 Timestamp: ${new Date().toISOString()}
             `;
 
-            const response = await fetch(embeddingEndpoint, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    model: 'nomic-embed-text',
-                    prompt: textForEmbedding
-                })
-            });
-
-            if (response.ok) {
-                const data = await response.json();
-                return data.embedding;
-            }
+            return await provider.embed({
+                model: settings.embeddingModel || 'nomic-embed-text',
+                input: textForEmbedding
+            }, { label: 'embeddings' });
         } catch (error) {
             console.error('Embedding generation failed:', error);
         }
@@ -1099,22 +2725,53 @@ Focus on describing what content users are being served and shown.`;
         }
     }
 
+    /**
+     * Fetch that aborts after timeoutMs; used as a provider transport outside the scheduler
+     */
+    timedTransport(timeoutMs) {
+        return async (url, init, consume) => {
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+            try {
+                return await consume(await fetch(url, { ...init, signal: controller.signal }));
+            } finally {
+                clearTimeout(timeoutId);
+            }
+        };
+    }
+
+    /**
+     * Cheap reachability check: the provider lists its models, the configured vision model is
+     * among them, and - when the server reports capabilities - it accepts images
+     */
+    async checkVLMHealth(provider = this.visionAgent?.provider || this.modelProvider) {
+        const visionModel = this.visionAgent?.visionModel;
+        const health = await provider.checkHealth({ model: visionModel });
+        if (!health.ok) {
+            throw new Error(health.error);
+        }
+
+        if (visionModel) {
+            const capabilities = await provider.getCapabilities(visionModel, { transport: this.timedTransport(10000) });
+            if (capabilities.source === 'reported' && !capabilities.vision) {
+                throw new Error(`Model ${visionModel} does not accept images`);
+            }
+        }
+
+        return health.models;
+    }
+
     async testVLMConnection() {
-        const settings = await this.getSettings();
-        const endpoint = settings.ollamaEndpoint || 'http://localhost:8081';
+        const provider = this.visionAgent?.provider || this.modelProvider;
+        const visionModel = this.visionAgent?.visionModel || 'llava:7b';
         
-        console.log('Testing VLM connection to:', endpoint);
+        console.log(`Testing VLM connection to ${provider.type} at ${provider.endpoint}`);
         
-        // Test 1: Basic connection
+        // Test 1: Basic connection, model listing and capabilities
         try {
-            const tagsResponse = await fetch(`${endpoint}/api/tags`);
-            if (!tagsResponse.ok) {
-                throw new Error(`Ollama not accessible: ${tagsResponse.status}`);
-            }
-            
-            const tagsData = await tagsResponse.json();
-            console.log('✅ Ollama connection successful');
-            console.log('Available models:', tagsData.models?.map(m => m.name));
+            const models = await this.checkVLMHealth(provider);
+            console.log('✅ Model server connection successful');
+            console.log('Available models:', models.map(m => m.name));
         } catch (error) {
             throw new Error(`Connection test failed: ${error.message}`);
         }
@@ -1123,56 +2780,12 @@ Focus on describing what content users are being served and shown.`;
         try {
             console.log('Testing text generation...');
             
-            // Check available models using the tags endpoint we know works
-            const tagsResponse = await fetch(`${endpoint}/api/tags`);
-            const tagsData = await tagsResponse.json();
-            const availableModels = tagsData.models || [];
-            
-            console.log('Available models:', availableModels.map(m => m.name));
-            
-            const hasLlava = availableModels.some(m => 
-                m.name.includes('llava') || m.name.startsWith('llava:')
-            );
-            
-            if (!hasLlava) {
-                throw new Error('No llava model found. Please install with: ollama pull llava');
-            }
-            
-            console.log('Model exists, testing generation...');
-            
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 60000); // 60 second timeout
-            
-            const requestBody = {
-                model: 'llava:7b',
-                prompt: 'Hello',
-                stream: false
-            };
-            
-            console.log('Sending request:', JSON.stringify(requestBody, null, 2));
-            
-            const testResponse = await fetch(`${endpoint}/api/generate`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(requestBody),
-                signal: controller.signal
-            });
-            
-            clearTimeout(timeoutId);
-            
-            console.log('Response status:', testResponse.status);
-            console.log('Response headers:', Object.fromEntries(testResponse.headers.entries()));
+            const text = await provider.generate({
+                model: visionModel,
+                prompt: 'Hello'
+            }, { label: 'Text generation', transport: this.timedTransport(60000) }); // 60 second timeout
             
-            if (!testResponse.ok) {
-                const errorText = await testResponse.text();
-                console.error('Text generation error response:', errorText);
-                console.error('Error response length:', errorText.length);
-                throw new Error(`Text generation failed: ${testResponse.status} - ${errorText || 'Empty response'}`);
-            }
-            
-            const testData = await testResponse.json();
-            console.log('Full response data:', testData);
-            console.log('✅ Text generation successful:', testData.response?.substring(0, 100) + '...');
+            console.log('✅ Text generation successful:', text.substring(0, 100) + '...');
         } catch (error) {
             if (error.name === 'AbortError') {
                 throw new Error(`Text generation timed out after 60 seconds`);
@@ -1184,35 +2797,15 @@ Focus on describing what content users are being served and shown.`;
         try {
             console.log('Testing image analysis...');
             
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 60000); // 60 second timeout for image
-            
-            const imageResponse = await fetch(`${endpoint}/api/generate`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    model: 'llava:7b',
-                    prompt: 'What color is this?',
-                    images: ['iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8/5+hHgAHggJ/PchI7wAAAABJRU5ErkJggg=='],
-                    stream: false,
-                    options: {
-                        num_predict: 5,
-                        temperature: 0
-                    }
-                }),
-                signal: controller.signal
-            });
-            
-            clearTimeout(timeoutId);
-            
-            if (!imageResponse.ok) {
-                const errorText = await imageResponse.text();
-                console.error('Image analysis error response:', errorText);
-                throw new Error(`Image analysis failed: ${imageResponse.status} - ${errorText}`);
-            }
+            const text = await provider.generate({
+                model: visionModel,
+                prompt: 'What color is this?',
+                images: ['iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8/5+hHgAHggJ/PchI7wAAAABJRU5ErkJggg=='],
+                temperature: 0,
+                maxTokens: 5
+            }, { label: 'Image analysis', transport: this.timedTransport(60000) }); // 60 second timeout for image
             
-            const imageData = await imageResponse.json();
-            console.log('✅ Image analysis successful:', imageData.response?.substring(0, 100) + '...');
+            console.log('✅ Image analysis successful:', text.substring(0, 100) + '...');
             
         } catch (error) {
             if (error.name === 'AbortError') {
@@ -1225,24 +2818,17 @@ Focus on describing what content users are being served and shown.`;
     }
 
     async cancelAllActiveAnalyses() {
-        const activeCount = this.activeAnalysis.size;
-        if (activeCount > 0) {
-            console.log(`⏹️ Cancelling ${activeCount} active analyses...`);
-            
-            // Mark all active analyses as cancelled
-            for (const [analysisId, analysis] of this.activeAnalysis.entries()) {
-                analysis.status = 'cancelled';
-                analysis.cancelledAt = Date.now();
-                console.log(`⏹️ Cancelled analysis ${analysisId} for ${analysis.url}`);
-            }
-            
-            // Clear the active analyses map
-            this.activeAnalysis.clear();
-            
-            console.log(`✅ All ${activeCount} active analyses cancelled`);
+        const cancelledCount = await this.cancelJobs(() => true, 'AI deactivated');
+        if (this.backlogInFlight) {
+            this.backlogInFlight.controller.abort();
+        }
+        if (cancelledCount > 0) {
+            console.log(`✅ All ${cancelledCount} active analyses cancelled`);
         } else {
             console.log(`⏹️ No active analyses to cancel`);
         }
+
+        return cancelledCount;
     }
 
     async searchMemoryWithSemantics(query) {
@@ -1259,13 +2845,14 @@ Focus on describing what content users are being served and shown.`;
             });
             
             // Convert semantic results to legacy format for UI compatibility
-            const legacyResults = semanticResults.results.map(result => ({
-                ...this.memoryStorage.get(result.memoryId),
+            await this.storageReady;
+            const legacyResults = await Promise.all(semanticResults.results.map(async result => ({
+                ...(await this.memoryStore.getEntry(result.memoryId)),
                 searchScore: result.similarity,
                 semanticRelationships: result.relationships
-            })).filter(r => r.id); // Only include results that exist in legacy storage
+            })));
             
-            return legacyResults;
+            return legacyResults.filter(r => r.id); // Only include results that exist in the memory store
             
         } catch (error) {
             console.error('Semantic search failed, falling back to legacy search:', error);
@@ -1275,15 +2862,25 @@ Focus on describing what content users are being served and shown.`;
     }
 
     async getAgentSystemStats() {
+        await this.storageReady;
+        const memoryEntries = await this.memoryStore.countEntries();
+        await this.semanticMemory?.ensureLoaded();
+        await this.jobQueue.load();
+
         return {
-            // textAgent: this.textAgent?.getAgentStats() || {},           // Commented out
+            textAgent: this.textAgent?.getAgentStats() || {},
             visionAgent: this.visionAgent?.getAgentStats() || {},
-            // orchestrator: this.orchestratorAgent?.getOrchestrationStats() || {}, // Commented out
+            orchestrator: this.orchestratorAgent?.getOrchestrationStats() || {},
             semanticMemory: this.semanticMemory?.generateMemoryAnalytics() || {},
             systemStatus: {
                 initialized: !!(this.visionAgent && this.semanticMemory), // Only check vision agent
-                activeAnalyses: this.activeAnalysis.size,
-                memoryEntries: this.memoryStorage.size
+                activeAnalyses: this.jobQueue.getActiveCount(),
+                jobQueue: this.jobQueue.getStats(),
+                modelScheduler: this.modelScheduler.getStats(),
+                modelProvider: this.modelProvider?.describe() || null,
+                modelRoles: this.modelRoleStatus,
+                captureDedup: { ...this.dedupStats },
+                memoryEntries
             }
         };
     }
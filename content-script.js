@@ -15,6 +15,15 @@ window.AlgorithmMirrorContentScript = class AlgorithmMirrorContentScript {
         this.embeddingEndpoint = 'http://localhost:11434/api/embeddings';
         this.selectedModel = 'llava:7b';
         this.memoryEntries = [];
+        this.isExcluded = false;
+        this.capturePolicy = null;
+        this.feedMonitor = {
+            addedNodes: [],
+            newItems: 0,
+            lastCaptureScrollY: window.scrollY,
+            lastRequestAt: 0,
+            requesting: false
+        };
         
         this.init();
     }
@@ -26,12 +35,19 @@ window.AlgorithmMirrorContentScript = class AlgorithmMirrorContentScript {
         }
         window.algorithmMirrorInjected = true;
 
-        // Setup message listener
+        // Setup message listener first so an excluded page still hears policy changes
         chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             this.handleMessage(message, sender, sendResponse);
             return true;
         });
 
+        // Excluded domains get no sidebar, no monitoring and no capture requests
+        if (await this.isPageExcluded()) {
+            this.isExcluded = true;
+            console.log('Algorithm Mirror: domain is excluded, overlay disabled');
+            return;
+        }
+
         // Create overlay
         await this.createOverlay();
         
@@ -41,6 +57,51 @@ window.AlgorithmMirrorContentScript = class AlgorithmMirrorContentScript {
         console.log('Algorithm Mirror content script loaded');
     }
 
+    async isPageExcluded() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'GET_PAGE_POLICY',
+                data: { url: window.location.href }
+            });
+            this.capturePolicy = response?.contentCapture || null;
+            return !!response?.excluded;
+        } catch (error) {
+            console.log('Algorithm Mirror: could not check page policy:', error.message);
+            return false;
+        }
+    }
+
+    removeOverlay() {
+        this.isExcluded = true;
+
+        if (this.pageObserver) {
+            this.pageObserver.disconnect();
+            this.pageObserver = null;
+        }
+        if (this.scrollHandler) {
+            window.removeEventListener('scroll', this.scrollHandler);
+            this.scrollHandler = null;
+        }
+        clearTimeout(this.pageChangeTimeout);
+
+        document.getElementById('algorithm-mirror-toggle')?.remove();
+        this.sidebar?.remove();
+        this.sidebar = null;
+        this.isVisible = false;
+
+        console.log('Algorithm Mirror: overlay removed, domain is now excluded');
+    }
+
+    async restoreOverlay() {
+        if (!this.isExcluded) return;
+        this.isExcluded = false;
+
+        await this.createOverlay();
+        this.setupPageMonitoring();
+
+        console.log('Algorithm Mirror: overlay restored, domain is no longer excluded');
+    }
+
     async createOverlay() {
         // Create floating toggle button
         this.createToggleButton();
@@ -157,7 +218,16 @@ window.AlgorithmMirrorContentScript = class AlgorithmMirrorContentScript {
 
     setupPageMonitoring() {
         // Monitor page changes
-        const observer = new MutationObserver((mutations) => {
+        this.pageObserver = new MutationObserver((mutations) => {
+            // Collect inserted elements now, measure them once the page settles
+            mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE && this.feedMonitor.addedNodes.length < 500) {
+                        this.feedMonitor.addedNodes.push(node);
+                    }
+                });
+            });
+
             // Debounced page change detection
             clearTimeout(this.pageChangeTimeout);
             this.pageChangeTimeout = setTimeout(() => {
@@ -165,7 +235,7 @@ window.AlgorithmMirrorContentScript = class AlgorithmMirrorContentScript {
             }, 1000);
         });
 
-        observer.observe(document.body, {
+        this.pageObserver.observe(document.body, {
             childList: true,
             subtree: true,
             attributes: false
@@ -173,25 +243,101 @@ window.AlgorithmMirrorContentScript = class AlgorithmMirrorContentScript {
 
         // Monitor scroll events for potential content changes
         let scrollTimeout;
-        window.addEventListener('scroll', () => {
+        this.scrollHandler = () => {
             clearTimeout(scrollTimeout);
             scrollTimeout = setTimeout(() => {
                 this.onScrollChange();
             }, 2000);
-        });
+        };
+        window.addEventListener('scroll', this.scrollHandler);
     }
 
     onPageChange() {
-        // Page content has changed significantly
-        console.log('Algorithm Mirror: Page content changed');
+        const addedNodes = this.feedMonitor.addedNodes;
+        this.feedMonitor.addedNodes = [];
+
+        // Our own full-page scrolling must not count as new content
+        if (!this.capturePolicy?.enabled || this.fullPageState) return;
+
+        const newItems = addedNodes.filter(node => this.isFeedContentNode(node)).length;
+        if (newItems === 0) return;
+
+        this.feedMonitor.newItems += newItems;
+        console.log(`Algorithm Mirror: ${newItems} new content items (${this.feedMonitor.newItems} since last capture)`);
+
+        if (this.feedMonitor.newItems >= this.capturePolicy.minNewItems) {
+            this.requestContentCapture('mutation');
+        }
     }
 
     onScrollChange() {
-        // User has scrolled, potentially viewing new content
-        console.log('Algorithm Mirror: Scroll position changed');
+        if (!this.capturePolicy?.enabled || this.fullPageState) return;
+
+        // Scrolling several viewports away from the last capture means the user is looking at new content
+        const distance = Math.abs(window.scrollY - this.feedMonitor.lastCaptureScrollY);
+        if (distance >= this.capturePolicy.scrollViewports * window.innerHeight) {
+            this.requestContentCapture('scroll');
+        }
+    }
+
+    /**
+     * Inserted elements that look like feed items: connected, block-sized, outside our
+     * overlay and near enough to the viewport that the user is being served them
+     */
+    isFeedContentNode(node) {
+        if (!node.isConnected || ['SCRIPT', 'STYLE', 'LINK', 'META', 'NOSCRIPT', 'TEMPLATE'].includes(node.tagName)) {
+            return false;
+        }
+        if (node.closest('#algorithm-mirror-sidebar, #algorithm-mirror-toggle')) {
+            return false;
+        }
+
+        const rect = node.getBoundingClientRect();
+        return rect.height >= 60
+            && rect.width >= 200
+            && rect.top < window.innerHeight * 2
+            && rect.bottom > -window.innerHeight;
+    }
+
+    async requestContentCapture(trigger) {
+        const monitor = this.feedMonitor;
+        if (this.isExcluded || monitor.requesting || document.visibilityState !== 'visible') return;
+        if (Date.now() - monitor.lastRequestAt < this.capturePolicy.minIntervalMs) return;
+
+        monitor.requesting = true;
+        monitor.lastRequestAt = Date.now();
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'CONTENT_CAPTURE_REQUEST',
+                data: {
+                    trigger,
+                    newItems: monitor.newItems,
+                    scrollY: Math.round(window.scrollY)
+                }
+            });
+
+            if (response?.accepted) {
+                monitor.newItems = 0;
+                monitor.lastCaptureScrollY = window.scrollY;
+            } else {
+                console.log('Algorithm Mirror: capture request declined:', response?.reason || response?.error);
+            }
+        } catch (error) {
+            console.log('Algorithm Mirror: capture request failed:', error.message);
+        } finally {
+            monitor.requesting = false;
+        }
     }
 
     async handleMessage(message, sender, sendResponse) {
+        // Excluded pages only answer liveness and policy messages
+        const policyMessages = ['PING', 'DOMAIN_EXCLUDED', 'DOMAIN_INCLUDED', 'CAPTURE_POLICY_UPDATED'];
+        if (this.isExcluded && !policyMessages.includes(message.type)) {
+            sendResponse({ success: false, excluded: true, error: 'Domain is excluded' });
+            return;
+        }
+
         switch (message.type) {
             case 'PING':
                 sendResponse({ success: true, status: 'alive' });
@@ -207,16 +353,626 @@ window.AlgorithmMirrorContentScript = class AlgorithmMirrorContentScript {
                 sendResponse({ success: true });
                 break;
 
+            case 'ANALYSIS_PROGRESS':
+                this.renderAnalysisProgress(message.data);
+                sendResponse({ success: true });
+                break;
+
+            case 'DOMAIN_EXCLUDED':
+                this.removeOverlay();
+                sendResponse({ success: true });
+                break;
+
+            case 'DOMAIN_INCLUDED':
+                await this.restoreOverlay();
+                sendResponse({ success: true });
+                break;
+
             case 'MANUAL_CAPTURE':
-                await this.manualCapture();
+                await this.manualCapture(message.data?.profile || null, !!message.data?.force);
+                sendResponse({ success: true });
+                break;
+
+            case 'CAPTURE_POLICY_UPDATED':
+                this.capturePolicy = message.data;
                 sendResponse({ success: true });
                 break;
 
+            case 'FULL_PAGE_PREPARE':
+                sendResponse({ success: true, ...this.prepareFullPageCapture() });
+                break;
+
+            case 'FULL_PAGE_SCROLL_TO':
+                sendResponse({ success: true, ...(await this.scrollForCapture(message.data)) });
+                break;
+
+            case 'FULL_PAGE_RESTORE':
+                this.restoreAfterFullPageCapture();
+                sendResponse({ success: true });
+                break;
+
+            case 'COLLECT_FEED_ITEMS':
+                sendResponse({ success: true, ...this.collectFeedItems(message.data) });
+                break;
+
+            case 'GET_PAGE_CONTENT':
+                sendResponse({ success: true, ...this.getPageContent(message.data) });
+                break;
+
+            case 'COLLECT_STRUCTURED_DATA':
+                sendResponse({ success: true, ...this.collectStructuredData(message.data) });
+                break;
+
+            case 'COLLECT_AD_SIGNALS':
+                sendResponse({ success: true, ...this.collectAdSignals(message.data) });
+                break;
+
             default:
                 sendResponse({ error: 'Unknown message type' });
         }
     }
 
+    /**
+     * Full-page capture: hide the overlay and report the page geometry the background
+     * needs to plan its scroll steps
+     */
+    prepareFullPageCapture() {
+        this.fullPageState = {
+            scrollX: window.scrollX,
+            scrollY: window.scrollY,
+            hiddenElements: [],
+            overlayElements: [document.getElementById('algorithm-mirror-toggle'), this.sidebar]
+                .filter(Boolean)
+                .map(element => ({ element, visibility: element.style.visibility }))
+        };
+
+        this.fullPageState.overlayElements.forEach(({ element }) => {
+            element.style.visibility = 'hidden';
+        });
+
+        const scrollingElement = document.scrollingElement || document.documentElement;
+
+        return {
+            scrollHeight: Math.max(scrollingElement.scrollHeight, document.body?.scrollHeight || 0),
+            viewportHeight: window.innerHeight,
+            viewportWidth: window.innerWidth,
+            devicePixelRatio: window.devicePixelRatio || 1,
+            originalScrollY: this.fullPageState.scrollY
+        };
+    }
+
+    /**
+     * Scroll to the next capture step and wait for lazy content and layout to settle.
+     * Fixed and sticky elements are hidden after the first frame so headers and
+     * banners are not repeated in every section of the stitched image.
+     */
+    async scrollForCapture({ y, index }) {
+        if (!this.fullPageState) {
+            this.prepareFullPageCapture();
+        }
+
+        if (index > 0 && this.fullPageState.hiddenElements.length === 0) {
+            this.hidePinnedElements();
+        }
+
+        window.scrollTo({ left: 0, top: y, behavior: 'instant' });
+
+        await new Promise(resolve => setTimeout(resolve, 250));
+        await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+
+        return { scrollY: Math.round(window.scrollY) };
+    }
+
+    hidePinnedElements() {
+        document.querySelectorAll('body *').forEach(element => {
+            const position = getComputedStyle(element).position;
+            if (position === 'fixed' || position === 'sticky') {
+                this.fullPageState.hiddenElements.push({ element, visibility: element.style.visibility });
+                element.style.visibility = 'hidden';
+            }
+        });
+    }
+
+    restoreAfterFullPageCapture() {
+        if (!this.fullPageState) return;
+
+        const { scrollX, scrollY, hiddenElements, overlayElements } = this.fullPageState;
+        [...hiddenElements, ...overlayElements].forEach(({ element, visibility }) => {
+            element.style.visibility = visibility;
+        });
+
+        window.scrollTo({ left: scrollX, top: scrollY, behavior: 'instant' });
+        this.fullPageState = null;
+        this.feedMonitor.addedNodes = [];
+    }
+
+    /**
+     * Ad markers for the background's sponsored-content detector, using the rules it sends:
+     * "Sponsored"/"Promoted" labels, ad iframes and ad-slot containers. Signals on the same
+     * element are grouped, and nested ones folded into the outermost. Rects are in document
+     * CSS pixels; the viewport tells the background which part was captured.
+     */
+    collectAdSignals(rules) {
+        const labelPatterns = rules.labelPatterns.map(pattern => new RegExp(pattern, 'i'));
+        const iframePatterns = rules.iframePatterns.map(pattern => new RegExp(pattern, 'i'));
+        const isOverlay = element => !!element.closest('#algorithm-mirror-sidebar, #algorithm-mirror-toggle');
+        const isVisible = element => {
+            const rect = element.getBoundingClientRect();
+            return rect.width >= 10 && rect.height >= 10;
+        };
+        const matchLabel = text => {
+            const normalized = text.replace(/\s+/g, ' ').trim();
+            if (!normalized || normalized.length > 80) return null;
+            for (const pattern of labelPatterns) {
+                const match = pattern.exec(normalized);
+                if (match) return { label: normalized, advertiser: match[1] || null };
+            }
+            return null;
+        };
+
+        const found = new Map(); // element -> signal
+        const add = (element, kind, detail = {}) => {
+            if (!element || isOverlay(element) || !isVisible(element)) return;
+            if (!found.has(element)) {
+                if (found.size >= rules.maxSignals) return;
+                found.set(element, { kinds: [], label: null, advertiser: null });
+            }
+            const signal = found.get(element);
+            if (!signal.kinds.includes(kind)) signal.kinds.push(kind);
+            signal.label = signal.label || detail.label || null;
+            signal.advertiser = signal.advertiser || detail.advertiser || null;
+        };
+
+        // The ad item a label belongs to: a feed item container, or the first ancestor of some size
+        const containerOf = element => {
+            const container = element.closest(rules.containerSelector);
+            if (container) return container;
+
+            let current = element;
+            for (let depth = 0; depth < 6 && current.parentElement && current.parentElement !== document.body; depth++) {
+                current = current.parentElement;
+                if (current.getBoundingClientRect().height >= 80) break;
+            }
+            return current;
+        };
+
+        // Labels: short text nodes, and aria-labels on otherwise icon-only elements
+        const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+        for (let node = walker.nextNode(); node && found.size < rules.maxSignals; node = walker.nextNode()) {
+            if (node.nodeValue.length > 80 || !node.parentElement || ['SCRIPT', 'STYLE', 'NOSCRIPT'].includes(node.parentElement.tagName)) continue;
+            const label = matchLabel(node.nodeValue);
+            if (label && isVisible(node.parentElement)) {
+                add(containerOf(node.parentElement), 'label', label);
+            }
+        }
+        document.querySelectorAll('[aria-label]').forEach(element => {
+            const label = matchLabel(element.getAttribute('aria-label'));
+            if (label) add(containerOf(element), 'label', label);
+        });
+
+        const slotSelector = rules.slotSelectors.join(', ');
+        document.querySelectorAll('iframe').forEach(frame => {
+            const source = [frame.src, frame.id, frame.name].filter(Boolean);
+            if (source.some(value => iframePatterns.some(pattern => pattern.test(value)))) {
+                add(frame.parentElement?.closest(slotSelector) || frame, 'iframe');
+            }
+        });
+        document.querySelectorAll(slotSelector).forEach(element => add(element, 'slot'));
+
+        // Fold signals inside another signal's element into that element
+        const elements = Array.from(found.keys());
+        elements.forEach(element => {
+            const outer = elements.find(other => other !== element && found.has(other) && other.contains(element));
+            if (!outer) return;
+            const inner = found.get(element);
+            const signal = found.get(outer);
+            inner.kinds.forEach(kind => { if (!signal.kinds.includes(kind)) signal.kinds.push(kind); });
+            signal.label = signal.label || inner.label;
+            signal.advertiser = signal.advertiser || inner.advertiser;
+            found.delete(element);
+        });
+
+        const signals = Array.from(found.entries()).map(([element, signal]) => {
+            const rect = element.getBoundingClientRect();
+            return {
+                ...signal,
+                advertiser: signal.advertiser || this.findAdvertiser(element, labelPatterns),
+                text: (element.innerText || '').replace(/\s+/g, ' ').trim().slice(0, 160),
+                rect: {
+                    x: Math.round(rect.left + window.scrollX),
+                    y: Math.round(rect.top + window.scrollY),
+                    width: Math.round(rect.width),
+                    height: Math.round(rect.height)
+                }
+            };
+        });
+
+        return {
+            viewport: {
+                scrollX: Math.round(window.scrollX),
+                scrollY: Math.round(window.scrollY),
+                width: window.innerWidth,
+                height: window.innerHeight
+            },
+            signals
+        };
+    }
+
+    /**
+     * Split the page's feed into items - posts, video tiles, product cards, search results -
+     * with their text fields, media type and flag labels. Rects are in document CSS pixels.
+     */
+    collectFeedItems(rules) {
+        const isOverlay = element => !!element.closest('#algorithm-mirror-sidebar, #algorithm-mirror-toggle');
+        const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+        const flagPatterns = Object.entries(rules.flagPatterns)
+            .map(([flag, patterns]) => [flag, patterns.map(pattern => new RegExp(pattern, 'i'))]);
+        const flagSelectors = Object.entries(rules.flagSelectors || {}); // From a site adapter
+
+        // One kind per element, the first rule that matches it
+        const kindOf = new Map();
+        rules.itemSelectors.forEach(({ kind, selector }) => {
+            const matches = Array.from(document.querySelectorAll(selector))
+                .filter(element => !kindOf.has(element) && !isOverlay(element));
+            if (matches.length >= rules.minItems) {
+                matches.forEach(element => kindOf.set(element, kind));
+            }
+        });
+
+        // Nested matches (a post's article inside its feed cell) are one item
+        const isNested = element => {
+            for (let parent = element.parentElement; parent; parent = parent.parentElement) {
+                if (kindOf.has(parent)) return true;
+            }
+            return false;
+        };
+
+        const firstWithText = (element, selector) => Array.from(element.querySelectorAll(selector))
+            .find(node => clean(node.innerText || node.textContent));
+
+        const describeItem = (element, kind) => {
+            const rect = element.getBoundingClientRect();
+            const titleNode = firstWithText(element, rules.titleSelectors);
+            const authorNode = firstWithText(element, rules.authorSelectors);
+            const snippetNode = Array.from(element.querySelectorAll(rules.snippetSelectors))
+                .find(node => node !== titleNode && !node.contains(titleNode) && clean(node.innerText));
+            const title = titleNode ? clean(titleNode.innerText || titleNode.textContent).slice(0, 300) : null;
+            const linkNode = (rules.linkSelectors && element.querySelector(rules.linkSelectors)?.closest('a[href]')) ||
+                titleNode?.closest('a[href]') || titleNode?.querySelector('a[href]') || element.querySelector('a[href]');
+
+            // Short texts and labels inside the item that match a flag
+            const flags = new Set();
+            const flagLabels = new Set();
+            const shortTexts = [];
+            const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+            for (let count = 0; walker.nextNode() && count < 300; count++) {
+                const text = clean(walker.currentNode.textContent);
+                if (text && text.length <= 60) shortTexts.push(text);
+            }
+            element.querySelectorAll('[aria-label]').forEach(node => {
+                const label = clean(node.getAttribute('aria-label'));
+                if (label && label.length <= 60) shortTexts.push(label);
+            });
+            shortTexts.forEach(text => {
+                flagPatterns.forEach(([flag, patterns]) => {
+                    if (patterns.some(pattern => pattern.test(text))) {
+                        flags.add(flag);
+                        flagLabels.add(text);
+                    }
+                });
+            });
+            flagSelectors.forEach(([flag, selector]) => {
+                const marker = element.matches(selector) ? element : element.querySelector(selector);
+                if (!marker) return;
+                flags.add(flag);
+                const text = clean(marker.innerText);
+                if (text && text.length <= 60) flagLabels.add(text);
+            });
+
+            const hasImage = Array.from(element.querySelectorAll('img'))
+                .some(image => image.getBoundingClientRect().width >= 80);
+
+            return {
+                kind,
+                title,
+                author: authorNode ? clean(authorNode.innerText.split('\n')[0]).slice(0, 100) || null : null,
+                snippet: snippetNode
+                    ? clean(snippetNode.innerText).slice(0, 280)
+                    : clean(element.innerText).replace(title || '', '').trim().slice(0, 280) || null,
+                link: linkNode ? linkNode.href : null,
+                mediaType: kind === 'video' || element.querySelector(rules.videoSelectors) ? 'video' : hasImage ? 'image' : 'text',
+                flags: Array.from(flags),
+                flagLabels: Array.from(flagLabels).slice(0, 5),
+                rect: {
+                    x: Math.round(rect.left + window.scrollX),
+                    y: Math.round(rect.top + window.scrollY),
+                    width: Math.round(rect.width),
+                    height: Math.round(rect.height)
+                },
+                visible: rect.width > 0 && rect.height > 0 && getComputedStyle(element).visibility !== 'hidden'
+            };
+        };
+
+        const items = Array.from(kindOf)
+            .filter(([element]) => !isNested(element))
+            .sort(([a], [b]) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1))
+            .slice(0, rules.maxItems)
+            .map(([element, kind]) => describeItem(element, kind));
+
+        return {
+            viewport: {
+                scrollX: Math.round(window.scrollX),
+                scrollY: Math.round(window.scrollY),
+                width: window.innerWidth,
+                height: window.innerHeight
+            },
+            items
+        };
+    }
+
+    /**
+     * Page content for the text agent - a DOM snapshot when asked for and it can be built,
+     * otherwise the HTML - and a short excerpt of the page's text for the vision prompt.
+     * The sidebar and toggle are left out of both. With feedRules the snapshot also lists
+     * the page's feed items.
+     */
+    getPageContent({ snapshot = false, feedRules = null, maxHtmlLength = 1000000, maxTextLength = 1000 } = {}) {
+        const page = { title: document.title, url: window.location.href };
+
+        if (snapshot) {
+            try {
+                const pageSnapshot = this.buildPageSnapshot();
+                if (feedRules) {
+                    pageSnapshot.feedItems = this.collectFeedItems(feedRules).items;
+                }
+                const text = pageSnapshot.blocks
+                    .filter(block => block.visible)
+                    .map(block => block.text)
+                    .join(' ')
+                    .slice(0, maxTextLength);
+                return { ...page, snapshot: pageSnapshot, html: null, text };
+            } catch (error) {
+                console.log('Page snapshot failed, sending HTML instead:', error.message);
+            }
+        }
+
+        const clone = document.documentElement.cloneNode(true);
+        clone.querySelectorAll('#algorithm-mirror-sidebar, #algorithm-mirror-toggle').forEach(element => element.remove());
+        const html = clone.outerHTML.slice(0, maxHtmlLength);
+
+        clone.querySelectorAll('head, script, style, noscript, template').forEach(element => element.remove());
+        const text = (clone.textContent || '').replace(/\s+/g, ' ').trim().slice(0, maxTextLength);
+
+        return { ...page, snapshot: null, html, text };
+    }
+
+    /**
+     * Structured snapshot of the live DOM, including anything rendered by JavaScript, for the
+     * text agent (which has no DOM of its own). Boxes are in document CSS pixels; visible is
+     * false for elements that take up no space or are hidden by CSS, inViewport marks what is
+     * on screen right now. Text blocks are the nearest non-inline ancestors of text nodes.
+     */
+    buildPageSnapshot({ maxBlocks = 400, maxLinks = 200, maxImages = 100, maxTextLength = 1000 } = {}) {
+        const scrollX = window.scrollX;
+        const scrollY = window.scrollY;
+        const isOverlay = element => !!element.closest('#algorithm-mirror-sidebar, #algorithm-mirror-toggle');
+        const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+
+        const describe = element => {
+            const rect = element.getBoundingClientRect();
+            const style = getComputedStyle(element);
+            const visible = rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && Number(style.opacity) > 0;
+            return {
+                box: {
+                    x: Math.round(rect.left + scrollX),
+                    y: Math.round(rect.top + scrollY),
+                    width: Math.round(rect.width),
+                    height: Math.round(rect.height)
+                },
+                visible,
+                inViewport: visible && rect.bottom > 0 && rect.right > 0 && rect.top < window.innerHeight && rect.left < window.innerWidth
+            };
+        };
+
+        const collect = (selector, limit, map) => Array.from(document.querySelectorAll(selector))
+            .filter(element => !isOverlay(element))
+            .slice(0, limit)
+            .map(map)
+            .filter(Boolean);
+
+        // Text nodes grouped by the block that lays them out, in document order
+        const blockOf = new Map();
+        const findBlock = element => {
+            const chain = [];
+            let current = element;
+            while (current && current !== document.body && !blockOf.has(current)) {
+                chain.push(current);
+                if (!getComputedStyle(current).display.startsWith('inline')) break;
+                current = current.parentElement;
+            }
+            const block = blockOf.get(current) || current || document.body;
+            chain.forEach(node => blockOf.set(node, block));
+            return block;
+        };
+
+        const blockText = new Map();
+        const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => {
+                const parent = node.parentElement;
+                if (!parent || !node.textContent.trim()) return NodeFilter.FILTER_REJECT;
+                if (parent.closest('script, style, noscript, template, svg') || isOverlay(parent)) return NodeFilter.FILTER_REJECT;
+                return NodeFilter.FILTER_ACCEPT;
+            }
+        });
+        while (walker.nextNode()) {
+            const block = findBlock(walker.currentNode.parentElement);
+            if (!blockText.has(block)) {
+                if (blockText.size >= maxBlocks) continue;
+                blockText.set(block, []);
+            }
+            blockText.get(block).push(walker.currentNode.textContent);
+        }
+
+        const blocks = Array.from(blockText, ([element, parts]) => {
+            const text = clean(parts.join('')).slice(0, maxTextLength);
+            return text ? { tag: element.tagName.toLowerCase(), text, ...describe(element) } : null;
+        }).filter(Boolean);
+
+        const headings = collect('h1, h2, h3, h4, h5, h6, [role="heading"]', 100, heading => {
+            const text = clean(heading.innerText || heading.textContent);
+            if (!text) return null;
+            const tag = heading.tagName.toLowerCase();
+            return {
+                level: /^h[1-6]$/.test(tag) ? Number(tag[1]) : Number(heading.getAttribute('aria-level')) || 2,
+                text: text.slice(0, 300),
+                id: heading.id || null,
+                ...describe(heading)
+            };
+        });
+
+        const links = collect('a[href]', maxLinks, link => {
+            const text = clean(link.innerText || link.getAttribute('aria-label') || link.title);
+            return text ? { text: text.slice(0, 200), href: link.href, ...describe(link) } : null;
+        });
+
+        const images = collect('img', maxImages, image => ({
+            alt: image.alt || '',
+            src: (image.currentSrc || image.src || '').slice(0, 500), // Inline data: URLs can be huge
+            width: image.naturalWidth,
+            height: image.naturalHeight,
+            ...describe(image)
+        }));
+
+        const forms = collect('form', 20, form => {
+            const inputs = Array.from(form.elements)
+                .filter(input => /^(input|select|textarea)$/i.test(input.tagName) && input.type !== 'hidden')
+                .map(input => ({
+                    type: input.type || input.tagName.toLowerCase(),
+                    name: input.name || input.id || '',
+                    required: !!input.required,
+                    label: clean(input.labels?.[0]?.innerText || input.getAttribute('aria-label') || input.placeholder).slice(0, 100)
+                }));
+            return {
+                action: form.getAttribute('action') || '',
+                method: (form.getAttribute('method') || 'get').toLowerCase(),
+                inputs,
+                ...describe(form)
+            };
+        });
+
+        const lists = collect('ul, ol', 50, list => {
+            const items = Array.from(list.children)
+                .filter(child => child.tagName === 'LI')
+                .map(item => clean(item.innerText).slice(0, 200))
+                .filter(Boolean);
+            return items.length > 0
+                ? { type: list.tagName.toLowerCase(), items: items.slice(0, 50), itemCount: items.length, ...describe(list) }
+                : null;
+        });
+
+        const navigation = collect('nav, [role="navigation"], header ul', 10, nav => {
+            const navLinks = Array.from(nav.querySelectorAll('a[href]'))
+                .map(link => ({ text: clean(link.innerText), href: link.href }))
+                .filter(link => link.text)
+                .slice(0, 50);
+            return navLinks.length > 0
+                ? { type: nav.tagName.toLowerCase(), className: typeof nav.className === 'string' ? nav.className : '', links: navLinks, ...describe(nav) }
+                : null;
+        });
+
+        return {
+            type: 'page-snapshot',
+            version: 1,
+            url: window.location.href,
+            title: document.title,
+            lang: document.documentElement.lang || null,
+            viewport: { scrollX: Math.round(scrollX), scrollY: Math.round(scrollY), width: window.innerWidth, height: window.innerHeight },
+            documentSize: { width: document.documentElement.scrollWidth, height: document.documentElement.scrollHeight },
+            blocks,
+            headings,
+            links,
+            images,
+            forms,
+            lists,
+            navigation,
+            ...this.collectStructuredData()
+        };
+    }
+
+    /**
+     * What the page says about itself: meta tags, JSON-LD texts, and microdata and RDFa-lite
+     * items as { types, properties: { name: [value or item] } }
+     */
+    collectStructuredData({ maxItems = 50, maxTextLength = 300 } = {}) {
+        const clean = text => (text || '').replace(/\s+/g, ' ').trim().slice(0, maxTextLength);
+
+        const meta = {};
+        document.querySelectorAll('meta[name], meta[property]').forEach(tag => {
+            const name = tag.getAttribute('name') || tag.getAttribute('property');
+            const content = tag.getAttribute('content');
+            if (name && content) meta[name] = content;
+        });
+
+        // A property's value as the microdata spec reads it: an attribute for links, media,
+        // times and data, the text otherwise
+        const valueOf = element => {
+            if (element.hasAttribute('content')) return clean(element.getAttribute('content'));
+            const tag = element.tagName.toLowerCase();
+            if (['a', 'area', 'link'].includes(tag)) return element.href;
+            if (['img', 'audio', 'video', 'source', 'iframe', 'embed', 'track'].includes(tag)) return element.src;
+            if (tag === 'object') return element.data;
+            if (tag === 'time') return clean(element.getAttribute('datetime') || element.textContent);
+            if (tag === 'data' || tag === 'meter') return clean(element.getAttribute('value'));
+            return clean(element.textContent);
+        };
+
+        const readItems = ({ scope, typeAttribute, propertyAttribute }) => {
+            const readItem = (root, depth) => {
+                const item = { types: (root.getAttribute(typeAttribute) || '').split(/\s+/).filter(Boolean), properties: {} };
+                if (depth > 5) return item;
+
+                root.querySelectorAll(`[${propertyAttribute}]`).forEach(element => {
+                    // Properties inside a nested item belong to it
+                    if (element.parentElement.closest(`[${scope}]`) !== root) return;
+
+                    const value = element.hasAttribute(scope) ? readItem(element, depth + 1) : valueOf(element);
+                    if (!value) return;
+                    element.getAttribute(propertyAttribute).split(/\s+/).filter(Boolean).forEach(name => {
+                        (item.properties[name] = item.properties[name] || []).push(value);
+                    });
+                });
+                return item;
+            };
+
+            return Array.from(document.querySelectorAll(`[${scope}]:not([${propertyAttribute}])`))
+                .filter(element => !element.closest('#algorithm-mirror-sidebar'))
+                .slice(0, maxItems)
+                .map(element => readItem(element, 0));
+        };
+
+        return {
+            meta,
+            jsonLd: Array.from(document.querySelectorAll('script[type="application/ld+json"]'))
+                .slice(0, 20)
+                .map(script => script.textContent),
+            microdata: readItems({ scope: 'itemscope', typeAttribute: 'itemtype', propertyAttribute: 'itemprop' }),
+            rdfa: readItems({ scope: 'typeof', typeAttribute: 'typeof', propertyAttribute: 'property' })
+        };
+    }
+
+    /**
+     * Name shown on an ad item: its first heading, strong text or link that is not the label itself
+     */
+    findAdvertiser(element, labelPatterns) {
+        for (const candidate of element.querySelectorAll('h1, h2, h3, h4, strong, a')) {
+            const text = (candidate.textContent || '').replace(/\s+/g, ' ').trim();
+            if (text.length >= 2 && text.length <= 60 && !labelPatterns.some(pattern => pattern.test(text))) {
+                return text;
+            }
+        }
+        return null;
+    }
+
     async analyzeScreenshot(data) {
         const { analysisId, screenshot, url, timestamp } = data;
         
@@ -230,8 +986,9 @@ window.AlgorithmMirrorContentScript = class AlgorithmMirrorContentScript {
                 status: 'analyzing'
             });
 
-            // Perform VLM analysis
-            const analysis = await this.performVLMAnalysis(screenshot, url);
+            // Perform VLM analysis with the current version of the page-content prompt
+            const promptTemplate = await this.renderPrompt('page-content', { url });
+            const analysis = await this.performVLMAnalysis(screenshot, promptTemplate.prompt);
             
             // Generate embeddings
             const embeddings = await this.generateEmbeddings(analysis, url);
@@ -246,7 +1003,8 @@ window.AlgorithmMirrorContentScript = class AlgorithmMirrorContentScript {
                     analysisId,
                     analysis,
                     embeddings,
-                    category
+                    category,
+                    promptTemplate: { id: promptTemplate.id, version: promptTemplate.version }
                 }
             });
 
@@ -267,19 +1025,22 @@ window.AlgorithmMirrorContentScript = class AlgorithmMirrorContentScript {
         }
     }
 
-    async performVLMAnalysis(screenshot, url) {
-        const prompt = `Describe what content is visible on this webpage screenshot:
-
-1. What specific content is being shown to users
-2. Any feeds, posts, articles, or content streams visible
-3. Advertisements, sponsored content, or promotional material
-4. Recommended or suggested items/content
-5. Any personalized or algorithmically-curated content
-6. The type of information this platform serves to users
+    /**
+     * Prompt templates live in the background worker, where they are edited and versioned
+     */
+    async renderPrompt(id, variables = {}) {
+        const response = await chrome.runtime.sendMessage({
+            type: 'RENDER_PROMPT',
+            data: { id, variables }
+        });
 
-URL: ${url}
+        if (!response || !response.success) {
+            throw new Error(`Prompt template unavailable: ${response?.error || 'no response'}`);
+        }
+        return response;
+    }
 
-Focus on describing what content users are being served and shown.`;
+    async performVLMAnalysis(screenshot, prompt) {
 
         try {
             const response = await fetch(this.vlmEndpoint, {
@@ -434,6 +1195,81 @@ Focus on describing what content users are being served and shown.`;
         }
     }
 
+    /**
+     * Live feed item for a running analysis: streamed text, a progress bar and a stop button.
+     * The stored memory arrives as NEW_MEMORY_ENTRY and takes its place.
+     */
+    renderAnalysisProgress(data) {
+        const feed = document.getElementById('algorithm-mirror-feed');
+        if (!feed) return;
+
+        let item = feed.querySelector(`[data-live-analysis-id="${data.analysisId}"]`);
+        if (data.status === 'stored' || data.status === 'ended') {
+            if (item) item.remove();
+            return;
+        }
+
+        if (!item) {
+            const welcome = feed.querySelector('.algorithm-mirror-welcome');
+            if (welcome) welcome.remove();
+
+            item = document.createElement('div');
+            item.className = 'algorithm-mirror-analysis-item analyzing';
+            item.dataset.liveAnalysisId = data.analysisId;
+            item.innerHTML = `
+                <div class="algorithm-mirror-analysis-header">
+                    <span class="algorithm-mirror-live-status"></span>
+                    <button class="algorithm-mirror-stop-btn" title="Stop and keep the partial analysis">⏹ Stop</button>
+                </div>
+                <div class="algorithm-mirror-progress"><div class="algorithm-mirror-progress-bar"></div></div>
+                <div class="algorithm-mirror-analysis-text algorithm-mirror-live-text"></div>
+                <div class="algorithm-mirror-analysis-url"></div>
+            `;
+            item.querySelector('.algorithm-mirror-analysis-url').textContent = data.url;
+            item.querySelector('.algorithm-mirror-stop-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.stopAnalysis(data.analysisId, e.currentTarget);
+            });
+
+            feed.insertBefore(item, feed.firstChild);
+            feed.scrollTop = 0;
+        }
+
+        const percent = Math.round((data.progress || 0) * 100);
+        item.querySelector('.algorithm-mirror-progress-bar').style.setProperty('width', `${percent}%`, 'important');
+        item.querySelector('.algorithm-mirror-live-status').textContent = this.describeAnalysisProgress(data, percent);
+        if (data.text) {
+            item.querySelector('.algorithm-mirror-live-text').textContent = data.text;
+        }
+    }
+
+    describeAnalysisProgress(data, percent) {
+        if (data.status === 'analyzing') return '🔄 Waiting for the model...';
+
+        const steps = [];
+        if (data.tileCount > 1) steps.push(`region ${data.tileIndex + 1}/${data.tileCount}`);
+        if (data.passCount > 1) steps.push(`pass ${data.passIndex + 1}/${data.passCount}`);
+        return `🔄 Analyzing${steps.length ? ` ${steps.join(', ')}` : ''} · ${percent}%`;
+    }
+
+    async stopAnalysis(analysisId, button) {
+        button.disabled = true;
+        button.textContent = 'Stopping...';
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'STOP_ANALYSIS',
+                data: { analysisId }
+            });
+
+            if (!response || !response.stopped) {
+                this.showNotification('Analysis already finished', 'info');
+            }
+        } catch (error) {
+            this.showNotification('Stop failed', 'error');
+        }
+    }
+
     addMemoryEntry(entry) {
         this.memoryEntries.push(entry);
         console.log('🧠 AI Analysis Result:', entry.analysis);
@@ -463,6 +1299,7 @@ Focus on describing what content users are being served and shown.`;
         analysisDiv.innerHTML = `
             <div class="algorithm-mirror-analysis-header">
                 <span class="algorithm-mirror-category">${entry.category}</span>
+                ${entry.truncated ? '<span class="algorithm-mirror-truncated" title="Analysis was stopped; the text is partial">✂️ Stopped early</span>' : ''}
                 <span class="algorithm-mirror-timestamp">${this.formatTimeAgo(entry.timestamp)}</span>
             </div>
             <div class="algorithm-mirror-analysis-text" data-analysis-id="${entry.timestamp}">
@@ -525,11 +1362,19 @@ Focus on describing what content users are being served and shown.`;
         return 'Just now';
     }
 
-    async manualCapture() {
+    async manualCapture(profile = null, force = false) {
+        if (this.isExcluded) return;
+
         try {
-            await chrome.runtime.sendMessage({
-                type: 'MANUAL_CAPTURE'
+            const response = await chrome.runtime.sendMessage({
+                type: 'MANUAL_CAPTURE',
+                data: { profile, force }
             });
+
+            if (response && response.success === false) {
+                this.showNotification(`Capture skipped: ${response.error}`, 'error');
+                return;
+            }
             
             this.showNotification('📸 Capturing screenshot...', 'info');
         } catch (error) {
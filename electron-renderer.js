@@ -17,6 +17,7 @@ class AlgorithmMirrorElectronRenderer {
         // VLM & Analysis
         this.vlmEndpoint = 'http://localhost:11434/api/generate';
         this.selectedModel = 'llava:latest';
+        this.promptTemplates = this.loadPromptTemplates();
         
         // UI elements
         this.elements = {};
@@ -211,11 +212,13 @@ class AlgorithmMirrorElectronRenderer {
 
     async analyzeScreenshot(memoryEntry) {
         try {
-            const analysis = await this.analyzeWithVLM(memoryEntry.screenshot);
+            const { prompt, ...promptTemplate } = this.promptTemplates.render('page-content', { url: memoryEntry.url });
+            const analysis = await this.analyzeWithVLM(memoryEntry.screenshot, prompt);
             
             // Update memory entry with analysis
             memoryEntry.analysis = analysis;
             memoryEntry.type = 'vlm_analysis';
+            memoryEntry.promptTemplates = [promptTemplate];
             
             // Categorize content
             this.categorizeEntry(memoryEntry);
@@ -232,18 +235,20 @@ class AlgorithmMirrorElectronRenderer {
         }
     }
 
-    async analyzeWithVLM(screenshot) {
+    /**
+     * Shared prompt registry with any edits saved in this window
+     */
+    loadPromptTemplates() {
         try {
-            const prompt = `Describe what content is visible on this screenshot:
-1. What specific content is being shown to users
-2. Any feeds, posts, articles, or content streams visible
-3. Advertisements, sponsored content, or promotional material
-4. Recommended or suggested items/content
-5. Any personalized or algorithmically-curated content
-6. The type of information being served to users
-
-Focus on describing what content users are being served and shown.`;
+            const saved = JSON.parse(localStorage.getItem('algorithmMirror_promptTemplates') || '{}');
+            return new PromptTemplates(saved, { locale: localStorage.getItem('algorithmMirror_promptLocale') || '' });
+        } catch (error) {
+            return new PromptTemplates();
+        }
+    }
 
+    async analyzeWithVLM(screenshot, prompt) {
+        try {
             const response = await fetch(this.vlmEndpoint, {
                 method: 'POST',
                 headers: {
@@ -3,6 +3,15 @@
  * Displays and manages the browsing memory timeline
  */
 
+// Words the search box accepts after type: for each entity type
+const ENTITY_SEARCH_TYPES = {
+    product: 'Product', products: 'Product',
+    offer: 'Offer', offers: 'Offer',
+    article: 'Article', articles: 'Article',
+    video: 'VideoObject', videos: 'VideoObject',
+    person: 'Person', people: 'Person'
+};
+
 class MemoryTimeline {
     constructor() {
         this.memories = [];
@@ -54,25 +63,50 @@ class MemoryTimeline {
             this.filterMemories();
         });
 
-        // Listen for new memories
+        // Entity type and price filters
+        document.getElementById('entityFilter').addEventListener('change', () => this.filterMemories());
+        document.getElementById('priceMin').addEventListener('input', () => this.filterMemories());
+        document.getElementById('priceMax').addEventListener('input', () => this.filterMemories());
+
+        // Listen for new memories and analyses in progress
         chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             if (message.type === 'NEW_MEMORY_ENTRY') {
                 this.addNewMemory(message.data);
+            } else if (message.type === 'ANALYSIS_PROGRESS') {
+                this.renderAnalysisProgress(message.data);
             }
         });
     }
 
     filterMemories() {
-        const searchTerm = document.getElementById('searchInput').value.toLowerCase();
+        const { text: searchTerm, ...searchEntities } = this.parseSearch(document.getElementById('searchInput').value);
         const categoryFilter = document.getElementById('categoryFilter').value;
         const timeFilter = document.getElementById('timeFilter').value;
 
+        // The filter controls and the search terms both narrow the entities a memory must have
+        const priceMin = document.getElementById('priceMin').value;
+        const priceMax = document.getElementById('priceMax').value;
+        const entityFilter = {
+            type: document.getElementById('entityFilter').value || searchEntities.type,
+            priceTests: [
+                ...searchEntities.priceTests,
+                ...(priceMin !== '' ? [price => price >= Number(priceMin)] : []),
+                ...(priceMax !== '' ? [price => price <= Number(priceMax)] : [])
+            ]
+        };
+        const filterByEntity = !!entityFilter.type || entityFilter.priceTests.length > 0;
+
         this.filteredMemories = this.memories.filter(memory => {
             // Search filter
             const matchesSearch = !searchTerm || 
                 memory.url.toLowerCase().includes(searchTerm) ||
                 memory.analysis.toLowerCase().includes(searchTerm) ||
-                memory.category.toLowerCase().includes(searchTerm);
+                memory.category.toLowerCase().includes(searchTerm) ||
+                (memory.entities || []).some(entity => (entity.name || '').toLowerCase().includes(searchTerm));
+
+            // Entity filter: one entity of the page must match every condition
+            const matchesEntities = !filterByEntity ||
+                (memory.entities || []).some(entity => this.entityMatches(entity, entityFilter));
 
             // Category filter
             const matchesCategory = !categoryFilter || memory.category === categoryFilter;
@@ -98,18 +132,124 @@ class MemoryTimeline {
                 }
             }
 
-            return matchesSearch && matchesCategory && matchesTime;
+            return matchesSearch && matchesCategory && matchesTime && matchesEntities;
         });
 
         this.render();
     }
 
+    /**
+     * Entity terms in the search box - type:product, price>50, price<=20 - and the rest as text
+     */
+    parseSearch(value) {
+        const query = { text: [], type: null, priceTests: [] };
+
+        value.toLowerCase().split(/\s+/).filter(Boolean).forEach(term => {
+            const type = term.match(/^type:(\w+)$/);
+            const price = term.match(/^price(>=|<=|>|<)\$?(\d+(?:\.\d+)?)$/);
+
+            if (type && ENTITY_SEARCH_TYPES[type[1]]) {
+                query.type = ENTITY_SEARCH_TYPES[type[1]];
+            } else if (price) {
+                const bound = Number(price[2]);
+                query.priceTests.push({
+                    '>': amount => amount > bound,
+                    '>=': amount => amount >= bound,
+                    '<': amount => amount < bound,
+                    '<=': amount => amount <= bound
+                }[price[1]]);
+            } else {
+                query.text.push(term);
+            }
+        });
+
+        return { ...query, text: query.text.join(' ') };
+    }
+
+    /**
+     * Price conditions only match entities with a price; currencies are not converted
+     */
+    entityMatches(entity, { type, priceTests }) {
+        if (type && entity.type !== type) return false;
+        if (priceTests.length === 0) return true;
+        return typeof entity.price === 'number' && priceTests.every(test => test(entity.price));
+    }
+
     addNewMemory(memory) {
+        // Re-analyzed memories keep their id; replace rather than duplicate them
+        this.memories = this.memories.filter(existing => existing.id !== memory.id);
         this.memories.unshift(memory);
         this.filterMemories();
         this.updateStats();
     }
 
+    /**
+     * Live card for a running analysis with its streamed text, progress and a stop button.
+     * It is removed once the analysis ends; a stored memory arrives as NEW_MEMORY_ENTRY.
+     */
+    renderAnalysisProgress(data) {
+        const container = document.getElementById('liveAnalyses');
+        let card = container.querySelector(`[data-analysis-id="${data.analysisId}"]`);
+
+        if (data.status === 'stored' || data.status === 'ended') {
+            if (card) card.remove();
+            return;
+        }
+
+        if (!card) {
+            card = document.createElement('div');
+            card.className = 'live-analysis';
+            card.dataset.analysisId = data.analysisId;
+            card.innerHTML = `
+                <div class="live-header">
+                    <div>
+                        <div class="live-status"></div>
+                        <div class="live-url"></div>
+                    </div>
+                    <button class="stop-btn" title="Stop and keep the partial analysis">⏹ Stop</button>
+                </div>
+                <div class="live-progress"><div class="live-progress-bar"></div></div>
+                <div class="live-text"></div>
+            `;
+            card.querySelector('.live-url').textContent = data.url;
+            card.querySelector('.stop-btn').addEventListener('click', (event) => {
+                this.stopAnalysis(data.analysisId, event.currentTarget);
+            });
+            container.prepend(card);
+        }
+
+        const percent = Math.round((data.progress || 0) * 100);
+        const steps = [];
+        if (data.tileCount > 1) steps.push(`region ${data.tileIndex + 1}/${data.tileCount}`);
+        if (data.passCount > 1) steps.push(`pass ${data.passIndex + 1}/${data.passCount}`);
+
+        card.querySelector('.live-progress-bar').style.width = `${percent}%`;
+        card.querySelector('.live-status').textContent = data.status === 'analyzing'
+            ? '🔄 Waiting for the model...'
+            : `🔄 Analyzing${steps.length ? ` ${steps.join(', ')}` : ''} · ${percent}%`;
+        if (data.text) {
+            card.querySelector('.live-text').textContent = data.text;
+        }
+    }
+
+    async stopAnalysis(analysisId, button) {
+        button.disabled = true;
+        button.textContent = 'Stopping...';
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'STOP_ANALYSIS',
+                data: { analysisId }
+            });
+            if (!response || !response.stopped) {
+                this.showNotification('Analysis already finished');
+            }
+        } catch (error) {
+            console.error('Failed to stop analysis:', error);
+            this.showNotification('Failed to stop analysis');
+        }
+    }
+
     updateStats() {
         const totalMemories = this.memories.length;
         const uniquePages = new Set(this.memories.map(m => m.url)).size;
@@ -200,9 +340,13 @@ class MemoryTimeline {
                         <div>
                             <div class="timeline-url">${domain}</div>
                             <div class="timeline-domain">${memory.url.length > 60 ? memory.url.substring(0, 60) + '...' : memory.url}</div>
+                            ${memory.truncated ? '<div class="truncated-badge" title="Analysis was stopped; the text is partial">✂️ Stopped early</div>' : ''}
+                            ${memory.ads?.length ? `<div class="ads-badge" title="Sponsored or promoted items detected on this page">📢 ${memory.ads.length} sponsored</div>` : ''}
+                            ${memory.feedSummary?.total ? `<div class="feed-badge" title="${this.describeFeedSummary(memory.feedSummary)}">🧾 ${memory.feedSummary.total} feed items</div>` : ''}
+                            ${memory.entities?.length ? `<div class="entity-badge" title="${this.describeEntities(memory.entities)}">🏷️ ${memory.entities.length} entities</div>` : ''}
                             ${agentInfo}
                         </div>
-                        <div class="timeline-time" title="${fullTime}">${timeAgo}</div>
+                        <div class="timeline-time" title="${fullTime}">${timeAgo}${memory.dwellTimeMs ? ` · viewed ${this.formatDwellTime(memory.dwellTimeMs)}` : ''}</div>
                     </div>
                     <div class="timeline-body">
                         <img src="${memory.screenshot}" alt="Screenshot" class="timeline-screenshot" loading="lazy">
@@ -210,6 +354,10 @@ class MemoryTimeline {
                             <div class="analysis-preview">${this.truncateAnalysis(memory.analysis)}</div>
                             <div class="analysis-full" style="display: none;">
                                 ${memory.analysis}
+                                ${this.renderAds(memory.ads)}
+                                ${this.renderEntities(memory.entities)}
+                                ${memory.feedSummary?.total ? `<div class="feed-items" data-memory-id="${memory.id}"></div>` : ''}
+                                ${memory.promptTemplates?.length ? `<div class="prompt-versions">Prompts: ${memory.promptTemplates.map(template => `${template.id} v${template.version}`).join(', ')}</div>` : ''}
                                 ${isMultiAgent ? this.renderAgentDetails(memory.orchestrationResult) : ''}
                             </div>
                             ${memory.analysis.length > 200 ? '<button class="expand-btn" data-memory-id="' + memory.id + '">Show More</button>' : ''}
@@ -219,6 +367,7 @@ class MemoryTimeline {
                         <div class="timeline-category">${memory.category}</div>
                         <div class="timeline-actions">
                             <button class="action-btn primary" onclick="event.stopPropagation(); memoryTimeline.openUrl('${memory.url}')" title="Visit Page">🌐</button>
+                            <button class="action-btn ${memory.pinned ? 'pinned' : ''}" onclick="event.stopPropagation(); memoryTimeline.togglePin('${memory.id}')" title="${memory.pinned ? 'Unpin (allow expiry)' : 'Pin (keep forever)'}">📌</button>
                             <button class="action-btn" onclick="event.stopPropagation(); memoryTimeline.shareMemory('${memory.id}')" title="Share">📤</button>
                             ${isMultiAgent ? '<button class="action-btn" onclick="event.stopPropagation(); memoryTimeline.showAgentDetails(\'' + memory.id + '\')" title="Agent Details">🤖</button>' : ''}
                             <button class="action-btn" onclick="event.stopPropagation(); memoryTimeline.deleteMemory('${memory.id}')" title="Delete">🗑️</button>
@@ -229,6 +378,124 @@ class MemoryTimeline {
         `;
     }
 
+    /**
+     * Detected sponsored items; advertiser and description come from the page, so they are escaped
+     */
+    renderAds(ads) {
+        if (!ads || ads.length === 0) return '';
+
+        return `
+            <div class="ad-items">
+                <div class="ad-items-title">📢 Sponsored content</div>
+                ${ads.map(ad => `
+                    <div class="ad-item">
+                        <span class="ad-advertiser">${this.escapeHtml(ad.advertiser || ad.label || 'Unknown advertiser')}</span>
+                        <span class="ad-meta">${ad.region?.name || 'unplaced'} · ${Math.round(ad.confidence * 100)}% · ${ad.sources.join(' + ')}</span>
+                        ${ad.description ? `<div class="ad-description">${this.escapeHtml(ad.description)}</div>` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    describeEntities(entities) {
+        const counts = {};
+        entities.forEach(entity => { counts[entity.type] = (counts[entity.type] || 0) + 1; });
+        return Object.entries(counts).map(([type, count]) => `${count} ${type}`).join(', ');
+    }
+
+    /**
+     * Products, articles, videos, people and offers the page described; names come from the
+     * page, so they are escaped
+     */
+    renderEntities(entities) {
+        if (!entities || entities.length === 0) return '';
+
+        return `
+            <div class="entity-items">
+                <div class="feed-items-title">🏷️ Structured data</div>
+                ${entities.map(entity => `
+                    <div class="entity-item">
+                        <span class="entity-type">${entity.type}</span>
+                        ${typeof entity.price === 'number' ? `<span class="entity-price">${this.escapeHtml(this.formatPrice(entity))}</span>` : ''}
+                        <span class="entity-meta">${entity.sources.join(' + ')}</span>
+                        <div class="entity-name">${entity.url
+                            ? `<a href="${this.escapeHtml(entity.url)}" target="_blank" rel="noopener">${this.escapeHtml(entity.name || entity.url)}</a>`
+                            : this.escapeHtml(entity.name || 'Unnamed')}</div>
+                        ${entity.brand || entity.author ? `<div class="feed-author">${this.escapeHtml(entity.brand || entity.author)}</div>` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    formatPrice(entity) {
+        try {
+            return new Intl.NumberFormat(undefined, { style: 'currency', currency: entity.currency }).format(entity.price);
+        } catch {
+            return `${entity.price}${entity.currency ? ` ${entity.currency}` : ''}`; // No or unknown currency code
+        }
+    }
+
+    describeFeedSummary(summary) {
+        const kinds = Object.entries(summary.byKind).map(([kind, count]) => `${count} ${kind}`);
+        const flags = Object.entries(summary.flags).filter(([, count]) => count > 0).map(([flag, count]) => `${count} ${flag}`);
+        return [...kinds, ...flags].join(', ');
+    }
+
+    /**
+     * A memory's feed items are child records, loaded the first time its details are opened
+     */
+    async loadFeedItems(container) {
+        if (container.dataset.loaded) return;
+        container.dataset.loaded = 'true';
+        container.textContent = 'Loading feed items...';
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'GET_FEED_ITEMS',
+                data: { memoryId: container.dataset.memoryId }
+            });
+            if (!response?.success) throw new Error(response?.error || 'No response');
+            container.innerHTML = this.renderFeedItems(response.items);
+        } catch (error) {
+            console.error('Failed to load feed items:', error);
+            container.textContent = 'Feed items could not be loaded';
+            delete container.dataset.loaded;
+        }
+    }
+
+    /**
+     * Feed items in the order the page showed them; all text comes from the page, so it is escaped
+     */
+    renderFeedItems(items) {
+        if (items.length === 0) return '';
+
+        return `
+            <div class="feed-items-title">🧾 Feed items</div>
+            ${items.map(item => `
+                <div class="feed-item">
+                    <span class="feed-position">#${item.position}</span>
+                    <span class="feed-kind">${item.kind} · ${item.mediaType}</span>
+                    ${item.flags.map(flag => `<span class="feed-flag">${flag}</span>`).join('')}
+                    <div class="feed-title">${item.link
+                        ? `<a href="${this.escapeHtml(item.link)}" target="_blank" rel="noopener">${this.escapeHtml(item.title || item.link)}</a>`
+                        : this.escapeHtml(item.title || 'Untitled')}</div>
+                    ${item.author ? `<div class="feed-author">${this.escapeHtml(item.author)}</div>` : ''}
+                    ${item.snippet ? `<div class="feed-snippet">${this.escapeHtml(item.snippet)}</div>` : ''}
+                </div>
+            `).join('')}
+        `;
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
     truncateAnalysis(analysis) {
         if (analysis.length <= 200) return analysis;
         return analysis.substring(0, 200) + '...';
@@ -249,6 +516,11 @@ class MemoryTimeline {
             preview.style.display = 'none';
             full.style.display = 'block';
             button.textContent = 'Show Less';
+
+            const feedItems = full.querySelector('.feed-items');
+            if (feedItems) {
+                this.loadFeedItems(feedItems);
+            }
         } else {
             // Collapse
             preview.style.display = 'block';
@@ -257,6 +529,13 @@ class MemoryTimeline {
         }
     }
 
+    formatDwellTime(ms) {
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 1) return `${Math.round(ms / 1000)}s`;
+        if (minutes < 60) return `${minutes}m`;
+        return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+    }
+
     formatTimeAgo(date) {
         const now = new Date();
         const diff = now - date;
@@ -298,6 +577,29 @@ class MemoryTimeline {
         }
     }
 
+    async togglePin(memoryId) {
+        const memory = this.memories.find(m => m.id === memoryId);
+        if (!memory) return;
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'PIN_MEMORY',
+                data: { memoryId, pinned: !memory.pinned }
+            });
+
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+
+            memory.pinned = response.pinned;
+            this.render();
+            this.showNotification(memory.pinned ? 'Memory pinned - exempt from retention' : 'Memory unpinned');
+        } catch (error) {
+            console.error('Failed to pin memory:', error);
+            this.showNotification('Failed to pin memory');
+        }
+    }
+
     async deleteMemory(memoryId) {
         if (!confirm('Delete this memory?')) return;
 
@@ -0,0 +1,123 @@
+/**
+ * Algorithm Mirror - Offscreen Document
+ * Stitches full-page capture frames on a canvas and cuts the result into analysis tiles
+ */
+
+class AlgorithmMirrorOffscreen {
+    constructor() {
+        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+            // Only handle messages addressed to this document
+            if (message.target !== 'offscreen') {
+                return false;
+            }
+
+            (async () => {
+                try {
+                    switch (message.type) {
+                        case 'STITCH_FRAMES':
+                            sendResponse({ success: true, ...(await this.stitchFrames(message.data)) });
+                            break;
+
+                        case 'TILE_IMAGE':
+                            sendResponse({ success: true, ...(await this.tileImage(message.data)) });
+                            break;
+
+                        default:
+                            sendResponse({ success: false, error: 'Unknown offscreen message type' });
+                    }
+                } catch (error) {
+                    console.error('❌ Offscreen processing failed:', error);
+                    sendResponse({ success: false, error: error.message });
+                }
+            })();
+
+            return true;
+        });
+    }
+
+    loadImage(dataUrl) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('Failed to decode capture frame'));
+            image.src = dataUrl;
+        });
+    }
+
+    /**
+     * Draw each frame at its scroll offset. Frames are scaled down to CSS pixels so
+     * the stitched image stays a manageable size on high-DPI displays.
+     */
+    async stitchFrames({ frames, viewportWidth, viewportHeight, pageHeight, tileHeight, quality = 0.6 }) {
+        if (!frames || frames.length === 0) {
+            throw new Error('No frames to stitch');
+        }
+
+        const lastFrame = frames[frames.length - 1];
+        const height = Math.min(pageHeight || Infinity, lastFrame.y + viewportHeight);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = viewportWidth;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+
+        for (const frame of frames) {
+            const image = await this.loadImage(frame.dataUrl);
+            context.drawImage(image, 0, 0, image.width, image.height, 0, frame.y, viewportWidth, viewportHeight);
+        }
+
+        return {
+            image: canvas.toDataURL('image/jpeg', quality),
+            width: canvas.width,
+            height: canvas.height,
+            tiles: this.cutTiles(canvas, tileHeight || viewportHeight, quality)
+        };
+    }
+
+    /**
+     * Re-cut an already stitched image, e.g. when a backlogged capture is analyzed later
+     */
+    async tileImage({ image, tileHeight, quality = 0.6 }) {
+        const source = await this.loadImage(image);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = source.width;
+        canvas.height = source.height;
+        canvas.getContext('2d').drawImage(source, 0, 0);
+
+        return {
+            width: canvas.width,
+            height: canvas.height,
+            tiles: this.cutTiles(canvas, tileHeight || canvas.height, quality)
+        };
+    }
+
+    /**
+     * Slice the canvas into consecutive horizontal bands. A short final remainder is
+     * folded into the previous tile rather than analyzed on its own.
+     */
+    cutTiles(canvas, tileHeight, quality) {
+        const tiles = [];
+        const minimumTail = Math.round(tileHeight / 4);
+
+        for (let y = 0; y < canvas.height; y += tileHeight) {
+            let height = Math.min(tileHeight, canvas.height - y);
+            if (canvas.height - (y + height) > 0 && canvas.height - (y + height) < minimumTail) {
+                height = canvas.height - y;
+            }
+
+            const tileCanvas = document.createElement('canvas');
+            tileCanvas.width = canvas.width;
+            tileCanvas.height = height;
+            tileCanvas.getContext('2d').drawImage(canvas, 0, y, canvas.width, height, 0, 0, canvas.width, height);
+
+            tiles.push({ dataUrl: tileCanvas.toDataURL('image/jpeg', quality), x: 0, y, width: canvas.width, height });
+
+            if (y + height >= canvas.height) break;
+        }
+
+        return tiles;
+    }
+}
+
+new AlgorithmMirrorOffscreen();
@@ -10,6 +10,7 @@ class AlgorithmMirrorPopup {
             pagesAnalyzed: 0,
             memoriesStored: 0
         };
+        this.backlog = { size: 0, paused: false };
         
         this.init();
     }
@@ -17,6 +18,7 @@ class AlgorithmMirrorPopup {
     async init() {
         await this.loadSettings();
         await this.loadStats();
+        await this.loadBacklog();
         this.setupEventListeners();
         await this.checkPermissions();
         this.updateUI();
@@ -51,6 +53,20 @@ class AlgorithmMirrorPopup {
         }
     }
 
+    async loadBacklog() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'GET_BACKLOG_STATUS'
+            });
+            
+            if (response.backlog) {
+                this.backlog = response.backlog;
+            }
+        } catch (error) {
+            console.error('Failed to load backlog status:', error);
+        }
+    }
+
     setupEventListeners() {
         // AI Toggle
         document.getElementById('aiToggle').addEventListener('click', () => {
@@ -81,6 +97,15 @@ class AlgorithmMirrorPopup {
         document.getElementById('settingsBtn').addEventListener('click', () => {
             this.openSettings();
         });
+
+        // Offline backlog
+        document.getElementById('backlogPauseBtn').addEventListener('click', () => {
+            this.toggleBacklogPause();
+        });
+
+        document.getElementById('backlogFlushBtn').addEventListener('click', () => {
+            this.flushBacklog();
+        });
     }
 
     updateUI() {
@@ -105,6 +130,60 @@ class AlgorithmMirrorPopup {
         // Update stats
         document.getElementById('pagesAnalyzed').textContent = this.stats.pagesAnalyzed;
         document.getElementById('memoriesStored').textContent = this.stats.memoriesStored;
+
+        this.updateBacklogUI();
+    }
+
+    updateBacklogUI() {
+        const section = document.getElementById('backlogSection');
+        const { size, paused } = this.backlog;
+
+        section.style.display = size > 0 ? 'flex' : 'none';
+        document.getElementById('backlogInfo').textContent =
+            `⏳ ${size} capture${size === 1 ? '' : 's'} waiting for the model${paused ? ' (paused)' : ''}`;
+        document.getElementById('backlogPauseBtn').textContent = paused ? '▶️ Resume' : '⏸️ Pause';
+    }
+
+    async toggleBacklogPause() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'SET_BACKLOG_PAUSED',
+                data: { paused: !this.backlog.paused }
+            });
+
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+
+            this.backlog = response.backlog;
+            this.updateBacklogUI();
+            this.showNotification(this.backlog.paused ? 'Backlog paused' : 'Backlog resumed');
+        } catch (error) {
+            console.error('Failed to toggle backlog:', error);
+            this.showNotification('Failed to update backlog');
+        }
+    }
+
+    async flushBacklog() {
+        this.showNotification('🚀 Analyzing pending captures...');
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'FLUSH_BACKLOG'
+            });
+
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+
+            this.showNotification(`Analyzed ${response.processed}, ${response.remaining} still pending`);
+            await this.loadBacklog();
+            await this.loadStats();
+            this.updateUI();
+        } catch (error) {
+            console.error('Backlog flush failed:', error);
+            this.showNotification(`Model server unavailable: ${error.message}`);
+        }
     }
 
     async toggleAI() {
@@ -141,8 +220,11 @@ class AlgorithmMirrorPopup {
             }
 
             // Send capture message to content script
+            const profile = document.getElementById('captureProfile').value || null;
+            const force = document.getElementById('captureForce').checked;
             await chrome.tabs.sendMessage(tab.id, {
-                type: 'MANUAL_CAPTURE'
+                type: 'MANUAL_CAPTURE',
+                data: { profile, force }
             });
 
             this.showNotification('📸 Capturing page...');
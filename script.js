@@ -15,6 +15,9 @@ class AlgorithmMirrorAIBrowser {
         // VLM & Analysis
         this.vlmEndpoint = 'http://localhost:11434/api/generate'; // Ollama
         this.selectedModel = 'llava:latest'; // Default VLM model
+        // Text and embedding roles; saved choices win when the model is installed
+        this.modelRoles = this.loadModelRoles();
+        this.promptTemplates = this.loadPromptTemplates();
         this.ocrEngine = null;
         
         // Memory system
@@ -172,6 +175,8 @@ class AlgorithmMirrorAIBrowser {
                 } else {
                     this.updateAIStatus('No VLM available', false);
                 }
+
+                this.resolveModelRoles(data.models);
             } else {
                 this.updateAIStatus('AI Offline', false);
             }
@@ -181,6 +186,46 @@ class AlgorithmMirrorAIBrowser {
         }
     }
 
+    loadModelRoles() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('algorithmMirror_modelRoles') || '{}');
+            return { text: saved.text || null, embedding: saved.embedding || 'nomic-embed-text' };
+        } catch (error) {
+            return { text: null, embedding: 'nomic-embed-text' };
+        }
+    }
+
+    /**
+     * Shared prompt registry with any edits saved in this browser
+     */
+    loadPromptTemplates() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('algorithmMirror_promptTemplates') || '{}');
+            return new PromptTemplates(saved, { locale: localStorage.getItem('algorithmMirror_promptLocale') || '' });
+        } catch (error) {
+            return new PromptTemplates();
+        }
+    }
+
+    /**
+     * Keep saved role models that are installed; otherwise text uses the first installed
+     * general model, falling back to the vision model, which also answers text-only prompts
+     */
+    resolveModelRoles(models) {
+        const installed = name => models.some(model => model.name === name || model.name.startsWith(`${name}:`));
+        const isEmbedding = name => name.includes('embed') || name.includes('minilm');
+        const isVision = name => name.includes('llava') || name.includes('vision');
+
+        if (!this.modelRoles.text || !installed(this.modelRoles.text)) {
+            const textModel = models.find(model => !isEmbedding(model.name) && !isVision(model.name));
+            this.modelRoles.text = textModel ? textModel.name : this.selectedModel;
+        }
+        if (!installed(this.modelRoles.embedding)) {
+            const embeddingModel = models.find(model => isEmbedding(model.name));
+            if (embeddingModel) this.modelRoles.embedding = embeddingModel.name;
+        }
+    }
+
     updateAIStatus(text, isActive) {
         const statusText = this.elements.aiStatus.querySelector('.status-text');
         const pulse = this.elements.aiStatus.querySelector('.pulse');
@@ -221,7 +266,8 @@ class AlgorithmMirrorAIBrowser {
             const screenshot = await this.getScreenshot();
             if (!screenshot) return;
 
-            const analysis = await this.analyzeWithVLM(screenshot);
+            const { prompt, ...promptTemplate } = this.promptTemplates.render('page-content', { url: this.currentUrl });
+            const analysis = await this.analyzeWithVLM(screenshot, prompt);
             const timestamp = new Date();
 
             // Create memory entry
@@ -231,7 +277,8 @@ class AlgorithmMirrorAIBrowser {
                 url: this.currentUrl,
                 screenshot,
                 analysis,
-                type: 'vlm_analysis'
+                type: 'vlm_analysis',
+                promptTemplates: [promptTemplate]
             };
 
             // Store in memory
@@ -323,18 +370,8 @@ class AlgorithmMirrorAIBrowser {
         }
     }
 
-    async analyzeWithVLM(screenshot) {
+    async analyzeWithVLM(screenshot, prompt) {
         try {
-            const prompt = `Describe what content is visible on this screenshot:
-1. What specific content is being shown to users
-2. Any feeds, posts, articles, or content streams visible
-3. Advertisements, sponsored content, or promotional material
-4. Recommended or suggested items/content
-5. Any personalized or algorithmically-curated content
-6. The type of information being served to users
-
-Focus on describing what content users are being served and shown.`;
-
             const response = await fetch(this.vlmEndpoint, {
                 method: 'POST',
                 headers: {
@@ -378,7 +415,7 @@ Focus on describing what content users are being served and shown.`;
                     'Content-Type': 'application/json',
                 },
                 body: JSON.stringify({
-                    model: 'nomic-embed-text',
+                    model: this.modelRoles.embedding,
                     prompt: textForEmbedding
                 })
             });
@@ -584,7 +621,7 @@ Focus on describing what content users are being served and shown.`;
                     'Content-Type': 'application/json',
                 },
                 body: JSON.stringify({
-                    model: 'nomic-embed-text',
+                    model: this.modelRoles.embedding,
                     prompt: query
                 })
             });
@@ -753,7 +790,8 @@ Focus on describing what content users are being served and shown.`;
     }
 
     async analyzePDFContent(text, screenshot) {
-        const analysis = await this.analyzeWithLLM(`Describe the content in this PDF document: ${text.substring(0, 2000)}`);
+        const { prompt, ...promptTemplate } = this.promptTemplates.render('document-content', { content: text.substring(0, 2000) });
+        const analysis = await this.analyzeWithLLM(prompt);
         
         const memoryEntry = {
             id: `pdf_${Date.now()}`,
@@ -762,7 +800,8 @@ Focus on describing what content users are being served and shown.`;
             screenshot,
             analysis,
             type: 'pdf_analysis',
-            content: text
+            content: text,
+            promptTemplates: [promptTemplate]
         };
         
         this.addToMemory(memoryEntry);
@@ -777,7 +816,7 @@ Focus on describing what content users are being served and shown.`;
                     'Content-Type': 'application/json',
                 },
                 body: JSON.stringify({
-                    model: 'llama2',
+                    model: this.modelRoles.text || this.selectedModel,
                     prompt: prompt,
                     stream: false
                 })
@@ -12,7 +12,22 @@ class AlgorithmMirrorSettings {
             embeddingModel: 'nomic-embed-text',
             ollamaEndpoint: 'http://localhost:11434',
             retentionDays: 30,
-            excludedDomains: []
+            excludedDomains: [],
+            backlogPaused: false,
+            modelConcurrency: 1,
+            fullPageCapture: 'off',
+            contentCapture: true,
+            contentCaptureBudget: 30,
+            analysisProfile: 'quick',
+            domainProfiles: {},
+            tiledAnalysis: 'off',
+            analysisMode: 'vision',
+            modelProvider: 'ollama',
+            providerApiKey: '',
+            modelRoles: {},
+            promptTemplates: {},
+            promptLocale: '',
+            siteAdapters: []
         };
         
         this.availableModels = [];
@@ -33,6 +48,8 @@ class AlgorithmMirrorSettings {
             if (result.algorithmMirrorSettings) {
                 this.settings = { ...this.settings, ...result.algorithmMirrorSettings };
             }
+            // Fill in roles saved before they existed from vlmModel/embeddingModel
+            this.settings.modelRoles = ModelRoles.normalize(this.settings).roles;
         } catch (error) {
             console.error('Failed to load settings:', error);
         }
@@ -56,13 +73,13 @@ class AlgorithmMirrorSettings {
         }
     }
 
+    getModelProvider() {
+        return ModelProvider.fromSettings(this.settings);
+    }
+
     async loadAvailableModels() {
         try {
-            const response = await fetch(`${this.settings.ollamaEndpoint}/api/tags`);
-            if (response.ok) {
-                const data = await response.json();
-                this.availableModels = data.models || [];
-            }
+            this.availableModels = await this.getModelProvider().listModels();
         } catch (error) {
             console.error('Failed to load models:', error);
             this.availableModels = [];
@@ -84,24 +101,120 @@ class AlgorithmMirrorSettings {
             this.saveSettings();
         });
 
-        // Ollama Endpoint
-        document.getElementById('ollamaEndpoint').addEventListener('change', (e) => {
+        // Model server
+        document.getElementById('modelProvider').addEventListener('change', async (e) => {
+            this.settings.modelProvider = e.target.value;
+            this.saveSettings();
+            await this.refreshModels();
+        });
+
+        document.getElementById('ollamaEndpoint').addEventListener('change', async (e) => {
             this.settings.ollamaEndpoint = e.target.value;
             this.saveSettings();
-            this.checkSystemStatus();
+            await this.refreshModels();
+        });
+
+        document.getElementById('providerApiKey').addEventListener('change', async (e) => {
+            this.settings.providerApiKey = e.target.value.trim();
+            this.saveSettings();
+            await this.refreshModels();
+        });
+
+        // Model request concurrency
+        document.getElementById('modelConcurrency').addEventListener('input', (e) => {
+            document.getElementById('concurrencyValue').textContent = e.target.value;
+        });
+
+        document.getElementById('modelConcurrency').addEventListener('change', (e) => {
+            this.settings.modelConcurrency = parseInt(e.target.value);
+            this.saveSettings();
+        });
+
+        // Feed-driven capture
+        document.getElementById('contentCaptureToggle').addEventListener('click', () => {
+            this.settings.contentCapture = this.settings.contentCapture === false;
+            this.updateContentCaptureToggle();
+            this.saveSettings();
+        });
+
+        document.getElementById('contentCaptureBudget').addEventListener('input', (e) => {
+            document.getElementById('contentCaptureBudgetValue').textContent = `${e.target.value}/h`;
+        });
+
+        document.getElementById('contentCaptureBudget').addEventListener('change', (e) => {
+            this.settings.contentCaptureBudget = parseInt(e.target.value);
+            this.saveSettings();
+        });
+
+        // Analysis profiles
+        document.getElementById('analysisProfile').addEventListener('change', (e) => {
+            this.settings.analysisProfile = e.target.value;
+            this.saveSettings();
+        });
+
+        document.getElementById('domainProfiles').addEventListener('change', (e) => {
+            this.settings.domainProfiles = this.parseDomainProfiles(e.target.value);
+            e.target.value = this.formatDomainProfiles(this.settings.domainProfiles);
+            this.saveSettings();
+        });
+
+        // Full-page capture
+        document.getElementById('fullPageCapture').addEventListener('change', (e) => {
+            this.settings.fullPageCapture = e.target.value;
+            this.saveSettings();
+        });
+
+        // Tiled analysis
+        document.getElementById('tiledAnalysis').addEventListener('change', (e) => {
+            this.settings.tiledAnalysis = e.target.value;
+            this.saveSettings();
+        });
+
+        // Vision only or text and vision agents
+        document.getElementById('analysisMode').addEventListener('change', (e) => {
+            this.settings.analysisMode = e.target.value;
+            this.saveSettings();
+        });
+
+        // Site adapters loaded as JSON, pasted or from a file
+        document.getElementById('addSiteAdapter').addEventListener('click', () => {
+            this.addSiteAdapters(document.getElementById('siteAdapterJson').value);
+        });
+        document.getElementById('loadSiteAdapterFile').addEventListener('click', () => {
+            document.getElementById('siteAdapterFile').click();
+        });
+        document.getElementById('siteAdapterFile').addEventListener('change', async (e) => {
+            const [file] = e.target.files;
+            e.target.value = '';
+            if (file) {
+                this.addSiteAdapters(await file.text());
+            }
+        });
+
+        // Response language for all prompt templates
+        document.getElementById('promptLocale').addEventListener('change', (e) => {
+            this.settings.promptLocale = e.target.value.trim();
+            e.target.value = this.settings.promptLocale;
+            this.saveSettings();
         });
 
         // Embedding Model
         document.getElementById('embeddingModel').addEventListener('change', (e) => {
             this.settings.embeddingModel = e.target.value;
+            this.settings.modelRoles.embedding = { ...this.settings.modelRoles.embedding, model: e.target.value };
+            this.renderModelRoles();
             this.saveSettings();
         });
 
-        // Retention Days
+        // Retention Days (saved on release - shortening the window deletes memories)
         document.getElementById('retentionDays').addEventListener('input', (e) => {
-            this.settings.retentionDays = parseInt(e.target.value);
             document.getElementById('retentionValue').textContent = `${e.target.value} days`;
-            this.saveSettings();
+        });
+
+        document.getElementById('retentionDays').addEventListener('change', async (e) => {
+            this.settings.retentionDays = parseInt(e.target.value);
+            await this.saveSettings();
+            this.loadRetentionReport();
         });
 
         // Excluded Domains
@@ -130,6 +243,10 @@ class AlgorithmMirrorSettings {
             this.exportMemories();
         });
 
+        document.getElementById('runRetention').addEventListener('click', () => {
+            this.runRetentionSweep();
+        });
+
         document.getElementById('runDiagnostics').addEventListener('click', () => {
             this.runDiagnostics();
         });
@@ -141,6 +258,14 @@ class AlgorithmMirrorSettings {
         document.getElementById('testVLM').addEventListener('click', () => {
             this.testVLM();
         });
+
+        document.getElementById('toggleBacklog').addEventListener('click', () => {
+            this.toggleBacklogPause();
+        });
+
+        document.getElementById('flushBacklog').addEventListener('click', () => {
+            this.flushBacklog();
+        });
     }
 
     populateUI() {
@@ -152,8 +277,35 @@ class AlgorithmMirrorSettings {
         document.getElementById('analysisInterval').value = intervalSeconds;
         document.getElementById('intervalValue').textContent = `${intervalSeconds}s`;
 
-        // Ollama Endpoint
+        // Model server
+        document.getElementById('modelProvider').value = this.settings.modelProvider || 'ollama';
         document.getElementById('ollamaEndpoint').value = this.settings.ollamaEndpoint;
+        document.getElementById('providerApiKey').value = this.settings.providerApiKey || '';
+
+        // Model request concurrency
+        document.getElementById('modelConcurrency').value = this.settings.modelConcurrency || 1;
+        document.getElementById('concurrencyValue').textContent = this.settings.modelConcurrency || 1;
+
+        // Feed-driven capture
+        this.updateContentCaptureToggle();
+        document.getElementById('contentCaptureBudget').value = this.settings.contentCaptureBudget || 30;
+        document.getElementById('contentCaptureBudgetValue').textContent = `${this.settings.contentCaptureBudget || 30}/h`;
+
+        // Analysis profiles
+        document.getElementById('analysisProfile').value = this.settings.analysisProfile || 'quick';
+        document.getElementById('domainProfiles').value = this.formatDomainProfiles(this.settings.domainProfiles || {});
+
+        // Full-page capture
+        document.getElementById('fullPageCapture').value = this.settings.fullPageCapture || 'off';
+
+        // Tiled analysis
+        document.getElementById('tiledAnalysis').value = this.settings.tiledAnalysis || 'off';
+
+        // Analysis mode
+        document.getElementById('analysisMode').value = this.settings.analysisMode || 'vision';
+
+        // Site adapters
+        this.renderSiteAdapters();
 
         // Embedding Model
         document.getElementById('embeddingModel').value = this.settings.embeddingModel;
@@ -167,6 +319,263 @@ class AlgorithmMirrorSettings {
 
         // Populate VLM models
         this.populateVLMModels();
+
+        // Model roles
+        this.renderModelRoles();
+
+        // Prompt templates
+        document.getElementById('promptLocale').value = this.settings.promptLocale || '';
+        this.renderPromptTemplates();
+    }
+
+    /**
+     * One card per model role; inputs carry their role and field so one handler serves them all
+     */
+    renderModelRoles() {
+        const container = document.getElementById('modelRoles');
+        container.innerHTML = '';
+
+        Object.entries(ModelRoles.DEFAULTS).forEach(([role, defaults]) => {
+            const config = this.settings.modelRoles[role];
+            const card = document.createElement('div');
+            card.className = 'role-card';
+            card.innerHTML = `
+                <div class="role-header">
+                    <span class="model-name">${defaults.label}</span>
+                    <span class="status-value" id="roleStatus-${role}"></span>
+                </div>
+                <div class="role-fields">
+                    <div>
+                        <div class="setting-description">Model</div>
+                        <input type="text" class="setting-input" data-role="${role}" data-field="model" list="modelRoleOptions">
+                    </div>
+                    <div>
+                        <div class="setting-description">Endpoint</div>
+                        <input type="text" class="setting-input" data-role="${role}" data-field="endpoint" placeholder="Model server">
+                    </div>
+                    ${defaults.temperature === null ? '' : `
+                    <div>
+                        <div class="setting-description">Temperature</div>
+                        <input type="number" class="setting-input" data-role="${role}" data-field="temperature" min="0" max="2" step="0.1">
+                    </div>
+                    <div>
+                        <div class="setting-description">Max tokens</div>
+                        <input type="number" class="setting-input" data-role="${role}" data-field="maxTokens" min="1" step="1">
+                    </div>`}
+                    <div>
+                        <div class="setting-description">Timeout (s)</div>
+                        <input type="number" class="setting-input" data-role="${role}" data-field="timeoutMs" min="5" max="600" step="1">
+                    </div>
+                </div>
+            `;
+
+            card.querySelectorAll('input[data-field]').forEach(input => {
+                const field = input.dataset.field;
+                input.value = field === 'timeoutMs' ? Math.round(config.timeoutMs / 1000) : config[field];
+                input.addEventListener('change', (e) => this.updateModelRole(role, field, e.target.value));
+            });
+
+            container.appendChild(card);
+        });
+
+        const options = document.getElementById('modelRoleOptions');
+        options.innerHTML = '';
+        this.availableModels.forEach(model => options.appendChild(new Option(model.name, model.name)));
+    }
+
+    /**
+     * Validate one edited field before saving; invalid input is rejected and the card re-rendered
+     */
+    updateModelRole(role, field, rawValue) {
+        let value = String(rawValue).trim();
+        if (field === 'temperature') value = value === '' ? '' : Number(value);
+        if (field === 'maxTokens') value = value === '' ? '' : Number(value);
+        if (field === 'timeoutMs') value = value === '' ? '' : Number(value) * 1000;
+
+        const candidate = { ...this.settings.modelRoles[role], [field]: value };
+        const errors = ModelRoles.validateRole(role, candidate);
+        if (errors.length > 0) {
+            this.showNotification(errors[0].message, 'error');
+            this.renderModelRoles();
+            return;
+        }
+
+        const { roles } = ModelRoles.normalize({ modelRoles: { ...this.settings.modelRoles, [role]: candidate } });
+        this.settings.modelRoles = roles;
+        this.settings.vlmModel = roles.vision.model;
+        this.settings.embeddingModel = roles.embedding.model;
+
+        this.renderModelRoles();
+        this.populateVLMModels();
+        this.saveSettings().then(() => this.validateModelRoles());
+    }
+
+    /**
+     * One editable card per prompt template, with its version and earlier versions to restore
+     */
+    renderPromptTemplates() {
+        const container = document.getElementById('promptTemplates');
+        container.innerHTML = '';
+
+        new PromptTemplates(this.settings.promptTemplates).list().forEach(entry => {
+            const card = document.createElement('div');
+            card.className = 'role-card';
+            card.innerHTML = `
+                <div class="role-header">
+                    <span class="model-name">${entry.label}</span>
+                    <span class="status-value">v${entry.version}${entry.custom ? ' · edited' : ''}</span>
+                </div>
+                <div class="setting-description">${entry.description}</div>
+                <div class="setting-description">Variables: ${entry.variables.map(name => `{{${name}}}`).join(' ')}</div>
+                <textarea class="setting-input prompt-template-text" rows="8"></textarea>
+                <div class="prompt-template-actions">
+                    <button class="btn" data-action="save">💾 Save</button>
+                    <button class="btn" data-action="reset">↩️ Reset to Default</button>
+                    <select class="setting-select" data-action="history">
+                        <option value="">Earlier versions...</option>
+                    </select>
+                </div>
+            `;
+
+            const textarea = card.querySelector('textarea');
+            textarea.value = entry.template;
+
+            const history = card.querySelector('[data-action="history"]');
+            entry.history.forEach((previous, index) => {
+                const saved = previous.updatedAt ? ` (${new Date(previous.updatedAt).toLocaleString()})` : ' (built-in)';
+                history.appendChild(new Option(`v${previous.version}${saved}`, String(index)));
+            });
+            history.disabled = entry.history.length === 0;
+            history.addEventListener('change', (e) => {
+                if (e.target.value === '') return;
+                // Loaded into the editor only; saving makes it the next version
+                textarea.value = entry.history[Number(e.target.value)].template;
+            });
+
+            card.querySelector('[data-action="save"]').addEventListener('click', () => {
+                this.savePromptTemplate(entry.id, textarea.value);
+            });
+            card.querySelector('[data-action="reset"]').addEventListener('click', () => {
+                this.savePromptTemplate(entry.id, PromptTemplates.DEFAULTS[entry.id].template);
+            });
+
+            container.appendChild(card);
+        });
+    }
+
+    savePromptTemplate(id, template) {
+        let promptTemplates;
+        try {
+            promptTemplates = PromptTemplates.saveVersion(this.settings.promptTemplates || {}, id, template);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        if (promptTemplates === this.settings.promptTemplates) {
+            this.showNotification('Template unchanged', 'info');
+            return;
+        }
+
+        this.settings.promptTemplates = promptTemplates;
+        this.renderPromptTemplates();
+        this.saveSettings();
+        this.showNotification(`${PromptTemplates.DEFAULTS[id].label} saved as v${promptTemplates[id].version}`, 'success');
+    }
+
+    /**
+     * One card per adapter in effect, loaded ones first; only those can be removed
+     */
+    renderSiteAdapters() {
+        const container = document.getElementById('siteAdapters');
+        container.innerHTML = '';
+
+        const sourceLabels = { 'built-in': 'bundled', user: 'loaded', override: 'loaded · replaces bundled' };
+        new SiteAdapters(this.settings.siteAdapters || []).list().forEach(({ source, ...adapter }) => {
+            const card = document.createElement('div');
+            card.className = 'role-card';
+            card.innerHTML = `
+                <div class="role-header">
+                    <span class="model-name"></span>
+                    <span class="status-value"></span>
+                </div>
+                <div class="setting-description" data-field="hosts"></div>
+                <div class="setting-description" data-field="pages"></div>
+                <div class="prompt-template-actions">
+                    <button class="btn" data-action="copy">📋 Copy to Editor</button>
+                    ${source === 'built-in' ? '' : '<button class="btn" data-action="remove">🗑️ Remove</button>'}
+                </div>
+            `;
+
+            // Loaded adapters are user input, so their text is never parsed as HTML
+            card.querySelector('.model-name').textContent = adapter.name;
+            card.querySelector('.status-value').textContent = `${adapter.id} v${adapter.version} · ${sourceLabels[source]}`;
+            card.querySelector('[data-field="hosts"]').textContent = `Sites: ${adapter.match.hosts.join(', ')}`;
+            card.querySelector('[data-field="pages"]').textContent =
+                `Pages: ${adapter.pages.map(page => `${page.pageType} (${page.category})`).join(', ')}`;
+
+            card.querySelector('[data-action="copy"]').addEventListener('click', () => {
+                document.getElementById('siteAdapterJson').value = JSON.stringify(adapter, null, 2);
+            });
+            card.querySelector('[data-action="remove"]')?.addEventListener('click', () => {
+                this.removeSiteAdapter(adapter.id);
+            });
+
+            container.appendChild(card);
+        });
+    }
+
+    /**
+     * Add one adapter or a list from JSON text; a loaded adapter with the same id is replaced
+     */
+    addSiteAdapters(text) {
+        let adapters;
+        try {
+            // An empty fragment parses a selector the way the pages will, without matching anything
+            adapters = SiteAdapters.parse(text, {
+                checkSelector: selector => document.createDocumentFragment().querySelector(selector)
+            });
+        } catch (error) {
+            const [first, ...rest] = error.message.split('\n');
+            this.showNotification(rest.length > 0 ? `${first} (and ${rest.length} more)` : first, 'error');
+            return;
+        }
+
+        const ids = new Set(adapters.map(adapter => adapter.id));
+        this.settings.siteAdapters = [
+            ...(this.settings.siteAdapters || []).filter(adapter => !ids.has(adapter.id)),
+            ...adapters
+        ];
+        document.getElementById('siteAdapterJson').value = '';
+        this.renderSiteAdapters();
+        this.saveSettings();
+        this.showNotification(`Site adapter${adapters.length > 1 ? 's' : ''} ${adapters.map(adapter => adapter.name).join(', ')} added`, 'success');
+    }
+
+    removeSiteAdapter(id) {
+        this.settings.siteAdapters = (this.settings.siteAdapters || []).filter(adapter => adapter.id !== id);
+        this.renderSiteAdapters();
+        this.saveSettings();
+        this.showNotification('Site adapter removed', 'info');
+    }
+
+    async validateModelRoles() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'VALIDATE_MODEL_ROLES' });
+            if (!response?.success) {
+                throw new Error(response?.error || 'No response');
+            }
+
+            Object.entries(response.roles).forEach(([role, result]) => {
+                const element = document.getElementById(`roleStatus-${role}`);
+                if (!element) return;
+                element.textContent = result.ok ? 'Available' : result.error;
+                element.title = result.endpoint;
+                element.className = result.ok ? 'status-value status-success' : 'status-value status-warning';
+            });
+        } catch (error) {
+            console.error('Failed to validate model roles:', error);
+        }
     }
 
     updateAIToggle() {
@@ -182,11 +591,47 @@ class AlgorithmMirrorSettings {
         }
     }
 
+    /**
+     * Parse "domain = profile" lines, dropping lines whose profile is not one of the select's options
+     */
+    parseDomainProfiles(text) {
+        const profiles = Array.from(document.getElementById('analysisProfile').options).map(option => option.value);
+        const domainProfiles = {};
+
+        text.split('\n').forEach(line => {
+            const [domain, profile] = line.split('=').map(part => (part || '').trim());
+            if (domain && profiles.includes(profile)) {
+                domainProfiles[domain.toLowerCase()] = profile;
+            }
+        });
+
+        return domainProfiles;
+    }
+
+    formatDomainProfiles(domainProfiles) {
+        return Object.entries(domainProfiles)
+            .map(([domain, profile]) => `${domain} = ${profile}`)
+            .join('\n');
+    }
+
+    updateContentCaptureToggle() {
+        const toggle = document.getElementById('contentCaptureToggle');
+        const label = document.getElementById('contentCaptureLabel');
+
+        if (this.settings.contentCapture !== false) {
+            toggle.classList.add('active');
+            label.textContent = 'Capture new feed content';
+        } else {
+            toggle.classList.remove('active');
+            label.textContent = 'Timer and page loads only';
+        }
+    }
+
     populateVLMModels() {
         const container = document.getElementById('vlmModels');
         container.innerHTML = '';
 
-        const vlmModels = [
+        const curatedModels = [
             {
                 name: 'llava:7b',
                 description: 'Balanced performance and quality for vision tasks',
@@ -213,6 +658,20 @@ class AlgorithmMirrorSettings {
             }
         ];
 
+        // The curated list is Ollama's library; any other served model the provider reports as vision-capable is offered too
+        const isOllama = (this.settings.modelProvider || 'ollama') === 'ollama';
+        const vlmModels = isOllama ? curatedModels : [];
+        this.availableModels
+            .filter(m => m.capabilities?.vision && !vlmModels.some(model => m.name.startsWith(model.name)))
+            .forEach(m => vlmModels.push({
+                name: m.name,
+                description: `Served by ${isOllama ? 'Ollama' : 'the OpenAI-compatible server'}`,
+                size: m.size ? `${(m.size / 1e9).toFixed(1)}GB` : '',
+                available: true
+            }));
+
+        this.populateEmbeddingModels();
+
         vlmModels.forEach(model => {
             const card = document.createElement('div');
             card.className = `model-card ${model.name === this.settings.vlmModel ? 'selected' : ''}`;
@@ -225,6 +684,8 @@ class AlgorithmMirrorSettings {
             card.addEventListener('click', () => {
                 if (model.available) {
                     this.settings.vlmModel = model.name;
+                    this.settings.modelRoles.vision = { ...this.settings.modelRoles.vision, model: model.name };
+                    this.renderModelRoles();
                     this.saveSettings();
                     this.populateVLMModels();
                 } else {
@@ -236,24 +697,34 @@ class AlgorithmMirrorSettings {
         });
     }
 
+    /**
+     * Add served embedding models to the select alongside the built-in options
+     */
+    populateEmbeddingModels() {
+        const select = document.getElementById('embeddingModel');
+        const known = Array.from(select.options).map(option => option.value);
+
+        this.availableModels
+            .filter(m => m.capabilities?.embedding && !known.some(name => m.name === name || m.name.startsWith(`${name}:`)))
+            .forEach(m => select.add(new Option(m.name, m.name)));
+
+        select.value = this.settings.embeddingModel;
+    }
+
     async checkSystemStatus() {
-        // Check Ollama connection
-        try {
-            const response = await fetch(`${this.settings.ollamaEndpoint}/api/tags`);
-            document.getElementById('ollamaStatus').textContent = response.ok ? 'Connected' : 'Failed';
-            document.getElementById('ollamaStatus').className = response.ok ? 'status-value status-success' : 'status-value status-error';
-        } catch (error) {
-            document.getElementById('ollamaStatus').textContent = 'Error';
-            document.getElementById('ollamaStatus').className = 'status-value status-error';
-        }
+        // Check model server connection
+        const provider = this.getModelProvider();
+        const health = await provider.checkHealth();
+        document.getElementById('ollamaStatus').textContent = health.ok ? 'Connected' : 'Failed';
+        document.getElementById('ollamaStatus').className = health.ok ? 'status-value status-success' : 'status-value status-error';
 
         // Check VLM model
-        const vlmAvailable = this.availableModels.some(m => m.name.includes(this.settings.vlmModel));
+        const vlmAvailable = provider.hasModel(this.availableModels, this.settings.vlmModel);
         document.getElementById('vlmStatus').textContent = vlmAvailable ? 'Available' : 'Not Installed';
         document.getElementById('vlmStatus').className = vlmAvailable ? 'status-value status-success' : 'status-value status-error';
 
         // Check embedding model
-        const embeddingAvailable = this.availableModels.some(m => m.name.includes(this.settings.embeddingModel));
+        const embeddingAvailable = provider.hasModel(this.availableModels, this.settings.embeddingModel);
         document.getElementById('embeddingStatus').textContent = embeddingAvailable ? 'Available' : 'Not Installed';
         document.getElementById('embeddingStatus').className = embeddingAvailable ? 'status-value status-success' : 'status-value status-error';
 
@@ -270,12 +741,115 @@ class AlgorithmMirrorSettings {
         } catch (error) {
             console.error('Failed to get memory stats:', error);
         }
+
+        await this.loadRetentionReport();
+        await this.loadBacklogStatus();
+        await this.validateModelRoles();
+    }
+
+    async loadBacklogStatus() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_BACKLOG_STATUS' });
+            if (response?.backlog) {
+                this.renderBacklogStatus(response.backlog);
+            }
+        } catch (error) {
+            console.error('Failed to get backlog status:', error);
+        }
+    }
+
+    renderBacklogStatus(backlog) {
+        const element = document.getElementById('backlogStatus');
+        element.textContent = backlog.size === 0
+            ? 'Empty'
+            : `${backlog.size} pending${backlog.paused ? ' (paused)' : ''}`;
+        element.className = backlog.size > 0 && (backlog.paused || backlog.healthy === false)
+            ? 'status-value status-error'
+            : 'status-value status-success';
+        element.title = backlog.error
+            ? `Last check ${new Date(backlog.lastCheckAt).toLocaleString()}: ${backlog.error}`
+            : '';
+
+        this.settings.backlogPaused = backlog.paused;
+        document.getElementById('toggleBacklog').textContent = backlog.paused ? '▶️ Resume Backlog' : '⏸️ Pause Backlog';
+    }
+
+    async toggleBacklogPause() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'SET_BACKLOG_PAUSED',
+                data: { paused: !this.settings.backlogPaused }
+            });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+
+            this.renderBacklogStatus(response.backlog);
+            this.showNotification(response.backlog.paused ? 'Offline backlog paused' : 'Offline backlog resumed', 'info');
+        } catch (error) {
+            this.showNotification(`Failed to update backlog: ${error.message}`, 'error');
+        }
+    }
+
+    async flushBacklog() {
+        try {
+            this.showNotification('Analyzing pending captures...', 'info');
+            const response = await chrome.runtime.sendMessage({ type: 'FLUSH_BACKLOG' });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+
+            this.showNotification(`Analyzed ${response.processed} pending captures, ${response.remaining} remaining`, 'success');
+            this.checkSystemStatus();
+        } catch (error) {
+            this.showNotification(`Backlog flush failed: ${error.message}`, 'error');
+        }
+    }
+
+    async loadRetentionReport() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_RETENTION_REPORT' });
+            this.renderRetentionReport(response?.report);
+        } catch (error) {
+            console.error('Failed to get retention report:', error);
+        }
+    }
+
+    renderRetentionReport(report) {
+        const element = document.getElementById('retentionStatus');
+        if (!report) {
+            element.textContent = 'Not run yet';
+            return;
+        }
+
+        const removed = report.removed.legacyEntries + report.removed.semanticMemories;
+        const ranAt = new Date(report.ranAt).toLocaleString();
+        element.textContent = `${removed} removed (${ranAt})`;
+        element.title = `Older than ${report.retentionDays} days · ${report.removed.relationships} relationships · ` +
+            `${report.removed.conceptClusters} clusters · ${report.pinnedExempt} pinned kept`;
+    }
+
+    async runRetentionSweep() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'RUN_RETENTION_SWEEP' });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+
+            this.renderRetentionReport(response.report);
+            const removed = response.report.removed.legacyEntries + response.report.removed.semanticMemories;
+            this.showNotification(`Retention cleanup removed ${removed} memories`, 'success');
+            this.checkSystemStatus();
+        } catch (error) {
+            this.showNotification(`Retention cleanup failed: ${error.message}`, 'error');
+        }
     }
 
     async refreshModels() {
         document.getElementById('refreshModels').textContent = '🔄 Refreshing...';
         await this.loadAvailableModels();
         this.populateVLMModels();
+        this.renderModelRoles();
         this.checkSystemStatus();
         document.getElementById('refreshModels').textContent = '🔄 Refresh Available Models';
         this.showNotification('Models refreshed successfully');
@@ -319,7 +893,10 @@ class AlgorithmMirrorSettings {
 
     async exportMemories() {
         try {
-            const response = await chrome.runtime.sendMessage({ type: 'GET_MEMORY' });
+            const response = await chrome.runtime.sendMessage({
+                type: 'GET_MEMORY',
+                data: { includeEmbeddings: true }
+            });
             if (response && response.memory) {
                 const dataStr = JSON.stringify(response.memory, null, 2);
                 const dataBlob = new Blob([dataStr], { type: 'application/json' });